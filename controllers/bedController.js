@@ -0,0 +1,168 @@
+// Bed Controller
+// HTTP request handlers for wards, rooms, beds and inpatient bed assignment
+
+const bedService = require("../services/bedService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   GET /api/wards
+ * @desc    Get wards with rooms, beds and occupancy
+ * @access  Private
+ */
+const getWards = asyncHandler(async (req, res) => {
+  const wards = await bedService.getWards(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: wards,
+  });
+});
+
+/**
+ * @route   GET /api/wards/:id
+ * @desc    Get ward with beds and current occupants
+ * @access  Private
+ */
+const getWardById = asyncHandler(async (req, res) => {
+  const ward = await bedService.getWardById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: ward,
+  });
+});
+
+/**
+ * @route   POST /api/wards
+ * @desc    Create ward
+ * @access  Private (admin)
+ */
+const createWard = asyncHandler(async (req, res) => {
+  const ward = await bedService.createWard(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Ward created successfully",
+    data: ward,
+  });
+});
+
+/**
+ * @route   PUT /api/wards/:id
+ * @desc    Update ward
+ * @access  Private (admin)
+ */
+const updateWard = asyncHandler(async (req, res) => {
+  const ward = await bedService.updateWard(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Ward updated successfully",
+    data: ward,
+  });
+});
+
+/**
+ * @route   POST /api/wards/:id/rooms
+ * @desc    Add room to ward
+ * @access  Private (admin)
+ */
+const createRoom = asyncHandler(async (req, res) => {
+  const room = await bedService.createRoom(req.params.id, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Room created successfully",
+    data: room,
+  });
+});
+
+/**
+ * @route   POST /api/wards/rooms/:roomId/beds
+ * @desc    Add bed to room
+ * @access  Private (admin)
+ */
+const createBed = asyncHandler(async (req, res) => {
+  const bed = await bedService.createBed(req.params.roomId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Bed created successfully",
+    data: bed,
+  });
+});
+
+/**
+ * @route   GET /api/wards/beds
+ * @desc    Get beds (filter by departmentId, wardId, status)
+ * @access  Private
+ */
+const getBeds = asyncHandler(async (req, res) => {
+  const beds = await bedService.getBeds(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: beds,
+  });
+});
+
+/**
+ * @route   PUT /api/wards/beds/:bedId
+ * @desc    Update bed status (cleaned, out of service) or details
+ * @access  Private (admin, records_staff, clinician)
+ */
+const updateBed = asyncHandler(async (req, res) => {
+  const bed = await bedService.updateBed(req.params.bedId, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Bed updated successfully",
+    data: bed,
+  });
+});
+
+/**
+ * @route   PUT /api/encounters/:id/bed
+ * @desc    Assign bed to inpatient encounter (transfers from current bed)
+ * @access  Private (admin, records_staff, clinician)
+ */
+const assignBed = asyncHandler(async (req, res) => {
+  const assignment = await bedService.assignBed(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Bed assigned successfully",
+    data: assignment,
+  });
+});
+
+/**
+ * @route   GET /api/encounters/:id/beds
+ * @desc    Get current bed and bed history for an encounter
+ * @access  Private
+ */
+const getBedHistory = asyncHandler(async (req, res) => {
+  const history = await bedService.getBedHistory(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: history,
+  });
+});
+
+module.exports = {
+  getWards,
+  getWardById,
+  createWard,
+  updateWard,
+  createRoom,
+  createBed,
+  getBeds,
+  updateBed,
+  assignBed,
+  getBedHistory,
+};
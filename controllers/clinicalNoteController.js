@@ -29,7 +29,8 @@ const createClinicalNote = asyncHandler(async (req, res) => {
  */
 const getNotesByEncounter = asyncHandler(async (req, res) => {
   const notes = await clinicalNoteService.getClinicalNotesByEncounter(
-    req.params.encounterId
+    req.params.encounterId,
+    req.query
   );
 
   res.status(200).json({
@@ -54,8 +55,8 @@ const getNoteById = asyncHandler(async (req, res) => {
 
 /**
  * @route   PUT /api/clinical-notes/:id
- * @desc    Update clinical note
- * @access  Private (clinician who created it, admin)
+ * @desc    Update draft clinical note
+ * @access  Private (clinician who created it)
  */
 const updateClinicalNote = asyncHandler(async (req, res) => {
   const note = await clinicalNoteService.updateClinicalNote(
@@ -72,16 +73,58 @@ const updateClinicalNote = asyncHandler(async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/clinical-notes/:id
- * @desc    Delete clinical note
+ * @route   POST /api/clinical-notes/:id/sign
+ * @desc    Sign draft clinical note (makes it immutable)
+ * @access  Private (clinician who created it)
+ */
+const signClinicalNote = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.signClinicalNote(
+    req.params.id,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Clinical note signed successfully",
+    data: note,
+  });
+});
+
+/**
+ * @route   POST /api/clinical-notes/:id/addenda
+ * @desc    Add addendum to a signed clinical note
+ * @access  Private (clinician, admin)
+ */
+const addAddendum = asyncHandler(async (req, res) => {
+  const addendum = await clinicalNoteService.addAddendum(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Addendum added successfully",
+    data: addendum,
+  });
+});
+
+/**
+ * @route   POST /api/clinical-notes/:id/entered-in-error
+ * @desc    Mark clinical note as entered in error (replaces deletion)
  * @access  Private (clinician who created it, admin)
  */
-const deleteClinicalNote = asyncHandler(async (req, res) => {
-  await clinicalNoteService.deleteClinicalNote(req.params.id, req.user.id);
+const markEnteredInError = asyncHandler(async (req, res) => {
+  const note = await clinicalNoteService.markEnteredInError(
+    req.params.id,
+    req.body.reason,
+    req.user
+  );
 
   res.status(200).json({
     success: true,
-    message: "Clinical note deleted successfully",
+    message: "Clinical note marked as entered in error",
+    data: note,
   });
 });
 
@@ -152,7 +195,9 @@ module.exports = {
   getNotesByEncounter,
   getNoteById,
   updateClinicalNote,
-  deleteClinicalNote,
+  signClinicalNote,
+  addAddendum,
+  markEnteredInError,
   getLatestVitals,
   getNotesByType,
   getStatistics,
@@ -2,7 +2,26 @@
 // HTTP request handlers for data quality issues
 
 const dataQualityService = require("../services/dataQualityService");
+const dataQualityRuleService = require("../services/dataQualityRuleService");
+const dataQualityActivityService = require("../services/dataQualityActivityService");
 const { asyncHandler } = require("../middleware/errorHandler");
+const multer = require("multer");
+
+// Evidence attachments (e.g. scanned pages)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024, // 10MB default
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ["image/jpeg", "image/png", "application/pdf"];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Invalid file type. Only JPEG, PNG, and PDF are allowed."));
+    }
+  },
+});
 
 /**
  * @route   POST /api/data-quality
@@ -21,7 +40,7 @@ const createIssue = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/data-quality/:id
- * @desc    Get issue by ID
+ * @desc    Get issue by ID with activity timeline
  * @access  Private
  */
 const getIssueById = asyncHandler(async (req, res) => {
@@ -54,7 +73,11 @@ const getIssues = asyncHandler(async (req, res) => {
  * @access  Private (admin, data_manager)
  */
 const updateIssue = asyncHandler(async (req, res) => {
-  const issue = await dataQualityService.updateIssue(req.params.id, req.body);
+  const issue = await dataQualityService.updateIssue(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
 
   res.status(200).json({
     success: true,
@@ -78,7 +101,11 @@ const assignIssue = asyncHandler(async (req, res) => {
     });
   }
 
-  const issue = await dataQualityService.assignIssue(req.params.id, userId);
+  const issue = await dataQualityService.assignIssue(
+    req.params.id,
+    userId,
+    req.user.id
+  );
 
   res.status(200).json({
     success: true,
@@ -104,7 +131,8 @@ const resolveIssue = asyncHandler(async (req, res) => {
 
   const issue = await dataQualityService.resolveIssue(
     req.params.id,
-    resolution
+    resolution,
+    req.user.id
   );
 
   res.status(200).json({
@@ -122,7 +150,11 @@ const resolveIssue = asyncHandler(async (req, res) => {
 const dismissIssue = asyncHandler(async (req, res) => {
   const { reason } = req.body;
 
-  const issue = await dataQualityService.dismissIssue(req.params.id, reason);
+  const issue = await dataQualityService.dismissIssue(
+    req.params.id,
+    reason,
+    req.user.id
+  );
 
   res.status(200).json({
     success: true,
@@ -159,6 +191,187 @@ const getMyIssues = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/data-quality/:id/comments
+ * @desc    Comment on issue (@mentions notify the mentioned users)
+ * @access  Private (admin, data_manager)
+ */
+const addComment = asyncHandler(async (req, res) => {
+  const activity = await dataQualityActivityService.addComment(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Comment added successfully",
+    data: activity,
+  });
+});
+
+/**
+ * @route   POST /api/data-quality/:id/attachments
+ * @desc    Attach evidence to issue (multipart "file", optional comment)
+ * @access  Private (admin, data_manager)
+ */
+const addAttachment = [
+  upload.single("file"),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: "No file uploaded",
+      });
+    }
+
+    const activity = await dataQualityActivityService.addAttachment(
+      req.params.id,
+      {
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        comment: req.body.comment,
+      },
+      req.file.buffer,
+      req.user.id
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Attachment added successfully",
+      data: activity,
+    });
+  }),
+];
+
+/**
+ * @route   GET /api/data-quality/overdue
+ * @desc    Get issues past their SLA due date (query: severity, assignedTo,
+ *          departmentId, issueType, page, limit)
+ * @access  Private (admin, data_manager)
+ */
+const getOverdueIssues = asyncHandler(async (req, res) => {
+  const result = await dataQualityService.getOverdueIssues(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.issues,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @route   POST /api/data-quality/escalate
+ * @desc    Escalate newly overdue issues to the data quality lead
+ * @access  Private (admin, data_manager)
+ */
+const escalateOverdueIssues = asyncHandler(async (req, res) => {
+  const summary = await dataQualityService.escalateOverdueIssues(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    message: `${summary.escalated} overdue issue(s) escalated`,
+    data: summary,
+  });
+});
+
+/**
+ * @route   POST /api/data-quality/scan/duplicates
+ * @desc    Scan patient registry for probable duplicates
+ * @access  Private (admin, data_manager)
+ */
+const scanDuplicatePatients = asyncHandler(async (req, res) => {
+  const summary = await dataQualityService.scanDuplicatePatients(
+    req.user.id,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Duplicate patient scan completed",
+    data: summary,
+  });
+});
+
+/**
+ * @route   GET /api/data-quality/rules
+ * @desc    Get scanner rules with settings and active issue counts
+ * @access  Private (admin, data_manager)
+ */
+const getRules = asyncHandler(async (req, res) => {
+  const rules = await dataQualityRuleService.getRules();
+
+  res.status(200).json({
+    success: true,
+    data: rules,
+  });
+});
+
+/**
+ * @route   GET /api/data-quality/rules/:code
+ * @desc    Get scanner rule
+ * @access  Private (admin, data_manager)
+ */
+const getRule = asyncHandler(async (req, res) => {
+  const rule = await dataQualityRuleService.getRule(req.params.code);
+
+  res.status(200).json({
+    success: true,
+    data: rule,
+  });
+});
+
+/**
+ * @route   PUT /api/data-quality/rules/:code
+ * @desc    Enable/disable rule, set severity or thresholds
+ * @access  Private (admin, data_manager)
+ */
+const updateRule = asyncHandler(async (req, res) => {
+  const rule = await dataQualityRuleService.updateRule(
+    req.params.code,
+    req.body,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Data quality rule updated successfully",
+    data: rule,
+  });
+});
+
+/**
+ * @route   POST /api/data-quality/rules/run
+ * @desc    Run enabled scanner rules (or body.rules)
+ * @access  Private (admin, data_manager)
+ */
+const runRules = asyncHandler(async (req, res) => {
+  const result = await dataQualityRuleService.runRules(req.user.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Data quality scan completed",
+    data: result,
+  });
+});
+
+/**
+ * @route   POST /api/data-quality/rules/:code/run
+ * @desc    Run a single scanner rule
+ * @access  Private (admin, data_manager)
+ */
+const runRule = asyncHandler(async (req, res) => {
+  const result = await dataQualityRuleService.runRules(req.user.id, {
+    rules: [req.params.code],
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Data quality scan completed",
+    data: result,
+  });
+});
+
 module.exports = {
   createIssue,
   getIssueById,
@@ -169,4 +382,14 @@ module.exports = {
   dismissIssue,
   getStatistics,
   getMyIssues,
+  addComment,
+  addAttachment,
+  getOverdueIssues,
+  escalateOverdueIssues,
+  scanDuplicatePatients,
+  getRules,
+  getRule,
+  updateRule,
+  runRules,
+  runRule,
 };
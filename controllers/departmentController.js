@@ -81,11 +81,14 @@ const deleteDepartment = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/departments/:id/statistics
- * @desc    Get department statistics
+ * @desc    Get department statistics (transfer counts for ?from=&to=)
  * @access  Private
  */
 const getDepartmentStatistics = asyncHandler(async (req, res) => {
-  const stats = await departmentService.getDepartmentStatistics(req.params.id);
+  const stats = await departmentService.getDepartmentStatistics(
+    req.params.id,
+    req.query
+  );
 
   res.status(200).json({
     success: true,
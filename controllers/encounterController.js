@@ -10,7 +10,10 @@ const { asyncHandler } = require("../middleware/errorHandler");
  * @access  Private (admin, records_staff, clinician)
  */
 const createEncounter = asyncHandler(async (req, res) => {
-  const encounter = await encounterService.createEncounter(req.body);
+  const encounter = await encounterService.createEncounter(
+    req.body,
+    req.user.id
+  );
 
   res.status(201).json({
     success: true,
@@ -25,7 +28,10 @@ const createEncounter = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getEncounterById = asyncHandler(async (req, res) => {
-  const encounter = await encounterService.getEncounterById(req.params.id);
+  const encounter = await encounterService.getEncounterById(
+    req.params.id,
+    req.user
+  );
 
   res.status(200).json({
     success: true,
@@ -74,7 +80,8 @@ const updateEncounter = asyncHandler(async (req, res) => {
 const closeEncounter = asyncHandler(async (req, res) => {
   const encounter = await encounterService.closeEncounter(
     req.params.id,
-    req.body
+    req.body,
+    req.user.id
   );
 
   res.status(200).json({
@@ -84,6 +91,105 @@ const closeEncounter = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   GET /api/encounters/:id/diagnoses
+ * @desc    Get coded (ICD-10) diagnoses for an encounter
+ * @access  Private
+ */
+const getDiagnoses = asyncHandler(async (req, res) => {
+  const diagnoses = await encounterService.getDiagnoses(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: diagnoses,
+  });
+});
+
+/**
+ * @route   POST /api/encounters/:id/diagnoses
+ * @desc    Add coded diagnosis to an open encounter
+ * @access  Private (admin, clinician, records_staff)
+ */
+const addDiagnosis = asyncHandler(async (req, res) => {
+  const diagnosis = await encounterService.addDiagnosis(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Diagnosis added successfully",
+    data: diagnosis,
+  });
+});
+
+/**
+ * @route   PUT /api/encounters/:id/diagnoses/:diagnosisId
+ * @desc    Update diagnosis type, certainty or notes
+ * @access  Private (admin, clinician, records_staff)
+ */
+const updateDiagnosis = asyncHandler(async (req, res) => {
+  const diagnosis = await encounterService.updateDiagnosis(
+    req.params.id,
+    req.params.diagnosisId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Diagnosis updated successfully",
+    data: diagnosis,
+  });
+});
+
+/**
+ * @route   DELETE /api/encounters/:id/diagnoses/:diagnosisId
+ * @desc    Remove diagnosis from an open encounter
+ * @access  Private (admin, clinician, records_staff)
+ */
+const removeDiagnosis = asyncHandler(async (req, res) => {
+  await encounterService.removeDiagnosis(req.params.id, req.params.diagnosisId);
+
+  res.status(200).json({
+    success: true,
+    message: "Diagnosis removed successfully",
+  });
+});
+
+/**
+ * @route   POST /api/encounters/:id/transfer
+ * @desc    Transfer encounter to another department
+ * @access  Private (admin, clinician)
+ */
+const transferEncounter = asyncHandler(async (req, res) => {
+  const transfer = await encounterService.transferEncounter(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Encounter transferred to ${transfer.toDepartment.name}`,
+    data: transfer,
+  });
+});
+
+/**
+ * @route   GET /api/encounters/:id/movements
+ * @desc    Get movement timeline (admission, transfers, bed moves, discharge)
+ * @access  Private
+ */
+const getMovements = asyncHandler(async (req, res) => {
+  const movements = await encounterService.getEncounterMovements(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: movements,
+  });
+});
+
 /**
  * @route   POST /api/encounters/:id/assign-clinician
  * @desc    Assign clinician to encounter
@@ -131,6 +237,12 @@ module.exports = {
   getEncounters,
   updateEncounter,
   closeEncounter,
+  getDiagnoses,
+  addDiagnosis,
+  updateDiagnosis,
+  removeDiagnosis,
+  transferEncounter,
+  getMovements,
   assignClinician,
   getStatistics,
 };
@@ -0,0 +1,125 @@
+// FHIR Controller
+// HTTP request handlers for the FHIR R4 read API
+
+const fhirService = require("../services/fhirService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+const FHIR_CONTENT_TYPE = "application/fhir+json";
+
+/**
+ * Helper: Base URL of the FHIR endpoint for links and fullUrl
+ */
+function getBaseUrl(req) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}`;
+}
+
+/**
+ * Helper: Send FHIR resource with FHIR content type
+ */
+function sendResource(res, resource) {
+  res.status(200).type(FHIR_CONTENT_TYPE).json(resource);
+}
+
+/**
+ * Build search and read handlers for a resource type
+ */
+function resourceHandlers(resourceType, search, read) {
+  return {
+    search: asyncHandler(async (req, res) => {
+      const page = await search(req.query, req.user);
+
+      sendResource(
+        res,
+        fhirService.buildSearchBundle(
+          getBaseUrl(req),
+          resourceType,
+          req.query,
+          page
+        )
+      );
+    }),
+    read: asyncHandler(async (req, res) => {
+      const resource = await read(req.params.id, req.user);
+      sendResource(res, resource);
+    }),
+  };
+}
+
+/**
+ * @route   GET /fhir/metadata
+ * @desc    Get CapabilityStatement
+ * @access  Private
+ */
+const getMetadata = asyncHandler(async (req, res) => {
+  sendResource(res, fhirService.getCapabilityStatement(getBaseUrl(req)));
+});
+
+/**
+ * @route   GET /fhir/Patient, GET /fhir/Patient/:id
+ * @desc    Search / read patients
+ * @access  Private (admin, clinician, data_manager)
+ */
+const patient = resourceHandlers(
+  "Patient",
+  fhirService.searchPatients,
+  fhirService.getPatient
+);
+
+/**
+ * @route   GET /fhir/Encounter, GET /fhir/Encounter/:id
+ * @desc    Search / read encounters
+ * @access  Private (admin, clinician, data_manager)
+ */
+const encounter = resourceHandlers(
+  "Encounter",
+  fhirService.searchEncounters,
+  fhirService.getEncounter
+);
+
+/**
+ * @route   GET /fhir/Observation, GET /fhir/Observation/:id
+ * @desc    Search / read vital sign and result observations
+ * @access  Private (admin, clinician, data_manager)
+ */
+const observation = resourceHandlers(
+  "Observation",
+  fhirService.searchObservations,
+  fhirService.getObservation
+);
+
+/**
+ * @route   GET /fhir/ServiceRequest, GET /fhir/ServiceRequest/:id
+ * @desc    Search / read lab and radiology orders
+ * @access  Private (admin, clinician, data_manager)
+ */
+const serviceRequest = resourceHandlers(
+  "ServiceRequest",
+  fhirService.searchServiceRequests,
+  fhirService.getServiceRequest
+);
+
+/**
+ * @route   GET /fhir/DiagnosticReport, GET /fhir/DiagnosticReport/:id
+ * @desc    Search / read lab results and radiology reports
+ * @access  Private (admin, clinician, data_manager)
+ */
+const diagnosticReport = resourceHandlers(
+  "DiagnosticReport",
+  fhirService.searchDiagnosticReports,
+  fhirService.getDiagnosticReport
+);
+
+module.exports = {
+  FHIR_CONTENT_TYPE,
+  getMetadata,
+  searchPatients: patient.search,
+  getPatient: patient.read,
+  searchEncounters: encounter.search,
+  getEncounter: encounter.read,
+  searchObservations: observation.search,
+  getObservation: observation.read,
+  searchServiceRequests: serviceRequest.search,
+  getServiceRequest: serviceRequest.read,
+  searchDiagnosticReports: diagnosticReport.search,
+  getDiagnosticReport: diagnosticReport.read,
+};
@@ -0,0 +1,93 @@
+// HL7 Controller
+// HTTP request handlers for the HL7 v2 interface
+
+const hl7Service = require("../services/hl7Service");
+const { asyncHandler, AppError } = require("../middleware/errorHandler");
+
+const HL7_CONTENT_TYPE = "x-application/hl7-v2+er7";
+
+/**
+ * @route   POST /api/hl7/messages
+ * @desc    Ingest HL7 v2 message (ORU^R01). Accepts raw ER7 text
+ *          (text/plain or x-application/hl7-v2+er7) and replies with an
+ *          ER7 ACK, or JSON { message } and replies with JSON.
+ * @access  Private (admin, lab_tech)
+ */
+const ingestMessage = asyncHandler(async (req, res) => {
+  const rawMode = typeof req.body === "string";
+  const raw = rawMode ? req.body : req.body && req.body.message;
+
+  if (!raw) {
+    throw new AppError("HL7 message is required", 400);
+  }
+
+  const outcome = await hl7Service.ingestMessage(raw, req.user.id, {
+    source: "api",
+  });
+
+  // HL7 over HTTP: transport succeeded, the ACK carries the outcome
+  if (rawMode) {
+    return res.status(200).type(HL7_CONTENT_TYPE).send(outcome.ack);
+  }
+
+  const statusCode = outcome.duplicate
+    ? 200
+    : outcome.ackCode === "AA"
+    ? 201
+    : outcome.ackCode === "AE"
+    ? 422
+    : 400;
+
+  res.status(statusCode).json({
+    success: outcome.ackCode === "AA",
+    message: outcome.duplicate
+      ? `HL7 message ${outcome.controlId} was already processed; original ACK returned`
+      : outcome.ackCode === "AA"
+      ? `${outcome.results.length} result(s) filed from HL7 message`
+      : outcome.error,
+    data: {
+      ackCode: outcome.ackCode,
+      ack: outcome.ack,
+      messageType: outcome.messageType,
+      controlId: outcome.controlId,
+      results: outcome.results,
+      duplicate: outcome.duplicate,
+    },
+  });
+});
+
+/**
+ * @route   GET /api/hl7/messages
+ * @desc    Get HL7 interface log
+ * @access  Private (admin, lab_tech, data_manager)
+ */
+const getMessages = asyncHandler(async (req, res) => {
+  const result = await hl7Service.getMessages(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.messages,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @route   POST /api/hl7/orders/:orderId/orm
+ * @desc    Regenerate and resend ORM^O01 for an order
+ * @access  Private (admin, lab_tech)
+ */
+const resendOrderMessage = asyncHandler(async (req, res) => {
+  const result = await hl7Service.sendOrderMessage(req.params.orderId);
+
+  res.status(200).json({
+    success: true,
+    message: "Order message generated successfully",
+    data: result,
+  });
+});
+
+module.exports = {
+  ingestMessage,
+  getMessages,
+  resendOrderMessage,
+};
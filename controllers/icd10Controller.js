@@ -0,0 +1,38 @@
+// ICD-10 Controller
+// HTTP request handlers for the ICD-10 code table
+
+const icd10Service = require("../services/icd10Service");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   GET /api/icd10
+ * @desc    Search ICD-10 codes (autocomplete by code or description)
+ * @access  Private
+ */
+const searchCodes = asyncHandler(async (req, res) => {
+  const codes = await icd10Service.searchCodes(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: codes,
+  });
+});
+
+/**
+ * @route   GET /api/icd10/:code
+ * @desc    Get ICD-10 code
+ * @access  Private
+ */
+const getCode = asyncHandler(async (req, res) => {
+  const code = await icd10Service.getCode(req.params.code);
+
+  res.status(200).json({
+    success: true,
+    data: code,
+  });
+});
+
+module.exports = {
+  searchCodes,
+  getCode,
+};
@@ -2,15 +2,18 @@
 // HTTP request handlers for dashboard and analytics
 
 const kpiService = require("../services/kpiService");
+const kpiSnapshotService = require("../services/kpiSnapshotService");
+const completenessService = require("../services/completenessService");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 /**
  * @route   GET /api/kpi/dashboard
- * @desc    Get comprehensive dashboard summary
+ * @desc    Get dashboard summary for a period (query: from, to,
+ *          departmentId, granularity)
  * @access  Private
  */
 const getDashboard = asyncHandler(async (req, res) => {
-  const dashboard = await kpiService.getDashboardSummary();
+  const dashboard = await kpiService.getDashboardSummary(req.query);
 
   res.status(200).json({
     success: true,
@@ -20,11 +23,12 @@ const getDashboard = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/kpi/departments
- * @desc    Get department performance metrics
+ * @desc    Get department performance metrics for a period (query: from,
+ *          to, departmentId, granularity)
  * @access  Private
  */
 const getDepartmentPerformance = asyncHandler(async (req, res) => {
-  const departments = await kpiService.getDepartmentPerformance();
+  const departments = await kpiService.getDepartmentPerformance(req.query);
 
   res.status(200).json({
     success: true,
@@ -34,12 +38,12 @@ const getDepartmentPerformance = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/kpi/trends/patients
- * @desc    Get patient volume trends
+ * @desc    Get patient volume trends (query: from, to or days,
+ *          departmentId, granularity)
  * @access  Private
  */
 const getPatientTrends = asyncHandler(async (req, res) => {
-  const days = parseInt(req.query.days) || 30;
-  const trends = await kpiService.getPatientVolumeTrends(days);
+  const trends = await kpiService.getPatientVolumeTrends(req.query);
 
   res.status(200).json({
     success: true,
@@ -49,12 +53,12 @@ const getPatientTrends = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/kpi/trends/encounters
- * @desc    Get encounter volume trends
+ * @desc    Get encounter volume trends (query: from, to or days,
+ *          departmentId, granularity)
  * @access  Private
  */
 const getEncounterTrends = asyncHandler(async (req, res) => {
-  const days = parseInt(req.query.days) || 30;
-  const trends = await kpiService.getEncounterVolumeTrends(days);
+  const trends = await kpiService.getEncounterVolumeTrends(req.query);
 
   res.status(200).json({
     success: true,
@@ -64,11 +68,12 @@ const getEncounterTrends = asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/kpi/data-quality
- * @desc    Get data quality metrics
+ * @desc    Get data quality metrics for a period (query: from, to,
+ *          departmentId, granularity)
  * @access  Private
  */
 const getDataQuality = asyncHandler(async (req, res) => {
-  const metrics = await kpiService.getDataQualityMetrics();
+  const metrics = await kpiService.getDataQualityMetrics(req.query);
 
   res.status(200).json({
     success: true,
@@ -76,10 +81,108 @@ const getDataQuality = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   GET /api/kpi/diagnoses
+ * @desc    Get top ICD-10 diagnoses by department and period
+ * @access  Private
+ */
+const getTopDiagnoses = asyncHandler(async (req, res) => {
+  const diagnoses = await kpiService.getTopDiagnoses(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: diagnoses,
+  });
+});
+
+/**
+ * @route   GET /api/kpi/beds
+ * @desc    Get bed occupancy and turnover by ward for a period
+ * @access  Private
+ */
+const getBedKPIs = asyncHandler(async (req, res) => {
+  const beds = await kpiService.getBedKPIs(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: beds,
+  });
+});
+
+/**
+ * @route   POST /api/kpi/snapshots
+ * @desc    Snapshot a day's KPIs for the facility and every department
+ *          (body: date, default yesterday)
+ * @access  Private (admin, data_manager)
+ */
+const createKpiSnapshots = asyncHandler(async (req, res) => {
+  const snapshot = await kpiSnapshotService.createDailySnapshots(req.body.date);
+
+  res.status(201).json({
+    success: true,
+    message: "KPI snapshots created",
+    data: snapshot,
+  });
+});
+
+/**
+ * @route   GET /api/kpi/completeness
+ * @desc    Get weighted completeness scorecard by field, department,
+ *          registering user and attending clinician (query: from, to,
+ *          departmentId)
+ * @access  Private
+ */
+const getCompletenessScorecard = asyncHandler(async (req, res) => {
+  const scorecard = await completenessService.getCompletenessScorecard(
+    req.query
+  );
+
+  res.status(200).json({
+    success: true,
+    data: scorecard,
+  });
+});
+
+/**
+ * @route   GET /api/kpi/completeness/trend
+ * @desc    Get completeness trend from daily snapshots (query: from, to,
+ *          dimension, dimensionId, granularity)
+ * @access  Private
+ */
+const getCompletenessTrend = asyncHandler(async (req, res) => {
+  const trend = await completenessService.getCompletenessTrend(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: trend,
+  });
+});
+
+/**
+ * @route   POST /api/kpi/completeness/snapshots
+ * @desc    Snapshot a day's completeness (body: date, default yesterday)
+ * @access  Private (admin, data_manager)
+ */
+const createCompletenessSnapshot = asyncHandler(async (req, res) => {
+  const snapshot = await completenessService.createDailySnapshot(req.body.date);
+
+  res.status(201).json({
+    success: true,
+    message: "Completeness snapshot created",
+    data: snapshot,
+  });
+});
+
 module.exports = {
   getDashboard,
   getDepartmentPerformance,
   getPatientTrends,
   getEncounterTrends,
   getDataQuality,
+  getTopDiagnoses,
+  getBedKPIs,
+  createKpiSnapshots,
+  getCompletenessScorecard,
+  getCompletenessTrend,
+  createCompletenessSnapshot,
 };
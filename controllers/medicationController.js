@@ -0,0 +1,149 @@
+// Medication Controller
+// HTTP request handlers for the formulary and patient allergies
+
+const medicationService = require("../services/medicationService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   GET /api/medications
+ * @desc    Search formulary (query: search, drugClass, isActive)
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getMedications = asyncHandler(async (req, res) => {
+  const medications = await medicationService.getMedications(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: medications,
+  });
+});
+
+/**
+ * @route   GET /api/medications/:id
+ * @desc    Get medication
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getMedicationById = asyncHandler(async (req, res) => {
+  const medication = await medicationService.getMedicationById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: medication,
+  });
+});
+
+/**
+ * @route   POST /api/medications
+ * @desc    Add medication to the formulary
+ * @access  Private (admin, pharmacist)
+ */
+const createMedication = asyncHandler(async (req, res) => {
+  const medication = await medicationService.createMedication(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Medication created successfully",
+    data: medication,
+  });
+});
+
+/**
+ * @route   PUT /api/medications/:id
+ * @desc    Update medication
+ * @access  Private (admin, pharmacist)
+ */
+const updateMedication = asyncHandler(async (req, res) => {
+  const medication = await medicationService.updateMedication(
+    req.params.id,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Medication updated successfully",
+    data: medication,
+  });
+});
+
+/**
+ * @route   DELETE /api/medications/:id
+ * @desc    Remove medication from the formulary (deactivates it)
+ * @access  Private (admin, pharmacist)
+ */
+const deactivateMedication = asyncHandler(async (req, res) => {
+  const medication = await medicationService.deactivateMedication(
+    req.params.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Medication removed from the formulary",
+    data: medication,
+  });
+});
+
+/**
+ * @route   GET /api/patients/:id/allergies
+ * @desc    Get patient allergies (query: status=active|inactive|all)
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getPatientAllergies = asyncHandler(async (req, res) => {
+  const allergies = await medicationService.getPatientAllergies(
+    req.params.id,
+    req.query
+  );
+
+  res.status(200).json({
+    success: true,
+    data: allergies,
+  });
+});
+
+/**
+ * @route   POST /api/patients/:id/allergies
+ * @desc    Record patient allergy
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const addAllergy = asyncHandler(async (req, res) => {
+  const allergy = await medicationService.addAllergy(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Allergy recorded successfully",
+    data: allergy,
+  });
+});
+
+/**
+ * @route   PUT /api/patients/:id/allergies/:allergyId
+ * @desc    Update patient allergy (e.g. mark inactive)
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const updateAllergy = asyncHandler(async (req, res) => {
+  const allergy = await medicationService.updateAllergy(
+    req.params.id,
+    req.params.allergyId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Allergy updated successfully",
+    data: allergy,
+  });
+});
+
+module.exports = {
+  getMedications,
+  getMedicationById,
+  createMedication,
+  updateMedication,
+  deactivateMedication,
+  getPatientAllergies,
+  addAllergy,
+  updateAllergy,
+};
@@ -19,13 +19,28 @@ const createOrder = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/orders/order-set
+ * @desc    Place every test of an order set as separate orders
+ * @access  Private (clinician, admin)
+ */
+const placeOrderSet = asyncHandler(async (req, res) => {
+  const orders = await orderService.placeOrderSet(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: `${orders.length} order(s) created from order set`,
+    data: orders,
+  });
+});
+
 /**
  * @route   GET /api/orders/:id
  * @desc    Get order by ID
  * @access  Private
  */
 const getOrderById = asyncHandler(async (req, res) => {
-  const order = await orderService.getOrderById(req.params.id);
+  const order = await orderService.getOrderById(req.params.id, req.user);
 
   res.status(200).json({
     success: true,
@@ -39,7 +54,7 @@ const getOrderById = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getOrders = asyncHandler(async (req, res) => {
-  const result = await orderService.getOrders(req.query);
+  const result = await orderService.getOrders(req.query, req.user);
 
   res.status(200).json({
     success: true,
@@ -54,11 +69,14 @@ const getOrders = asyncHandler(async (req, res) => {
  * @access  Private (lab_tech, radiographer, admin)
  */
 const updateOrderStatus = asyncHandler(async (req, res) => {
-  const { status, collectedAt } = req.body;
+  const { status, collectedAt, reason, note } = req.body;
 
-  const order = await orderService.updateOrderStatus(req.params.id, status, {
-    collectedAt,
-  });
+  const order = await orderService.updateOrderStatus(
+    req.params.id,
+    status,
+    { collectedAt, reason, note },
+    req.user.id
+  );
 
   res.status(200).json({
     success: true,
@@ -73,7 +91,11 @@ const updateOrderStatus = asyncHandler(async (req, res) => {
  * @access  Private (ordering clinician, admin)
  */
 const cancelOrder = asyncHandler(async (req, res) => {
-  const order = await orderService.cancelOrder(req.params.id, req.user.id);
+  const order = await orderService.cancelOrder(
+    req.params.id,
+    req.user.id,
+    req.body.reason
+  );
 
   res.status(200).json({
     success: true,
@@ -82,6 +104,21 @@ const cancelOrder = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   PUT /api/orders/:id/imaging-study
+ * @desc    Link radiology order to its DICOM study (UID / accession number)
+ * @access  Private (admin, radiographer, radiologist)
+ */
+const linkImagingStudy = asyncHandler(async (req, res) => {
+  const order = await orderService.linkImagingStudy(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Imaging study linked successfully",
+    data: order,
+  });
+});
+
 /**
  * @route   GET /api/orders/pending/:orderType
  * @desc    Get pending orders (lab queue)
@@ -116,7 +153,10 @@ const getStatistics = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getPatientOrders = asyncHandler(async (req, res) => {
-  const orders = await orderService.getPatientOrders(req.params.patientId);
+  const orders = await orderService.getPatientOrders(
+    req.params.patientId,
+    req.user
+  );
 
   res.status(200).json({
     success: true,
@@ -126,10 +166,12 @@ const getPatientOrders = asyncHandler(async (req, res) => {
 
 module.exports = {
   createOrder,
+  placeOrderSet,
   getOrderById,
   getOrders,
   updateOrderStatus,
   cancelOrder,
+  linkImagingStudy,
   getPendingOrders,
   getStatistics,
   getPatientOrders,
@@ -10,7 +10,7 @@ const { asyncHandler } = require("../middleware/errorHandler");
  * @access  Private (admin, records_staff, clinician)
  */
 const createPatient = asyncHandler(async (req, res) => {
-  const patient = await patientService.createPatient(req.body);
+  const patient = await patientService.createPatient(req.body, req.user.id);
 
   res.status(201).json({
     success: true,
@@ -130,13 +130,9 @@ const restorePatient = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const checkDuplicates = asyncHandler(async (req, res) => {
-  const { firstName, lastName, dateOfBirth } = req.body;
-
-  const duplicates = await patientService.findPotentialDuplicates(
-    firstName,
-    lastName,
-    dateOfBirth
-  );
+  const duplicates = await patientService.findPotentialDuplicates(req.body, {
+    excludePatientId: req.body.patientId,
+  });
 
   res.status(200).json({
     success: true,
@@ -176,6 +172,60 @@ const getPatientEncounters = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/patients/:id/merge
+ * @desc    Merge a duplicate patient into this patient
+ * @access  Private (admin, data_manager)
+ */
+const mergePatients = asyncHandler(async (req, res) => {
+  const { retiredPatientId, reason } = req.body;
+
+  const merge = await patientService.mergePatients(
+    req.params.id,
+    retiredPatientId,
+    req.user.id,
+    reason
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Patient ${merge.retiredMrn} merged successfully`,
+    data: merge,
+  });
+});
+
+/**
+ * @route   POST /api/patients/merges/:mergeId/unmerge
+ * @desc    Reverse a patient merge
+ * @access  Private (admin, data_manager)
+ */
+const unmergePatients = asyncHandler(async (req, res) => {
+  const merge = await patientService.unmergePatients(
+    req.params.mergeId,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Patient merge reversed successfully",
+    data: merge,
+  });
+});
+
+/**
+ * @route   GET /api/patients/:id/merges
+ * @desc    Get merge history for patient
+ * @access  Private
+ */
+const getPatientMerges = asyncHandler(async (req, res) => {
+  const merges = await patientService.getPatientMerges(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: merges,
+  });
+});
+
 module.exports = {
   createPatient,
   getPatientById,
@@ -188,4 +238,7 @@ module.exports = {
   checkDuplicates,
   getStatistics,
   getPatientEncounters,
+  mergePatients,
+  unmergePatients,
+  getPatientMerges,
 };
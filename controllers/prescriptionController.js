@@ -0,0 +1,123 @@
+// Prescription Controller
+// HTTP request handlers for prescriptions and pharmacy dispensing
+
+const prescriptionService = require("../services/prescriptionService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   POST /api/prescriptions
+ * @desc    Prescribe medication (checked against patient allergies)
+ * @access  Private (admin, clinician)
+ */
+const createPrescription = asyncHandler(async (req, res) => {
+  const prescription = await prescriptionService.createPrescription(
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: prescription.allergyConflicts
+      ? "Prescription created with allergy override"
+      : "Prescription created successfully",
+    data: prescription,
+  });
+});
+
+/**
+ * @route   GET /api/prescriptions/queue
+ * @desc    Pharmacy dispensing queue (query: status, departmentId,
+ *          patientId, page, limit)
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getDispensingQueue = asyncHandler(async (req, res) => {
+  const result = await prescriptionService.getDispensingQueue(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.prescriptions,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @route   GET /api/prescriptions/encounter/:encounterId
+ * @desc    Get prescriptions for an encounter
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getEncounterPrescriptions = asyncHandler(async (req, res) => {
+  const prescriptions = await prescriptionService.getEncounterPrescriptions(
+    req.params.encounterId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: prescriptions,
+  });
+});
+
+/**
+ * @route   GET /api/prescriptions/:id
+ * @desc    Get prescription with dispensing history
+ * @access  Private (admin, clinician, pharmacist)
+ */
+const getPrescriptionById = asyncHandler(async (req, res) => {
+  const prescription = await prescriptionService.getPrescriptionById(
+    req.params.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: prescription,
+  });
+});
+
+/**
+ * @route   POST /api/prescriptions/:id/cancel
+ * @desc    Cancel prescription
+ * @access  Private (prescribing clinician, admin)
+ */
+const cancelPrescription = asyncHandler(async (req, res) => {
+  const prescription = await prescriptionService.cancelPrescription(
+    req.params.id,
+    req.user,
+    req.body.reason
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Prescription cancelled successfully",
+    data: prescription,
+  });
+});
+
+/**
+ * @route   POST /api/prescriptions/:id/dispense
+ * @desc    Dispense full or partial quantity (shortfall reason when partial)
+ * @access  Private (admin, pharmacist)
+ */
+const dispensePrescription = asyncHandler(async (req, res) => {
+  const prescription = await prescriptionService.dispensePrescription(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message:
+      prescription.status === "dispensed"
+        ? "Prescription dispensed"
+        : "Prescription partially dispensed",
+    data: prescription,
+  });
+});
+
+module.exports = {
+  createPrescription,
+  getDispensingQueue,
+  getEncounterPrescriptions,
+  getPrescriptionById,
+  cancelPrescription,
+  dispensePrescription,
+};
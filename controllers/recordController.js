@@ -2,6 +2,7 @@
 // HTTP request handlers for file management
 
 const recordService = require("../services/recordService");
+const dischargeSummaryService = require("../services/dischargeSummaryService");
 const { asyncHandler } = require("../middleware/errorHandler");
 const multer = require("multer");
 
@@ -213,6 +214,57 @@ const searchFiles = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   GET /api/records/encounter/:encounterId/discharge-summary
+ * @desc    Get latest discharge summary record (with download URL)
+ * @access  Private
+ */
+const getDischargeSummary = asyncHandler(async (req, res) => {
+  const record = await dischargeSummaryService.getDischargeSummary(
+    req.params.encounterId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: record,
+  });
+});
+
+/**
+ * @route   GET /api/records/encounter/:encounterId/discharge-summary/preview
+ * @desc    Compile the discharge summary without filing it
+ * @access  Private
+ */
+const previewDischargeSummary = asyncHandler(async (req, res) => {
+  const summary = await dischargeSummaryService.buildDischargeSummary(
+    req.params.encounterId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: summary,
+  });
+});
+
+/**
+ * @route   POST /api/records/encounter/:encounterId/discharge-summary
+ * @desc    Regenerate discharge summary PDF (e.g. after late results)
+ * @access  Private (admin, records_staff, clinician)
+ */
+const generateDischargeSummary = asyncHandler(async (req, res) => {
+  const { record, summary } =
+    await dischargeSummaryService.generateDischargeSummary(
+      req.params.encounterId,
+      req.user.id
+    );
+
+  res.status(201).json({
+    success: true,
+    message: "Discharge summary generated successfully",
+    data: { record, summary },
+  });
+});
+
 module.exports = {
   uploadFile,
   getFileById,
@@ -224,4 +276,7 @@ module.exports = {
   updateLocation,
   getStatistics,
   searchFiles,
+  getDischargeSummary,
+  previewDischargeSummary,
+  generateDischargeSummary,
 };
@@ -0,0 +1,161 @@
+// Reference Range Controller
+// HTTP request handlers for the lab analyte catalogue and reference ranges
+
+const referenceRangeService = require("../services/referenceRangeService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   GET /api/lab-analytes
+ * @desc    Get analytes with reference ranges
+ * @access  Private
+ */
+const getAnalytes = asyncHandler(async (req, res) => {
+  const analytes = await referenceRangeService.getAnalytes(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: analytes,
+  });
+});
+
+/**
+ * @route   GET /api/lab-analytes/:id
+ * @desc    Get analyte by ID
+ * @access  Private
+ */
+const getAnalyteById = asyncHandler(async (req, res) => {
+  const analyte = await referenceRangeService.getAnalyteById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: analyte,
+  });
+});
+
+/**
+ * @route   POST /api/lab-analytes
+ * @desc    Create analyte (with optional ranges)
+ * @access  Private (admin)
+ */
+const createAnalyte = asyncHandler(async (req, res) => {
+  const analyte = await referenceRangeService.createAnalyte(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Analyte created successfully",
+    data: analyte,
+  });
+});
+
+/**
+ * @route   PUT /api/lab-analytes/:id
+ * @desc    Update analyte
+ * @access  Private (admin)
+ */
+const updateAnalyte = asyncHandler(async (req, res) => {
+  const analyte = await referenceRangeService.updateAnalyte(
+    req.params.id,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Analyte updated successfully",
+    data: analyte,
+  });
+});
+
+/**
+ * @route   DELETE /api/lab-analytes/:id
+ * @desc    Deactivate analyte
+ * @access  Private (admin)
+ */
+const deactivateAnalyte = asyncHandler(async (req, res) => {
+  const analyte = await referenceRangeService.deactivateAnalyte(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Analyte deactivated successfully",
+    data: analyte,
+  });
+});
+
+/**
+ * @route   POST /api/lab-analytes/:id/ranges
+ * @desc    Add reference range to analyte
+ * @access  Private (admin)
+ */
+const addReferenceRange = asyncHandler(async (req, res) => {
+  const range = await referenceRangeService.addReferenceRange(
+    req.params.id,
+    req.body
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Reference range added successfully",
+    data: range,
+  });
+});
+
+/**
+ * @route   PUT /api/lab-analytes/ranges/:rangeId
+ * @desc    Update reference range
+ * @access  Private (admin)
+ */
+const updateReferenceRange = asyncHandler(async (req, res) => {
+  const range = await referenceRangeService.updateReferenceRange(
+    req.params.rangeId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Reference range updated successfully",
+    data: range,
+  });
+});
+
+/**
+ * @route   DELETE /api/lab-analytes/ranges/:rangeId
+ * @desc    Delete reference range
+ * @access  Private (admin)
+ */
+const deleteReferenceRange = asyncHandler(async (req, res) => {
+  await referenceRangeService.deleteReferenceRange(req.params.rangeId);
+
+  res.status(200).json({
+    success: true,
+    message: "Reference range deleted successfully",
+  });
+});
+
+/**
+ * @route   POST /api/lab-analytes/evaluate
+ * @desc    Preview flags for resultData and a patient profile
+ *          Body: { resultData, patient: { sex, dateOfBirth, ageEstimate } }
+ * @access  Private
+ */
+const evaluateResultData = asyncHandler(async (req, res) => {
+  const flags = await referenceRangeService.evaluateResultData(
+    req.body.resultData,
+    req.body.patient || {}
+  );
+
+  res.status(200).json({
+    success: true,
+    data: flags || { analyteFlags: {}, isAbnormal: false, criticalFlag: false },
+  });
+});
+
+module.exports = {
+  getAnalytes,
+  getAnalyteById,
+  createAnalyte,
+  updateAnalyte,
+  deactivateAnalyte,
+  addReferenceRange,
+  updateReferenceRange,
+  deleteReferenceRange,
+  evaluateResultData,
+};
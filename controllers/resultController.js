@@ -2,6 +2,8 @@
 // HTTP request handlers for results
 
 const resultService = require("../services/resultService");
+const criticalResultService = require("../services/criticalResultService");
+const resultVerificationService = require("../services/resultVerificationService");
 const { asyncHandler } = require("../middleware/errorHandler");
 
 /**
@@ -25,7 +27,7 @@ const createResult = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getResultById = asyncHandler(async (req, res) => {
-  const result = await resultService.getResultById(req.params.id);
+  const result = await resultService.getResultById(req.params.id, req.user);
 
   res.status(200).json({
     success: true,
@@ -39,7 +41,10 @@ const getResultById = asyncHandler(async (req, res) => {
  * @access  Private
  */
 const getResultsByOrder = asyncHandler(async (req, res) => {
-  const results = await resultService.getResultsByOrder(req.params.orderId);
+  const results = await resultService.getResultsByOrder(
+    req.params.orderId,
+    req.user
+  );
 
   res.status(200).json({
     success: true,
@@ -49,14 +54,14 @@ const getResultsByOrder = asyncHandler(async (req, res) => {
 
 /**
  * @route   PUT /api/results/:id
- * @desc    Update result
- * @access  Private (technician who created it, admin)
+ * @desc    Update result (amend with a reason once approved)
+ * @access  Private (technician who created it, admin; any lab user to amend)
  */
 const updateResult = asyncHandler(async (req, res) => {
   const result = await resultService.updateResult(
     req.params.id,
     req.body,
-    req.user.id
+    req.user
   );
 
   res.status(200).json({
@@ -66,28 +71,136 @@ const updateResult = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   GET /api/results/:id/versions
+ * @desc    Get current result and its previous versions
+ * @access  Private
+ */
+const getResultVersions = asyncHandler(async (req, res) => {
+  const versions = await resultService.getResultVersions(
+    req.params.id,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    data: versions,
+  });
+});
+
+/**
+ * @route   GET /api/results/:id/report
+ * @desc    Download verified radiology report as PDF
+ * @access  Private
+ */
+const getReportPdf = asyncHandler(async (req, res) => {
+  const report = await resultService.getReportPdf(req.params.id, req.user);
+
+  res
+    .status(200)
+    .type(report.contentType)
+    .set("Content-Disposition", `inline; filename="${report.fileName}"`)
+    .send(report.content);
+});
+
+/**
+ * @route   GET /api/results/templates
+ * @desc    Get radiology report templates
+ * @access  Private
+ */
+const getReportTemplates = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: resultService.getReportTemplates(),
+  });
+});
+
+/**
+ * @route   GET /api/results/templates/:code
+ * @desc    Get radiology report template with its fields
+ * @access  Private
+ */
+const getReportTemplate = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: resultService.getReportTemplate(req.params.code),
+  });
+});
+
 /**
  * @route   POST /api/results/:id/approve
- * @desc    Approve result
- * @access  Private (admin, senior technician)
+ * @desc    Verify result (next stage of the category's verification policy)
+ * @access  Private (admin, lab_tech, radiographer, pathologist, radiologist)
  */
 const approveResult = asyncHandler(async (req, res) => {
-  const result = await resultService.approveResult(req.params.id, req.user.id);
+  const result = await resultService.approveResult(
+    req.params.id,
+    req.user,
+    req.body.comment
+  );
 
   res.status(200).json({
     success: true,
-    message: "Result approved successfully",
+    message: result.approvedBy
+      ? "Result approved successfully"
+      : `Verification recorded, awaiting ${result.pendingStages.join(", ")}`,
     data: result,
   });
 });
 
+/**
+ * @route   GET /api/results/verification/policies
+ * @desc    Get result verification policies
+ * @access  Private
+ */
+const getVerificationPolicies = asyncHandler(async (req, res) => {
+  const policies = await resultVerificationService.getPolicies();
+
+  res.status(200).json({
+    success: true,
+    data: policies,
+  });
+});
+
+/**
+ * @route   PUT /api/results/verification/policies/:category
+ * @desc    Create or update verification policy for a category
+ * @access  Private (admin)
+ */
+const saveVerificationPolicy = asyncHandler(async (req, res) => {
+  const policy = await resultVerificationService.savePolicy(
+    req.params.category,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Verification policy saved successfully",
+    data: policy,
+  });
+});
+
+/**
+ * @route   DELETE /api/results/verification/policies/:category
+ * @desc    Delete verification policy for a category
+ * @access  Private (admin)
+ */
+const deleteVerificationPolicy = asyncHandler(async (req, res) => {
+  await resultVerificationService.deletePolicy(req.params.category);
+
+  res.status(200).json({
+    success: true,
+    message: "Verification policy deleted successfully",
+  });
+});
+
 /**
  * @route   GET /api/results/critical/list
  * @desc    Get critical/abnormal results
  * @access  Private
  */
 const getCriticalResults = asyncHandler(async (req, res) => {
-  const results = await resultService.getCriticalResults(req.query);
+  const results = await resultService.getCriticalResults(req.query, req.user);
 
   res.status(200).json({
     success: true,
@@ -123,13 +236,72 @@ const getStatistics = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * @route   POST /api/results/:id/critical/acknowledge
+ * @desc    Acknowledge critical result
+ * @access  Private (notified clinicians, department lead, admin)
+ */
+const acknowledgeCriticalResult = asyncHandler(async (req, res) => {
+  const alert = await criticalResultService.acknowledgeCriticalResult(
+    req.params.id,
+    req.user,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Critical result acknowledged",
+    data: alert,
+  });
+});
+
+/**
+ * @route   GET /api/results/critical/alerts
+ * @desc    Critical result alerts report (default: unacknowledged)
+ * @access  Private (admin, clinician, data_manager)
+ */
+const getCriticalResultAlerts = asyncHandler(async (req, res) => {
+  const result = await criticalResultService.getCriticalResultAlerts(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.alerts,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @route   POST /api/results/critical/escalate
+ * @desc    Escalate overdue unacknowledged critical results
+ * @access  Private (admin)
+ */
+const escalateCriticalResults = asyncHandler(async (req, res) => {
+  const summary = await criticalResultService.escalateOverdueAlerts();
+
+  res.status(200).json({
+    success: true,
+    message: `${summary.escalated} critical result(s) escalated`,
+    data: summary,
+  });
+});
+
 module.exports = {
   createResult,
   getResultById,
   getResultsByOrder,
   updateResult,
+  getResultVersions,
+  getReportPdf,
+  getReportTemplates,
+  getReportTemplate,
   approveResult,
+  getVerificationPolicies,
+  saveVerificationPolicy,
+  deleteVerificationPolicy,
   getCriticalResults,
+  acknowledgeCriticalResult,
+  getCriticalResultAlerts,
+  escalateCriticalResults,
   getPendingApprovals,
   getStatistics,
 };
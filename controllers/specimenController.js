@@ -0,0 +1,111 @@
+// Specimen Controller
+// HTTP request handlers for specimen tracking
+
+const specimenService = require("../services/specimenService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   POST /api/specimens
+ * @desc    Collect specimen for a lab order (allocates accession number)
+ * @access  Private (clinician, lab_tech, admin)
+ */
+const collectSpecimen = asyncHandler(async (req, res) => {
+  const specimen = await specimenService.collectSpecimen(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: "Specimen collected successfully",
+    data: specimen,
+  });
+});
+
+/**
+ * @route   GET /api/specimens
+ * @desc    Get specimens with filters
+ * @access  Private
+ */
+const getSpecimens = asyncHandler(async (req, res) => {
+  const result = await specimenService.getSpecimens(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: result.specimens,
+    pagination: result.pagination,
+  });
+});
+
+/**
+ * @route   GET /api/specimens/accession/:accessionNumber
+ * @desc    Look up specimen by scanned accession number
+ * @access  Private
+ */
+const getSpecimenByAccession = asyncHandler(async (req, res) => {
+  const specimen = await specimenService.getSpecimenByAccession(
+    req.params.accessionNumber
+  );
+
+  res.status(200).json({
+    success: true,
+    data: specimen,
+  });
+});
+
+/**
+ * @route   GET /api/specimens/:id
+ * @desc    Get specimen with chain of custody
+ * @access  Private
+ */
+const getSpecimenById = asyncHandler(async (req, res) => {
+  const specimen = await specimenService.getSpecimenById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: specimen,
+  });
+});
+
+/**
+ * @route   POST /api/specimens/:id/events
+ * @desc    Record chain-of-custody step (received, processing, rejected, disposed)
+ * @access  Private (lab_tech, admin)
+ */
+const recordSpecimenEvent = asyncHandler(async (req, res) => {
+  const specimen = await specimenService.recordSpecimenEvent(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    message: `Specimen marked as ${specimen.status}`,
+    data: specimen,
+  });
+});
+
+/**
+ * @route   GET /api/specimens/:id/label?format=zpl|pdf
+ * @desc    Get printable barcode label
+ * @access  Private
+ */
+const getSpecimenLabel = asyncHandler(async (req, res) => {
+  const label = await specimenService.getSpecimenLabel(
+    req.params.id,
+    req.query.format
+  );
+
+  res
+    .status(200)
+    .type(label.contentType)
+    .set("Content-Disposition", `inline; filename="${label.fileName}"`)
+    .send(label.content);
+});
+
+module.exports = {
+  collectSpecimen,
+  getSpecimens,
+  getSpecimenByAccession,
+  getSpecimenById,
+  recordSpecimenEvent,
+  getSpecimenLabel,
+};
@@ -0,0 +1,180 @@
+// Test Catalogue Controller
+// HTTP request handlers for the test catalogue and order sets
+
+const testCatalogService = require("../services/testCatalogService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   GET /api/test-catalog
+ * @desc    Get catalogue tests (active by default)
+ * @access  Private
+ */
+const getTests = asyncHandler(async (req, res) => {
+  const tests = await testCatalogService.getTests(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: tests,
+  });
+});
+
+/**
+ * @route   GET /api/test-catalog/:id
+ * @desc    Get test by ID
+ * @access  Private
+ */
+const getTestById = asyncHandler(async (req, res) => {
+  const test = await testCatalogService.getTestById(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: test,
+  });
+});
+
+/**
+ * @route   POST /api/test-catalog
+ * @desc    Create catalogue test
+ * @access  Private (admin)
+ */
+const createTest = asyncHandler(async (req, res) => {
+  const test = await testCatalogService.createTest(req.body);
+
+  res.status(201).json({
+    success: true,
+    message: "Test created successfully",
+    data: test,
+  });
+});
+
+/**
+ * @route   PUT /api/test-catalog/:id
+ * @desc    Update catalogue test
+ * @access  Private (admin)
+ */
+const updateTest = asyncHandler(async (req, res) => {
+  const test = await testCatalogService.updateTest(req.params.id, req.body);
+
+  res.status(200).json({
+    success: true,
+    message: "Test updated successfully",
+    data: test,
+  });
+});
+
+/**
+ * @route   DELETE /api/test-catalog/:id
+ * @desc    Deactivate catalogue test
+ * @access  Private (admin)
+ */
+const deactivateTest = asyncHandler(async (req, res) => {
+  const test = await testCatalogService.deactivateTest(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: "Test deactivated successfully",
+    data: test,
+  });
+});
+
+/**
+ * @route   GET /api/order-sets
+ * @desc    Get shared order sets and the user's own
+ * @access  Private
+ */
+const getOrderSets = asyncHandler(async (req, res) => {
+  const orderSets = await testCatalogService.getOrderSets(
+    req.user.id,
+    req.query
+  );
+
+  res.status(200).json({
+    success: true,
+    data: orderSets,
+  });
+});
+
+/**
+ * @route   GET /api/order-sets/:id
+ * @desc    Get order set by ID
+ * @access  Private
+ */
+const getOrderSetById = asyncHandler(async (req, res) => {
+  const orderSet = await testCatalogService.getOrderSetById(
+    req.params.id,
+    req.user.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: orderSet,
+  });
+});
+
+/**
+ * @route   POST /api/order-sets
+ * @desc    Create order set
+ * @access  Private (clinician, admin)
+ */
+const createOrderSet = asyncHandler(async (req, res) => {
+  const orderSet = await testCatalogService.createOrderSet(
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: "Order set created successfully",
+    data: orderSet,
+  });
+});
+
+/**
+ * @route   PUT /api/order-sets/:id
+ * @desc    Update order set
+ * @access  Private (creator, admin)
+ */
+const updateOrderSet = asyncHandler(async (req, res) => {
+  const orderSet = await testCatalogService.updateOrderSet(
+    req.params.id,
+    req.body,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Order set updated successfully",
+    data: orderSet,
+  });
+});
+
+/**
+ * @route   DELETE /api/order-sets/:id
+ * @desc    Deactivate order set
+ * @access  Private (creator, admin)
+ */
+const deactivateOrderSet = asyncHandler(async (req, res) => {
+  const orderSet = await testCatalogService.deactivateOrderSet(
+    req.params.id,
+    req.user
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Order set deleted successfully",
+    data: orderSet,
+  });
+});
+
+module.exports = {
+  getTests,
+  getTestById,
+  createTest,
+  updateTest,
+  deactivateTest,
+  getOrderSets,
+  getOrderSetById,
+  createOrderSet,
+  updateOrderSet,
+  deactivateOrderSet,
+};
@@ -0,0 +1,63 @@
+// Vital Sign Controller
+// HTTP request handlers for vitals and early warning scores
+
+const vitalSignService = require("../services/vitalSignService");
+const { asyncHandler } = require("../middleware/errorHandler");
+
+/**
+ * @route   POST /api/patients/:id/vitals
+ * @desc    Record a set of vitals (scored with NEWS2 / PEWS)
+ * @access  Private (clinician, admin)
+ */
+const recordVitals = asyncHandler(async (req, res) => {
+  const set = await vitalSignService.recordVitals(
+    req.params.id,
+    req.body,
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: set.deteriorating
+      ? `Vitals recorded - ${set.scoreType} ${set.score} (${set.risk} risk)`
+      : "Vitals recorded successfully",
+    data: set,
+  });
+});
+
+/**
+ * @route   GET /api/patients/:id/vitals
+ * @desc    Get vitals trend (query: from, to, encounterId, codes)
+ * @access  Private
+ */
+const getPatientVitals = asyncHandler(async (req, res) => {
+  const vitals = await vitalSignService.getPatientVitals(
+    req.params.id,
+    req.query
+  );
+
+  res.status(200).json({
+    success: true,
+    data: vitals,
+  });
+});
+
+/**
+ * @route   GET /api/encounters/deteriorating
+ * @desc    Get inpatients whose latest early warning score needs review
+ * @access  Private (clinician, admin)
+ */
+const getDeterioratingPatients = asyncHandler(async (req, res) => {
+  const patients = await vitalSignService.getDeterioratingPatients(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: patients,
+  });
+});
+
+module.exports = {
+  recordVitals,
+  getPatientVitals,
+  getDeterioratingPatients,
+};
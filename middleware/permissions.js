@@ -130,18 +130,77 @@ const PERMISSIONS = {
       "lab_tech",
       "radiographer",
       "data_manager",
+      "pharmacist",
     ],
     update: ["admin", "records_staff", "clinician"],
     delete: ["admin"],
+    merge: ["admin", "data_manager"],
   },
 
   // Encounters
   encounter: {
     create: ["admin", "records_staff", "clinician"],
-    read: ["admin", "records_staff", "clinician", "lab_tech", "radiographer"],
+    read: [
+      "admin",
+      "records_staff",
+      "clinician",
+      "lab_tech",
+      "radiographer",
+      "pharmacist",
+    ],
     update: ["admin", "clinician"],
     delete: ["admin"],
     close: ["admin", "clinician"],
+    transfer: ["admin", "clinician"],
+  },
+
+  // Wards, rooms and beds (ward set-up is admin only)
+  ward: {
+    create: ["admin"],
+    read: ["admin", "records_staff", "clinician", "data_manager"],
+    update: ["admin"],
+  },
+
+  // Bed assignment / transfers and bed status (cleaning, out of service)
+  bed: {
+    assign: ["admin", "records_staff", "clinician"],
+    update: ["admin", "records_staff", "clinician"],
+  },
+
+  // Coded (ICD-10) encounter diagnoses; records staff do clinical coding
+  diagnosis: {
+    create: ["admin", "clinician", "records_staff"],
+    read: ["admin", "records_staff", "clinician", "data_manager"],
+    update: ["admin", "clinician", "records_staff"],
+    delete: ["admin", "clinician", "records_staff"],
+  },
+
+  // ICD-10 code table lookup
+  icd10: {
+    read: ["admin", "records_staff", "clinician", "data_manager"],
+  },
+
+  // Medication formulary (pharmacy maintains it)
+  medication: {
+    create: ["admin", "pharmacist"],
+    read: ["admin", "clinician", "pharmacist"],
+    update: ["admin", "pharmacist"],
+    delete: ["admin", "pharmacist"],
+  },
+
+  // Prescriptions and pharmacy dispensing
+  prescription: {
+    create: ["admin", "clinician"],
+    read: ["admin", "clinician", "pharmacist"],
+    cancel: ["admin", "clinician"],
+    dispense: ["admin", "pharmacist"],
+  },
+
+  // Patient allergy list
+  allergy: {
+    create: ["admin", "clinician", "pharmacist"],
+    read: ["admin", "clinician", "pharmacist"],
+    update: ["admin", "clinician", "pharmacist"],
   },
 
   // Clinical Notes
@@ -152,11 +211,80 @@ const PERMISSIONS = {
     delete: ["admin"],
   },
 
+  // Vital signs and early warning scores
+  vitalSign: {
+    create: ["admin", "clinician"],
+    read: ["admin", "clinician"],
+  },
+
   // Lab Orders & Results
   labOrder: {
     create: ["admin", "clinician"],
+    read: ["admin", "clinician", "lab_tech", "pathologist", "radiologist"],
+    update: ["admin", "lab_tech"],
+    delete: ["admin"],
+  },
+
+  // DICOM study linkage for radiology orders (PACS matching)
+  imagingStudy: {
+    update: ["admin", "radiographer", "radiologist"],
+  },
+
+  // Specimen collection and chain of custody
+  specimen: {
+    create: ["admin", "clinician", "lab_tech"],
     read: ["admin", "clinician", "lab_tech"],
     update: ["admin", "lab_tech"],
+  },
+
+  // Test catalogue (orderable lab / radiology tests)
+  testCatalog: {
+    create: ["admin"],
+    read: ["admin", "clinician", "lab_tech", "radiographer", "data_manager"],
+    update: ["admin"],
+    delete: ["admin"],
+  },
+
+  // Order sets / panels
+  orderSet: {
+    create: ["admin", "clinician"],
+    read: ["admin", "clinician", "lab_tech", "radiographer"],
+    update: ["admin", "clinician"],
+    delete: ["admin", "clinician"],
+  },
+
+  // Critical result notification loop
+  criticalResult: {
+    read: ["admin", "clinician", "data_manager"],
+    // Any role: the service limits each alert to its recipients and the
+    // department lead, who may hold any role
+    acknowledge: [
+      "admin",
+      "records_staff",
+      "clinician",
+      "lab_tech",
+      "radiographer",
+      "pathologist",
+      "radiologist",
+      "pharmacist",
+      "data_manager",
+      "viewer",
+    ],
+    escalate: ["admin"],
+  },
+
+  // Result verification (sign-off) and per-category policies
+  resultVerification: {
+    verify: ["admin", "lab_tech", "radiographer", "pathologist", "radiologist"],
+    read: ["admin", "lab_tech", "radiographer", "pathologist", "radiologist"],
+    manage: ["admin"],
+  },
+
+  // Lab analyte catalogue / reference ranges
+  labCatalogue: {
+    create: ["admin"],
+    read: ["admin", "clinician", "lab_tech"],
+    update: ["admin"],
     delete: ["admin"],
   },
 
@@ -176,6 +304,12 @@ const PERMISSIONS = {
     delete: ["admin"],
   },
 
+  // Discharge summaries (generated on encounter close, filed as records)
+  dischargeSummary: {
+    create: ["admin", "records_staff", "clinician"],
+    read: ["admin", "records_staff", "clinician"],
+  },
+
   // KPIs/Dashboard
   kpi: {
     read: [
@@ -187,6 +321,7 @@ const PERMISSIONS = {
       "data_manager",
       "viewer",
     ],
+    snapshot: ["admin", "data_manager"],
   },
 
   // Data Quality
@@ -197,6 +332,17 @@ const PERMISSIONS = {
     delete: ["admin"],
   },
 
+  // HL7 v2 interface (analysers / LIS bridges)
+  hl7: {
+    create: ["admin", "lab_tech"],
+    read: ["admin", "lab_tech", "data_manager"],
+  },
+
+  // FHIR API (read-only interoperability)
+  fhir: {
+    read: ["admin", "clinician", "data_manager"],
+  },
+
   // User Management
   user: {
     create: ["admin"],
@@ -151,6 +151,178 @@ const validateEncounterCreation = [
     .isIn(["opd", "ipd", "emergency"])
     .withMessage("Encounter type must be opd, ipd, or emergency"),
   validationRules.optionalString("chiefComplaint"),
+  body("diagnoses")
+    .optional()
+    .isArray()
+    .withMessage("Diagnoses must be an array"),
+  body("bedId").optional().isUUID().withMessage("Invalid bed ID"),
+  validate,
+];
+
+/**
+ * Encounter closure validation
+ */
+const validateEncounterClose = [
+  body("diagnoses")
+    .optional()
+    .isArray()
+    .withMessage("Diagnoses must be an array"),
+  validate,
+];
+
+/**
+ * Inter-department transfer validation
+ */
+const validateEncounterTransfer = [
+  body("departmentId").isUUID().withMessage("Invalid department ID"),
+  body("attendingClinicianId")
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage("Invalid clinician ID"),
+  body("encounterType")
+    .optional()
+    .isIn(["opd", "ipd", "emergency"])
+    .withMessage("Encounter type must be opd, ipd, or emergency"),
+  body("bedId").optional().isUUID().withMessage("Invalid bed ID"),
+  validationRules.optionalString("reason"),
+  validate,
+];
+
+/**
+ * Coded (ICD-10) diagnosis validation
+ */
+const diagnosisFieldRules = [
+  body("diagnosisType")
+    .optional()
+    .isIn(["primary", "secondary"])
+    .withMessage("Diagnosis type must be primary or secondary"),
+  body("certainty")
+    .optional()
+    .isIn(["provisional", "confirmed"])
+    .withMessage("Diagnosis certainty must be provisional or confirmed"),
+  validationRules.optionalString("notes"),
+];
+
+const validateDiagnosis = [
+  body("code").trim().notEmpty().withMessage("ICD-10 code is required"),
+  ...diagnosisFieldRules,
+  validate,
+];
+
+const validateDiagnosisUpdate = [...diagnosisFieldRules, validate];
+
+/**
+ * Ward, room and bed validation
+ */
+const validateWard = [
+  body("departmentId").isUUID().withMessage("Invalid department ID"),
+  validationRules.requiredString("name"),
+  validationRules.requiredString("code"),
+  validationRules.optionalString("wardType"),
+  validate,
+];
+
+const validateRoom = [validationRules.requiredString("name"), validate];
+
+const validateBed = [validationRules.requiredString("label"), validate];
+
+const validateBedUpdate = [
+  body("status")
+    .optional()
+    .isIn(["available", "cleaning", "out_of_service"])
+    .withMessage("Bed status must be available, cleaning, or out_of_service"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+  validate,
+];
+
+const validateBedAssignment = [
+  body("bedId").isUUID().withMessage("Invalid bed ID"),
+  validationRules.optionalString("notes"),
+  validate,
+];
+
+/**
+ * Medication, allergy and prescription validation
+ */
+const validateMedication = [
+  validationRules.requiredString("code"),
+  validationRules.requiredString("name"),
+  validationRules.requiredString("form"),
+  validationRules.optionalString("brandName"),
+  validationRules.optionalString("strength"),
+  validationRules.optionalString("drugClass"),
+  validationRules.optionalString("defaultRoute"),
+  validate,
+];
+
+const validateMedicationUpdate = [
+  validationRules.optionalString("code"),
+  validationRules.optionalString("name"),
+  validationRules.optionalString("form"),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+  validate,
+];
+
+const allergySeverityRule = body("severity")
+  .optional()
+  .isIn(["mild", "moderate", "severe", "unknown"])
+  .withMessage("Severity must be mild, moderate, severe, or unknown");
+
+const validateAllergy = [
+  validationRules.optionalString("allergen"),
+  body("medicationId").optional().isUUID().withMessage("Invalid medication ID"),
+  validationRules.optionalString("drugClass"),
+  validationRules.optionalString("reaction"),
+  allergySeverityRule,
+  validate,
+];
+
+const validateAllergyUpdate = [
+  validationRules.optionalString("reaction"),
+  allergySeverityRule,
+  body("status")
+    .optional()
+    .isIn(["active", "inactive"])
+    .withMessage("Status must be active or inactive"),
+  validate,
+];
+
+const validatePrescription = [
+  body("encounterId").isUUID().withMessage("Invalid encounter ID"),
+  body("medicationId").isUUID().withMessage("Invalid medication ID"),
+  validationRules.requiredString("dose"),
+  validationRules.optionalString("route"),
+  validationRules.requiredString("frequency"),
+  body("durationDays")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Duration must be a positive number of days"),
+  body("quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Quantity must be a positive integer"),
+  validationRules.optionalString("instructions"),
+  validationRules.optionalString("allergyOverrideReason"),
+  validate,
+];
+
+const validateDispensing = [
+  body("quantity")
+    .isInt({ min: 0 })
+    .withMessage("Quantity must be a non-negative integer"),
+  body("shortfallReason")
+    .optional()
+    .isIn(["stock_out", "partial_supply", "patient_declined", "other"])
+    .withMessage(
+      "Shortfall reason must be stock_out, partial_supply, patient_declined, or other"
+    ),
+  validationRules.optionalString("notes"),
   validate,
 ];
 
@@ -164,6 +336,37 @@ const validateClinicalNote = [
     .withMessage("Note type must be admission, progress, or discharge"),
   validationRules.requiredString("noteText"),
   body("vitals").optional().isObject().withMessage("Vitals must be an object"),
+  body("sign").optional().isBoolean().withMessage("Sign must be a boolean"),
+  validate,
+];
+
+/**
+ * Vital signs validation (values are checked by the vitals service)
+ */
+const validateVitalSigns = [
+  body("encounterId").isUUID().withMessage("Invalid encounter ID"),
+  body("vitals").isObject().withMessage("Vitals must be an object"),
+  body("measuredAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Measurement time must be a valid date"),
+  validate,
+];
+
+/**
+ * Clinical note addendum validation
+ */
+const validateClinicalNoteAddendum = [
+  validationRules.requiredString("noteText"),
+  body("sign").optional().isBoolean().withMessage("Sign must be a boolean"),
+  validate,
+];
+
+/**
+ * Entered-in-error validation
+ */
+const validateEnteredInError = [
+  body("reason").trim().notEmpty().withMessage("A reason is required"),
   validate,
 ];
 
@@ -173,9 +376,32 @@ const validateClinicalNote = [
 const validateOrderCreation = [
   body("encounterId").isUUID().withMessage("Invalid encounter ID"),
   body("orderType")
+    .optional()
     .isIn(["lab", "radiology"])
     .withMessage("Order type must be lab or radiology"),
-  validationRules.requiredString("testName"),
+  body("testCatalogId")
+    .optional()
+    .isUUID()
+    .withMessage("Invalid test catalogue ID"),
+  body("testName")
+    .if(body("testCatalogId").not().exists())
+    .if(body("testCode").not().exists())
+    .trim()
+    .notEmpty()
+    .withMessage("testCatalogId, testCode or testName is required"),
+  body("priority")
+    .optional()
+    .isIn(["routine", "urgent", "stat"])
+    .withMessage("Priority must be routine, urgent, or stat"),
+  validate,
+];
+
+/**
+ * Order set placement validation
+ */
+const validateOrderSetPlacement = [
+  body("orderSetId").isUUID().withMessage("Invalid order set ID"),
+  body("encounterId").isUUID().withMessage("Invalid encounter ID"),
   body("priority")
     .optional()
     .isIn(["routine", "urgent", "stat"])
@@ -183,6 +409,38 @@ const validateOrderCreation = [
   validate,
 ];
 
+/**
+ * Order status update validation
+ */
+const validateOrderStatusUpdate = [
+  body("status")
+    .isIn(["collected", "processing", "completed", "cancelled", "rejected"])
+    .withMessage(
+      "Status must be collected, processing, completed, cancelled, or rejected"
+    ),
+  body("reason")
+    .if(body("status").isIn(["cancelled", "rejected"]))
+    .trim()
+    .notEmpty()
+    .withMessage("A reason is required to cancel or reject an order"),
+  body("collectedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Collection time must be a valid date"),
+  validate,
+];
+
+/**
+ * Order cancellation validation
+ */
+const validateOrderCancellation = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Cancellation reason is required"),
+  validate,
+];
+
 /**
  * Result entry validation
  */
@@ -195,6 +453,119 @@ const validateResultEntry = [
     .optional()
     .isObject()
     .withMessage("Result data must be an object"),
+  body("reportTemplate")
+    .optional()
+    .isString()
+    .withMessage("Report template must be a template code"),
+  validate,
+];
+
+/**
+ * Imaging study link validation (DICOM identifiers)
+ */
+const validateImagingStudy = [
+  body("studyInstanceUid")
+    .optional()
+    .isLength({ max: 64 })
+    .matches(/^\d+(\.\d+)+$/)
+    .withMessage("Study Instance UID must be a DICOM UID (digits and dots)"),
+  body("accessionNumber")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 16 })
+    .withMessage("Accession number must be 1-16 characters"),
+  validate,
+];
+
+/**
+ * Reference range validation
+ */
+const validateReferenceRange = [
+  body("sex")
+    .optional({ nullable: true })
+    .isIn(["male", "female", ""])
+    .withMessage("Sex must be male, female or empty"),
+  ...["normalLow", "normalHigh", "criticalLow", "criticalHigh"].map((field) =>
+    body(field)
+      .optional({ nullable: true })
+      .isFloat()
+      .withMessage(`${field} must be a number`)
+  ),
+  ...["ageMinDays", "ageMaxDays"].map((field) =>
+    body(field)
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage(`${field} must be a non-negative integer`)
+  ),
+  validate,
+];
+
+/**
+ * Result update / amendment validation
+ */
+const validateResultUpdate = [
+  body("resultData")
+    .optional()
+    .isObject()
+    .withMessage("Result data must be an object"),
+  body("reportTemplate")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("Report template must be a template code"),
+  body("amendmentType")
+    .optional()
+    .isIn(["amended", "corrected"])
+    .withMessage("Amendment type must be amended or corrected"),
+  body("amendmentReason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Amendment reason must be at most 2000 characters"),
+  validate,
+];
+
+/**
+ * Result verification policy validation
+ */
+const validateVerificationPolicy = [
+  body("mode")
+    .isIn(["single", "second_technician", "specialist"])
+    .withMessage("Mode must be single, second_technician, or specialist"),
+  body("unverifiedVisibility")
+    .optional()
+    .isIn(["preliminary", "hidden"])
+    .withMessage("Visibility must be preliminary or hidden"),
+  validate,
+];
+
+/**
+ * Specimen collection validation
+ */
+const validateSpecimenCollection = [
+  body("orderId").isUUID().withMessage("Invalid order ID"),
+  body("collectedAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Collection time must be a valid date"),
+  validate,
+];
+
+/**
+ * Specimen chain-of-custody event validation
+ */
+const validateSpecimenEvent = [
+  body("event")
+    .isIn(["received", "processing", "rejected", "disposed"])
+    .withMessage("Event must be received, processing, rejected, or disposed"),
+  body("reason")
+    .if(body("event").equals("rejected"))
+    .notEmpty()
+    .withMessage("Rejection reason is required"),
+  body("occurredAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Event time must be a valid date"),
   validate,
 ];
 
@@ -208,6 +579,7 @@ const validateDataQualityIssue = [
       "invalid_data",
       "duplicate_record",
       "incomplete_encounter",
+      "delayed_workflow",
     ])
     .withMessage("Invalid issue type"),
   body("severity")
@@ -219,6 +591,29 @@ const validateDataQualityIssue = [
   validate,
 ];
 
+const validateDataQualityRule = [
+  body("isEnabled")
+    .optional()
+    .isBoolean()
+    .withMessage("isEnabled must be a boolean"),
+  body("severity")
+    .optional()
+    .isIn(["low", "medium", "high", "critical"])
+    .withMessage("Severity must be low, medium, high, or critical"),
+  body("params").optional().isObject().withMessage("Params must be an object"),
+  validate,
+];
+
+const validateDataQualityComment = [
+  validationRules.requiredString("comment"),
+  body("mentions")
+    .optional()
+    .isArray()
+    .withMessage("Mentions must be an array of user IDs"),
+  body("mentions.*").optional().isUUID().withMessage("Invalid user ID"),
+  validate,
+];
+
 /**
  * Validate user creation
  */
@@ -316,8 +711,37 @@ module.exports = {
   validateUserCreation,
   validateUserUpdate,
   validateEncounterCreation,
+  validateEncounterClose,
+  validateEncounterTransfer,
+  validateDiagnosis,
+  validateDiagnosisUpdate,
+  validateWard,
+  validateRoom,
+  validateBed,
+  validateBedUpdate,
+  validateBedAssignment,
+  validateMedication,
+  validateMedicationUpdate,
+  validateAllergy,
+  validateAllergyUpdate,
+  validatePrescription,
+  validateDispensing,
   validateClinicalNote,
+  validateClinicalNoteAddendum,
+  validateEnteredInError,
+  validateVitalSigns,
   validateOrderCreation,
+  validateOrderSetPlacement,
+  validateOrderStatusUpdate,
+  validateOrderCancellation,
   validateResultEntry,
+  validateResultUpdate,
+  validateImagingStudy,
+  validateVerificationPolicy,
+  validateReferenceRange,
+  validateSpecimenCollection,
+  validateSpecimenEvent,
   validateDataQualityIssue,
+  validateDataQualityRule,
+  validateDataQualityComment,
 };
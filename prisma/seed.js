@@ -35,6 +35,18 @@ async function main() {
       name: "radiographer",
       description: "Radiology orders, imaging reports, result entry",
     },
+    {
+      name: "pathologist",
+      description: "Clinical sign-off of laboratory results",
+    },
+    {
+      name: "radiologist",
+      description: "Clinical sign-off of radiology reports",
+    },
+    {
+      name: "pharmacist",
+      description: "Medication dispensing, formulary management",
+    },
     {
       name: "data_manager",
       description: "Data quality monitoring, issue management, audits",
@@ -180,6 +192,14 @@ async function main() {
       phone: "+231-555-0005",
       roleName: "data_manager",
     },
+    {
+      email: "pharmacy@helapha.org",
+      password: await bcrypt.hash("pharmacy123", 10),
+      firstName: "Grace",
+      lastName: "Taylor",
+      phone: "+231-555-0006",
+      roleName: "pharmacist",
+    },
   ];
 
   console.log("Creating test users...");
@@ -226,6 +246,7 @@ async function main() {
   console.log("   Lab: lab@helapha.org / lab123");
   console.log("   Radiology: radiology@helapha.org / radio123");
   console.log("   Data Manager: datamanager@helapha.org / data123");
+  console.log("   Pharmacy: pharmacy@helapha.org / pharmacy123");
 
   console.log("\n✅ Database seeding completed!");
 }
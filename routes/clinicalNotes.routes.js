@@ -6,7 +6,11 @@ const router = express.Router();
 const clinicalNoteController = require("../controllers/clinicalNoteController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validateClinicalNote } = require("../middleware/validation");
+const {
+  validateClinicalNote,
+  validateClinicalNoteAddendum,
+  validateEnteredInError,
+} = require("../middleware/validation");
 const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
@@ -62,7 +66,7 @@ router.get(
   clinicalNoteController.getNoteById
 );
 
-// PUT /api/clinical-notes/:id - Update note
+// PUT /api/clinical-notes/:id - Update draft note
 router.put(
   "/:id",
   checkPermission("clinicalNote", "update"),
@@ -71,12 +75,30 @@ router.put(
   clinicalNoteController.updateClinicalNote
 );
 
-// DELETE /api/clinical-notes/:id - Delete note
-router.delete(
-  "/:id",
-  checkPermission("clinicalNote", "delete"),
-  auditAction("delete", "clinical_note"),
-  clinicalNoteController.deleteClinicalNote
+// POST /api/clinical-notes/:id/sign - Sign draft note
+router.post(
+  "/:id/sign",
+  checkPermission("clinicalNote", "update"),
+  auditAction("sign", "clinical_note"),
+  clinicalNoteController.signClinicalNote
+);
+
+// POST /api/clinical-notes/:id/addenda - Add addendum to signed note
+router.post(
+  "/:id/addenda",
+  checkPermission("clinicalNote", "create"),
+  validateClinicalNoteAddendum,
+  auditAction("add_addendum", "clinical_note"),
+  clinicalNoteController.addAddendum
+);
+
+// POST /api/clinical-notes/:id/entered-in-error - Retract note (no deletion)
+router.post(
+  "/:id/entered-in-error",
+  checkPermission("clinicalNote", "update"),
+  validateEnteredInError,
+  auditAction("entered_in_error", "clinical_note"),
+  clinicalNoteController.markEnteredInError
 );
 
 module.exports = router;
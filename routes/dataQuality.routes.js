@@ -6,7 +6,11 @@ const router = express.Router();
 const dataQualityController = require("../controllers/dataQualityController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validateDataQualityIssue } = require("../middleware/validation");
+const {
+  validateDataQualityIssue,
+  validateDataQualityRule,
+  validateDataQualityComment,
+} = require("../middleware/validation");
 const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
@@ -29,6 +33,68 @@ router.get(
 // GET /api/data-quality/my-issues - Get my assigned issues
 router.get("/my-issues", authenticate, dataQualityController.getMyIssues);
 
+// GET /api/data-quality/overdue - Get issues past their SLA due date
+router.get(
+  "/overdue",
+  checkPermission("dataQuality", "read"),
+  dataQualityController.getOverdueIssues
+);
+
+// POST /api/data-quality/escalate - Escalate overdue issues to the lead
+router.post(
+  "/escalate",
+  checkPermission("dataQuality", "update"),
+  auditAction("escalate", "data_quality_issue"),
+  dataQualityController.escalateOverdueIssues
+);
+
+// POST /api/data-quality/scan/duplicates - Scan registry for duplicate patients
+router.post(
+  "/scan/duplicates",
+  checkPermission("dataQuality", "create"),
+  auditAction("scan_duplicates", "data_quality_issue"),
+  dataQualityController.scanDuplicatePatients
+);
+
+// GET /api/data-quality/rules - Get scanner rules
+router.get(
+  "/rules",
+  checkPermission("dataQuality", "read"),
+  dataQualityController.getRules
+);
+
+// POST /api/data-quality/rules/run - Run enabled rules (or body.rules)
+router.post(
+  "/rules/run",
+  checkPermission("dataQuality", "create"),
+  auditAction("run_rules", "data_quality_issue"),
+  dataQualityController.runRules
+);
+
+// GET /api/data-quality/rules/:code - Get scanner rule
+router.get(
+  "/rules/:code",
+  checkPermission("dataQuality", "read"),
+  dataQualityController.getRule
+);
+
+// PUT /api/data-quality/rules/:code - Enable/disable rule, set severity
+router.put(
+  "/rules/:code",
+  checkPermission("dataQuality", "update"),
+  validateDataQualityRule,
+  auditAction("update", "data_quality_rule"),
+  dataQualityController.updateRule
+);
+
+// POST /api/data-quality/rules/:code/run - Run one rule
+router.post(
+  "/rules/:code/run",
+  checkPermission("dataQuality", "create"),
+  auditAction("run_rules", "data_quality_issue"),
+  dataQualityController.runRule
+);
+
 // POST /api/data-quality - Create new issue
 router.post(
   "/",
@@ -54,6 +120,23 @@ router.put(
   dataQualityController.updateIssue
 );
 
+// POST /api/data-quality/:id/comments - Comment on issue (@mentions)
+router.post(
+  "/:id/comments",
+  checkPermission("dataQuality", "update"),
+  validateDataQualityComment,
+  auditAction("comment", "data_quality_issue"),
+  dataQualityController.addComment
+);
+
+// POST /api/data-quality/:id/attachments - Attach evidence
+router.post(
+  "/:id/attachments",
+  checkPermission("dataQuality", "update"),
+  auditAction("attach", "data_quality_issue"),
+  dataQualityController.addAttachment
+);
+
 // POST /api/data-quality/:id/assign - Assign issue
 router.post(
   "/:id/assign",
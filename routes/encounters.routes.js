@@ -4,9 +4,18 @@
 const express = require("express");
 const router = express.Router();
 const encounterController = require("../controllers/encounterController");
+const vitalSignController = require("../controllers/vitalSignController");
+const bedController = require("../controllers/bedController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validateEncounterCreation } = require("../middleware/validation");
+const {
+  validateEncounterCreation,
+  validateEncounterClose,
+  validateDiagnosis,
+  validateDiagnosisUpdate,
+  validateBedAssignment,
+  validateEncounterTransfer,
+} = require("../middleware/validation");
 const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
@@ -26,6 +35,13 @@ router.get(
   encounterController.getStatistics
 );
 
+// GET /api/encounters/deteriorating - Inpatients flagged by early warning score
+router.get(
+  "/deteriorating",
+  checkPermission("vitalSign", "read"),
+  vitalSignController.getDeterioratingPatients
+);
+
 // POST /api/encounters - Create new encounter
 router.post(
   "/",
@@ -54,10 +70,76 @@ router.put(
 router.post(
   "/:id/close",
   checkPermission("encounter", "close"),
+  validateEncounterClose,
   auditAction("close", "encounter"),
   encounterController.closeEncounter
 );
 
+// POST /api/encounters/:id/transfer - Transfer to another department
+router.post(
+  "/:id/transfer",
+  checkPermission("encounter", "transfer"),
+  validateEncounterTransfer,
+  auditAction("transfer", "encounter"),
+  encounterController.transferEncounter
+);
+
+// GET /api/encounters/:id/movements - Movement timeline
+router.get(
+  "/:id/movements",
+  checkPermission("encounter", "read"),
+  encounterController.getMovements
+);
+
+// GET /api/encounters/:id/diagnoses - Get coded diagnoses
+router.get(
+  "/:id/diagnoses",
+  checkPermission("diagnosis", "read"),
+  encounterController.getDiagnoses
+);
+
+// POST /api/encounters/:id/diagnoses - Add ICD-10 diagnosis
+router.post(
+  "/:id/diagnoses",
+  checkPermission("diagnosis", "create"),
+  validateDiagnosis,
+  auditAction("create", "encounter_diagnosis"),
+  encounterController.addDiagnosis
+);
+
+// PUT /api/encounters/:id/diagnoses/:diagnosisId - Update diagnosis
+router.put(
+  "/:id/diagnoses/:diagnosisId",
+  checkPermission("diagnosis", "update"),
+  validateDiagnosisUpdate,
+  auditAction("update", "encounter_diagnosis"),
+  encounterController.updateDiagnosis
+);
+
+// DELETE /api/encounters/:id/diagnoses/:diagnosisId - Remove diagnosis
+router.delete(
+  "/:id/diagnoses/:diagnosisId",
+  checkPermission("diagnosis", "delete"),
+  auditAction("delete", "encounter_diagnosis"),
+  encounterController.removeDiagnosis
+);
+
+// GET /api/encounters/:id/beds - Current bed and bed history
+router.get(
+  "/:id/beds",
+  checkPermission("encounter", "read"),
+  bedController.getBedHistory
+);
+
+// PUT /api/encounters/:id/bed - Assign or transfer inpatient bed
+router.put(
+  "/:id/bed",
+  checkPermission("bed", "assign"),
+  validateBedAssignment,
+  auditAction("assign_bed", "encounter"),
+  bedController.assignBed
+);
+
 // POST /api/encounters/:id/assign-clinician - Assign clinician
 router.post(
   "/:id/assign-clinician",
@@ -0,0 +1,89 @@
+// FHIR Routes
+// Read-only FHIR R4 endpoints (search and read) for external systems
+
+const express = require("express");
+const router = express.Router();
+const fhirController = require("../controllers/fhirController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const { toOperationOutcome } = require("../utils/fhirMapper");
+
+// GET /fhir/metadata - CapabilityStatement (public so clients can discover the server)
+router.get("/metadata", fhirController.getMetadata);
+
+// All resource routes require authentication
+router.use(authenticate);
+router.use(checkPermission("fhir", "read"));
+
+// GET /fhir/Patient - Search patients
+router.get("/Patient", fhirController.searchPatients);
+
+// GET /fhir/Patient/:id - Read patient
+router.get("/Patient/:id", fhirController.getPatient);
+
+// GET /fhir/Encounter - Search encounters
+router.get("/Encounter", fhirController.searchEncounters);
+
+// GET /fhir/Encounter/:id - Read encounter
+router.get("/Encounter/:id", fhirController.getEncounter);
+
+// GET /fhir/Observation - Search vital signs and result observations
+router.get("/Observation", fhirController.searchObservations);
+
+// GET /fhir/Observation/:id - Read observation
+router.get("/Observation/:id", fhirController.getObservation);
+
+// GET /fhir/ServiceRequest - Search orders
+router.get("/ServiceRequest", fhirController.searchServiceRequests);
+
+// GET /fhir/ServiceRequest/:id - Read order
+router.get("/ServiceRequest/:id", fhirController.getServiceRequest);
+
+// GET /fhir/DiagnosticReport - Search results
+router.get("/DiagnosticReport", fhirController.searchDiagnosticReports);
+
+// GET /fhir/DiagnosticReport/:id - Read result
+router.get("/DiagnosticReport/:id", fhirController.getDiagnosticReport);
+
+// Unsupported resource types or interactions
+router.use((req, res) => {
+  res
+    .status(404)
+    .type(fhirController.FHIR_CONTENT_TYPE)
+    .json(
+      toOperationOutcome(
+        "error",
+        "not-supported",
+        `${req.method} ${req.originalUrl} is not supported`
+      )
+    );
+});
+
+// Errors are returned as OperationOutcome instead of the API error format
+router.use((err, req, res, next) => {
+  const statusCode = err.statusCode || 500;
+
+  if (statusCode >= 500) {
+    console.error("FHIR error:", err);
+  }
+
+  const code =
+    statusCode === 404
+      ? "not-found"
+      : statusCode < 500
+      ? "invalid"
+      : "exception";
+
+  res
+    .status(statusCode)
+    .type(fhirController.FHIR_CONTENT_TYPE)
+    .json(
+      toOperationOutcome(
+        statusCode < 500 ? "error" : "fatal",
+        code,
+        statusCode < 500 ? err.message : "Internal server error"
+      )
+    );
+});
+
+module.exports = router;
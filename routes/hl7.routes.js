@@ -0,0 +1,44 @@
+// HL7 Routes
+// HL7 v2 message ingestion (ORU^R01) and interface log
+
+const express = require("express");
+const router = express.Router();
+const hl7Controller = require("../controllers/hl7Controller");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const { auditAction } = require("../middleware/audit");
+
+// Raw ER7 bodies (JSON bodies are handled by the global parser)
+const parseHl7Body = express.text({
+  type: ["text/plain", "x-application/hl7-v2+er7", "application/hl7-v2"],
+  limit: "5mb",
+});
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/hl7/messages - Ingest ORU^R01 message and return ACK
+router.post(
+  "/messages",
+  checkPermission("hl7", "create"),
+  parseHl7Body,
+  auditAction("hl7_ingest", "result"),
+  hl7Controller.ingestMessage
+);
+
+// GET /api/hl7/messages - Get HL7 interface log
+router.get(
+  "/messages",
+  checkPermission("hl7", "read"),
+  hl7Controller.getMessages
+);
+
+// POST /api/hl7/orders/:orderId/orm - Resend ORM^O01 for an order
+router.post(
+  "/orders/:orderId/orm",
+  checkPermission("hl7", "create"),
+  auditAction("hl7_resend", "order"),
+  hl7Controller.resendOrderMessage
+);
+
+module.exports = router;
@@ -0,0 +1,19 @@
+// ICD-10 Routes
+// ICD-10 code lookup for coded diagnoses (table loaded by scripts/importIcd10.js)
+
+const express = require("express");
+const router = express.Router();
+const icd10Controller = require("../controllers/icd10Controller");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/icd10 - Search codes (?search=&limit=)
+router.get("/", checkPermission("icd10", "read"), icd10Controller.searchCodes);
+
+// GET /api/icd10/:code - Get code
+router.get("/:code", checkPermission("icd10", "read"), icd10Controller.getCode);
+
+module.exports = router;
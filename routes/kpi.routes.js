@@ -6,6 +6,7 @@ const router = express.Router();
 const kpiController = require("../controllers/kpiController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
+const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
 router.use(authenticate);
@@ -13,6 +14,8 @@ router.use(authenticate);
 // All users can view KPIs
 const kpiReadPermission = checkPermission("kpi", "read");
 
+// Period endpoints accept ?from=&to=&departmentId=&granularity= (day, week, month)
+
 // GET /api/kpi/dashboard - Main dashboard summary
 router.get("/dashboard", kpiReadPermission, kpiController.getDashboard);
 
@@ -40,4 +43,40 @@ router.get(
 // GET /api/kpi/data-quality - Data quality metrics
 router.get("/data-quality", kpiReadPermission, kpiController.getDataQuality);
 
+// GET /api/kpi/diagnoses - Top ICD-10 diagnoses (also ?limit=&diagnosisType=&certainty=)
+router.get("/diagnoses", kpiReadPermission, kpiController.getTopDiagnoses);
+
+// GET /api/kpi/beds - Bed occupancy and turnover
+router.get("/beds", kpiReadPermission, kpiController.getBedKPIs);
+
+// POST /api/kpi/snapshots - Snapshot a day's KPIs (nightly job: npm run kpi:snapshot)
+router.post(
+  "/snapshots",
+  checkPermission("kpi", "snapshot"),
+  auditAction("snapshot", "kpi_snapshot"),
+  kpiController.createKpiSnapshots
+);
+
+// GET /api/kpi/completeness - Weighted completeness scorecard (?from=&to=&departmentId=)
+router.get(
+  "/completeness",
+  kpiReadPermission,
+  kpiController.getCompletenessScorecard
+);
+
+// GET /api/kpi/completeness/trend - Completeness trend (?from=&to=&dimension=&dimensionId=&granularity=)
+router.get(
+  "/completeness/trend",
+  kpiReadPermission,
+  kpiController.getCompletenessTrend
+);
+
+// POST /api/kpi/completeness/snapshots - Snapshot a day's completeness
+router.post(
+  "/completeness/snapshots",
+  checkPermission("kpi", "snapshot"),
+  auditAction("snapshot", "completeness_snapshot"),
+  kpiController.createCompletenessSnapshot
+);
+
 module.exports = router;
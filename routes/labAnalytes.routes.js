@@ -0,0 +1,86 @@
+// Lab Analyte Routes
+// Analyte catalogue and age/sex-specific reference ranges
+
+const express = require("express");
+const router = express.Router();
+const referenceRangeController = require("../controllers/referenceRangeController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const { validateReferenceRange } = require("../middleware/validation");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/lab-analytes - Get analytes with reference ranges
+router.get(
+  "/",
+  checkPermission("labCatalogue", "read"),
+  referenceRangeController.getAnalytes
+);
+
+// POST /api/lab-analytes/evaluate - Preview flags for result values
+router.post(
+  "/evaluate",
+  checkPermission("labCatalogue", "read"),
+  referenceRangeController.evaluateResultData
+);
+
+// PUT /api/lab-analytes/ranges/:rangeId - Update reference range
+router.put(
+  "/ranges/:rangeId",
+  checkPermission("labCatalogue", "update"),
+  validateReferenceRange,
+  auditAction("update", "reference_range"),
+  referenceRangeController.updateReferenceRange
+);
+
+// DELETE /api/lab-analytes/ranges/:rangeId - Delete reference range
+router.delete(
+  "/ranges/:rangeId",
+  checkPermission("labCatalogue", "delete"),
+  auditAction("delete", "reference_range"),
+  referenceRangeController.deleteReferenceRange
+);
+
+// GET /api/lab-analytes/:id - Get analyte by ID
+router.get(
+  "/:id",
+  checkPermission("labCatalogue", "read"),
+  referenceRangeController.getAnalyteById
+);
+
+// POST /api/lab-analytes - Create analyte
+router.post(
+  "/",
+  checkPermission("labCatalogue", "create"),
+  auditAction("create", "lab_analyte"),
+  referenceRangeController.createAnalyte
+);
+
+// PUT /api/lab-analytes/:id - Update analyte
+router.put(
+  "/:id",
+  checkPermission("labCatalogue", "update"),
+  auditAction("update", "lab_analyte"),
+  referenceRangeController.updateAnalyte
+);
+
+// DELETE /api/lab-analytes/:id - Deactivate analyte
+router.delete(
+  "/:id",
+  checkPermission("labCatalogue", "delete"),
+  auditAction("deactivate", "lab_analyte"),
+  referenceRangeController.deactivateAnalyte
+);
+
+// POST /api/lab-analytes/:id/ranges - Add reference range
+router.post(
+  "/:id/ranges",
+  checkPermission("labCatalogue", "create"),
+  validateReferenceRange,
+  auditAction("create", "reference_range"),
+  referenceRangeController.addReferenceRange
+);
+
+module.exports = router;
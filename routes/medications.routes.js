@@ -0,0 +1,58 @@
+// Medication Routes
+// Medication formulary (prescribable drugs)
+
+const express = require("express");
+const router = express.Router();
+const medicationController = require("../controllers/medicationController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const {
+  validateMedication,
+  validateMedicationUpdate,
+} = require("../middleware/validation");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/medications - Search formulary (?search=&drugClass=&isActive=)
+router.get(
+  "/",
+  checkPermission("medication", "read"),
+  medicationController.getMedications
+);
+
+// POST /api/medications - Add medication to formulary
+router.post(
+  "/",
+  checkPermission("medication", "create"),
+  validateMedication,
+  auditAction("create", "medication"),
+  medicationController.createMedication
+);
+
+// GET /api/medications/:id - Get medication
+router.get(
+  "/:id",
+  checkPermission("medication", "read"),
+  medicationController.getMedicationById
+);
+
+// PUT /api/medications/:id - Update medication
+router.put(
+  "/:id",
+  checkPermission("medication", "update"),
+  validateMedicationUpdate,
+  auditAction("update", "medication"),
+  medicationController.updateMedication
+);
+
+// DELETE /api/medications/:id - Remove from formulary (deactivate)
+router.delete(
+  "/:id",
+  checkPermission("medication", "delete"),
+  auditAction("delete", "medication"),
+  medicationController.deactivateMedication
+);
+
+module.exports = router;
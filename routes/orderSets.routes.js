@@ -0,0 +1,52 @@
+// Order Set Routes
+// Clinician-defined order sets / panels
+
+const express = require("express");
+const router = express.Router();
+const testCatalogController = require("../controllers/testCatalogController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/order-sets - Get shared and own order sets
+router.get(
+  "/",
+  checkPermission("orderSet", "read"),
+  testCatalogController.getOrderSets
+);
+
+// GET /api/order-sets/:id - Get order set by ID
+router.get(
+  "/:id",
+  checkPermission("orderSet", "read"),
+  testCatalogController.getOrderSetById
+);
+
+// POST /api/order-sets - Create order set
+router.post(
+  "/",
+  checkPermission("orderSet", "create"),
+  auditAction("create", "order_set"),
+  testCatalogController.createOrderSet
+);
+
+// PUT /api/order-sets/:id - Update order set (creator or admin)
+router.put(
+  "/:id",
+  checkPermission("orderSet", "update"),
+  auditAction("update", "order_set"),
+  testCatalogController.updateOrderSet
+);
+
+// DELETE /api/order-sets/:id - Deactivate order set (creator or admin)
+router.delete(
+  "/:id",
+  checkPermission("orderSet", "delete"),
+  auditAction("delete", "order_set"),
+  testCatalogController.deactivateOrderSet
+);
+
+module.exports = router;
@@ -6,7 +6,13 @@ const router = express.Router();
 const orderController = require("../controllers/orderController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validateOrderCreation } = require("../middleware/validation");
+const {
+  validateOrderCreation,
+  validateOrderSetPlacement,
+  validateOrderStatusUpdate,
+  validateOrderCancellation,
+  validateImagingStudy,
+} = require("../middleware/validation");
 const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
@@ -45,6 +51,15 @@ router.post(
   orderController.createOrder
 );
 
+// POST /api/orders/order-set - Place all tests of an order set
+router.post(
+  "/order-set",
+  checkPermission("labOrder", "create"),
+  validateOrderSetPlacement,
+  auditAction("create_from_order_set", "order"),
+  orderController.placeOrderSet
+);
+
 // GET /api/orders/:id - Get order by ID
 router.get(
   "/:id",
@@ -56,6 +71,7 @@ router.get(
 router.put(
   "/:id/status",
   checkPermission("labOrder", "update"),
+  validateOrderStatusUpdate,
   auditAction("update_status", "order"),
   orderController.updateOrderStatus
 );
@@ -64,8 +80,18 @@ router.put(
 router.post(
   "/:id/cancel",
   checkPermission("labOrder", "create"), // Ordering clinician
+  validateOrderCancellation,
   auditAction("cancel", "order"),
   orderController.cancelOrder
 );
 
+// PUT /api/orders/:id/imaging-study - Link DICOM study to radiology order
+router.put(
+  "/:id/imaging-study",
+  checkPermission("imagingStudy", "update"),
+  validateImagingStudy,
+  auditAction("link_imaging_study", "order"),
+  orderController.linkImagingStudy
+);
+
 module.exports = router;
@@ -4,10 +4,18 @@
 const express = require("express");
 const router = express.Router();
 const patientController = require("../controllers/patientController");
+const patientService = require("../services/patientService");
+const vitalSignController = require("../controllers/vitalSignController");
+const medicationController = require("../controllers/medicationController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validatePatientRegistration } = require("../middleware/validation");
-const { auditAction } = require("../middleware/audit");
+const {
+  validatePatientRegistration,
+  validateVitalSigns,
+  validateAllergy,
+  validateAllergyUpdate,
+} = require("../middleware/validation");
+const { auditAction, captureBeforeState } = require("../middleware/audit");
 const { asyncHandler } = require("../middleware/errorHandler");
 const {
   uploadPatientImage,
@@ -46,6 +54,14 @@ router.get(
   patientController.getPatientByMRN
 );
 
+// POST /api/patients/merges/:mergeId/unmerge - Reverse a merge
+router.post(
+  "/merges/:mergeId/unmerge",
+  checkPermission("patient", "merge"),
+  auditAction("unmerge", "patient_merge"),
+  patientController.unmergePatients
+);
+
 // POST /api/patients - Create new patient
 router.post(
   "/",
@@ -69,6 +85,65 @@ router.get(
   patientController.getPatientEncounters
 );
 
+// GET /api/patients/:id/vitals - Vitals trend with early warning scores
+router.get(
+  "/:id/vitals",
+  checkPermission("vitalSign", "read"),
+  vitalSignController.getPatientVitals
+);
+
+// POST /api/patients/:id/vitals - Record vitals
+router.post(
+  "/:id/vitals",
+  checkPermission("vitalSign", "create"),
+  validateVitalSigns,
+  auditAction("create", "vital_signs"),
+  vitalSignController.recordVitals
+);
+
+// GET /api/patients/:id/allergies - Get allergy list
+router.get(
+  "/:id/allergies",
+  checkPermission("allergy", "read"),
+  medicationController.getPatientAllergies
+);
+
+// POST /api/patients/:id/allergies - Record allergy
+router.post(
+  "/:id/allergies",
+  checkPermission("allergy", "create"),
+  validateAllergy,
+  auditAction("create", "patient_allergy"),
+  medicationController.addAllergy
+);
+
+// PUT /api/patients/:id/allergies/:allergyId - Update allergy
+router.put(
+  "/:id/allergies/:allergyId",
+  checkPermission("allergy", "update"),
+  validateAllergyUpdate,
+  auditAction("update", "patient_allergy"),
+  medicationController.updateAllergy
+);
+
+// GET /api/patients/:id/merges - Get merge history
+router.get(
+  "/:id/merges",
+  checkPermission("patient", "read"),
+  patientController.getPatientMerges
+);
+
+// POST /api/patients/:id/merge - Merge duplicate into this patient
+router.post(
+  "/:id/merge",
+  checkPermission("patient", "merge"),
+  captureBeforeState("patient", (req) =>
+    patientService.getMergeSnapshot(req.params.id, req.body.retiredPatientId)
+  ),
+  auditAction("merge", "patient_merge"),
+  patientController.mergePatients
+);
+
 // PUT /api/patients/:id - Update patient
 router.put(
   "/:id",
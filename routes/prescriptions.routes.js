@@ -0,0 +1,65 @@
+// Prescription Routes
+// Encounter prescriptions and the pharmacy dispensing queue
+
+const express = require("express");
+const router = express.Router();
+const prescriptionController = require("../controllers/prescriptionController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const {
+  validatePrescription,
+  validateDispensing,
+} = require("../middleware/validation");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/prescriptions - Prescribe medication
+router.post(
+  "/",
+  checkPermission("prescription", "create"),
+  validatePrescription,
+  auditAction("create", "prescription"),
+  prescriptionController.createPrescription
+);
+
+// GET /api/prescriptions/queue - Pharmacy dispensing queue
+router.get(
+  "/queue",
+  checkPermission("prescription", "read"),
+  prescriptionController.getDispensingQueue
+);
+
+// GET /api/prescriptions/encounter/:encounterId - Encounter prescriptions
+router.get(
+  "/encounter/:encounterId",
+  checkPermission("prescription", "read"),
+  prescriptionController.getEncounterPrescriptions
+);
+
+// GET /api/prescriptions/:id - Get prescription
+router.get(
+  "/:id",
+  checkPermission("prescription", "read"),
+  prescriptionController.getPrescriptionById
+);
+
+// POST /api/prescriptions/:id/cancel - Cancel prescription
+router.post(
+  "/:id/cancel",
+  checkPermission("prescription", "cancel"),
+  auditAction("cancel", "prescription"),
+  prescriptionController.cancelPrescription
+);
+
+// POST /api/prescriptions/:id/dispense - Dispense (full or partial)
+router.post(
+  "/:id/dispense",
+  checkPermission("prescription", "dispense"),
+  validateDispensing,
+  auditAction("dispense", "prescription"),
+  prescriptionController.dispensePrescription
+);
+
+module.exports = router;
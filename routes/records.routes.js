@@ -40,6 +40,28 @@ router.get(
   recordController.getPatientFiles
 );
 
+// GET /api/records/encounter/:encounterId/discharge-summary - Latest discharge summary
+router.get(
+  "/encounter/:encounterId/discharge-summary",
+  checkPermission("dischargeSummary", "read"),
+  recordController.getDischargeSummary
+);
+
+// GET /api/records/encounter/:encounterId/discharge-summary/preview - Compiled summary (not filed)
+router.get(
+  "/encounter/:encounterId/discharge-summary/preview",
+  checkPermission("dischargeSummary", "read"),
+  recordController.previewDischargeSummary
+);
+
+// POST /api/records/encounter/:encounterId/discharge-summary - Regenerate discharge summary
+router.post(
+  "/encounter/:encounterId/discharge-summary",
+  checkPermission("dischargeSummary", "create"),
+  auditAction("generate_discharge_summary", "record_file"),
+  recordController.generateDischargeSummary
+);
+
 // GET /api/records/:id - Get file by ID
 router.get(
   "/:id",
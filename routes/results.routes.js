@@ -6,7 +6,11 @@ const router = express.Router();
 const resultController = require("../controllers/resultController");
 const { authenticate } = require("../middleware/auth");
 const { checkPermission } = require("../middleware/permissions");
-const { validateResultEntry } = require("../middleware/validation");
+const {
+  validateResultEntry,
+  validateResultUpdate,
+  validateVerificationPolicy,
+} = require("../middleware/validation");
 const { auditAction } = require("../middleware/audit");
 
 // All routes require authentication
@@ -26,13 +30,66 @@ router.get(
   resultController.getCriticalResults
 );
 
+// GET /api/results/critical/alerts - Critical result acknowledgement report
+router.get(
+  "/critical/alerts",
+  checkPermission("criticalResult", "read"),
+  resultController.getCriticalResultAlerts
+);
+
+// POST /api/results/critical/escalate - Escalate overdue critical results
+router.post(
+  "/critical/escalate",
+  checkPermission("criticalResult", "escalate"),
+  auditAction("escalate", "critical_result"),
+  resultController.escalateCriticalResults
+);
+
 // GET /api/results/pending-approval/list - Get pending approvals
 router.get(
   "/pending-approval/list",
-  checkPermission("labOrder", "update"),
+  checkPermission("resultVerification", "verify"),
   resultController.getPendingApprovals
 );
 
+// GET /api/results/verification/policies - Get verification policies
+router.get(
+  "/verification/policies",
+  checkPermission("resultVerification", "read"),
+  resultController.getVerificationPolicies
+);
+
+// PUT /api/results/verification/policies/:category - Save policy
+router.put(
+  "/verification/policies/:category",
+  checkPermission("resultVerification", "manage"),
+  validateVerificationPolicy,
+  auditAction("update", "verification_policy"),
+  resultController.saveVerificationPolicy
+);
+
+// DELETE /api/results/verification/policies/:category - Delete policy
+router.delete(
+  "/verification/policies/:category",
+  checkPermission("resultVerification", "manage"),
+  auditAction("delete", "verification_policy"),
+  resultController.deleteVerificationPolicy
+);
+
+// GET /api/results/templates - Get radiology report templates
+router.get(
+  "/templates",
+  checkPermission("labOrder", "read"),
+  resultController.getReportTemplates
+);
+
+// GET /api/results/templates/:code - Get report template fields
+router.get(
+  "/templates/:code",
+  checkPermission("labOrder", "read"),
+  resultController.getReportTemplate
+);
+
 // GET /api/results/order/:orderId - Get results for an order
 router.get(
   "/order/:orderId",
@@ -56,21 +113,43 @@ router.get(
   resultController.getResultById
 );
 
-// PUT /api/results/:id - Update result
+// GET /api/results/:id/versions - Get result version history
+router.get(
+  "/:id/versions",
+  checkPermission("labOrder", "read"),
+  resultController.getResultVersions
+);
+
+// GET /api/results/:id/report - Download verified radiology report PDF
+router.get(
+  "/:id/report",
+  checkPermission("labOrder", "read"),
+  resultController.getReportPdf
+);
+
+// PUT /api/results/:id - Update or amend result
 router.put(
   "/:id",
   checkPermission("labOrder", "update"),
-  validateResultEntry,
+  validateResultUpdate,
   auditAction("update", "result"),
   resultController.updateResult
 );
 
-// POST /api/results/:id/approve - Approve result
+// POST /api/results/:id/approve - Verify / approve result
 router.post(
   "/:id/approve",
-  checkPermission("labOrder", "update"),
+  checkPermission("resultVerification", "verify"),
   auditAction("approve", "result"),
   resultController.approveResult
 );
 
+// POST /api/results/:id/critical/acknowledge - Acknowledge critical result
+router.post(
+  "/:id/critical/acknowledge",
+  checkPermission("criticalResult", "acknowledge"),
+  auditAction("acknowledge", "critical_result"),
+  resultController.acknowledgeCriticalResult
+);
+
 module.exports = router;
@@ -0,0 +1,64 @@
+// Specimen Routes
+// Specimen collection, barcode labels and chain of custody
+
+const express = require("express");
+const router = express.Router();
+const specimenController = require("../controllers/specimenController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const {
+  validateSpecimenCollection,
+  validateSpecimenEvent,
+} = require("../middleware/validation");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/specimens - Get specimens with filters
+router.get(
+  "/",
+  checkPermission("specimen", "read"),
+  specimenController.getSpecimens
+);
+
+// POST /api/specimens - Collect specimen for a lab order
+router.post(
+  "/",
+  checkPermission("specimen", "create"),
+  validateSpecimenCollection,
+  auditAction("collect", "specimen"),
+  specimenController.collectSpecimen
+);
+
+// GET /api/specimens/accession/:accessionNumber - Barcode lookup
+router.get(
+  "/accession/:accessionNumber",
+  checkPermission("specimen", "read"),
+  specimenController.getSpecimenByAccession
+);
+
+// GET /api/specimens/:id - Get specimen with chain of custody
+router.get(
+  "/:id",
+  checkPermission("specimen", "read"),
+  specimenController.getSpecimenById
+);
+
+// GET /api/specimens/:id/label - Get barcode label (ZPL or PDF)
+router.get(
+  "/:id/label",
+  checkPermission("specimen", "read"),
+  specimenController.getSpecimenLabel
+);
+
+// POST /api/specimens/:id/events - Record chain-of-custody step
+router.post(
+  "/:id/events",
+  checkPermission("specimen", "update"),
+  validateSpecimenEvent,
+  auditAction("specimen_event", "specimen"),
+  specimenController.recordSpecimenEvent
+);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+// Test Catalogue Routes
+// Managed lab and radiology test catalogue
+
+const express = require("express");
+const router = express.Router();
+const testCatalogController = require("../controllers/testCatalogController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/test-catalog - Get catalogue tests
+router.get(
+  "/",
+  checkPermission("testCatalog", "read"),
+  testCatalogController.getTests
+);
+
+// GET /api/test-catalog/:id - Get test by ID
+router.get(
+  "/:id",
+  checkPermission("testCatalog", "read"),
+  testCatalogController.getTestById
+);
+
+// POST /api/test-catalog - Create test (admin only)
+router.post(
+  "/",
+  checkPermission("testCatalog", "create"),
+  auditAction("create", "test_catalog"),
+  testCatalogController.createTest
+);
+
+// PUT /api/test-catalog/:id - Update test (admin only)
+router.put(
+  "/:id",
+  checkPermission("testCatalog", "update"),
+  auditAction("update", "test_catalog"),
+  testCatalogController.updateTest
+);
+
+// DELETE /api/test-catalog/:id - Deactivate test (admin only)
+router.delete(
+  "/:id",
+  checkPermission("testCatalog", "delete"),
+  auditAction("deactivate", "test_catalog"),
+  testCatalogController.deactivateTest
+);
+
+module.exports = router;
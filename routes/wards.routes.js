@@ -0,0 +1,73 @@
+// Ward Routes
+// Wards, rooms and beds for inpatient care
+
+const express = require("express");
+const router = express.Router();
+const bedController = require("../controllers/bedController");
+const { authenticate } = require("../middleware/auth");
+const { checkPermission } = require("../middleware/permissions");
+const {
+  validateWard,
+  validateRoom,
+  validateBed,
+  validateBedUpdate,
+} = require("../middleware/validation");
+const { auditAction } = require("../middleware/audit");
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/wards - Get wards with occupancy
+router.get("/", checkPermission("ward", "read"), bedController.getWards);
+
+// GET /api/wards/beds - Get beds (e.g. ?status=available&departmentId=)
+router.get("/beds", checkPermission("ward", "read"), bedController.getBeds);
+
+// PUT /api/wards/beds/:bedId - Update bed status or details
+router.put(
+  "/beds/:bedId",
+  checkPermission("bed", "update"),
+  validateBedUpdate,
+  auditAction("update", "bed"),
+  bedController.updateBed
+);
+
+// POST /api/wards/rooms/:roomId/beds - Add bed to room (admin only)
+router.post(
+  "/rooms/:roomId/beds",
+  checkPermission("ward", "create"),
+  validateBed,
+  auditAction("create", "bed"),
+  bedController.createBed
+);
+
+// POST /api/wards - Create ward (admin only)
+router.post(
+  "/",
+  checkPermission("ward", "create"),
+  validateWard,
+  auditAction("create", "ward"),
+  bedController.createWard
+);
+
+// GET /api/wards/:id - Get ward with beds and occupants
+router.get("/:id", checkPermission("ward", "read"), bedController.getWardById);
+
+// PUT /api/wards/:id - Update ward (admin only)
+router.put(
+  "/:id",
+  checkPermission("ward", "update"),
+  auditAction("update", "ward"),
+  bedController.updateWard
+);
+
+// POST /api/wards/:id/rooms - Add room to ward (admin only)
+router.post(
+  "/:id/rooms",
+  checkPermission("ward", "create"),
+  validateRoom,
+  auditAction("create", "room"),
+  bedController.createRoom
+);
+
+module.exports = router;
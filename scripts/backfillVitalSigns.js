@@ -0,0 +1,38 @@
+// Vital Signs Backfill Script
+// Copies vitals stored on clinical notes before vital sign sets existed
+// (ClinicalNote.vitals) into VitalSignSet/VitalSignObservation, which the
+// vitals trend, early warning scores and FHIR Observations read
+// Usage: node scripts/backfillVitalSigns.js [--dry-run]
+// Safe to re-run: notes that already have a set are left alone
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { backfillNoteVitals } = require("../services/vitalSignService");
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  console.log(
+    `🩺 Backfilling vital signs from clinical notes${
+      dryRun ? " (dry run)" : ""
+    }...`
+  );
+
+  const summary = await backfillNoteVitals({ dryRun });
+
+  summary.problems.forEach((problem) => {
+    console.log(`   ⚠️  Note ${problem.noteId}: ${problem.errors.join("; ")}`);
+  });
+
+  console.log(
+    `   ${summary.checked} note(s) checked, ${summary.backfilled} backfilled, ${summary.skipped} skipped (no valid values)`
+  );
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Vital signs backfill failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
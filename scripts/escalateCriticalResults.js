@@ -0,0 +1,26 @@
+// Critical Result Escalation Script
+// Escalates critical results not acknowledged within
+// CRITICAL_RESULT_ESCALATION_MINUTES to the department lead
+// Usage: node scripts/escalateCriticalResults.js
+// Schedule with cron (e.g. every 5 minutes)
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { escalateOverdueAlerts } = require("../services/criticalResultService");
+
+async function main() {
+  console.log("🚨 Checking for unacknowledged critical results...");
+  const summary = await escalateOverdueAlerts();
+
+  console.log(`   Escalation timeout: ${summary.escalationMinutes} minutes`);
+  console.log(`   Overdue alerts: ${summary.checked}`);
+  console.log(`   Escalated: ${summary.escalated}`);
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Critical result escalation failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,36 @@
+// Data Quality Escalation Script
+// Escalates data quality issues past their SLA due date
+// (DATA_QUALITY_SLA_HOURS) to the data quality lead
+// Usage: node scripts/escalateDataQualityIssues.js
+// Schedule with cron (e.g. every 15 minutes)
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { escalateOverdueIssues } = require("../services/dataQualityService");
+
+async function main() {
+  // Escalation messages are sent from the first active admin
+  const admin = await prisma.user.findFirst({
+    where: { isActive: true, role: { name: "admin" } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (!admin) {
+    throw new Error("No active admin user found to send escalations");
+  }
+
+  console.log("⏰ Checking for overdue data quality issues...");
+  const summary = await escalateOverdueIssues(admin.id);
+
+  console.log(`   Newly overdue: ${summary.checked}`);
+  console.log(`   Escalated: ${summary.escalated}`);
+  console.log(`   Recipients: ${summary.recipients.length}`);
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Data quality escalation failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
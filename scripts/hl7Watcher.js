@@ -0,0 +1,64 @@
+// HL7 File-Drop Watcher
+// Polls HL7_INBOUND_DIR for ORU^R01 files dropped by analysers / LIS bridges,
+// files the results and writes ACKs to <inbound>/ack
+// Usage: node scripts/hl7Watcher.js [inboundDir]
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { HL7_CONFIG, watchInboundDirectory } = require("../services/hl7Service");
+
+async function main() {
+  const directory = process.argv[2] || HL7_CONFIG.inboundDir;
+
+  if (!directory) {
+    throw new Error("Set HL7_INBOUND_DIR or pass the inbound directory");
+  }
+
+  // Results are filed as the integration user, or the first active admin
+  const user = process.env.HL7_INTEGRATION_USER_EMAIL
+    ? await prisma.user.findFirst({
+        where: {
+          email: process.env.HL7_INTEGRATION_USER_EMAIL,
+          isActive: true,
+        },
+      })
+    : await prisma.user.findFirst({
+        where: { isActive: true, role: { name: "admin" } },
+        orderBy: { createdAt: "asc" },
+      });
+
+  if (!user) {
+    throw new Error("No active integration user found to file results");
+  }
+
+  console.log(`📂 Watching ${directory} for HL7 messages...`);
+
+  const stop = watchInboundDirectory(user.id, {
+    directory,
+    onProcessed: (fileName, outcomes) => {
+      outcomes.forEach((outcome) => {
+        const icon = outcome.ackCode === "AA" ? "✅" : "❌";
+        console.log(
+          `${icon} ${fileName} [${outcome.controlId || "-"}] ${
+            outcome.ackCode
+          }${outcome.error ? `: ${outcome.error}` : ""}`
+        );
+      });
+    },
+  });
+
+  const shutdown = async () => {
+    stop();
+    await prisma.$disconnect();
+    process.exit(0);
+  };
+
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch(async (e) => {
+  console.error("❌ HL7 watcher failed:", e);
+  await prisma.$disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+// ICD-10 Import Script
+// Loads the ICD-10 code table from a CSV/TSV file or a plain code list
+// Usage: node scripts/importIcd10.js <file> [--deactivate-missing]
+//   CSV/TSV: header row with code, description and optional chapter, block
+//   Other files: one code per line followed by its description
+//     (e.g. "A000 Cholera due to Vibrio cholerae 01, biovar cholerae")
+// --deactivate-missing marks codes not in the file inactive (full releases)
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { prisma } = require("../config/database");
+const { importCodes } = require("../services/icd10Service");
+
+/**
+ * Split one delimited line, honouring double-quoted fields
+ */
+function splitLine(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  fields.push(field);
+  return fields.map((f) => f.trim());
+}
+
+/**
+ * Parse the import file into { code, description, chapter, block } rows
+ */
+function parseFile(filePath) {
+  const lines = fs
+    .readFileSync(filePath, "utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim());
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension !== ".csv" && extension !== ".tsv") {
+    return lines.map((line) => {
+      const match = line.trim().match(/^(\S+)\s+(.+)$/);
+      return match ? { code: match[1], description: match[2] } : { code: line };
+    });
+  }
+
+  const delimiter = extension === ".tsv" ? "\t" : ",";
+  const header = splitLine(lines[0], delimiter).map((h) => h.toLowerCase());
+  const column = (name) => header.indexOf(name);
+
+  if (column("code") === -1 || column("description") === -1) {
+    throw new Error("Header must include code and description columns");
+  }
+
+  return lines.slice(1).map((line) => {
+    const fields = splitLine(line, delimiter);
+    const value = (name) => (column(name) === -1 ? null : fields[column(name)]);
+
+    return {
+      code: value("code"),
+      description: value("description"),
+      chapter: value("chapter"),
+      block: value("block"),
+    };
+  });
+}
+
+async function main() {
+  const filePath = process.argv[2];
+  const deactivateMissing = process.argv.includes("--deactivate-missing");
+
+  if (!filePath) {
+    throw new Error(
+      "Usage: node scripts/importIcd10.js <file> [--deactivate-missing]"
+    );
+  }
+
+  console.log(`📥 Importing ICD-10 codes from ${filePath}...`);
+  const rows = parseFile(filePath);
+  const summary = await importCodes(rows, { deactivateMissing });
+
+  console.log(`   Rows read: ${rows.length}`);
+  console.log(`   Codes imported: ${summary.imported}`);
+  console.log(`   Created: ${summary.created}`);
+  console.log(`   Updated: ${summary.updated}`);
+  if (deactivateMissing) {
+    console.log(`   Deactivated: ${summary.deactivated}`);
+  }
+  console.log(`   Skipped (invalid): ${summary.skipped.length}`);
+  summary.skipped.slice(0, 10).forEach((skip) => {
+    console.log(`     row ${skip.row}: ${skip.code || "(no code)"}`);
+  });
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ ICD-10 import failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,42 @@
+// Data Quality Scan Script
+// Runs the data quality scanner rules (utils/dataQualityRules.js), raising
+// new issues and auto-resolving fixed ones
+// Usage: node scripts/runDataQualityRules.js [ruleCode ...]
+// Schedule with cron (e.g. hourly); rules disabled via the API are skipped
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { runRules } = require("../services/dataQualityRuleService");
+
+async function main() {
+  const rules = process.argv.slice(2);
+
+  // Issues are recorded as created by the first active admin
+  const admin = await prisma.user.findFirst({
+    where: { isActive: true, role: { name: "admin" } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (!admin) {
+    throw new Error("No active admin user found to record the scan");
+  }
+
+  console.log("🔍 Running data quality rules...");
+  const result = await runRules(admin.id, { rules });
+
+  result.rules.forEach((rule) => {
+    console.log(
+      rule.alreadyRunning
+        ? `   ${rule.code}: skipped, another scan is running it`
+        : `   ${rule.code}: ${rule.violations} violations, ${rule.created} created, ${rule.autoResolved} auto-resolved`
+    );
+  });
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Data quality scan failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
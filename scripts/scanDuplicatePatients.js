@@ -0,0 +1,41 @@
+// Duplicate Patient Scan Script
+// Scans the whole registry and raises duplicate_record data quality issues
+// Usage: node scripts/scanDuplicatePatients.js [minScore]
+// Schedule with cron (e.g. nightly) to keep the duplicate queue current
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { scanDuplicatePatients } = require("../services/dataQualityService");
+
+async function main() {
+  const minScore = process.argv[2];
+
+  // Issues are recorded as created by the first active admin
+  const admin = await prisma.user.findFirst({
+    where: { isActive: true, role: { name: "admin" } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  if (!admin) {
+    throw new Error("No active admin user found to record the scan");
+  }
+
+  console.log("🔍 Scanning patient registry for duplicates...");
+  const summary = await scanDuplicatePatients(admin.id, { minScore });
+
+  console.log(`   Patients scanned: ${summary.patientsScanned}`);
+  console.log(`   Pairs compared: ${summary.pairsCompared}`);
+  console.log(
+    `   Matches found (score >= ${summary.minScore}): ${summary.matchesFound}`
+  );
+  console.log(`   Issues created: ${summary.issuesCreated}`);
+  console.log(`   Already open: ${summary.skippedExisting}`);
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Duplicate scan failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,37 @@
+// Completeness Snapshot Script
+// Stores daily completeness scorecard snapshots for trend reporting
+// Usage: node scripts/snapshotCompleteness.js [days]
+//   days: how many days back to (re)snapshot, ending yesterday (default 7,
+//   so late documentation is picked up; use e.g. 365 to backfill)
+// Schedule with cron (e.g. nightly at 01:00)
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { createDailySnapshot } = require("../services/completenessService");
+
+async function main() {
+  const days = parseInt(process.argv[2]) || 7;
+
+  console.log(`📊 Snapshotting completeness for the last ${days} day(s)...`);
+
+  for (let offset = days; offset >= 1; offset--) {
+    const date = new Date();
+    date.setDate(date.getDate() - offset);
+
+    const snapshot = await createDailySnapshot(date);
+    console.log(
+      `   ${snapshot.snapshotDate.toDateString()}: score ${
+        snapshot.facilityScore === null ? "n/a" : `${snapshot.facilityScore}%`
+      } (${snapshot.groups} groups)`
+    );
+  }
+
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ Completeness snapshot failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
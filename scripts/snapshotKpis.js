@@ -0,0 +1,38 @@
+// KPI Snapshot Script
+// Materialises daily KPI snapshots for the facility and every department
+// (KPI endpoints read past days from these; only today is computed live)
+// Usage: node scripts/snapshotKpis.js [days]
+//   days: how many days back to (re)snapshot, ending yesterday (default 7,
+//   so late entries are picked up; use e.g. 365 to backfill)
+// Schedule with cron (e.g. nightly at 00:30)
+
+require("dotenv").config();
+const { prisma } = require("../config/database");
+const { createDailySnapshots } = require("../services/kpiSnapshotService");
+
+async function main() {
+  const days = parseInt(process.argv[2]) || 7;
+
+  console.log(`📈 Snapshotting KPIs for the last ${days} day(s)...`);
+
+  for (let offset = days; offset >= 1; offset--) {
+    const date = new Date();
+    date.setDate(date.getDate() - offset);
+
+    const snapshot = await createDailySnapshots(date);
+    console.log(
+      `   ${snapshot.snapshotDate.toDateString()}: facility + ${
+        snapshot.departments
+      } department(s)`
+    );
+  }
+
+  console.log("✅ Done!");
+}
+
+main()
+  .catch((e) => {
+    console.error("❌ KPI snapshot failed:", e);
+    process.exit(1);
+  })
+  .finally(() => prisma.$disconnect());
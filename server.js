@@ -29,6 +29,16 @@ const userRoutes = require("./routes/users.routes");
 const departmentRoutes = require("./routes/departments.routes");
 const roleRoutes = require("./routes/roles.routes");
 const messageRoutes = require("./routes/messages.routes");
+const fhirRoutes = require("./routes/fhir.routes");
+const hl7Routes = require("./routes/hl7.routes");
+const labAnalyteRoutes = require("./routes/labAnalytes.routes");
+const testCatalogRoutes = require("./routes/testCatalog.routes");
+const orderSetRoutes = require("./routes/orderSets.routes");
+const specimenRoutes = require("./routes/specimens.routes");
+const icd10Routes = require("./routes/icd10.routes");
+const wardRoutes = require("./routes/wards.routes");
+const medicationRoutes = require("./routes/medications.routes");
+const prescriptionRoutes = require("./routes/prescriptions.routes");
 
 // Initialize Express app
 const app = express();
@@ -104,9 +114,17 @@ const API_PREFIX = "/api";
 app.use(`${API_PREFIX}/auth`, authRoutes);
 app.use(`${API_PREFIX}/patients`, patientRoutes);
 app.use(`${API_PREFIX}/encounters`, encounterRoutes);
+app.use(`${API_PREFIX}/wards`, wardRoutes);
 app.use(`${API_PREFIX}/clinical-notes`, clinicalNoteRoutes);
 app.use(`${API_PREFIX}/orders`, orderRoutes);
+app.use(`${API_PREFIX}/test-catalog`, testCatalogRoutes);
+app.use(`${API_PREFIX}/order-sets`, orderSetRoutes);
+app.use(`${API_PREFIX}/specimens`, specimenRoutes);
 app.use(`${API_PREFIX}/results`, resultRoutes);
+app.use(`${API_PREFIX}/lab-analytes`, labAnalyteRoutes);
+app.use(`${API_PREFIX}/medications`, medicationRoutes);
+app.use(`${API_PREFIX}/prescriptions`, prescriptionRoutes);
+app.use(`${API_PREFIX}/icd10`, icd10Routes);
 app.use(`${API_PREFIX}/records`, recordRoutes);
 app.use(`${API_PREFIX}/kpi`, kpiRoutes);
 app.use(`${API_PREFIX}/data-quality`, dataQualityRoutes);
@@ -114,6 +132,10 @@ app.use(`${API_PREFIX}/users`, userRoutes);
 app.use(`${API_PREFIX}/departments`, departmentRoutes);
 app.use(`${API_PREFIX}/roles`, roleRoutes);
 app.use(`${API_PREFIX}/messages`, messageRoutes);
+app.use(`${API_PREFIX}/hl7`, hl7Routes);
+
+// FHIR R4 read API (mounted outside the JSON API prefix)
+app.use("/fhir", fhirRoutes);
 
 // ============================================
 // 404 HANDLER
@@ -0,0 +1,505 @@
+// Bed Service
+// Wards, rooms and beds, and bed assignment for inpatient encounters
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+const BED_STATUSES = ["available", "occupied", "cleaning", "out_of_service"];
+
+/**
+ * Status a bed returns to when its patient leaves: "available" (default)
+ * or "cleaning" when housekeeping must release it first.
+ */
+const BED_RELEASE_STATUS = process.env.BED_RELEASE_STATUS || "available";
+
+const bedInclude = {
+  room: { select: { id: true, name: true } },
+  ward: {
+    select: {
+      id: true,
+      name: true,
+      code: true,
+      departmentId: true,
+    },
+  },
+};
+
+const assignmentInclude = {
+  bed: { include: bedInclude },
+  assigner: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+};
+
+/**
+ * Helper: Count beds by status
+ */
+function summarizeBeds(beds) {
+  const active = beds.filter((bed) => bed.isActive);
+  const counts = BED_STATUSES.reduce((summary, status) => {
+    summary[status] = active.filter((bed) => bed.status === status).length;
+    return summary;
+  }, {});
+  const inService = active.length - counts.out_of_service;
+
+  return {
+    totalBeds: active.length,
+    ...counts,
+    occupancyRate:
+      inService > 0 ? Math.round((counts.occupied / inService) * 1000) / 10 : 0,
+  };
+}
+
+// ============================================
+// WARDS, ROOMS & BEDS
+// ============================================
+
+/**
+ * Get wards with rooms, beds and occupancy
+ * @param {Object} filters - { departmentId, isActive }
+ * @returns {Promise<Array>} Wards
+ */
+async function getWards(filters = {}) {
+  const { departmentId, isActive = "true" } = filters;
+  const where = {};
+
+  if (departmentId) where.departmentId = departmentId;
+
+  if (isActive !== "all") {
+    where.isActive = isActive === true || isActive === "true";
+  }
+
+  const wards = await prisma.ward.findMany({
+    where,
+    include: {
+      department: { select: { id: true, name: true, code: true } },
+      rooms: {
+        include: { beds: { orderBy: { label: "asc" } } },
+        orderBy: { name: "asc" },
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  return wards.map((ward) => ({
+    ...ward,
+    occupancy: summarizeBeds(ward.rooms.flatMap((room) => room.beds)),
+  }));
+}
+
+/**
+ * Get ward by ID with rooms, beds and current occupants
+ * @param {string} wardId - Ward ID
+ * @returns {Promise<Object>} Ward
+ */
+async function getWardById(wardId) {
+  const ward = await prisma.ward.findUnique({
+    where: { id: wardId },
+    include: {
+      department: { select: { id: true, name: true, code: true } },
+      rooms: {
+        include: {
+          beds: {
+            include: {
+              assignments: {
+                where: { releasedAt: null },
+                include: {
+                  encounter: {
+                    select: {
+                      id: true,
+                      admissionDate: true,
+                      patient: {
+                        select: {
+                          id: true,
+                          mrn: true,
+                          firstName: true,
+                          lastName: true,
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            orderBy: { label: "asc" },
+          },
+        },
+        orderBy: { name: "asc" },
+      },
+    },
+  });
+
+  if (!ward) {
+    throw new AppError("Ward not found", 404);
+  }
+
+  return {
+    ...ward,
+    occupancy: summarizeBeds(ward.rooms.flatMap((room) => room.beds)),
+  };
+}
+
+/**
+ * Create ward
+ * @param {Object} wardData - { departmentId, name, code, wardType }
+ * @returns {Promise<Object>} Created ward
+ */
+async function createWard(wardData) {
+  const department = await prisma.department.findUnique({
+    where: { id: wardData.departmentId },
+  });
+
+  if (!department) {
+    throw new AppError("Department not found", 404);
+  }
+
+  const code = String(wardData.code).trim().toUpperCase();
+
+  const existing = await prisma.ward.findUnique({ where: { code } });
+
+  if (existing) {
+    throw new AppError("Ward with this code already exists", 400);
+  }
+
+  return prisma.ward.create({
+    data: {
+      departmentId: wardData.departmentId,
+      name: String(wardData.name).trim(),
+      code,
+      wardType: wardData.wardType || null,
+    },
+  });
+}
+
+/**
+ * Update ward
+ * @param {string} wardId - Ward ID
+ * @param {Object} updateData - { name, wardType, isActive }
+ * @returns {Promise<Object>} Updated ward
+ */
+async function updateWard(wardId, updateData) {
+  const ward = await prisma.ward.findUnique({
+    where: { id: wardId },
+  });
+
+  if (!ward) {
+    throw new AppError("Ward not found", 404);
+  }
+
+  if (updateData.isActive === false) {
+    const occupied = await prisma.bed.count({
+      where: { wardId, status: "occupied" },
+    });
+
+    if (occupied > 0) {
+      throw new AppError("Cannot deactivate a ward with occupied beds", 409);
+    }
+  }
+
+  return prisma.ward.update({
+    where: { id: wardId },
+    data: {
+      name: updateData.name,
+      wardType: updateData.wardType,
+      isActive: updateData.isActive,
+    },
+  });
+}
+
+/**
+ * Add room to a ward
+ * @param {string} wardId - Ward ID
+ * @param {Object} roomData - { name }
+ * @returns {Promise<Object>} Created room
+ */
+async function createRoom(wardId, roomData) {
+  const ward = await prisma.ward.findUnique({
+    where: { id: wardId },
+  });
+
+  if (!ward) {
+    throw new AppError("Ward not found", 404);
+  }
+
+  const name = String(roomData.name).trim();
+
+  const existing = await prisma.room.findUnique({
+    where: { wardId_name: { wardId, name } },
+  });
+
+  if (existing) {
+    throw new AppError("Room with this name already exists in the ward", 400);
+  }
+
+  return prisma.room.create({
+    data: { wardId, name },
+  });
+}
+
+/**
+ * Add bed to a room
+ * @param {string} roomId - Room ID
+ * @param {Object} bedData - { label }
+ * @returns {Promise<Object>} Created bed
+ */
+async function createBed(roomId, bedData) {
+  const room = await prisma.room.findUnique({
+    where: { id: roomId },
+  });
+
+  if (!room) {
+    throw new AppError("Room not found", 404);
+  }
+
+  const label = String(bedData.label).trim();
+
+  const existing = await prisma.bed.findUnique({
+    where: { roomId_label: { roomId, label } },
+  });
+
+  if (existing) {
+    throw new AppError("Bed with this label already exists in the room", 400);
+  }
+
+  return prisma.bed.create({
+    data: { roomId, wardId: room.wardId, label },
+    include: bedInclude,
+  });
+}
+
+/**
+ * Update bed status (cleaned, out of service) or details
+ * Occupancy is only changed through assignments.
+ * @param {string} bedId - Bed ID
+ * @param {Object} updateData - { status, label, isActive }
+ * @returns {Promise<Object>} Updated bed
+ */
+async function updateBed(bedId, updateData) {
+  const bed = await prisma.bed.findUnique({
+    where: { id: bedId },
+  });
+
+  if (!bed) {
+    throw new AppError("Bed not found", 404);
+  }
+
+  if (updateData.status !== undefined) {
+    if (!BED_STATUSES.includes(updateData.status)) {
+      throw new AppError(
+        `Bed status must be one of: ${BED_STATUSES.join(", ")}`,
+        400
+      );
+    }
+
+    if (updateData.status === "occupied") {
+      throw new AppError("Beds are occupied by assigning an encounter", 400);
+    }
+  }
+
+  if (
+    bed.status === "occupied" &&
+    (updateData.status !== undefined || updateData.isActive === false)
+  ) {
+    throw new AppError("Bed is occupied; transfer or discharge first", 409);
+  }
+
+  return prisma.bed.update({
+    where: { id: bedId },
+    data: {
+      status: updateData.status,
+      label: updateData.label,
+      isActive: updateData.isActive,
+    },
+    include: bedInclude,
+  });
+}
+
+/**
+ * Get beds (e.g. available beds for admission)
+ * @param {Object} filters - { departmentId, wardId, status }
+ * @returns {Promise<Array>} Active beds
+ */
+async function getBeds(filters = {}) {
+  const where = {
+    isActive: true,
+    room: { isActive: true },
+    ward: { isActive: true },
+  };
+
+  if (filters.wardId) where.wardId = filters.wardId;
+  if (filters.departmentId) where.ward.departmentId = filters.departmentId;
+  if (filters.status) where.status = filters.status;
+
+  return prisma.bed.findMany({
+    where,
+    include: bedInclude,
+    orderBy: [{ wardId: "asc" }, { label: "asc" }],
+  });
+}
+
+// ============================================
+// BED ASSIGNMENT
+// ============================================
+
+/**
+ * Put an inpatient encounter in a bed
+ * The bed is claimed with a guarded update so two admissions cannot take
+ * the same bed.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} encounter - Encounter (id, encounterType, status)
+ * @param {string} bedId - Bed ID
+ * @param {string} userId - Assigning user ID
+ * @param {string} notes - Optional notes
+ * @returns {Promise<Object>} Created assignment
+ */
+async function occupyBed(db, encounter, bedId, userId, notes) {
+  if (encounter.encounterType !== "ipd") {
+    throw new AppError(
+      "Beds can only be assigned to inpatient encounters",
+      400
+    );
+  }
+
+  if (encounter.status === "closed") {
+    throw new AppError("Cannot assign a bed to a closed encounter", 400);
+  }
+
+  const bed = await db.bed.findUnique({
+    where: { id: bedId },
+    include: { room: true, ward: true },
+  });
+
+  if (!bed) {
+    throw new AppError("Bed not found", 404);
+  }
+
+  if (!bed.isActive || !bed.room.isActive || !bed.ward.isActive) {
+    throw new AppError("Bed is not in use", 400);
+  }
+
+  const { count } = await db.bed.updateMany({
+    where: { id: bedId, status: "available" },
+    data: { status: "occupied" },
+  });
+
+  if (count === 0) {
+    throw new AppError("Bed is not available", 409);
+  }
+
+  return db.bedAssignment.create({
+    data: {
+      encounterId: encounter.id,
+      bedId,
+      assignedBy: userId,
+      notes: notes || null,
+    },
+    include: assignmentInclude,
+  });
+}
+
+/**
+ * Release the encounter's current bed, if any
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} encounterId - Encounter ID
+ * @param {string} reason - transfer, discharge
+ * @returns {Promise<Object|null>} Released assignment
+ */
+async function releaseBed(db, encounterId, reason) {
+  const current = await db.bedAssignment.findFirst({
+    where: { encounterId, releasedAt: null },
+  });
+
+  if (!current) return null;
+
+  const released = await db.bedAssignment.update({
+    where: { id: current.id },
+    data: { releasedAt: new Date(), releaseReason: reason },
+  });
+
+  await db.bed.update({
+    where: { id: current.bedId },
+    data: {
+      status: reason === "transfer" ? "available" : BED_RELEASE_STATUS,
+    },
+  });
+
+  return released;
+}
+
+/**
+ * Assign a bed to an inpatient encounter, transferring the patient when
+ * they already have one
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} bedData - { bedId, notes }
+ * @param {string} userId - Assigning user ID
+ * @returns {Promise<Object>} New assignment
+ */
+async function assignBed(encounterId, bedData, userId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  const current = await prisma.bedAssignment.findFirst({
+    where: { encounterId, releasedAt: null },
+  });
+
+  if (current && current.bedId === bedData.bedId) {
+    throw new AppError("Patient is already in this bed", 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await releaseBed(tx, encounterId, "transfer");
+    return occupyBed(tx, encounter, bedData.bedId, userId, bedData.notes);
+  });
+}
+
+/**
+ * Get bed history for an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Object>} { current, history }
+ */
+async function getBedHistory(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    select: { id: true },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  const history = await prisma.bedAssignment.findMany({
+    where: { encounterId },
+    include: assignmentInclude,
+    orderBy: { assignedAt: "asc" },
+  });
+
+  return {
+    current: history.find((assignment) => !assignment.releasedAt) || null,
+    history,
+  };
+}
+
+module.exports = {
+  BED_STATUSES,
+  getWards,
+  getWardById,
+  createWard,
+  updateWard,
+  createRoom,
+  createBed,
+  updateBed,
+  getBeds,
+  occupyBed,
+  releaseBed,
+  assignBed,
+  getBedHistory,
+};
@@ -1,11 +1,121 @@
 // Clinical Note Service
 // Business logic for clinical documentation
 
+const crypto = require("crypto");
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
+const vitalSignService = require("./vitalSignService");
+
+/**
+ * Note lifecycle: draft -> signed (immutable); any note can be marked
+ * entered_in_error, which keeps its content for auditors
+ */
+const NOTE_STATUSES = ["draft", "signed", "entered_in_error"];
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
+
+// Addenda shown beneath their signed note, oldest first
+const addendaInclude = {
+  include: {
+    clinician: userSelect,
+    signer: userSelect,
+  },
+  orderBy: {
+    createdAt: "asc",
+  },
+};
+
+/**
+ * Helper: Fingerprint of the signed content, so later tampering with a
+ * signed note can be detected
+ */
+function computeSignatureHash(note, signedBy, signedAt) {
+  const content = JSON.stringify({
+    id: note.id,
+    encounterId: note.encounterId,
+    parentNoteId: note.parentNoteId || null,
+    noteType: note.noteType,
+    noteText: note.noteText,
+    vitals: note.vitals || null,
+    attachments: note.attachments || null,
+    signedBy,
+    signedAt: signedAt.toISOString(),
+  });
+
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Helper: Sign a draft note
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} note - Draft note
+ * @param {string} clinicianId - Signing clinician ID
+ * @param {Object} include - Relations to return
+ */
+async function applySignature(db, note, clinicianId, include) {
+  const signedAt = new Date();
+
+  // Only sign if the note is still a draft
+  const { count } = await db.clinicalNote.updateMany({
+    where: { id: note.id, status: "draft" },
+    data: {
+      status: "signed",
+      signedBy: clinicianId,
+      signedAt,
+      signatureHash: computeSignatureHash(note, clinicianId, signedAt),
+    },
+  });
+
+  if (count === 0) {
+    throw new AppError("Note was changed by someone else, please reload", 409);
+  }
+
+  return db.clinicalNote.findUnique({ where: { id: note.id }, include });
+}
+
+/**
+ * Helper: Load a note and reject anything but an editable draft
+ */
+async function getDraftNote(noteId, clinicianId) {
+  const note = await prisma.clinicalNote.findUnique({
+    where: { id: noteId },
+    include: {
+      encounter: true,
+    },
+  });
+
+  if (!note) {
+    throw new AppError("Clinical note not found", 404);
+  }
+
+  if (note.status === "signed") {
+    throw new AppError(
+      "Signed notes cannot be changed; add an addendum instead",
+      409
+    );
+  }
+
+  if (note.status === "entered_in_error") {
+    throw new AppError("Note was marked as entered in error", 409);
+  }
+
+  // Only the author may edit or sign their draft
+  if (note.clinicianId !== clinicianId) {
+    throw new AppError("You can only change your own notes", 403);
+  }
+
+  return note;
+}
 
 /**
  * Create clinical note
+ * Notes start as drafts; pass sign: true to sign on creation.
  * @param {Object} noteData - Note data
  * @param {string} clinicianId - Clinician user ID
  * @returns {Promise<Object>} Created note
@@ -34,54 +144,78 @@ async function createClinicalNote(noteData, clinicianId) {
     throw new AppError("Cannot add notes to closed encounter", 400);
   }
 
-  // Validate vitals if provided
-  if (noteData.vitals) {
-    validateVitals(noteData.vitals);
-  }
-
-  // Create clinical note
-  const clinicalNote = await prisma.clinicalNote.create({
-    data: {
-      encounterId: noteData.encounterId,
-      clinicianId: clinicianId,
-      noteType: noteData.noteType,
-      vitals: noteData.vitals || null,
-      noteText: noteData.noteText,
-      attachments: noteData.attachments || null,
-    },
-    include: {
-      clinician: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true,
-        },
+  // Validate vitals if provided; they are also stored as a time series
+  const vitals =
+    noteData.vitals && Object.keys(noteData.vitals).length > 0
+      ? vitalSignService.validateVitals(noteData.vitals).values
+      : null;
+
+  const include = {
+    clinician: {
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        email: true,
       },
-      encounter: {
-        select: {
-          id: true,
-          patient: {
-            select: {
-              mrn: true,
-              firstName: true,
-              lastName: true,
-            },
+    },
+    signer: userSelect,
+    encounter: {
+      select: {
+        id: true,
+        patient: {
+          select: {
+            mrn: true,
+            firstName: true,
+            lastName: true,
           },
         },
       },
     },
-  });
+  };
+
+  // Create clinical note
+  const { clinicalNote, vitalSignSet } = await prisma.$transaction(
+    async (tx) => {
+      const created = await tx.clinicalNote.create({
+        data: {
+          encounterId: noteData.encounterId,
+          clinicianId: clinicianId,
+          noteType: noteData.noteType,
+          vitals: vitals || undefined,
+          noteText: noteData.noteText,
+          attachments: noteData.attachments || null,
+        },
+        include,
+      });
+
+      return {
+        vitalSignSet: await vitalSignService.recordNoteVitals(
+          tx,
+          created,
+          clinicianId
+        ),
+        clinicalNote: noteData.sign
+          ? await applySignature(tx, created, clinicianId, include)
+          : created,
+      };
+    }
+  );
+
+  await vitalSignService.notifyDeterioration(vitalSignSet);
 
   return clinicalNote;
 }
 
 /**
  * Get clinical notes for an encounter
+ * Addenda are nested under the note they amend. Notes entered in error
+ * are left out unless requested.
  * @param {string} encounterId - Encounter ID
+ * @param {Object} options - { includeEnteredInError }
  * @returns {Promise<Array>} Clinical notes
  */
-async function getClinicalNotesByEncounter(encounterId) {
+async function getClinicalNotesByEncounter(encounterId, options = {}) {
   // Verify encounter exists
   const encounter = await prisma.encounter.findUnique({
     where: { id: encounterId },
@@ -91,8 +225,13 @@ async function getClinicalNotesByEncounter(encounterId) {
     throw new AppError("Encounter not found", 404);
   }
 
+  const statusFilter =
+    String(options.includeEnteredInError) === "true"
+      ? {}
+      : { status: { not: "entered_in_error" } };
+
   const notes = await prisma.clinicalNote.findMany({
-    where: { encounterId },
+    where: { encounterId, parentNoteId: null, ...statusFilter },
     include: {
       clinician: {
         select: {
@@ -102,6 +241,8 @@ async function getClinicalNotesByEncounter(encounterId) {
           email: true,
         },
       },
+      signer: userSelect,
+      addenda: { ...addendaInclude, where: statusFilter },
     },
     orderBy: {
       createdAt: "desc",
@@ -142,6 +283,17 @@ async function getClinicalNoteById(noteId) {
           department: true,
         },
       },
+      signer: userSelect,
+      enteredInErrorMarker: userSelect,
+      parentNote: {
+        select: {
+          id: true,
+          noteType: true,
+          status: true,
+          signedAt: true,
+        },
+      },
+      addenda: addendaInclude,
     },
   });
 
@@ -153,122 +305,215 @@ async function getClinicalNoteById(noteId) {
 }
 
 /**
- * Update clinical note
+ * Update a draft clinical note
+ * Signed notes are immutable; corrections go in addenda.
  * @param {string} noteId - Note ID
  * @param {Object} updateData - Update data
  * @param {string} clinicianId - Requesting clinician ID
  * @returns {Promise<Object>} Updated note
  */
 async function updateClinicalNote(noteId, updateData, clinicianId) {
-  // Get existing note
-  const existingNote = await prisma.clinicalNote.findUnique({
-    where: { id: noteId },
-    include: {
-      encounter: true,
-    },
-  });
-
-  if (!existingNote) {
-    throw new AppError("Clinical note not found", 404);
-  }
+  const existingNote = await getDraftNote(noteId, clinicianId);
 
   // Check if encounter is closed
   if (existingNote.encounter.status === "closed") {
     throw new AppError("Cannot update notes for closed encounter", 400);
   }
 
-  // Only the original clinician or admin can update
-  if (existingNote.clinicianId !== clinicianId) {
-    // Check if requester is admin (this check would be in middleware)
-    throw new AppError("You can only update your own notes", 403);
+  // Validate vitals if provided
+  const vitals =
+    updateData.vitals && Object.keys(updateData.vitals).length > 0
+      ? vitalSignService.validateVitals(updateData.vitals).values
+      : undefined;
+
+  // Update note (and re-record its vitals when they changed)
+  const { updatedNote, vitalSignSet } = await prisma.$transaction(
+    async (tx) => {
+      // Only update if the note is still the author's draft
+      const { count } = await tx.clinicalNote.updateMany({
+        where: { id: noteId, status: "draft", clinicianId },
+        data: {
+          noteText: updateData.noteText,
+          vitals,
+          attachments: updateData.attachments,
+        },
+      });
+
+      if (count === 0) {
+        throw new AppError(
+          "Note was changed by someone else, please reload",
+          409
+        );
+      }
+
+      const note = await tx.clinicalNote.findUnique({
+        where: { id: noteId },
+        include: {
+          clinician: {
+            select: {
+              firstName: true,
+              lastName: true,
+            },
+          },
+        },
+      });
+
+      return {
+        updatedNote: note,
+        vitalSignSet: vitals
+          ? await vitalSignService.recordNoteVitals(tx, note, clinicianId)
+          : null,
+      };
+    }
+  );
+
+  await vitalSignService.notifyDeterioration(vitalSignSet);
+
+  return updatedNote;
+}
+
+/**
+ * Sign a draft clinical note (makes it immutable)
+ * @param {string} noteId - Note ID
+ * @param {string} clinicianId - Signing clinician (the author)
+ * @returns {Promise<Object>} Signed note
+ */
+async function signClinicalNote(noteId, clinicianId) {
+  const note = await getDraftNote(noteId, clinicianId);
+
+  return applySignature(prisma, note, clinicianId, {
+    clinician: userSelect,
+    signer: userSelect,
+  });
+}
+
+/**
+ * Add an addendum to a signed note
+ * Allowed on closed encounters, since late corrections are what addenda
+ * are for.
+ * @param {string} noteId - Signed note being corrected
+ * @param {Object} addendumData - { noteText, attachments, sign }
+ * @param {string} clinicianId - Author of the addendum
+ * @returns {Promise<Object>} Created addendum
+ */
+async function addAddendum(noteId, addendumData, clinicianId) {
+  const parentNote = await prisma.clinicalNote.findUnique({
+    where: { id: noteId },
+  });
+
+  if (!parentNote) {
+    throw new AppError("Clinical note not found", 404);
   }
 
-  // Validate vitals if provided
-  if (updateData.vitals) {
-    validateVitals(updateData.vitals);
+  if (parentNote.parentNoteId) {
+    throw new AppError("Add the addendum to the original note", 400);
   }
 
-  // Update note
-  const updatedNote = await prisma.clinicalNote.update({
-    where: { id: noteId },
-    data: {
-      noteText: updateData.noteText,
-      vitals: updateData.vitals,
-      attachments: updateData.attachments,
-    },
-    include: {
-      clinician: {
-        select: {
-          firstName: true,
-          lastName: true,
-        },
+  if (parentNote.status !== "signed") {
+    throw new AppError(
+      parentNote.status === "draft"
+        ? "Draft notes can be edited directly; addenda are for signed notes"
+        : "Cannot add an addendum to a note entered in error",
+      400
+    );
+  }
+
+  const include = {
+    clinician: userSelect,
+    signer: userSelect,
+    parentNote: {
+      select: {
+        id: true,
+        noteType: true,
+        signedAt: true,
       },
     },
-  });
+  };
 
-  return updatedNote;
+  return prisma.$transaction(async (tx) => {
+    const addendum = await tx.clinicalNote.create({
+      data: {
+        encounterId: parentNote.encounterId,
+        clinicianId,
+        noteType: "addendum",
+        noteText: addendumData.noteText,
+        attachments: addendumData.attachments || null,
+        parentNoteId: parentNote.id,
+      },
+      include,
+    });
+
+    return addendumData.sign
+      ? applySignature(tx, addendum, clinicianId, include)
+      : addendum;
+  });
 }
 
 /**
- * Delete clinical note
+ * Mark a note as entered in error
+ * Replaces deletion: the note and its content stay in the record for
+ * auditors, flagged with who marked it, when and why.
  * @param {string} noteId - Note ID
- * @param {string} clinicianId - Requesting clinician ID
- * @returns {Promise<boolean>} Success status
+ * @param {string} reason - Why the note is in error
+ * @param {Object} user - Requesting user (id, roleName)
+ * @returns {Promise<Object>} Updated note
  */
-async function deleteClinicalNote(noteId, clinicianId) {
-  // Get existing note
-  const existingNote = await prisma.clinicalNote.findUnique({
+async function markEnteredInError(noteId, reason, user) {
+  const note = await prisma.clinicalNote.findUnique({
     where: { id: noteId },
   });
 
-  if (!existingNote) {
+  if (!note) {
     throw new AppError("Clinical note not found", 404);
   }
 
-  // Only the original clinician can delete (or admin via middleware)
-  if (existingNote.clinicianId !== clinicianId) {
-    throw new AppError("You can only delete your own notes", 403);
+  if (note.status === "entered_in_error") {
+    throw new AppError("Note is already marked as entered in error", 409);
   }
 
-  // Delete note
-  await prisma.clinicalNote.delete({
+  // Only the author (or admin) can retract a note
+  if (note.clinicianId !== user.id && user.roleName !== "admin") {
+    throw new AppError("You can only retract your own notes", 403);
+  }
+
+  if (!(reason && String(reason).trim())) {
+    throw new AppError("A reason is required", 400);
+  }
+
+  return prisma.clinicalNote.update({
     where: { id: noteId },
+    data: {
+      status: "entered_in_error",
+      enteredInErrorBy: user.id,
+      enteredInErrorAt: new Date(),
+      enteredInErrorReason: String(reason).trim(),
+    },
+    include: {
+      clinician: userSelect,
+      signer: userSelect,
+      enteredInErrorMarker: userSelect,
+    },
   });
-
-  return true;
 }
 
 /**
  * Get latest vitals for a patient
  * @param {string} patientId - Patient ID
- * @returns {Promise<Object|null>} Latest vitals
+ * @returns {Promise<Object|null>} Latest vitals with early warning score
  */
 async function getLatestVitals(patientId) {
-  const latestNote = await prisma.clinicalNote.findFirst({
-    where: {
-      encounter: {
-        patientId: patientId,
-      },
-      vitals: {
-        not: null,
-      },
-    },
-    orderBy: {
-      createdAt: "desc",
-    },
-    select: {
-      vitals: true,
-      createdAt: true,
-      clinician: {
-        select: {
-          firstName: true,
-          lastName: true,
-        },
-      },
-    },
-  });
+  const latest = await vitalSignService.getLatestVitals(patientId);
 
-  return latestNote;
+  if (!latest) return null;
+
+  return {
+    vitals: latest.vitals,
+    createdAt: latest.measuredAt,
+    clinician: latest.measurer,
+    scoreType: latest.scoreType,
+    score: latest.score,
+    risk: latest.risk,
+  };
 }
 
 /**
@@ -282,6 +527,7 @@ async function getNotesByType(encounterId, noteType) {
     where: {
       encounterId,
       noteType,
+      status: { not: "entered_in_error" },
     },
     include: {
       clinician: {
@@ -343,71 +589,13 @@ async function getClinicalNotesStatistics() {
   };
 }
 
-/**
- * Validate vitals data
- * @param {Object} vitals - Vitals object
- * @throws {AppError} If vitals are invalid
- */
-function validateVitals(vitals) {
-  const validFields = [
-    "bloodPressureSystolic",
-    "bloodPressureDiastolic",
-    "temperature",
-    "pulse",
-    "respiratoryRate",
-    "oxygenSaturation",
-    "weight",
-    "height",
-    "bmi",
-  ];
-
-  // Check if vitals is an object
-  if (typeof vitals !== "object" || vitals === null) {
-    throw new AppError("Vitals must be an object", 400);
-  }
-
-  // Validate ranges (basic validation)
-  if (vitals.bloodPressureSystolic) {
-    const bp = Number(vitals.bloodPressureSystolic);
-    if (bp < 50 || bp > 250) {
-      throw new AppError(
-        "Blood pressure systolic must be between 50 and 250",
-        400
-      );
-    }
-  }
-
-  if (vitals.temperature) {
-    const temp = Number(vitals.temperature);
-    if (temp < 30 || temp > 45) {
-      throw new AppError("Temperature must be between 30 and 45 Celsius", 400);
-    }
-  }
-
-  if (vitals.pulse) {
-    const pulse = Number(vitals.pulse);
-    if (pulse < 30 || pulse > 250) {
-      throw new AppError("Pulse must be between 30 and 250 bpm", 400);
-    }
-  }
-
-  if (vitals.oxygenSaturation) {
-    const spo2 = Number(vitals.oxygenSaturation);
-    if (spo2 < 50 || spo2 > 100) {
-      throw new AppError("Oxygen saturation must be between 50 and 100%", 400);
-    }
-  }
-
-  return true;
-}
-
 /**
  * Get all clinical notes with pagination and filters
  * @param {Object} filters - Filter parameters
  * @returns {Promise<Object>} Clinical notes with pagination
  */
 async function getAllClinicalNotes(filters = {}) {
-  const { noteType, page = 1, limit = 20 } = filters;
+  const { noteType, status, page = 1, limit = 20 } = filters;
 
   const pageNum = parseInt(page) || 1;
   const limitNum = parseInt(limit) || 20;
@@ -420,6 +608,10 @@ async function getAllClinicalNotes(filters = {}) {
     where.noteType = noteType;
   }
 
+  if (status) {
+    where.status = status;
+  }
+
   // Get total count
   const total = await prisma.clinicalNote.count({ where });
 
@@ -474,11 +666,14 @@ async function getAllClinicalNotes(filters = {}) {
 }
 
 module.exports = {
+  NOTE_STATUSES,
   createClinicalNote,
   getClinicalNotesByEncounter,
   getClinicalNoteById,
   updateClinicalNote,
-  deleteClinicalNote,
+  signClinicalNote,
+  addAddendum,
+  markEnteredInError,
   getLatestVitals,
   getNotesByType,
   getClinicalNotesStatistics,
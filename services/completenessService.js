@@ -0,0 +1,490 @@
+// Completeness Service
+// Weighted data completeness scorecard by field, department, registering
+// user and attending clinician, with daily snapshots for trend reporting
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  COMPLETENESS_FIELDS,
+  COMPLETENESS_WEIGHTS,
+  scoreFields,
+} = require("../utils/completenessModel");
+const {
+  DAY_MS,
+  parsePeriod,
+  parseGranularity,
+  startOfDay,
+  eachDay,
+  periodStart,
+  formatDate,
+} = require("../utils/kpiPeriods");
+
+const UNASSIGNED = "unassigned";
+
+/**
+ * Scorecard groupings: registrar groups patients, department and
+ * clinician group encounters
+ */
+const DIMENSIONS = {
+  department: { entity: "encounter", groupBy: "departmentId" },
+  registrar: { entity: "patient", groupBy: "registeredById" },
+  clinician: { entity: "encounter", groupBy: "attendingClinicianId" },
+};
+
+/**
+ * Helper: Record filters for a period (no dates = all time)
+ * Merged-away duplicates are not scored; with a department, patients are
+ * those with an encounter in it.
+ */
+function buildWhere(entity, { from, to, departmentId }) {
+  if (entity === "patient") {
+    const where = { mergedIntoId: null };
+    if (from) where.createdAt = { gte: from, lt: to };
+    if (departmentId) where.encounters = { some: { departmentId } };
+    return where;
+  }
+
+  const where = {};
+  if (from) where.admissionDate = { gte: from, lt: to };
+  if (departmentId) where.departmentId = departmentId;
+  return where;
+}
+
+/**
+ * Helper: Record and per-field counts for each group of a dimension
+ * @returns {Promise<Map>} groupId -> { records, fields: { key: counts } }
+ */
+async function countDimension(dimension, scope) {
+  const { entity, groupBy } = DIMENSIONS[dimension];
+  const where = buildWhere(entity, scope);
+
+  const count = async (filter) => {
+    const rows = await prisma[entity].groupBy({
+      by: [groupBy],
+      _count: true,
+      where: filter,
+    });
+    return new Map(rows.map((row) => [row[groupBy] || UNASSIGNED, row._count]));
+  };
+
+  const records = await count(where);
+  const groups = new Map(
+    [...records.entries()].map(([id, total]) => [
+      id,
+      { records: total, fields: {} },
+    ])
+  );
+
+  const keys = Object.keys(COMPLETENESS_FIELDS).filter(
+    (key) => COMPLETENESS_FIELDS[key].entity === entity
+  );
+
+  // One query at a time to keep database load predictable
+  for (const key of keys) {
+    const field = COMPLETENESS_FIELDS[key];
+    const applicableWhere = field.appliesTo
+      ? { AND: [where, field.appliesTo] }
+      : where;
+    const applicable = field.appliesTo ? await count(applicableWhere) : records;
+    const complete = await count({ AND: [applicableWhere, field.complete] });
+
+    groups.forEach((group, id) => {
+      group.fields[key] = {
+        applicable: applicable.get(id) || 0,
+        complete: complete.get(id) || 0,
+      };
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Helper: Sum field counts
+ */
+function sumFields(fieldCountsList) {
+  const totals = {};
+
+  fieldCountsList.forEach((fieldCounts) => {
+    Object.keys(fieldCounts).forEach((key) => {
+      if (!totals[key]) totals[key] = { applicable: 0, complete: 0 };
+      totals[key].applicable += fieldCounts[key].applicable;
+      totals[key].complete += fieldCounts[key].complete;
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Helper: Count every dimension for a scope
+ * Facility totals come from the department (encounters) and registrar
+ * (patients) groups, which between them cover every record once.
+ */
+async function countAll(scope) {
+  const groups = {};
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    groups[dimension] = await countDimension(dimension, scope);
+  }
+
+  const encounterGroups = [...groups.department.values()];
+  const patientGroups = [...groups.registrar.values()];
+
+  groups.facility = {
+    patients: patientGroups.reduce((sum, group) => sum + group.records, 0),
+    encounters: encounterGroups.reduce((sum, group) => sum + group.records, 0),
+    fields: sumFields(
+      [...patientGroups, ...encounterGroups].map((group) => group.fields)
+    ),
+  };
+
+  return groups;
+}
+
+/**
+ * Helper: Department and user names for group IDs
+ */
+async function getGroupLabels(groups) {
+  const known = (map) => [...map.keys()].filter((id) => id !== UNASSIGNED);
+
+  const [departments, users] = await Promise.all([
+    prisma.department.findMany({
+      where: { id: { in: known(groups.department) } },
+      select: { id: true, name: true, code: true },
+    }),
+    prisma.user.findMany({
+      where: {
+        id: { in: [...known(groups.registrar), ...known(groups.clinician)] },
+      },
+      select: { id: true, firstName: true, lastName: true },
+    }),
+  ]);
+
+  return {
+    departments: new Map(departments.map((d) => [d.id, d])),
+    users: new Map(users.map((u) => [u.id, `${u.firstName} ${u.lastName}`])),
+  };
+}
+
+/**
+ * Helper: Field breakdown with weights and percentages
+ */
+function describeFields(fieldCounts) {
+  return Object.keys(fieldCounts).map((key) => {
+    const { applicable, complete } = fieldCounts[key];
+
+    return {
+      key,
+      label: COMPLETENESS_FIELDS[key].label,
+      weight: COMPLETENESS_WEIGHTS[key],
+      applicable,
+      complete,
+      completenessPct:
+        applicable > 0 ? Math.round((complete / applicable) * 1000) / 10 : null,
+    };
+  });
+}
+
+/**
+ * Helper: Scorecard rows for a dimension, lowest score first
+ */
+function describeGroups(groups, describeId) {
+  return [...groups.entries()]
+    .map(([id, group]) => ({
+      ...describeId(id === UNASSIGNED ? null : id),
+      records: group.records,
+      score: scoreFields(group.fields),
+      fields: describeFields(group.fields),
+    }))
+    .sort((a, b) => {
+      if (a.score === null || b.score === null) {
+        return (a.score === null) - (b.score === null);
+      }
+      return a.score - b.score || b.records - a.records;
+    });
+}
+
+/**
+ * Get the completeness model (fields and effective weights)
+ * @returns {Array} [{ key, entity, label, weight, defaultWeight }]
+ */
+function getCompletenessModel() {
+  return Object.keys(COMPLETENESS_FIELDS).map((key) => ({
+    key,
+    entity: COMPLETENESS_FIELDS[key].entity,
+    label: COMPLETENESS_FIELDS[key].label,
+    weight: COMPLETENESS_WEIGHTS[key],
+    defaultWeight: COMPLETENESS_FIELDS[key].weight,
+  }));
+}
+
+/**
+ * Get the completeness scorecard for a period
+ * Patients are scored by registration date, encounters by admission date.
+ * @param {Object} filters - { from, to (default: last 30 days),
+ *   departmentId }
+ * @returns {Promise<Object>} { period, model, overall, byDepartment,
+ *   byRegistrar, byClinician }
+ */
+async function getCompletenessScorecard(filters = {}) {
+  const { from, to } = parsePeriod(filters, 30);
+  const groups = await countAll({
+    from,
+    to,
+    departmentId: filters.departmentId,
+  });
+  const labels = await getGroupLabels(groups);
+
+  const userRow = (fallback) => (id) => ({
+    userId: id,
+    name: id ? labels.users.get(id) || "Unknown user" : fallback,
+  });
+
+  return {
+    period: { from, to },
+    departmentId: filters.departmentId || null,
+    model: getCompletenessModel(),
+    overall: {
+      score: scoreFields(groups.facility.fields),
+      patients: groups.facility.patients,
+      encounters: groups.facility.encounters,
+      fields: describeFields(groups.facility.fields),
+    },
+    byDepartment: describeGroups(groups.department, (id) => {
+      const department = labels.departments.get(id) || {};
+      return {
+        departmentId: id,
+        departmentName: department.name || null,
+        departmentCode: department.code || null,
+      };
+    }),
+    byRegistrar: describeGroups(groups.registrar, userRow("Not recorded")),
+    byClinician: describeGroups(groups.clinician, userRow("Unassigned")),
+  };
+}
+
+/**
+ * Snapshot one day's completeness (replaces an existing snapshot)
+ * Scores the patients registered and encounters admitted that day as
+ * they stand now, so re-running for recent days picks up late
+ * documentation.
+ * @param {Date|string} date - Day to snapshot (default: yesterday)
+ * @returns {Promise<Object>} { snapshotDate, groups, facilityScore }
+ */
+async function createDailySnapshot(date) {
+  const snapshotDate = startOfDay(date ? new Date(date) : Date.now() - DAY_MS);
+
+  if (isNaN(snapshotDate.getTime())) {
+    throw new AppError("date must be a valid date", 400);
+  }
+  if (snapshotDate > new Date()) {
+    throw new AppError("Cannot snapshot a future date", 400);
+  }
+
+  const nextDay = new Date(snapshotDate);
+  nextDay.setDate(nextDay.getDate() + 1);
+
+  const groups = await countAll({ from: snapshotDate, to: nextDay });
+  const labels = await getGroupLabels(groups);
+
+  const row = (dimension, dimensionId, label, group) => ({
+    snapshotDate,
+    dimension,
+    dimensionId,
+    label,
+    records: group.records,
+    score: scoreFields(group.fields),
+    fields: group.fields,
+  });
+  const userLabel = (fallback) => (id) =>
+    id === UNASSIGNED ? fallback : labels.users.get(id) || "Unknown user";
+  const groupLabel = {
+    department: (id) =>
+      id === UNASSIGNED
+        ? "No department"
+        : (labels.departments.get(id) || {}).name || "Unknown department",
+    registrar: userLabel("Not recorded"),
+    clinician: userLabel("Unassigned"),
+  };
+
+  const facilityScore = scoreFields(groups.facility.fields);
+  const rows = [
+    row("facility", "facility", "Facility", {
+      records: groups.facility.patients + groups.facility.encounters,
+      fields: groups.facility.fields,
+    }),
+  ];
+  Object.keys(DIMENSIONS).forEach((dimension) => {
+    groups[dimension].forEach((group, id) => {
+      rows.push(row(dimension, id, groupLabel[dimension](id), group));
+    });
+  });
+
+  await prisma.$transaction([
+    prisma.completenessSnapshot.deleteMany({ where: { snapshotDate } }),
+    prisma.completenessSnapshot.createMany({ data: rows }),
+  ]);
+
+  return { snapshotDate, groups: rows.length, facilityScore };
+}
+
+/**
+ * Get completeness trend from daily snapshots
+ * Days are rolled up by summing field counts, so week/month scores are
+ * exact; scores use the current weights so periods stay comparable.
+ * @param {Object} filters - { from, to (default: last 365 days),
+ *   dimension (facility, department, registrar, clinician; default
+ *   facility), dimensionId, granularity (day, week, month; default month) }
+ * @returns {Promise<Object>} { period, dimension, granularity, series }
+ */
+async function getCompletenessTrend(filters = {}) {
+  const { from, to } = parsePeriod(filters, 365);
+  const dimension = filters.dimension || "facility";
+  const granularity = parseGranularity(filters.granularity, "month");
+
+  if (dimension !== "facility" && !DIMENSIONS[dimension]) {
+    throw new AppError(
+      `dimension must be one of: facility, ${Object.keys(DIMENSIONS).join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  const where = { dimension, snapshotDate: { gte: from, lte: to } };
+  if (filters.dimensionId) where.dimensionId = filters.dimensionId;
+
+  const snapshots = await prisma.completenessSnapshot.findMany({
+    where,
+    orderBy: { snapshotDate: "asc" },
+  });
+
+  const series = new Map();
+  snapshots.forEach((snapshot) => {
+    if (!series.has(snapshot.dimensionId)) {
+      series.set(snapshot.dimensionId, {
+        dimensionId: snapshot.dimensionId,
+        label: snapshot.label,
+        buckets: new Map(),
+      });
+    }
+    const entry = series.get(snapshot.dimensionId);
+    // Latest label wins (departments and users get renamed)
+    entry.label = snapshot.label;
+
+    const start = periodStart(snapshot.snapshotDate, granularity);
+    const key = start.getTime();
+    if (!entry.buckets.has(key)) {
+      entry.buckets.set(key, {
+        periodStart: start,
+        days: 0,
+        records: 0,
+        fields: [],
+      });
+    }
+    const bucket = entry.buckets.get(key);
+    bucket.days++;
+    bucket.records += snapshot.records;
+    bucket.fields.push(snapshot.fields);
+  });
+
+  return {
+    period: { from, to },
+    dimension,
+    granularity,
+    series: [...series.values()].map((entry) => ({
+      dimensionId: entry.dimensionId,
+      label: entry.label,
+      points: [...entry.buckets.values()].map((bucket) => {
+        const fields = sumFields(bucket.fields);
+        return {
+          periodStart: bucket.periodStart,
+          days: bucket.days,
+          records: bucket.records,
+          score: scoreFields(fields),
+          fields: describeFields(fields),
+        };
+      }),
+    })),
+  };
+}
+
+/**
+ * Get the weighted completeness score for a period
+ * Past days come from the daily snapshots (days without one are left
+ * out and reported as missing), today is counted live. With a
+ * department only encounter fields are scored, as department snapshots
+ * hold no patients.
+ * @param {Object} filters - { from, to, departmentId }
+ * @returns {Promise<Object>} { score (0-100 or null), missingDays }
+ */
+async function getPeriodScore(filters) {
+  const { from, to, departmentId } = filters;
+  const today = startOfDay(new Date());
+  const dimension = departmentId ? "department" : "facility";
+  const dimensionId = departmentId || "facility";
+  const pastDays = eachDay(from, to).filter((day) => day < today);
+  const fieldCounts = [];
+  let missingDays = [];
+
+  if (pastDays.length > 0) {
+    // A day is snapshotted once its facility row exists; department rows
+    // are only written for departments with records that day
+    const snapshots = await prisma.completenessSnapshot.findMany({
+      where: {
+        snapshotDate: {
+          gte: pastDays[0],
+          lte: pastDays[pastDays.length - 1],
+        },
+        OR: [{ dimension: "facility" }, { dimension, dimensionId }],
+      },
+      select: {
+        snapshotDate: true,
+        dimension: true,
+        dimensionId: true,
+        fields: true,
+      },
+    });
+    const have = new Set(
+      snapshots
+        .filter((snapshot) => snapshot.dimension === "facility")
+        .map((snapshot) => snapshot.snapshotDate.getTime())
+    );
+
+    missingDays = pastDays
+      .filter((day) => !have.has(day.getTime()))
+      .map(formatDate);
+    fieldCounts.push(
+      ...snapshots
+        .filter(
+          (snapshot) =>
+            snapshot.dimension === dimension &&
+            snapshot.dimensionId === dimensionId
+        )
+        .map((snapshot) => snapshot.fields)
+    );
+  }
+
+  if (to >= today) {
+    const groups = await countAll({
+      from: today,
+      to: new Date(),
+      departmentId,
+    });
+    fieldCounts.push(
+      departmentId
+        ? (groups.department.get(departmentId) || { fields: {} }).fields
+        : groups.facility.fields
+    );
+  }
+
+  return { score: scoreFields(sumFields(fieldCounts)), missingDays };
+}
+
+module.exports = {
+  getCompletenessModel,
+  getCompletenessScorecard,
+  getPeriodScore,
+  createDailySnapshot,
+  getCompletenessTrend,
+};
@@ -0,0 +1,513 @@
+// Critical Result Service
+// Notifies clinicians of critical results, tracks acknowledgement and
+// escalates unacknowledged alerts to the department lead. Each result
+// version raises its own alert; amendments close the earlier ones.
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * Minutes an alert may stay unacknowledged before escalation
+ */
+const ESCALATION_MINUTES =
+  parseInt(process.env.CRITICAL_RESULT_ESCALATION_MINUTES) || 30;
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
+
+const alertInclude = {
+  acknowledger: userSelect,
+  result: {
+    select: {
+      id: true,
+      resultType: true,
+      version: true,
+      criticalFlag: true,
+      analyteFlags: true,
+      createdAt: true,
+      technician: userSelect,
+      order: {
+        select: {
+          id: true,
+          testName: true,
+          priority: true,
+          clinician: userSelect,
+          encounter: {
+            select: {
+              id: true,
+              attendingClinician: userSelect,
+              department: { select: { id: true, name: true } },
+              patient: {
+                select: {
+                  id: true,
+                  mrn: true,
+                  firstName: true,
+                  lastName: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/**
+ * Helper: Load a result with everything needed for the alert message
+ */
+async function getResultForAlert(resultId) {
+  return prisma.result.findUnique({
+    where: { id: resultId },
+    include: {
+      order: {
+        include: {
+          encounter: {
+            include: {
+              patient: {
+                select: { mrn: true, firstName: true, lastName: true },
+              },
+              department: {
+                select: { id: true, name: true, leadId: true },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
+/**
+ * Helper: Summarize critical analytes for the message body
+ */
+function describeCriticalValues(result) {
+  const flags = result.analyteFlags || {};
+  const resultData = result.resultData || {};
+
+  const lines = Object.keys(flags)
+    .filter((key) => ["LL", "HH", "AA"].includes(flags[key].flag))
+    .map((key) => {
+      const entry = resultData[key];
+      const value =
+        entry && typeof entry === "object" && "value" in entry
+          ? entry.value
+          : entry;
+      const unit = flags[key].unit || (entry && entry.unit);
+
+      return `- ${key}: ${[value, unit].filter(Boolean).join(" ")} (${
+        flags[key].flag
+      })`;
+    });
+
+  return lines.length > 0 ? lines.join("\n") : "- See result for details";
+}
+
+/**
+ * Helper: Build message subject/body for a critical result
+ */
+function buildAlertMessage(result, escalation = false) {
+  const { order } = result;
+  const patient = order.encounter.patient;
+  const patientName = `${patient.firstName} ${patient.lastName}`;
+
+  const subject = `${escalation ? "ESCALATED: " : ""}Critical result: ${
+    order.testName
+  } - ${patient.mrn}`;
+
+  const body = [
+    escalation
+      ? `A critical result has not been acknowledged within ${ESCALATION_MINUTES} minutes.`
+      : "A critical result requires your attention.",
+    "",
+    `Patient: ${patientName} (${patient.mrn})`,
+    `Department: ${order.encounter.department.name}`,
+    `Test: ${order.testName}`,
+    "",
+    "Critical values:",
+    describeCriticalValues(result),
+    "",
+    `Please review and acknowledge the result (ID ${result.id}).`,
+  ].join("\n");
+
+  return { subject, body };
+}
+
+/**
+ * Helper: Send the alert message to each recipient
+ * @returns {Promise<Array>} Created message IDs
+ */
+async function sendAlertMessages(recipients, senderId, message) {
+  const messageIds = [];
+
+  for (const recipient of recipients) {
+    const created = await prisma.message.create({
+      data: {
+        senderId,
+        recipientId: recipient.userId,
+        subject: message.subject,
+        body: message.body,
+      },
+      select: { id: true },
+    });
+
+    messageIds.push(created.id);
+  }
+
+  return messageIds;
+}
+
+/**
+ * Helper: Keep only active users, one entry per user
+ */
+async function filterActiveRecipients(recipients) {
+  const ids = [...new Set(recipients.map((r) => r.userId).filter(Boolean))];
+
+  const activeUsers = await prisma.user.findMany({
+    where: { id: { in: ids }, isActive: true },
+    select: { id: true },
+  });
+  const activeIds = new Set(activeUsers.map((u) => u.id));
+
+  const seen = new Set();
+  return recipients.filter((recipient) => {
+    if (!activeIds.has(recipient.userId) || seen.has(recipient.userId)) {
+      return false;
+    }
+    seen.add(recipient.userId);
+    return true;
+  });
+}
+
+/**
+ * Helper: Close unacknowledged alerts raised for earlier result versions
+ * Their messages no longer need attention.
+ */
+async function closeSupersededAlerts(result) {
+  const superseded = await prisma.criticalResultAlert.findMany({
+    where: {
+      resultId: result.id,
+      resultVersion: { lt: result.version },
+      acknowledgedAt: null,
+      closedAt: null,
+    },
+    select: { id: true, messageIds: true },
+  });
+
+  if (superseded.length === 0) return;
+
+  await prisma.criticalResultAlert.updateMany({
+    where: { id: { in: superseded.map((alert) => alert.id) } },
+    data: {
+      closedAt: new Date(),
+      closedReason: result.criticalFlag
+        ? `Superseded by result version ${result.version}`
+        : `Result version ${result.version} is no longer critical`,
+    },
+  });
+
+  const messageIds = superseded.flatMap((alert) => alert.messageIds || []);
+
+  if (messageIds.length > 0) {
+    await prisma.message.updateMany({
+      where: { id: { in: messageIds }, isRead: false },
+      data: { isRead: true, readAt: new Date() },
+    });
+  }
+}
+
+/**
+ * Notify the ordering and attending clinicians of a critical result
+ * Called for every new result version: unacknowledged alerts of earlier
+ * versions are closed, and a critical version raises its own alert
+ * (once).
+ * @param {string} resultId - Result ID
+ * @returns {Promise<Object|null>} Alert for the current version
+ */
+async function notifyCriticalResult(resultId) {
+  const result = await getResultForAlert(resultId);
+
+  if (!result) {
+    return null;
+  }
+
+  await closeSupersededAlerts(result);
+
+  if (!result.criticalFlag) {
+    return null;
+  }
+
+  const existing = await prisma.criticalResultAlert.findUnique({
+    where: {
+      resultId_resultVersion: { resultId, resultVersion: result.version },
+    },
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  const recipients = await filterActiveRecipients([
+    { userId: result.order.orderingClinician, role: "ordering_clinician" },
+    {
+      userId: result.order.encounter.attendingClinicianId,
+      role: "attending_clinician",
+    },
+  ]);
+
+  const messageIds = await sendAlertMessages(
+    recipients,
+    result.enteredBy,
+    buildAlertMessage(result)
+  );
+
+  return prisma.criticalResultAlert.create({
+    data: {
+      resultId,
+      resultVersion: result.version,
+      notifiedUsers: recipients,
+      messageIds,
+    },
+  });
+}
+
+/**
+ * Acknowledge a critical result
+ * Acknowledges the open alert of the latest critical version. Notified
+ * clinicians, escalation recipients, the department lead and admins may
+ * acknowledge.
+ * @param {string} resultId - Result ID
+ * @param {Object} user - Acknowledging user (id, roleName)
+ * @param {string} note - Optional acknowledgement note (e.g. action taken)
+ * @returns {Promise<Object>} Updated alert
+ */
+async function acknowledgeCriticalResult(resultId, user, note) {
+  const alert = await prisma.criticalResultAlert.findFirst({
+    where: { resultId, closedAt: null },
+    orderBy: { resultVersion: "desc" },
+    include: {
+      result: {
+        select: {
+          order: {
+            select: {
+              encounter: {
+                select: { department: { select: { leadId: true } } },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!alert) {
+    throw new AppError(
+      "No open critical result alert found for this result",
+      404
+    );
+  }
+
+  if (alert.acknowledgedAt) {
+    throw new AppError("Critical result has already been acknowledged", 400);
+  }
+
+  const allowedUserIds = [
+    ...(alert.notifiedUsers || []),
+    ...(alert.escalatedTo || []),
+  ].map((recipient) => recipient.userId);
+
+  allowedUserIds.push(alert.result.order.encounter.department.leadId);
+
+  if (user.roleName !== "admin" && !allowedUserIds.includes(user.id)) {
+    throw new AppError(
+      "Only notified clinicians or the department lead can acknowledge this critical result",
+      403
+    );
+  }
+
+  // Guard against a concurrent acknowledgement or amendment
+  const { count } = await prisma.criticalResultAlert.updateMany({
+    where: { id: alert.id, acknowledgedAt: null, closedAt: null },
+    data: {
+      acknowledgedBy: user.id,
+      acknowledgedAt: new Date(),
+      acknowledgementNote: note || null,
+    },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      "Critical result alert was acknowledged or superseded meanwhile",
+      409
+    );
+  }
+
+  // The alert messages no longer need attention
+  if (Array.isArray(alert.messageIds) && alert.messageIds.length > 0) {
+    await prisma.message.updateMany({
+      where: { id: { in: alert.messageIds }, isRead: false },
+      data: { isRead: true, readAt: new Date() },
+    });
+  }
+
+  return prisma.criticalResultAlert.findUnique({
+    where: { id: alert.id },
+    include: alertInclude,
+  });
+}
+
+/**
+ * Escalate alerts still unacknowledged after the escalation timeout
+ * Escalates to the encounter department's lead, or to active admins
+ * when the department has no lead. Closed alerts and results that are
+ * no longer critical are skipped.
+ * @returns {Promise<Object>} { checked, escalated }
+ */
+async function escalateOverdueAlerts() {
+  const cutoff = new Date(Date.now() - ESCALATION_MINUTES * 60 * 1000);
+
+  const overdue = await prisma.criticalResultAlert.findMany({
+    where: {
+      acknowledgedAt: null,
+      escalatedAt: null,
+      closedAt: null,
+      notifiedAt: { lte: cutoff },
+      result: { criticalFlag: true },
+    },
+    select: { id: true, resultId: true, messageIds: true },
+  });
+
+  let escalated = 0;
+
+  for (const alert of overdue) {
+    const result = await getResultForAlert(alert.resultId);
+    const department = result.order.encounter.department;
+
+    let recipients = await filterActiveRecipients([
+      { userId: department.leadId, role: "department_lead" },
+    ]);
+
+    if (recipients.length === 0) {
+      const admins = await prisma.user.findMany({
+        where: { isActive: true, role: { name: "admin" } },
+        select: { id: true },
+      });
+      recipients = admins.map((admin) => ({ userId: admin.id, role: "admin" }));
+    }
+
+    const messageIds = await sendAlertMessages(
+      recipients,
+      result.enteredBy,
+      buildAlertMessage(result, true)
+    );
+
+    await prisma.criticalResultAlert.update({
+      where: { id: alert.id },
+      data: {
+        escalatedAt: new Date(),
+        escalatedTo: recipients,
+        messageIds: [...(alert.messageIds || []), ...messageIds],
+      },
+    });
+
+    escalated++;
+  }
+
+  return {
+    checked: overdue.length,
+    escalated,
+    escalationMinutes: ESCALATION_MINUTES,
+  };
+}
+
+/**
+ * Get critical result alerts for audit
+ * @param {Object} filters - { status: unacknowledged|acknowledged|closed|all,
+ *   departmentId, startDate, endDate, escalated, page, limit }
+ * @returns {Promise<Object>} Alerts with pagination and summary
+ */
+async function getCriticalResultAlerts(filters = {}) {
+  const {
+    status = "unacknowledged",
+    departmentId,
+    startDate,
+    endDate,
+    escalated,
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (status === "unacknowledged") {
+    where.acknowledgedAt = null;
+    where.closedAt = null;
+  } else if (status === "acknowledged") {
+    where.acknowledgedAt = { not: null };
+  } else if (status === "closed") {
+    where.closedAt = { not: null };
+  }
+
+  if (escalated === "true" || escalated === true) {
+    where.escalatedAt = { not: null };
+  }
+
+  if (departmentId) {
+    where.result = { order: { encounter: { departmentId } } };
+  }
+
+  if (startDate || endDate) {
+    where.notifiedAt = {};
+    if (startDate) where.notifiedAt.gte = new Date(startDate);
+    if (endDate) where.notifiedAt.lte = new Date(endDate);
+  }
+
+  const [total, alerts] = await Promise.all([
+    prisma.criticalResultAlert.count({ where }),
+    prisma.criticalResultAlert.findMany({
+      where,
+      skip,
+      take: limitNum,
+      include: alertInclude,
+      orderBy: { notifiedAt: "asc" },
+    }),
+  ]);
+
+  const now = new Date();
+
+  return {
+    alerts: alerts.map((alert) => ({
+      ...alert,
+      minutesToAcknowledge: alert.acknowledgedAt
+        ? Math.round((alert.acknowledgedAt - alert.notifiedAt) / 60000)
+        : null,
+      minutesOutstanding:
+        alert.acknowledgedAt || alert.closedAt
+          ? null
+          : Math.round((now - alert.notifiedAt) / 60000),
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+module.exports = {
+  ESCALATION_MINUTES,
+  notifyCriticalResult,
+  acknowledgeCriticalResult,
+  escalateOverdueAlerts,
+  getCriticalResultAlerts,
+};
@@ -0,0 +1,358 @@
+// Data Quality Rule Service
+// Runs the declarative data quality rules (utils/dataQualityRules.js),
+// raising and auto-resolving issues per entity and rule
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const { computeDueAt } = require("./dataQualityService");
+const { DATA_QUALITY_RULES } = require("../utils/dataQualityRules");
+
+const SEVERITIES = ["low", "medium", "high", "critical"];
+const ACTIVE_STATUSES = ["open", "in_progress"];
+const BATCH_SIZE = 500;
+
+// A run claim older than this is from a crashed scan and may be taken over
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+/**
+ * Helper: Ensure every rule has a settings row (new rules start enabled
+ * with their default severity)
+ */
+async function syncRuleSettings() {
+  await prisma.dataQualityRule.createMany({
+    data: Object.keys(DATA_QUALITY_RULES).map((code) => ({
+      code,
+      severity: DATA_QUALITY_RULES[code].severity,
+    })),
+    skipDuplicates: true,
+  });
+
+  const rows = await prisma.dataQualityRule.findMany({
+    where: { code: { in: Object.keys(DATA_QUALITY_RULES) } },
+  });
+
+  return new Map(rows.map((row) => [row.code, row]));
+}
+
+/**
+ * Helper: Rule definition merged with its settings
+ */
+function describeRule(code, settings) {
+  const definition = DATA_QUALITY_RULES[code];
+
+  return {
+    code,
+    name: definition.name,
+    description: definition.description,
+    entityType: definition.entityType,
+    issueType: definition.issueType,
+    isEnabled: settings.isEnabled,
+    severity: settings.severity,
+    defaultSeverity: definition.severity,
+    params: { ...definition.params, ...(settings.params || {}) },
+    defaultParams: definition.params,
+    lastRunAt: settings.lastRunAt,
+    lastRunSummary: settings.lastRunSummary,
+    runStartedAt: settings.runStartedAt,
+    updatedAt: settings.updatedAt,
+  };
+}
+
+/**
+ * Helper: Get rule definition or 404
+ */
+function getDefinition(code) {
+  const definition = DATA_QUALITY_RULES[code];
+
+  if (!definition) {
+    throw new AppError(`Unknown data quality rule ${code}`, 404);
+  }
+
+  return definition;
+}
+
+/**
+ * Get scanner rules with their settings and active issue counts
+ * @returns {Promise<Array>} Rules
+ */
+async function getRules() {
+  const settings = await syncRuleSettings();
+
+  const counts = await prisma.dataQualityIssue.groupBy({
+    by: ["ruleViolated"],
+    _count: true,
+    where: {
+      ruleViolated: { in: Object.keys(DATA_QUALITY_RULES) },
+      status: { in: ACTIVE_STATUSES },
+    },
+  });
+  const activeIssues = new Map(
+    counts.map((item) => [item.ruleViolated, item._count])
+  );
+
+  return Object.keys(DATA_QUALITY_RULES).map((code) => ({
+    ...describeRule(code, settings.get(code)),
+    activeIssues: activeIssues.get(code) || 0,
+  }));
+}
+
+/**
+ * Get a scanner rule
+ * @param {string} code - Rule code
+ * @returns {Promise<Object>} Rule
+ */
+async function getRule(code) {
+  getDefinition(code);
+  const settings = await syncRuleSettings();
+
+  return describeRule(code, settings.get(code));
+}
+
+/**
+ * Enable/disable a rule, set its severity or thresholds
+ * Severity applies to issues raised from now on.
+ * @param {string} code - Rule code
+ * @param {Object} updateData - { isEnabled, severity, params }
+ * @param {string} userId - Updating user ID
+ * @returns {Promise<Object>} Updated rule
+ */
+async function updateRule(code, updateData, userId) {
+  const definition = getDefinition(code);
+  const settings = await syncRuleSettings();
+  const current = settings.get(code);
+  const data = { updatedBy: userId };
+
+  if (updateData.isEnabled !== undefined) {
+    data.isEnabled = Boolean(updateData.isEnabled);
+  }
+
+  if (updateData.severity !== undefined) {
+    if (!SEVERITIES.includes(updateData.severity)) {
+      throw new AppError(
+        `Severity must be one of: ${SEVERITIES.join(", ")}`,
+        400
+      );
+    }
+    data.severity = updateData.severity;
+  }
+
+  if (updateData.params !== undefined) {
+    const params = updateData.params || {};
+    const errors = Object.keys(params)
+      .map((key) => {
+        if (!(key in definition.params)) {
+          return `Unknown parameter ${key}`;
+        }
+        const value = Number(params[key]);
+        return Number.isFinite(value) && value > 0
+          ? null
+          : `${key} must be a positive number`;
+      })
+      .filter(Boolean);
+
+    if (errors.length > 0) {
+      throw new AppError("Invalid rule parameters", 400, errors);
+    }
+
+    data.params = {
+      ...(current.params || {}),
+      ...Object.fromEntries(
+        Object.keys(params).map((key) => [key, Number(params[key])])
+      ),
+    };
+  }
+
+  const updated = await prisma.dataQualityRule.update({
+    where: { code },
+    data,
+  });
+
+  return describeRule(code, updated);
+}
+
+/**
+ * Run one rule: raise an issue for each new violating entity and
+ * auto-resolve active issues whose entity no longer violates the rule.
+ * Entities with a dismissed issue for the rule are not raised again.
+ * The rule is claimed in the database for the run, so overlapping scans
+ * (cron and API) cannot raise the same issues twice.
+ * @param {string} code - Rule code
+ * @param {Object} settings - Rule settings row
+ * @param {string} creatorId - User recorded as issue creator
+ * @returns {Promise<Object|null>} Run summary, null if already running
+ */
+async function runRule(code, settings, creatorId) {
+  const now = new Date();
+
+  const { count } = await prisma.dataQualityRule.updateMany({
+    where: {
+      code,
+      OR: [
+        { runStartedAt: null },
+        { runStartedAt: { lt: new Date(now.getTime() - STALE_RUN_MS) } },
+      ],
+    },
+    data: { runStartedAt: now },
+  });
+
+  if (count === 0) {
+    return null;
+  }
+
+  try {
+    return await applyRule(code, settings, creatorId, now);
+  } finally {
+    await prisma.dataQualityRule.updateMany({
+      where: { code, runStartedAt: now },
+      data: { runStartedAt: null },
+    });
+  }
+}
+
+/**
+ * Helper: Raise and auto-resolve issues for a claimed rule
+ */
+async function applyRule(code, settings, creatorId, now) {
+  const definition = DATA_QUALITY_RULES[code];
+  const params = { ...definition.params, ...(settings.params || {}) };
+
+  const violations = await definition.find(prisma, params, now);
+
+  // Issues raised under an earlier entity type of the rule are included
+  // so they are auto-resolved
+  const existing = await prisma.dataQualityIssue.findMany({
+    where: {
+      ruleViolated: code,
+      status: { in: [...ACTIVE_STATUSES, "dismissed"] },
+    },
+    select: { id: true, entityId: true, status: true },
+  });
+
+  const active = new Map();
+  const dismissed = new Set();
+  existing.forEach((issue) => {
+    if (issue.status === "dismissed") {
+      dismissed.add(issue.entityId);
+    } else {
+      active.set(issue.entityId, issue);
+    }
+  });
+
+  const violatingIds = new Set(violations.map((v) => v.entityId));
+  const toCreate = violations.filter(
+    (v) => !active.has(v.entityId) && !dismissed.has(v.entityId)
+  );
+  const toResolve = [...active.entries()]
+    .filter(([entityId]) => !violatingIds.has(entityId))
+    .map(([, issue]) => issue);
+
+  for (let i = 0; i < toCreate.length; i += BATCH_SIZE) {
+    await prisma.dataQualityIssue.createMany({
+      data: toCreate.slice(i, i + BATCH_SIZE).map((violation) => ({
+        issueType: definition.issueType,
+        severity: settings.severity,
+        entityType: definition.entityType,
+        entityId: violation.entityId,
+        description: violation.description,
+        ruleViolated: code,
+        departmentId: violation.departmentId || null,
+        dueAt: computeDueAt(settings.severity, now),
+        status: "open",
+        createdBy: creatorId,
+      })),
+    });
+  }
+
+  if (toResolve.length > 0) {
+    const resolution = `Auto-resolved: no longer violates rule ${code}`;
+
+    for (let i = 0; i < toResolve.length; i += BATCH_SIZE) {
+      const batch = toResolve.slice(i, i + BATCH_SIZE);
+
+      await prisma.$transaction([
+        prisma.dataQualityIssue.updateMany({
+          where: {
+            id: { in: batch.map((issue) => issue.id) },
+            status: { in: ACTIVE_STATUSES },
+          },
+          data: { status: "resolved", resolution, resolvedAt: now },
+        }),
+        prisma.dataQualityIssueActivity.createMany({
+          data: batch.map((issue) => ({
+            issueId: issue.id,
+            actorId: null,
+            activityType: "status_change",
+            fromValue: issue.status,
+            toValue: "resolved",
+            comment: resolution,
+          })),
+        }),
+      ]);
+    }
+  }
+
+  const skippedDismissed = violations.filter(
+    (v) => !active.has(v.entityId) && dismissed.has(v.entityId)
+  ).length;
+
+  const summary = {
+    violations: violations.length,
+    created: toCreate.length,
+    alreadyOpen: violations.length - toCreate.length - skippedDismissed,
+    skippedDismissed,
+    autoResolved: toResolve.length,
+    durationMs: Date.now() - now.getTime(),
+  };
+
+  await prisma.dataQualityRule.update({
+    where: { code },
+    data: { lastRunAt: now, lastRunSummary: summary },
+  });
+
+  return summary;
+}
+
+/**
+ * Run the scanner
+ * @param {string} creatorId - User recorded as issue creator
+ * @param {Object} options - { rules: [codes] } (all enabled rules by
+ *   default; naming a disabled rule is an error)
+ * @returns {Promise<Object>} { ranAt, rules: [{ code, ...summary }] }
+ */
+async function runRules(creatorId, options = {}) {
+  const settings = await syncRuleSettings();
+  let codes;
+
+  if (options.rules && options.rules.length > 0) {
+    codes = [].concat(options.rules);
+    codes.forEach((code) => {
+      getDefinition(code);
+      if (!settings.get(code).isEnabled) {
+        throw new AppError(`Data quality rule ${code} is disabled`, 400);
+      }
+    });
+  } else {
+    codes = Object.keys(DATA_QUALITY_RULES).filter(
+      (code) => settings.get(code).isEnabled
+    );
+  }
+
+  const ranAt = new Date();
+  const rules = [];
+
+  // Rules run one after another to keep database load predictable;
+  // rules another scan is still running are skipped
+  for (const code of codes) {
+    const summary = await runRule(code, settings.get(code), creatorId);
+    rules.push(summary ? { code, ...summary } : { code, alreadyRunning: true });
+  }
+
+  return { ranAt, rules };
+}
+
+module.exports = {
+  getRules,
+  getRule,
+  updateRule,
+  runRules,
+};
@@ -3,14 +3,126 @@
 
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
+const {
+  recordActivities,
+  getTimeline,
+} = require("./dataQualityActivityService");
+const {
+  scorePatientMatch,
+  soundex,
+  normalizePhone,
+  MATCH_THRESHOLDS,
+} = require("../utils/patientMatcher");
+
+const ACTIVE_STATUSES = ["open", "in_progress"];
+
+/**
+ * Duplicate pairs with an issue in these statuses are not raised again
+ * (a dismissed pair was reviewed and judged not to be a duplicate)
+ */
+const DUPLICATE_SKIP_STATUSES = [...ACTIVE_STATUSES, "dismissed"];
+
+/**
+ * SLA targets (hours to resolve) by severity
+ * DATA_QUALITY_SLA_HOURS overrides them, e.g. "critical:4,high:24"
+ */
+const SLA_HOURS = {
+  critical: 4,
+  high: 24,
+  medium: 72,
+  low: 168,
+  ...Object.fromEntries(
+    (process.env.DATA_QUALITY_SLA_HOURS || "")
+      .split(",")
+      .map((entry) => entry.split(":").map((part) => part.trim()))
+      .filter(([severity, hours]) => severity && parseFloat(hours) > 0)
+      .map(([severity, hours]) => [severity, parseFloat(hours)])
+  ),
+};
+
+/**
+ * Overdue issues escalate to this user (falls back to active admins)
+ */
+const DATA_QUALITY_LEAD_EMAIL = process.env.DATA_QUALITY_LEAD_EMAIL || null;
+
+/**
+ * Compute the SLA due date for an issue
+ * @param {string} severity - Issue severity
+ * @param {Date} from - When the SLA clock started (issue creation)
+ * @returns {Date|null} Due date (null for unknown severities)
+ */
+function computeDueAt(severity, from = new Date()) {
+  const hours = SLA_HOURS[severity];
+  if (!hours) return null;
+  return new Date(new Date(from).getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Find the department an issue belongs to from its entity
+ * Patient-level issues have no department.
+ * @param {string} entityType - encounter, order, result, clinical_note,
+ *   vital_sign_set, ...
+ * @param {string} entityId - Entity ID
+ * @returns {Promise<string|null>} Department ID
+ */
+async function resolveIssueDepartment(entityType, entityId) {
+  const departmentOf = (encounter) =>
+    encounter ? encounter.departmentId : null;
+  const encounterSelect = { select: { departmentId: true } };
+
+  switch (entityType) {
+    case "encounter":
+      return departmentOf(
+        await prisma.encounter.findUnique({
+          where: { id: entityId },
+          select: { departmentId: true },
+        })
+      );
+    case "order": {
+      const order = await prisma.order.findUnique({
+        where: { id: entityId },
+        select: { encounter: encounterSelect },
+      });
+      return departmentOf(order && order.encounter);
+    }
+    case "result": {
+      const result = await prisma.result.findUnique({
+        where: { id: entityId },
+        select: { order: { select: { encounter: encounterSelect } } },
+      });
+      return departmentOf(result && result.order.encounter);
+    }
+    case "clinical_note": {
+      const note = await prisma.clinicalNote.findUnique({
+        where: { id: entityId },
+        select: { encounter: encounterSelect },
+      });
+      return departmentOf(note && note.encounter);
+    }
+    case "vital_sign_set": {
+      const set = await prisma.vitalSignSet.findUnique({
+        where: { id: entityId },
+        select: { encounter: encounterSelect },
+      });
+      return departmentOf(set && set.encounter);
+    }
+    default:
+      return null;
+  }
+}
 
 /**
- * Create data quality issue
+ * Create data quality issue (due date from the severity's SLA)
  * @param {Object} issueData - Issue data
  * @param {string} creatorId - User creating the issue
  * @returns {Promise<Object>} Created issue
  */
 async function createIssue(issueData, creatorId) {
+  const departmentId = await resolveIssueDepartment(
+    issueData.entityType,
+    issueData.entityId
+  );
+
   const issue = await prisma.dataQualityIssue.create({
     data: {
       issueType: issueData.issueType,
@@ -19,6 +131,8 @@ async function createIssue(issueData, creatorId) {
       entityId: issueData.entityId,
       description: issueData.description,
       ruleViolated: issueData.ruleViolated || null,
+      departmentId,
+      dueAt: computeDueAt(issueData.severity),
       status: "open",
       createdBy: creatorId,
       assignedTo: issueData.assignedTo || null,
@@ -51,7 +165,7 @@ async function createIssue(issueData, creatorId) {
 /**
  * Get issue by ID
  * @param {string} issueId - Issue ID
- * @returns {Promise<Object>} Issue details
+ * @returns {Promise<Object>} Issue details with activity timeline
  */
 async function getIssueById(issueId) {
   const issue = await prisma.dataQualityIssue.findUnique({
@@ -59,6 +173,7 @@ async function getIssueById(issueId) {
     include: {
       creator: {
         select: {
+          id: true,
           firstName: true,
           lastName: true,
           email: true,
@@ -78,7 +193,9 @@ async function getIssueById(issueId) {
     throw new AppError("Data quality issue not found", 404);
   }
 
-  return issue;
+  const timeline = await getTimeline(issue);
+
+  return { ...issue, timeline };
 }
 
 /**
@@ -93,6 +210,7 @@ async function getIssues(filters) {
     issueType,
     entityType,
     assignedTo,
+    ruleViolated,
     page = 1,
     limit = 20,
   } = filters;
@@ -122,6 +240,10 @@ async function getIssues(filters) {
     where.assignedTo = assignedTo;
   }
 
+  if (ruleViolated) {
+    where.ruleViolated = ruleViolated;
+  }
+
   // Get total count
   const total = await prisma.dataQualityIssue.count({ where });
 
@@ -165,9 +287,10 @@ async function getIssues(filters) {
  * Update issue
  * @param {string} issueId - Issue ID
  * @param {Object} updateData - Update data
+ * @param {string} actorId - Updating user ID
  * @returns {Promise<Object>} Updated issue
  */
-async function updateIssue(issueId, updateData) {
+async function updateIssue(issueId, updateData, actorId) {
   const existingIssue = await prisma.dataQualityIssue.findUnique({
     where: { id: issueId },
   });
@@ -176,21 +299,56 @@ async function updateIssue(issueId, updateData) {
     throw new AppError("Data quality issue not found", 404);
   }
 
-  const updatedIssue = await prisma.dataQualityIssue.update({
-    where: { id: issueId },
-    data: {
-      severity: updateData.severity,
-      description: updateData.description,
-      assignedTo: updateData.assignedTo,
-    },
-    include: {
-      assignee: {
-        select: {
-          firstName: true,
-          lastName: true,
+  // A new severity moves the due date (SLA clock still runs from creation)
+  const severityChanged =
+    updateData.severity !== undefined &&
+    updateData.severity !== existingIssue.severity;
+  const dueAt = severityChanged
+    ? computeDueAt(updateData.severity, existingIssue.createdAt)
+    : undefined;
+
+  const activities = [];
+  if (severityChanged) {
+    activities.push({
+      activityType: "severity_change",
+      fromValue: existingIssue.severity,
+      toValue: updateData.severity,
+    });
+  }
+  if (
+    updateData.assignedTo !== undefined &&
+    (updateData.assignedTo || null) !== existingIssue.assignedTo
+  ) {
+    activities.push({
+      activityType: "assignment",
+      fromValue: existingIssue.assignedTo,
+      toValue: updateData.assignedTo || null,
+    });
+  }
+
+  const updatedIssue = await prisma.$transaction(async (tx) => {
+    const updated = await tx.dataQualityIssue.update({
+      where: { id: issueId },
+      data: {
+        severity: updateData.severity,
+        description: updateData.description,
+        assignedTo: updateData.assignedTo,
+        dueAt,
+        ...(severityChanged && dueAt > new Date() && { escalatedAt: null }),
+      },
+      include: {
+        assignee: {
+          select: {
+            firstName: true,
+            lastName: true,
+          },
         },
       },
-    },
+    });
+
+    await recordActivities(tx, issueId, actorId, activities);
+
+    return updated;
   });
 
   return updatedIssue;
@@ -198,11 +356,13 @@ async function updateIssue(issueId, updateData) {
 
 /**
  * Assign issue to user
+ * Issues raised before SLA tracking get their due date here.
  * @param {string} issueId - Issue ID
  * @param {string} userId - User to assign to
+ * @param {string} actorId - Assigning user ID
  * @returns {Promise<Object>} Updated issue
  */
-async function assignIssue(issueId, userId) {
+async function assignIssue(issueId, userId, actorId) {
   const issue = await prisma.dataQualityIssue.findUnique({
     where: { id: issueId },
   });
@@ -220,21 +380,44 @@ async function assignIssue(issueId, userId) {
     throw new AppError("User not found", 404);
   }
 
-  const updatedIssue = await prisma.dataQualityIssue.update({
-    where: { id: issueId },
-    data: {
-      assignedTo: userId,
-      status: "in_progress",
-    },
-    include: {
-      assignee: {
-        select: {
-          firstName: true,
-          lastName: true,
-          email: true,
+  const activities = [];
+  if (issue.assignedTo !== userId) {
+    activities.push({
+      activityType: "assignment",
+      fromValue: issue.assignedTo,
+      toValue: userId,
+    });
+  }
+  if (issue.status !== "in_progress") {
+    activities.push({
+      activityType: "status_change",
+      fromValue: issue.status,
+      toValue: "in_progress",
+    });
+  }
+
+  const updatedIssue = await prisma.$transaction(async (tx) => {
+    const updated = await tx.dataQualityIssue.update({
+      where: { id: issueId },
+      data: {
+        assignedTo: userId,
+        status: "in_progress",
+        dueAt: issue.dueAt || computeDueAt(issue.severity, issue.createdAt),
+      },
+      include: {
+        assignee: {
+          select: {
+            firstName: true,
+            lastName: true,
+            email: true,
+          },
         },
       },
-    },
+    });
+
+    await recordActivities(tx, issueId, actorId, activities);
+
+    return updated;
   });
 
   return updatedIssue;
@@ -244,9 +427,10 @@ async function assignIssue(issueId, userId) {
  * Resolve issue
  * @param {string} issueId - Issue ID
  * @param {string} resolution - Resolution notes
+ * @param {string} actorId - Resolving user ID
  * @returns {Promise<Object>} Resolved issue
  */
-async function resolveIssue(issueId, resolution) {
+async function resolveIssue(issueId, resolution, actorId) {
   const issue = await prisma.dataQualityIssue.findUnique({
     where: { id: issueId },
   });
@@ -259,13 +443,26 @@ async function resolveIssue(issueId, resolution) {
     throw new AppError("Issue is already resolved", 400);
   }
 
-  const resolvedIssue = await prisma.dataQualityIssue.update({
-    where: { id: issueId },
-    data: {
-      status: "resolved",
-      resolution: resolution,
-      resolvedAt: new Date(),
-    },
+  const resolvedIssue = await prisma.$transaction(async (tx) => {
+    const updated = await tx.dataQualityIssue.update({
+      where: { id: issueId },
+      data: {
+        status: "resolved",
+        resolution: resolution,
+        resolvedAt: new Date(),
+      },
+    });
+
+    await recordActivities(tx, issueId, actorId, [
+      {
+        activityType: "status_change",
+        fromValue: issue.status,
+        toValue: "resolved",
+        comment: resolution,
+      },
+    ]);
+
+    return updated;
   });
 
   return resolvedIssue;
@@ -275,9 +472,10 @@ async function resolveIssue(issueId, resolution) {
  * Dismiss issue
  * @param {string} issueId - Issue ID
  * @param {string} reason - Dismissal reason
+ * @param {string} actorId - Dismissing user ID
  * @returns {Promise<Object>} Dismissed issue
  */
-async function dismissIssue(issueId, reason) {
+async function dismissIssue(issueId, reason, actorId) {
   const issue = await prisma.dataQualityIssue.findUnique({
     where: { id: issueId },
   });
@@ -286,13 +484,26 @@ async function dismissIssue(issueId, reason) {
     throw new AppError("Data quality issue not found", 404);
   }
 
-  const dismissedIssue = await prisma.dataQualityIssue.update({
-    where: { id: issueId },
-    data: {
-      status: "dismissed",
-      resolution: reason,
-      resolvedAt: new Date(),
-    },
+  const dismissedIssue = await prisma.$transaction(async (tx) => {
+    const updated = await tx.dataQualityIssue.update({
+      where: { id: issueId },
+      data: {
+        status: "dismissed",
+        resolution: reason,
+        resolvedAt: new Date(),
+      },
+    });
+
+    await recordActivities(tx, issueId, actorId, [
+      {
+        activityType: "status_change",
+        fromValue: issue.status,
+        toValue: "dismissed",
+        comment: reason,
+      },
+    ]);
+
+    return updated;
   });
 
   return dismissedIssue;
@@ -312,6 +523,7 @@ async function getIssueStatistics() {
     severityDistribution,
     typeDistribution,
     avgResolutionTime,
+    sla,
   ] = await Promise.all([
     prisma.dataQualityIssue.count(),
     prisma.dataQualityIssue.count({ where: { status: "open" } }),
@@ -338,6 +550,7 @@ async function getIssueStatistics() {
       },
     }),
     calculateAvgResolutionTime(),
+    calculateSlaCompliance(),
   ]);
 
   return {
@@ -355,19 +568,187 @@ async function getIssueStatistics() {
       count: item._count,
     })),
     avgResolutionTimeHours: avgResolutionTime,
+    sla,
   };
 }
 
 /**
- * Get my assigned issues
+ * Get the overdue queue (active issues past their SLA due date)
+ * @param {Object} filters - { severity, assignedTo, departmentId,
+ *   issueType, page, limit }
+ * @returns {Promise<Object>} Issues (most overdue first) with pagination
+ */
+async function getOverdueIssues(filters = {}) {
+  const {
+    severity,
+    assignedTo,
+    departmentId,
+    issueType,
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+  const now = new Date();
+
+  const where = {
+    status: { in: ACTIVE_STATUSES },
+    dueAt: { lt: now },
+  };
+
+  if (severity) where.severity = severity;
+  if (issueType) where.issueType = issueType;
+  if (departmentId) where.departmentId = departmentId;
+  if (assignedTo === "unassigned") {
+    where.assignedTo = null;
+  } else if (assignedTo) {
+    where.assignedTo = assignedTo;
+  }
+
+  const [total, issues] = await Promise.all([
+    prisma.dataQualityIssue.count({ where }),
+    prisma.dataQualityIssue.findMany({
+      where,
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum,
+      include: {
+        assignee: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+        department: { select: { id: true, name: true } },
+      },
+      orderBy: [{ dueAt: "asc" }, { severity: "desc" }],
+    }),
+  ]);
+
+  return {
+    issues: issues.map((issue) => ({
+      ...issue,
+      hoursOverdue:
+        Math.round(((now - issue.dueAt) / (1000 * 60 * 60)) * 10) / 10,
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Escalate overdue issues to the data quality lead
+ * Sends each recipient one in-app message listing the newly overdue
+ * issues; every issue is escalated once. Goes to DATA_QUALITY_LEAD_EMAIL,
+ * or to active admins when no active lead is configured.
+ * @param {string} senderId - User the messages are sent from
+ * @returns {Promise<Object>} { checked, escalated, recipients }
+ */
+async function escalateOverdueIssues(senderId) {
+  const now = new Date();
+
+  const overdue = await prisma.dataQualityIssue.findMany({
+    where: {
+      status: { in: ACTIVE_STATUSES },
+      dueAt: { lt: now },
+      escalatedAt: null,
+    },
+    include: {
+      assignee: { select: { firstName: true, lastName: true } },
+    },
+    orderBy: { dueAt: "asc" },
+  });
+
+  if (overdue.length === 0) {
+    return { checked: 0, escalated: 0, recipients: [] };
+  }
+
+  let recipients = [];
+
+  if (DATA_QUALITY_LEAD_EMAIL) {
+    const lead = await prisma.user.findFirst({
+      where: { email: DATA_QUALITY_LEAD_EMAIL, isActive: true },
+      select: { id: true },
+    });
+    if (lead) recipients = [lead.id];
+  }
+
+  if (recipients.length === 0) {
+    const admins = await prisma.user.findMany({
+      where: { isActive: true, role: { name: "admin" } },
+      select: { id: true },
+    });
+    recipients = admins.map((admin) => admin.id);
+  }
+
+  const lines = overdue.slice(0, 50).map((issue) => {
+    const assignee = issue.assignee
+      ? `${issue.assignee.firstName} ${issue.assignee.lastName}`
+      : "unassigned";
+    return `- [${issue.severity.toUpperCase()}] ${
+      issue.description
+    } (due ${issue.dueAt
+      .toISOString()
+      .slice(0, 16)
+      .replace("T", " ")}, ${assignee}, issue ${issue.id})`;
+  });
+
+  if (overdue.length > lines.length) {
+    lines.push(`...and ${overdue.length - lines.length} more`);
+  }
+
+  for (const recipientId of recipients) {
+    await prisma.message.create({
+      data: {
+        senderId,
+        recipientId,
+        subject: `ESCALATED: ${overdue.length} data quality issue(s) past SLA`,
+        body: [
+          "The following data quality issues have passed their SLA due date:",
+          "",
+          ...lines,
+        ].join("\n"),
+      },
+    });
+  }
+
+  await prisma.$transaction([
+    prisma.dataQualityIssue.updateMany({
+      where: { id: { in: overdue.map((issue) => issue.id) } },
+      data: { escalatedAt: now, escalatedTo: recipients },
+    }),
+    prisma.dataQualityIssueActivity.createMany({
+      data: overdue.map((issue) => ({
+        issueId: issue.id,
+        actorId: senderId,
+        activityType: "escalation",
+        comment: `Past SLA due date; escalated to ${recipients.length} recipient(s)`,
+      })),
+    }),
+  ]);
+
+  return {
+    checked: overdue.length,
+    escalated: overdue.length,
+    recipients,
+  };
+}
+
+/**
+ * Get my assigned issues (soonest due first)
  * @param {string} userId - User ID
- * @returns {Promise<Array>} Assigned issues
+ * @returns {Promise<Array>} Assigned issues with isOverdue
  */
 async function getMyIssues(userId) {
   const issues = await prisma.dataQualityIssue.findMany({
     where: {
       assignedTo: userId,
-      status: { in: ["open", "in_progress"] },
+      status: { in: ACTIVE_STATUSES },
     },
     include: {
       creator: {
@@ -377,10 +758,15 @@ async function getMyIssues(userId) {
         },
       },
     },
-    orderBy: [{ severity: "desc" }, { createdAt: "asc" }],
+    orderBy: [{ dueAt: "asc" }, { severity: "desc" }, { createdAt: "asc" }],
   });
 
-  return issues;
+  const now = new Date();
+
+  return issues.map((issue) => ({
+    ...issue,
+    isOverdue: Boolean(issue.dueAt && issue.dueAt < now),
+  }));
 }
 
 /**
@@ -414,6 +800,214 @@ async function calculateAvgResolutionTime() {
   return Math.round((totalHours / resolvedIssues.length) * 10) / 10;
 }
 
+/**
+ * Helper: SLA compliance overall and by assignee, department and type
+ * Counts resolved issues (met when resolved by the due date) and active
+ * issues already past due (breached); dismissed issues are excluded.
+ */
+async function calculateSlaCompliance() {
+  const now = new Date();
+
+  const issues = await prisma.dataQualityIssue.findMany({
+    where: {
+      dueAt: { not: null },
+      OR: [
+        { status: "resolved" },
+        { status: { in: ACTIVE_STATUSES }, dueAt: { lt: now } },
+      ],
+    },
+    select: {
+      status: true,
+      dueAt: true,
+      resolvedAt: true,
+      issueType: true,
+      assignedTo: true,
+      assignee: { select: { firstName: true, lastName: true } },
+      departmentId: true,
+      department: { select: { name: true } },
+    },
+  });
+
+  const summarize = (group) => {
+    const met = group.filter(
+      (issue) => issue.status === "resolved" && issue.resolvedAt <= issue.dueAt
+    ).length;
+    return {
+      total: group.length,
+      met,
+      breached: group.length - met,
+      compliancePct:
+        group.length > 0 ? Math.round((met / group.length) * 1000) / 10 : null,
+    };
+  };
+
+  const groupBy = (keyOf, labelOf) => {
+    const groups = new Map();
+    issues.forEach((issue) => {
+      const key = keyOf(issue);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(issue);
+    });
+    return [...groups.entries()]
+      .map(([key, group]) => ({
+        key,
+        label: labelOf(group[0]),
+        ...summarize(group),
+      }))
+      .sort((a, b) => b.total - a.total);
+  };
+
+  const overdueIssues = await prisma.dataQualityIssue.count({
+    where: { status: { in: ACTIVE_STATUSES }, dueAt: { lt: now } },
+  });
+
+  return {
+    targetsHours: SLA_HOURS,
+    overdueIssues,
+    overall: summarize(issues),
+    byAssignee: groupBy(
+      (issue) => issue.assignedTo || "unassigned",
+      (issue) =>
+        issue.assignee
+          ? `${issue.assignee.firstName} ${issue.assignee.lastName}`
+          : "Unassigned"
+    ),
+    byDepartment: groupBy(
+      (issue) => issue.departmentId || "none",
+      (issue) => (issue.department ? issue.department.name : "No department")
+    ),
+    byIssueType: groupBy(
+      (issue) => issue.issueType,
+      (issue) => issue.issueType
+    ),
+  };
+}
+
+/**
+ * Scan the whole patient registry for probable duplicates
+ * Patients are grouped into blocks (phonetic name codes, phone number)
+ * and only compared within a block. Each matching pair raises one
+ * duplicate_record issue; pairs with an open or dismissed issue are
+ * skipped.
+ * @param {string} creatorId - User running the scan
+ * @param {Object} options - { minScore }
+ * @returns {Promise<Object>} Scan summary
+ */
+async function scanDuplicatePatients(creatorId, options = {}) {
+  const minScore = parseInt(options.minScore) || MATCH_THRESHOLDS.medium;
+
+  const patients = await prisma.patient.findMany({
+    where: { isArchived: false },
+    select: {
+      id: true,
+      mrn: true,
+      firstName: true,
+      lastName: true,
+      sex: true,
+      dateOfBirth: true,
+      ageEstimate: true,
+      phoneNumber: true,
+      district: true,
+      createdAt: true,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  // Build blocks
+  const blocks = {};
+  const addToBlock = (key, patient) => {
+    if (!blocks[key]) blocks[key] = [];
+    blocks[key].push(patient);
+  };
+
+  patients.forEach((patient) => {
+    const nameCodes = [soundex(patient.firstName), soundex(patient.lastName)]
+      .sort()
+      .join("|");
+    addToBlock(`name:${nameCodes}`, patient);
+
+    const phone = normalizePhone(patient.phoneNumber);
+    if (phone.length >= 7) {
+      addToBlock(`phone:${phone}`, patient);
+    }
+  });
+
+  // Score pairs within each block
+  const seenPairs = new Set();
+  const matches = [];
+
+  Object.values(blocks).forEach((block) => {
+    for (let i = 0; i < block.length; i++) {
+      for (let j = i + 1; j < block.length; j++) {
+        const older = block[i];
+        const newer = block[j];
+        const pairKey = [older.id, newer.id].sort().join(":");
+
+        if (seenPairs.has(pairKey)) continue;
+        seenPairs.add(pairKey);
+
+        const match = scorePatientMatch(newer, older);
+        if (match.score >= minScore) {
+          matches.push({ older, newer, match });
+        }
+      }
+    }
+  });
+
+  let issuesCreated = 0;
+  let skippedExisting = 0;
+
+  for (const { older, newer, match } of matches) {
+    const ruleViolated = `duplicate_patient:${older.id}`;
+
+    const existing = await prisma.dataQualityIssue.findFirst({
+      where: {
+        entityType: "patient",
+        entityId: newer.id,
+        ruleViolated,
+        status: { in: DUPLICATE_SKIP_STATUSES },
+      },
+    });
+
+    if (existing) {
+      skippedExisting++;
+      continue;
+    }
+
+    const reasons = match.explanations
+      .filter((e) => e.score !== null && e.score > 0)
+      .map((e) => `${e.field}: ${e.reason}`)
+      .join(", ");
+
+    const severity = match.matchLevel === "high" ? "high" : "medium";
+
+    await prisma.dataQualityIssue.create({
+      data: {
+        issueType: "duplicate_record",
+        severity,
+        entityType: "patient",
+        entityId: newer.id,
+        description: `Patient ${newer.mrn} (${newer.firstName} ${newer.lastName}) may be a duplicate of ${older.mrn} (${older.firstName} ${older.lastName}). Match score ${match.score}/100 (${reasons}).`,
+        ruleViolated,
+        dueAt: computeDueAt(severity),
+        status: "open",
+        createdBy: creatorId,
+      },
+    });
+
+    issuesCreated++;
+  }
+
+  return {
+    patientsScanned: patients.length,
+    pairsCompared: seenPairs.size,
+    matchesFound: matches.length,
+    issuesCreated,
+    skippedExisting,
+    minScore,
+  };
+}
+
 module.exports = {
   createIssue,
   getIssueById,
@@ -424,4 +1018,8 @@ module.exports = {
   dismissIssue,
   getIssueStatistics,
   getMyIssues,
+  getOverdueIssues,
+  escalateOverdueIssues,
+  scanDuplicatePatients,
+  computeDueAt,
 };
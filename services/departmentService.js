@@ -4,6 +4,20 @@
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
 
+/**
+ * Helper: Verify a department lead exists and is active
+ */
+async function verifyDepartmentLead(userId) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { isActive: true },
+  });
+
+  if (!user || !user.isActive) {
+    throw new AppError("Department lead must be an active user", 400);
+  }
+}
+
 /**
  * Get all departments
  * @returns {Promise<Array>} List of departments
@@ -66,11 +80,16 @@ async function createDepartment(departmentData) {
     }
   }
 
+  if (departmentData.leadId) {
+    await verifyDepartmentLead(departmentData.leadId);
+  }
+
   const department = await prisma.department.create({
     data: {
       name: departmentData.name,
       code: departmentData.code || null,
       description: departmentData.description || null,
+      leadId: departmentData.leadId || null,
     },
   });
 
@@ -123,12 +142,17 @@ async function updateDepartment(departmentId, updateData) {
     }
   }
 
+  if (updateData.leadId) {
+    await verifyDepartmentLead(updateData.leadId);
+  }
+
   const department = await prisma.department.update({
     where: { id: departmentId },
     data: {
       name: updateData.name,
       code: updateData.code,
       description: updateData.description,
+      leadId: updateData.leadId,
     },
   });
 
@@ -153,6 +177,26 @@ async function deleteDepartment(departmentId) {
     );
   }
 
+  // Encounters that passed through the department or its wards
+  const [transferCount, wardCount] = await Promise.all([
+    prisma.encounterTransfer.count({
+      where: {
+        OR: [
+          { fromDepartmentId: departmentId },
+          { toDepartmentId: departmentId },
+        ],
+      },
+    }),
+    prisma.ward.count({ where: { departmentId } }),
+  ]);
+
+  if (transferCount > 0 || wardCount > 0) {
+    throw new AppError(
+      "Cannot delete department with transfer history or wards; deactivate it instead",
+      400
+    );
+  }
+
   await prisma.department.delete({
     where: { id: departmentId },
   });
@@ -163,9 +207,10 @@ async function deleteDepartment(departmentId) {
 /**
  * Get department statistics
  * @param {string} departmentId - Department ID
+ * @param {Object} filters - { from, to } period for transfer counts
  * @returns {Promise<Object>} Department statistics
  */
-async function getDepartmentStatistics(departmentId) {
+async function getDepartmentStatistics(departmentId, filters = {}) {
   const totalEncounters = await prisma.encounter.count({
     where: { departmentId },
   });
@@ -190,6 +235,38 @@ async function getDepartmentStatistics(departmentId) {
     _count: true,
   });
 
+  const transferredAt = {};
+  if (filters.from) transferredAt.gte = new Date(filters.from);
+  if (filters.to) transferredAt.lte = new Date(filters.to);
+
+  const [transfersIn, transfersOut] = await Promise.all([
+    prisma.encounterTransfer.groupBy({
+      by: ["fromDepartmentId"],
+      where: { toDepartmentId: departmentId, transferredAt },
+      _count: true,
+    }),
+    prisma.encounterTransfer.groupBy({
+      by: ["toDepartmentId"],
+      where: { fromDepartmentId: departmentId, transferredAt },
+      _count: true,
+    }),
+  ]);
+
+  // Names for the source / destination breakdown
+  const departments = await prisma.department.findMany({
+    where: {
+      id: {
+        in: [
+          ...transfersIn.map((item) => item.fromDepartmentId),
+          ...transfersOut.map((item) => item.toDepartmentId),
+        ],
+      },
+    },
+    select: { id: true, name: true },
+  });
+  const departmentName = (id) =>
+    (departments.find((d) => d.id === id) || {}).name || null;
+
   return {
     totalEncounters,
     openEncounters,
@@ -198,6 +275,22 @@ async function getDepartmentStatistics(departmentId) {
       type: item.encounterType,
       count: item._count,
     })),
+    transfersIn: {
+      total: transfersIn.reduce((sum, item) => sum + item._count, 0),
+      byDepartment: transfersIn.map((item) => ({
+        departmentId: item.fromDepartmentId,
+        departmentName: departmentName(item.fromDepartmentId),
+        count: item._count,
+      })),
+    },
+    transfersOut: {
+      total: transfersOut.reduce((sum, item) => sum + item._count, 0),
+      byDepartment: transfersOut.map((item) => ({
+        departmentId: item.toDepartmentId,
+        departmentName: departmentName(item.toDepartmentId),
+        count: item._count,
+      })),
+    },
   };
 }
 
@@ -0,0 +1,296 @@
+// Discharge Summary Service
+// Compiles discharge summaries from the encounter record and files them
+// as patient records (PDF)
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const recordService = require("./recordService");
+const vitalSignService = require("./vitalSignService");
+const { VITAL_SIGNS, observationsToValues } = require("../utils/vitalSigns");
+const { getAgeInDays } = require("../utils/referenceRanges");
+const { buildDischargeSummaryPdf } = require("../utils/dischargeSummaryPdf");
+
+const DOCUMENT_TYPE = "discharge_summary";
+
+/**
+ * Helper: Full name of a user/person
+ */
+function fullName(person) {
+  return person ? `${person.firstName} ${person.lastName}` : null;
+}
+
+/**
+ * Helper: Age as shown on the summary (months under 2 years)
+ */
+function formatAge(patient, at) {
+  const days = getAgeInDays(patient, at);
+  if (days === null) return null;
+  if (days < 2 * 365) return `${Math.floor(days / 30.44)} months`;
+  return `${Math.floor(days / 365.25)} years`;
+}
+
+/**
+ * Helper: Vital sign set as labelled values
+ */
+function summarizeVitalSet(set) {
+  if (!set) return null;
+
+  const values = observationsToValues(set.observations);
+
+  return {
+    measuredAt: set.measuredAt,
+    scoreType: set.scoreType,
+    score: set.score,
+    risk: set.risk,
+    values: Object.keys(values).map((code) => ({
+      code,
+      label: (VITAL_SIGNS[code] || {}).label || code,
+      value: values[code],
+      unit: (VITAL_SIGNS[code] || {}).unit || null,
+    })),
+  };
+}
+
+/**
+ * Helper: Result values as "name: value unit [flag]" lines
+ */
+function formatResultValues(result) {
+  if (
+    result.resultType === "radiology_report" ||
+    !result.resultData ||
+    typeof result.resultData !== "object"
+  ) {
+    return [];
+  }
+
+  const flags = result.analyteFlags || {};
+
+  return Object.keys(result.resultData).map((key) => {
+    const entry = result.resultData[key];
+    const value =
+      entry && typeof entry === "object" && "value" in entry
+        ? entry.value
+        : entry;
+    const unit = entry && typeof entry === "object" ? entry.unit : null;
+    const flag = flags[key] && flags[key].flag;
+
+    return [`${key}: ${value}`, unit, flag && flag !== "N" ? `[${flag}]` : null]
+      .filter(Boolean)
+      .join(" ");
+  });
+}
+
+/**
+ * Compile the discharge summary for an encounter
+ * Includes coded diagnoses, presenting complaint, first and last vitals,
+ * signed discharge notes, orders with verified results and the outcome.
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Object>} Structured discharge summary
+ */
+async function buildDischargeSummary(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    include: {
+      patient: true,
+      department: true,
+      attendingClinician: true,
+      diagnoses: {
+        include: { icd10Code: true },
+        orderBy: [{ diagnosisType: "asc" }, { createdAt: "asc" }],
+      },
+      transfers: {
+        include: { fromDepartment: true, toDepartment: true },
+        orderBy: { transferredAt: "asc" },
+      },
+      clinicalNotes: {
+        where: {
+          noteType: "discharge",
+          status: "signed",
+        },
+        include: {
+          clinician: true,
+          addenda: {
+            where: { status: "signed" },
+            include: { clinician: true },
+            orderBy: { createdAt: "asc" },
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+      orders: {
+        where: { status: { notIn: ["cancelled", "rejected"] } },
+        include: {
+          results: {
+            where: {
+              status: { not: "preliminary" },
+              approvedAt: { not: null },
+            },
+            orderBy: { version: "desc" },
+            take: 1,
+          },
+        },
+        orderBy: { createdAt: "asc" },
+      },
+    },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  const { sets } = await vitalSignService.getPatientVitals(
+    encounter.patientId,
+    { encounterId }
+  );
+
+  const { patient } = encounter;
+  const endDate = encounter.dischargeDate || new Date();
+  const primary = encounter.diagnoses.find(
+    (d) => d.diagnosisType === "primary"
+  );
+
+  return {
+    generatedAt: new Date(),
+    patient: {
+      id: patient.id,
+      mrn: patient.mrn,
+      name: fullName(patient),
+      sex: patient.sex,
+      dateOfBirth: patient.dateOfBirth,
+      age: formatAge(patient, encounter.admissionDate),
+    },
+    encounter: {
+      id: encounter.id,
+      encounterType: encounter.encounterType,
+      status: encounter.status,
+      department: encounter.department.name,
+      admissionDate: encounter.admissionDate,
+      dischargeDate: encounter.dischargeDate,
+      lengthOfStayDays:
+        Math.round(
+          ((endDate - encounter.admissionDate) / (1000 * 60 * 60 * 24)) * 10
+        ) / 10,
+      attendingClinician: fullName(encounter.attendingClinician),
+      outcome: encounter.outcome,
+    },
+    transfers: encounter.transfers.map((transfer) => ({
+      at: transfer.transferredAt,
+      from: transfer.fromDepartment.name,
+      to: transfer.toDepartment.name,
+      reason: transfer.reason,
+    })),
+    chiefComplaint: encounter.chiefComplaint,
+    diagnosisText:
+      encounter.diagnosis || (primary ? primary.icd10Code.description : null),
+    diagnoses: encounter.diagnoses.map((diagnosis) => ({
+      code: diagnosis.icd10Code.code,
+      description: diagnosis.icd10Code.description,
+      diagnosisType: diagnosis.diagnosisType,
+      certainty: diagnosis.certainty,
+    })),
+    vitals: {
+      admission: summarizeVitalSet(sets[0]),
+      discharge:
+        sets.length > 1 ? summarizeVitalSet(sets[sets.length - 1]) : null,
+    },
+    dischargeNotes: encounter.clinicalNotes.flatMap((note) => [
+      {
+        at: note.signedAt || note.createdAt,
+        clinician: fullName(note.clinician),
+        status: note.status,
+        text: note.noteText,
+      },
+      ...note.addenda.map((addendum) => ({
+        at: addendum.signedAt || addendum.createdAt,
+        clinician: `${fullName(addendum.clinician)} (addendum)`,
+        status: addendum.status,
+        text: addendum.noteText,
+      })),
+    ]),
+    results: encounter.orders
+      .filter((order) => order.results.length > 0)
+      .map((order) => {
+        const [result] = order.results;
+        return {
+          orderId: order.id,
+          orderType: order.orderType,
+          testName: order.testName,
+          reportedAt: result.approvedAt,
+          status: result.status,
+          abnormal: result.isAbnormal,
+          values: formatResultValues(result),
+          text: result.resultText,
+        };
+      }),
+    pendingOrders: encounter.orders
+      .filter((order) => order.results.length === 0)
+      .map((order) => ({
+        orderId: order.id,
+        testName: order.testName,
+        status: order.status,
+      })),
+  };
+}
+
+/**
+ * Generate the discharge summary PDF and file it as a patient record
+ * Regenerating (e.g. after late results) adds a newer record; earlier
+ * summaries are kept.
+ * @param {string} encounterId - Closed encounter ID
+ * @param {string} userId - Generating user ID
+ * @returns {Promise<Object>} { record, summary }
+ */
+async function generateDischargeSummary(encounterId, userId) {
+  const summary = await buildDischargeSummary(encounterId);
+
+  if (summary.encounter.status !== "closed") {
+    throw new AppError(
+      "Discharge summaries are generated for closed encounters",
+      400
+    );
+  }
+
+  const pdf = await buildDischargeSummaryPdf(summary);
+  const date = summary.encounter.dischargeDate.toISOString().slice(0, 10);
+
+  const record = await recordService.uploadPatientFile(
+    {
+      patientId: summary.patient.id,
+      encounterId,
+      fileName: `discharge-summary-${summary.patient.mrn}-${date}.pdf`,
+      mimeType: "application/pdf",
+      fileType: "pdf",
+      documentType: DOCUMENT_TYPE,
+    },
+    pdf,
+    userId
+  );
+
+  return { record, summary };
+}
+
+/**
+ * Get the latest discharge summary record for an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Object>} Record file with download URL
+ */
+async function getDischargeSummary(encounterId) {
+  const record = await prisma.recordFile.findFirst({
+    where: { encounterId, documentType: DOCUMENT_TYPE },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (!record) {
+    throw new AppError("No discharge summary for this encounter", 404);
+  }
+
+  const downloadUrl = await recordService.getFileDownloadUrl(record.id);
+
+  return { ...record, downloadUrl };
+}
+
+module.exports = {
+  buildDischargeSummary,
+  generateDischargeSummary,
+  getDischargeSummary,
+};
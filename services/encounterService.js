@@ -3,13 +3,178 @@
 
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
+const resultVerificationService = require("./resultVerificationService");
+const icd10Service = require("./icd10Service");
+const bedService = require("./bedService");
+const dischargeSummaryService = require("./dischargeSummaryService");
+
+const DIAGNOSIS_TYPES = ["primary", "secondary"];
+const DIAGNOSIS_CERTAINTIES = ["provisional", "confirmed"];
+
+/**
+ * Diagnosis needed before an encounter can be closed: "none" (default)
+ * no check, "primary" any primary diagnosis, "confirmed" a confirmed
+ * primary diagnosis. Coded diagnoses need the ICD-10 table imported
+ * (npm run icd10:import) before either check is switched on.
+ */
+const CLOSE_DIAGNOSIS_REQUIREMENT =
+  process.env.CLOSE_DIAGNOSIS_REQUIREMENT || "none";
+
+const diagnosisInclude = {
+  icd10Code: true,
+  recorder: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+};
+
+const diagnosisOrderBy = [{ diagnosisType: "asc" }, { createdAt: "asc" }];
+
+const transferInclude = {
+  fromDepartment: { select: { id: true, name: true, code: true } },
+  toDepartment: { select: { id: true, name: true, code: true } },
+  fromClinician: { select: { id: true, firstName: true, lastName: true } },
+  toClinician: { select: { id: true, firstName: true, lastName: true } },
+  transferrer: { select: { id: true, firstName: true, lastName: true } },
+};
+
+// Bed the patient currently occupies (empty when none)
+const currentBedInclude = {
+  where: { releasedAt: null },
+  include: {
+    bed: {
+      include: {
+        room: { select: { id: true, name: true } },
+        ward: { select: { id: true, name: true, code: true } },
+      },
+    },
+  },
+};
+
+/**
+ * Helper: Validate diagnosis entries and resolve their ICD-10 codes
+ * @param {Array<Object>} diagnoses - [{ code, diagnosisType, certainty, notes }]
+ * @returns {Promise<Array>} [{ icd10CodeId, diagnosisType, certainty, notes }]
+ */
+async function parseDiagnoses(diagnoses) {
+  if (!Array.isArray(diagnoses)) {
+    throw new AppError("Diagnoses must be an array", 400);
+  }
+
+  diagnoses.forEach((diagnosis) => {
+    if (!diagnosis || !diagnosis.code) {
+      throw new AppError("Each diagnosis needs an ICD-10 code", 400);
+    }
+
+    if (
+      diagnosis.diagnosisType !== undefined &&
+      !DIAGNOSIS_TYPES.includes(diagnosis.diagnosisType)
+    ) {
+      throw new AppError("Diagnosis type must be primary or secondary", 400);
+    }
+
+    if (
+      diagnosis.certainty !== undefined &&
+      !DIAGNOSIS_CERTAINTIES.includes(diagnosis.certainty)
+    ) {
+      throw new AppError(
+        "Diagnosis certainty must be provisional or confirmed",
+        400
+      );
+    }
+  });
+
+  if (diagnoses.filter((d) => d.diagnosisType === "primary").length > 1) {
+    throw new AppError("Only one primary diagnosis is allowed", 400);
+  }
+
+  const codes = await icd10Service.resolveCodes(diagnoses.map((d) => d.code));
+
+  const parsed = diagnoses.map((diagnosis) => ({
+    icd10CodeId: codes.get(icd10Service.normalizeCode(diagnosis.code)).id,
+    diagnosisType: diagnosis.diagnosisType || "secondary",
+    certainty: diagnosis.certainty || "provisional",
+    notes: diagnosis.notes || null,
+  }));
+
+  if (new Set(parsed.map((d) => d.icd10CodeId)).size !== parsed.length) {
+    throw new AppError("The same ICD-10 code is listed more than once", 400);
+  }
+
+  return parsed;
+}
+
+/**
+ * Helper: Add or update coded diagnoses on an encounter
+ * A new primary diagnosis demotes the current primary to secondary.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} encounterId - Encounter ID
+ * @param {Array<Object>} diagnoses - Parsed diagnoses (see parseDiagnoses)
+ * @param {string} userId - Recording user ID
+ */
+async function applyDiagnoses(db, encounterId, diagnoses, userId) {
+  const primary = diagnoses.find((d) => d.diagnosisType === "primary");
+
+  if (primary) {
+    await db.encounterDiagnosis.updateMany({
+      where: {
+        encounterId,
+        diagnosisType: "primary",
+        icd10CodeId: { not: primary.icd10CodeId },
+      },
+      data: { diagnosisType: "secondary" },
+    });
+  }
+
+  for (const diagnosis of diagnoses) {
+    await db.encounterDiagnosis.upsert({
+      where: {
+        encounterId_icd10CodeId: {
+          encounterId,
+          icd10CodeId: diagnosis.icd10CodeId,
+        },
+      },
+      create: { ...diagnosis, encounterId, recordedBy: userId },
+      update: {
+        diagnosisType: diagnosis.diagnosisType,
+        certainty: diagnosis.certainty,
+        notes: diagnosis.notes,
+      },
+    });
+  }
+}
+
+/**
+ * Helper: Get an encounter whose diagnoses may still be changed
+ */
+async function getOpenEncounter(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  if (encounter.status === "closed") {
+    throw new AppError("Cannot change diagnoses on closed encounter", 400);
+  }
+
+  return encounter;
+}
 
 /**
  * Create new encounter
- * @param {Object} encounterData - Encounter information
+ * @param {Object} encounterData - Encounter information, optionally with
+ *   coded diagnoses [{ code, diagnosisType, certainty, notes }] and, for
+ *   inpatients, the bedId to admit to
+ * @param {string} userId - Creating user ID (recorder of the diagnoses)
  * @returns {Promise<Object>} Created encounter
  */
-async function createEncounter(encounterData) {
+async function createEncounter(encounterData, userId) {
   // Verify patient exists
   const patient = await prisma.patient.findUnique({
     where: { id: encounterData.patientId },
@@ -54,40 +219,81 @@ async function createEncounter(encounterData) {
     // Allow multiple open encounters (patient can be in OPD and IPD simultaneously)
   }
 
-  // Create encounter
-  const encounter = await prisma.encounter.create({
-    data: {
-      patientId: encounterData.patientId,
-      departmentId: encounterData.departmentId,
-      attendingClinicianId: encounterData.attendingClinicianId || null,
-      encounterType: encounterData.encounterType,
-      chiefComplaint: encounterData.chiefComplaint || null,
-      diagnosis: encounterData.diagnosis || null,
-      status: "open",
-      admissionDate: new Date(),
-    },
-    include: {
-      patient: {
-        select: {
-          id: true,
-          mrn: true,
-          firstName: true,
-          lastName: true,
-          sex: true,
-          dateOfBirth: true,
-          ageEstimate: true,
+  const diagnoses = encounterData.diagnoses
+    ? await parseDiagnoses(encounterData.diagnoses)
+    : [];
+
+  // Admission bed must be on one of the department's wards
+  if (encounterData.bedId) {
+    const bed = await prisma.bed.findUnique({
+      where: { id: encounterData.bedId },
+      include: { ward: true },
+    });
+
+    if (!bed) {
+      throw new AppError("Bed not found", 404);
+    }
+
+    if (bed.ward.departmentId !== encounterData.departmentId) {
+      throw new AppError("Bed is not on a ward of this department", 400);
+    }
+  }
+
+  // Create encounter (and occupy the admission bed)
+  const encounter = await prisma.$transaction(async (tx) => {
+    const created = await tx.encounter.create({
+      data: {
+        patientId: encounterData.patientId,
+        departmentId: encounterData.departmentId,
+        attendingClinicianId: encounterData.attendingClinicianId || null,
+        encounterType: encounterData.encounterType,
+        chiefComplaint: encounterData.chiefComplaint || null,
+        diagnosis: encounterData.diagnosis || null,
+        status: "open",
+        admissionDate: new Date(),
+        diagnoses: {
+          create: diagnoses.map((diagnosis) => ({
+            ...diagnosis,
+            recordedBy: userId,
+          })),
         },
       },
-      department: true,
-      attendingClinician: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true,
+    });
+
+    if (encounterData.bedId) {
+      await bedService.occupyBed(tx, created, encounterData.bedId, userId);
+    }
+
+    return tx.encounter.findUnique({
+      where: { id: created.id },
+      include: {
+        patient: {
+          select: {
+            id: true,
+            mrn: true,
+            firstName: true,
+            lastName: true,
+            sex: true,
+            dateOfBirth: true,
+            ageEstimate: true,
+          },
+        },
+        department: true,
+        attendingClinician: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+          },
         },
+        diagnoses: {
+          include: diagnosisInclude,
+          orderBy: diagnosisOrderBy,
+        },
+        bedAssignments: currentBedInclude,
       },
-    },
+    });
   });
 
   return encounter;
@@ -96,9 +302,13 @@ async function createEncounter(encounterData) {
 /**
  * Get encounter by ID
  * @param {string} encounterId - Encounter ID
+ * @param {Object} user - Requesting user (for the result visibility policy)
  * @returns {Promise<Object>} Encounter with all related data
  */
-async function getEncounterById(encounterId) {
+async function getEncounterById(encounterId, user) {
+  const visibleResults =
+    await resultVerificationService.buildVisibleResultsWhere(user);
+
   const encounter = await prisma.encounter.findUnique({
     where: { id: encounterId },
     include: {
@@ -124,6 +334,11 @@ async function getEncounterById(encounterId) {
           phone: true,
         },
       },
+      diagnoses: {
+        include: diagnosisInclude,
+        orderBy: diagnosisOrderBy,
+      },
+      bedAssignments: currentBedInclude,
       clinicalNotes: {
         include: {
           clinician: {
@@ -145,12 +360,16 @@ async function getEncounterById(encounterId) {
               lastName: true,
             },
           },
-          results: true,
+          results: { where: visibleResults },
         },
         orderBy: {
           createdAt: "desc",
         },
       },
+      prescriptions: {
+        include: { medication: true },
+        orderBy: { createdAt: "desc" },
+      },
     },
   });
 
@@ -298,11 +517,15 @@ async function updateEncounter(encounterId, updateData) {
 
 /**
  * Close encounter
+ * Diagnoses sent with the closure are recorded first; the encounter then
+ * needs the diagnosis set by CLOSE_DIAGNOSIS_REQUIREMENT. An inpatient's
+ * bed is released and the discharge summary is filed as a patient record.
  * @param {string} encounterId - Encounter ID
- * @param {Object} closeData - Closure data (outcome, diagnosis)
+ * @param {Object} closeData - Closure data (outcome, diagnosis, diagnoses)
+ * @param {string} userId - Closing user ID
  * @returns {Promise<Object>} Closed encounter
  */
-async function closeEncounter(encounterId, closeData) {
+async function closeEncounter(encounterId, closeData, userId) {
   // Check if encounter exists
   const existingEncounter = await prisma.encounter.findUnique({
     where: { id: encounterId },
@@ -316,29 +539,218 @@ async function closeEncounter(encounterId, closeData) {
     throw new AppError("Encounter is already closed", 400);
   }
 
-  // Close encounter
-  const closedEncounter = await prisma.encounter.update({
+  const diagnoses = closeData.diagnoses
+    ? await parseDiagnoses(closeData.diagnoses)
+    : [];
+
+  const closedEncounter = await prisma.$transaction(async (tx) => {
+    await applyDiagnoses(tx, encounterId, diagnoses, userId);
+
+    const primary = await tx.encounterDiagnosis.findFirst({
+      where: { encounterId, diagnosisType: "primary" },
+      include: { icd10Code: true },
+    });
+
+    if (CLOSE_DIAGNOSIS_REQUIREMENT !== "none" && !primary) {
+      throw new AppError(
+        "A primary ICD-10 diagnosis is required to close the encounter",
+        400
+      );
+    }
+
+    if (
+      CLOSE_DIAGNOSIS_REQUIREMENT === "confirmed" &&
+      primary.certainty !== "confirmed"
+    ) {
+      throw new AppError(
+        "The primary diagnosis must be confirmed to close the encounter",
+        400
+      );
+    }
+
+    await bedService.releaseBed(tx, encounterId, "discharge");
+
+    // Close encounter
+    return tx.encounter.update({
+      where: { id: encounterId },
+      data: {
+        status: "closed",
+        dischargeDate: new Date(),
+        outcome: closeData.outcome || null,
+        diagnosis:
+          closeData.diagnosis ||
+          existingEncounter.diagnosis ||
+          (primary ? primary.icd10Code.description : null),
+      },
+      include: {
+        patient: {
+          select: {
+            id: true,
+            mrn: true,
+            firstName: true,
+            lastName: true,
+          },
+        },
+        department: true,
+        diagnoses: {
+          include: diagnosisInclude,
+          orderBy: diagnosisOrderBy,
+        },
+      },
+    });
+  });
+
+  // The summary can be regenerated from the records routes if this fails
+  try {
+    const { record } = await dischargeSummaryService.generateDischargeSummary(
+      encounterId,
+      userId
+    );
+    closedEncounter.dischargeSummary = record;
+  } catch (error) {
+    console.error(
+      `Failed to generate discharge summary for encounter ${encounterId}:`,
+      error
+    );
+    closedEncounter.dischargeSummary = null;
+  }
+
+  return closedEncounter;
+}
+
+/**
+ * Get coded diagnoses for an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Diagnoses (primary first)
+ */
+async function getDiagnoses(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
     where: { id: encounterId },
-    data: {
-      status: "closed",
-      dischargeDate: new Date(),
-      outcome: closeData.outcome || null,
-      diagnosis: closeData.diagnosis || existingEncounter.diagnosis,
+    select: { id: true },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  return prisma.encounterDiagnosis.findMany({
+    where: { encounterId },
+    include: diagnosisInclude,
+    orderBy: diagnosisOrderBy,
+  });
+}
+
+/**
+ * Add a coded diagnosis to an open encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} diagnosisData - { code, diagnosisType, certainty, notes }
+ * @param {string} userId - Recording user ID
+ * @returns {Promise<Object>} Created diagnosis
+ */
+async function addDiagnosis(encounterId, diagnosisData, userId) {
+  await getOpenEncounter(encounterId);
+  const [diagnosis] = await parseDiagnoses([diagnosisData]);
+
+  const existing = await prisma.encounterDiagnosis.findUnique({
+    where: {
+      encounterId_icd10CodeId: {
+        encounterId,
+        icd10CodeId: diagnosis.icd10CodeId,
+      },
     },
-    include: {
-      patient: {
-        select: {
-          id: true,
-          mrn: true,
-          firstName: true,
-          lastName: true,
-        },
+  });
+
+  if (existing) {
+    throw new AppError("Diagnosis is already recorded on this encounter", 409);
+  }
+
+  await prisma.$transaction((tx) =>
+    applyDiagnoses(tx, encounterId, [diagnosis], userId)
+  );
+
+  return prisma.encounterDiagnosis.findUnique({
+    where: {
+      encounterId_icd10CodeId: {
+        encounterId,
+        icd10CodeId: diagnosis.icd10CodeId,
       },
-      department: true,
     },
+    include: diagnosisInclude,
   });
+}
 
-  return closedEncounter;
+/**
+ * Update type, certainty or notes of a diagnosis (e.g. confirm it)
+ * @param {string} encounterId - Encounter ID
+ * @param {string} diagnosisId - Diagnosis ID
+ * @param {Object} updateData - { diagnosisType, certainty, notes }
+ * @returns {Promise<Object>} Updated diagnosis
+ */
+async function updateDiagnosis(encounterId, diagnosisId, updateData) {
+  await getOpenEncounter(encounterId);
+
+  const diagnosis = await prisma.encounterDiagnosis.findFirst({
+    where: { id: diagnosisId, encounterId },
+  });
+
+  if (!diagnosis) {
+    throw new AppError("Diagnosis not found", 404);
+  }
+
+  const diagnosisType = updateData.diagnosisType || diagnosis.diagnosisType;
+  const certainty = updateData.certainty || diagnosis.certainty;
+
+  if (!DIAGNOSIS_TYPES.includes(diagnosisType)) {
+    throw new AppError("Diagnosis type must be primary or secondary", 400);
+  }
+
+  if (!DIAGNOSIS_CERTAINTIES.includes(certainty)) {
+    throw new AppError(
+      "Diagnosis certainty must be provisional or confirmed",
+      400
+    );
+  }
+
+  await prisma.$transaction((tx) =>
+    applyDiagnoses(
+      tx,
+      encounterId,
+      [
+        {
+          icd10CodeId: diagnosis.icd10CodeId,
+          diagnosisType,
+          certainty,
+          notes:
+            updateData.notes !== undefined
+              ? updateData.notes || null
+              : diagnosis.notes,
+        },
+      ],
+      diagnosis.recordedBy
+    )
+  );
+
+  return prisma.encounterDiagnosis.findUnique({
+    where: { id: diagnosisId },
+    include: diagnosisInclude,
+  });
+}
+
+/**
+ * Remove a diagnosis recorded in error from an open encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {string} diagnosisId - Diagnosis ID
+ */
+async function removeDiagnosis(encounterId, diagnosisId) {
+  await getOpenEncounter(encounterId);
+
+  const { count } = await prisma.encounterDiagnosis.deleteMany({
+    where: { id: diagnosisId, encounterId },
+  });
+
+  if (count === 0) {
+    throw new AppError("Diagnosis not found", 404);
+  }
 }
 
 /**
@@ -422,19 +834,15 @@ async function getEncounterStatistics() {
 }
 
 /**
- * Assign clinician to encounter
- * @param {string} encounterId - Encounter ID
- * @param {string} clinicianId - Clinician user ID
- * @returns {Promise<Object>} Updated encounter
+ * Helper: Verify a user can be the attending clinician
  */
-async function assignClinician(encounterId, clinicianId) {
-  // Verify clinician exists and has clinician role
+async function verifyClinician(clinicianId) {
   const clinician = await prisma.user.findUnique({
     where: { id: clinicianId },
     include: { role: true },
   });
 
-  if (!clinician) {
+  if (!clinician || !clinician.isActive) {
     throw new AppError("Clinician not found", 404);
   }
 
@@ -442,6 +850,238 @@ async function assignClinician(encounterId, clinicianId) {
     throw new AppError("User is not a clinician", 400);
   }
 
+  return clinician;
+}
+
+/**
+ * Transfer an open encounter to another department
+ * The encounter continues in the receiving department; the move is kept
+ * on the encounter's movement timeline. The attending clinician is
+ * replaced (cleared when none is given, for the receiving team to assign).
+ * An inpatient bed on another department's ward is released unless a new
+ * bed is given.
+ * @param {string} encounterId - Encounter ID
+ * @param {Object} transferData - { departmentId, attendingClinicianId,
+ *   encounterType, bedId, reason }
+ * @param {string} userId - Transferring user ID
+ * @returns {Promise<Object>} Transfer record with the updated encounter
+ */
+async function transferEncounter(encounterId, transferData, userId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    include: {
+      bedAssignments: {
+        where: { releasedAt: null },
+        include: { bed: { include: { ward: true } } },
+      },
+    },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  if (encounter.status === "closed") {
+    throw new AppError("Cannot transfer closed encounter", 400);
+  }
+
+  const department = await prisma.department.findUnique({
+    where: { id: transferData.departmentId },
+  });
+
+  if (!department || !department.isActive) {
+    throw new AppError("Department not found", 404);
+  }
+
+  if (department.id === encounter.departmentId) {
+    throw new AppError("Encounter is already in this department", 400);
+  }
+
+  if (transferData.attendingClinicianId) {
+    await verifyClinician(transferData.attendingClinicianId);
+  }
+
+  const encounterType = transferData.encounterType || encounter.encounterType;
+
+  if (transferData.bedId) {
+    if (encounterType !== "ipd") {
+      throw new AppError(
+        "Beds can only be assigned to inpatient encounters",
+        400
+      );
+    }
+
+    const bed = await prisma.bed.findUnique({
+      where: { id: transferData.bedId },
+      include: { ward: true },
+    });
+
+    if (!bed) {
+      throw new AppError("Bed not found", 404);
+    }
+
+    if (bed.ward.departmentId !== department.id) {
+      throw new AppError("Bed is not on a ward of this department", 400);
+    }
+  }
+
+  const currentBed = encounter.bedAssignments[0];
+  const releaseCurrentBed =
+    currentBed &&
+    (transferData.bedId ||
+      encounterType !== "ipd" ||
+      currentBed.bed.ward.departmentId !== department.id);
+
+  const transfer = await prisma.$transaction(async (tx) => {
+    if (releaseCurrentBed) {
+      await bedService.releaseBed(tx, encounterId, "transfer");
+    }
+
+    const updated = await tx.encounter.update({
+      where: { id: encounterId },
+      data: {
+        departmentId: department.id,
+        encounterType,
+        attendingClinicianId: transferData.attendingClinicianId || null,
+      },
+    });
+
+    if (transferData.bedId) {
+      await bedService.occupyBed(tx, updated, transferData.bedId, userId);
+    }
+
+    return tx.encounterTransfer.create({
+      data: {
+        encounterId,
+        fromDepartmentId: encounter.departmentId,
+        toDepartmentId: department.id,
+        fromEncounterType: encounter.encounterType,
+        toEncounterType: encounterType,
+        fromClinicianId: encounter.attendingClinicianId,
+        toClinicianId: transferData.attendingClinicianId || null,
+        transferredBy: userId,
+        reason: transferData.reason || null,
+      },
+      include: transferInclude,
+    });
+  });
+
+  await notifyTransfer(transfer, department);
+
+  return transfer;
+}
+
+/**
+ * Helper: Tell the receiving clinician (or department lead) about a transfer
+ * Notification problems are logged and must not undo the transfer.
+ */
+async function notifyTransfer(transfer, department) {
+  const recipientId = transfer.toClinicianId || department.leadId;
+
+  if (!recipientId || recipientId === transfer.transferredBy) return;
+
+  try {
+    const encounter = await prisma.encounter.findUnique({
+      where: { id: transfer.encounterId },
+      include: { patient: true },
+    });
+    const { patient } = encounter;
+
+    await prisma.message.create({
+      data: {
+        senderId: transfer.transferredBy,
+        recipientId,
+        subject: `Transfer to ${department.name}: ${patient.mrn}`,
+        body: [
+          `${patient.firstName} ${patient.lastName} (${patient.mrn}) has been transferred from ${transfer.fromDepartment.name} to ${department.name}.`,
+          transfer.reason ? `Reason: ${transfer.reason}` : null,
+          transfer.toClinicianId
+            ? "You are now the attending clinician."
+            : "Please assign an attending clinician.",
+        ]
+          .filter(Boolean)
+          .join("\n"),
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to notify transfer ${transfer.id}:`, error);
+  }
+}
+
+/**
+ * Get the movement timeline of an encounter: admission, department
+ * transfers, bed moves and discharge, oldest first
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} [{ type, at, ... }]
+ */
+async function getEncounterMovements(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    include: {
+      transfers: { include: transferInclude },
+      bedAssignments: {
+        include: {
+          bed: {
+            include: {
+              room: { select: { id: true, name: true } },
+              ward: { select: { id: true, name: true, code: true } },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  // The encounter started in the first transfer's source department
+  const first = encounter.transfers
+    .slice()
+    .sort((a, b) => a.transferredAt - b.transferredAt)[0];
+
+  const movements = [
+    {
+      type: "admission",
+      at: encounter.admissionDate,
+      departmentId: first ? first.fromDepartmentId : encounter.departmentId,
+      encounterType: first ? first.fromEncounterType : encounter.encounterType,
+    },
+    ...encounter.transfers.map((transfer) => ({
+      type: "department_transfer",
+      at: transfer.transferredAt,
+      transfer,
+    })),
+    ...encounter.bedAssignments.map((assignment) => ({
+      type: "bed_assignment",
+      at: assignment.assignedAt,
+      assignment,
+    })),
+  ];
+
+  if (encounter.dischargeDate) {
+    movements.push({
+      type: "discharge",
+      at: encounter.dischargeDate,
+      departmentId: encounter.departmentId,
+      outcome: encounter.outcome,
+    });
+  }
+
+  return movements.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Assign clinician to encounter
+ * @param {string} encounterId - Encounter ID
+ * @param {string} clinicianId - Clinician user ID
+ * @returns {Promise<Object>} Updated encounter
+ */
+async function assignClinician(encounterId, clinicianId) {
+  // Verify clinician exists and has clinician role
+  await verifyClinician(clinicianId);
+
   // Update encounter
   const encounter = await prisma.encounter.update({
     where: { id: encounterId },
@@ -469,6 +1109,12 @@ module.exports = {
   getEncounters,
   updateEncounter,
   closeEncounter,
+  getDiagnoses,
+  addDiagnosis,
+  updateDiagnosis,
+  removeDiagnosis,
   getEncounterStatistics,
+  transferEncounter,
+  getEncounterMovements,
   assignClinician,
 };
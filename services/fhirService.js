@@ -0,0 +1,784 @@
+// FHIR Service
+// Read-only FHIR R4 access to patients, encounters, observations,
+// service requests and diagnostic reports
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const resultVerificationService = require("./resultVerificationService");
+const {
+  FHIR_SYSTEMS,
+  toFhirPatient,
+  toFhirEncounter,
+  toFhirVitalObservations,
+  toFhirResultObservations,
+  toFhirServiceRequest,
+  toFhirDiagnosticReport,
+} = require("../utils/fhirMapper");
+
+const DEFAULT_COUNT = 20;
+const MAX_COUNT = 100;
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
+
+/**
+ * Helper: Parse _count and _offset paging parameters
+ */
+function parsePaging(params) {
+  const count = Math.min(
+    Math.max(parseInt(params._count) || DEFAULT_COUNT, 1),
+    MAX_COUNT
+  );
+  const offset = Math.max(parseInt(params._offset) || 0, 0);
+
+  return { count, offset };
+}
+
+/**
+ * Helper: Convert FHIR date search parameter(s) to a Prisma filter
+ * Supports eq, gt, ge, lt, le prefixes (e.g. date=ge2024-01-01)
+ */
+function parseDateParam(value) {
+  if (!value) return undefined;
+
+  const values = Array.isArray(value) ? value : [value];
+  const filter = {};
+
+  values.forEach((raw) => {
+    const match = /^(eq|gt|ge|lt|le)?(.+)$/.exec(raw);
+    const prefix = match[1] || "eq";
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(match[2]);
+    const date = new Date(match[2]);
+
+    if (isNaN(date)) {
+      throw new AppError(`Invalid date search value: ${raw}`, 400);
+    }
+
+    const nextDay = new Date(date.getTime() + 24 * 60 * 60 * 1000);
+
+    switch (prefix) {
+      case "gt":
+        filter.gt = dateOnly ? nextDay : date;
+        break;
+      case "ge":
+        filter.gte = date;
+        break;
+      case "lt":
+        filter.lt = date;
+        break;
+      case "le":
+        filter[dateOnly ? "lt" : "lte"] = dateOnly ? nextDay : date;
+        break;
+      default:
+        if (dateOnly) {
+          filter.gte = date;
+          filter.lt = nextDay;
+        } else {
+          filter.equals = date;
+        }
+    }
+  });
+
+  return filter;
+}
+
+/**
+ * Helper: Strip "Patient/" style prefix from reference search values
+ */
+function parseReferenceParam(value, type) {
+  if (!value) return undefined;
+  return String(value).replace(new RegExp(`^${type}/`), "");
+}
+
+/**
+ * Helper: Parse token parameter "system|code" into its code
+ */
+function parseTokenParam(value) {
+  if (!value) return undefined;
+  const parts = String(value).split("|");
+  return parts[parts.length - 1];
+}
+
+/**
+ * Build a searchset Bundle with paging links
+ * @param {string} baseUrl - FHIR base URL
+ * @param {string} resourceType - Resource type searched
+ * @param {Object} query - Original query parameters
+ * @param {Object} page - { resources, total, count, offset, hasMore }
+ * @returns {Object} FHIR Bundle
+ */
+function buildSearchBundle(baseUrl, resourceType, query, page) {
+  const { resources, total, count, offset, hasMore } = page;
+
+  const pageUrl = (pageOffset) => {
+    const params = new URLSearchParams();
+    Object.keys(query).forEach((key) => {
+      if (key === "_offset" || key === "_count") return;
+      const values = Array.isArray(query[key]) ? query[key] : [query[key]];
+      values.forEach((v) => params.append(key, v));
+    });
+    params.set("_count", count);
+    params.set("_offset", pageOffset);
+    return `${baseUrl}/${resourceType}?${params.toString()}`;
+  };
+
+  const link = [{ relation: "self", url: pageUrl(offset) }];
+
+  const moreAvailable =
+    total !== undefined ? offset + count < total : Boolean(hasMore);
+
+  if (moreAvailable) {
+    link.push({ relation: "next", url: pageUrl(offset + count) });
+  }
+
+  if (offset > 0) {
+    link.push({
+      relation: "previous",
+      url: pageUrl(Math.max(offset - count, 0)),
+    });
+  }
+
+  return {
+    resourceType: "Bundle",
+    type: "searchset",
+    ...(total !== undefined && { total }),
+    link,
+    entry: resources.map((resource) => ({
+      fullUrl: `${baseUrl}/${resource.resourceType}/${resource.id}`,
+      resource,
+      search: { mode: "match" },
+    })),
+  };
+}
+
+// ============================================
+// PATIENT
+// ============================================
+
+/**
+ * Search patients
+ * Params: _id, identifier, name, family, given, gender, birthdate
+ */
+async function searchPatients(params) {
+  const { count, offset } = parsePaging(params);
+  const where = {};
+
+  if (params._id) {
+    where.id = params._id;
+  }
+
+  if (params.identifier) {
+    const mrn = parseTokenParam(params.identifier);
+    where.OR = [{ mrn }, { aliases: { some: { mrn } } }];
+  }
+
+  if (params.name) {
+    where.AND = [
+      {
+        OR: [
+          { firstName: { contains: params.name, mode: "insensitive" } },
+          { middleName: { contains: params.name, mode: "insensitive" } },
+          { lastName: { contains: params.name, mode: "insensitive" } },
+        ],
+      },
+    ];
+  }
+
+  if (params.family) {
+    where.lastName = { startsWith: params.family, mode: "insensitive" };
+  }
+
+  if (params.given) {
+    where.firstName = { startsWith: params.given, mode: "insensitive" };
+  }
+
+  if (params.gender) {
+    where.sex = params.gender;
+  }
+
+  if (params.birthdate) {
+    where.dateOfBirth = parseDateParam(params.birthdate);
+  }
+
+  const [total, patients] = await Promise.all([
+    prisma.patient.count({ where }),
+    prisma.patient.findMany({
+      where,
+      skip: offset,
+      take: count,
+      include: { aliases: { select: { mrn: true } } },
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    resources: patients.map(toFhirPatient),
+    total,
+    count,
+    offset,
+  };
+}
+
+/**
+ * Read patient
+ */
+async function getPatient(id) {
+  const patient = await prisma.patient.findUnique({
+    where: { id },
+    include: { aliases: { select: { mrn: true } } },
+  });
+
+  if (!patient) {
+    throw new AppError(`Patient/${id} not found`, 404);
+  }
+
+  return toFhirPatient(patient);
+}
+
+// ============================================
+// ENCOUNTER
+// ============================================
+
+const ENCOUNTER_STATUS = {
+  "in-progress": "open",
+  finished: "closed",
+};
+
+const ENCOUNTER_CLASS = {
+  AMB: "opd",
+  IMP: "ipd",
+  EMER: "emergency",
+};
+
+/**
+ * Search encounters
+ * Params: _id, patient/subject, date, status, class
+ */
+async function searchEncounters(params) {
+  const { count, offset } = parsePaging(params);
+  const where = {};
+
+  if (params._id) {
+    where.id = params._id;
+  }
+
+  const patientId =
+    parseReferenceParam(params.patient, "Patient") ||
+    parseReferenceParam(params.subject, "Patient");
+  if (patientId) {
+    where.patientId = patientId;
+  }
+
+  if (params.date) {
+    where.admissionDate = parseDateParam(params.date);
+  }
+
+  if (params.status) {
+    where.status = ENCOUNTER_STATUS[params.status] || params.status;
+  }
+
+  if (params.class) {
+    const code = parseTokenParam(params.class);
+    where.encounterType = ENCOUNTER_CLASS[code] || code;
+  }
+
+  const [total, encounters] = await Promise.all([
+    prisma.encounter.count({ where }),
+    prisma.encounter.findMany({
+      where,
+      skip: offset,
+      take: count,
+      include: {
+        department: true,
+        attendingClinician: userSelect,
+      },
+      orderBy: { admissionDate: "desc" },
+    }),
+  ]);
+
+  return {
+    resources: encounters.map(toFhirEncounter),
+    total,
+    count,
+    offset,
+  };
+}
+
+/**
+ * Read encounter
+ */
+async function getEncounter(id) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id },
+    include: {
+      department: true,
+      attendingClinician: userSelect,
+    },
+  });
+
+  if (!encounter) {
+    throw new AppError(`Encounter/${id} not found`, 404);
+  }
+
+  return toFhirEncounter(encounter);
+}
+
+// ============================================
+// OBSERVATION (vitals and result values)
+// ============================================
+
+const vitalSetInclude = {
+  observations: true,
+  clinicalNote: { select: { status: true } },
+};
+
+const resultInclude = {
+  technician: userSelect,
+  order: {
+    select: {
+      testName: true,
+      encounterId: true,
+      encounter: { select: { patientId: true } },
+    },
+  },
+};
+
+/**
+ * Search observations
+ * Vital signs come from VitalSignSet observations, laboratory/imaging
+ * values from Result.resultData. Both sources are merged and sorted by date.
+ * Params: patient/subject, encounter, category, code, date
+ * Results hidden from the user by the verification policy are skipped.
+ */
+async function searchObservations(params, user) {
+  const { count, offset } = parsePaging(params);
+  const category = parseTokenParam(params.category);
+  const code = parseTokenParam(params.code);
+
+  const patientId =
+    parseReferenceParam(params.patient, "Patient") ||
+    parseReferenceParam(params.subject, "Patient");
+  const encounterId = parseReferenceParam(params.encounter, "Encounter");
+  const dateFilter = parseDateParam(params.date);
+
+  // Each source row yields at least one observation, so fetching
+  // offset + count rows per source is enough unless filtering by code
+  const take = code ? 500 : offset + count + 1;
+
+  const includeVitals = !category || category === "vital-signs";
+  const includeResults =
+    !category || category === "laboratory" || category === "imaging";
+
+  let observations = [];
+
+  if (includeVitals) {
+    // Vitals recorded in notes later entered in error are left out
+    const where = {
+      OR: [
+        { clinicalNoteId: null },
+        { clinicalNote: { status: { not: "entered_in_error" } } },
+      ],
+    };
+    if (encounterId) where.encounterId = encounterId;
+    if (patientId) where.patientId = patientId;
+    if (dateFilter) where.measuredAt = dateFilter;
+
+    const sets = await prisma.vitalSignSet.findMany({
+      where,
+      take,
+      include: vitalSetInclude,
+      orderBy: { measuredAt: "desc" },
+    });
+
+    sets.forEach((set) => {
+      observations.push(...toFhirVitalObservations(set));
+    });
+  }
+
+  if (includeResults) {
+    const where = await resultVerificationService.buildVisibleResultsWhere(
+      user
+    );
+    if (encounterId || patientId) {
+      where.order = {
+        ...(encounterId && { encounterId }),
+        ...(patientId && { encounter: { patientId } }),
+      };
+    }
+    if (dateFilter) where.createdAt = dateFilter;
+    if (category === "imaging") where.resultType = "radiology_report";
+    if (category === "laboratory") where.resultType = "lab_result";
+
+    const results = await prisma.result.findMany({
+      where,
+      take,
+      include: resultInclude,
+      orderBy: { createdAt: "desc" },
+    });
+
+    results.forEach((result) => {
+      observations.push(
+        ...toFhirResultObservations(
+          result,
+          result.order.encounter.patientId,
+          result.order.encounterId
+        )
+      );
+    });
+  }
+
+  if (code) {
+    observations = observations.filter(
+      (obs) =>
+        obs.code.text === code ||
+        (obs.code.coding || []).some((coding) => coding.code === code)
+    );
+  }
+
+  observations.sort(
+    (a, b) => new Date(b.effectiveDateTime) - new Date(a.effectiveDateTime)
+  );
+
+  return {
+    resources: observations.slice(offset, offset + count),
+    hasMore: observations.length > offset + count,
+    count,
+    offset,
+  };
+}
+
+/**
+ * Read observation
+ * IDs are vitals-<vitalSignSetId>-<code> or result-<resultId>-<key>
+ */
+async function getObservation(id, user) {
+  const match = /^(vitals|result)-([0-9a-f-]{36})-(.+)$/.exec(id);
+
+  if (!match) {
+    throw new AppError(`Observation/${id} not found`, 404);
+  }
+
+  const [, source, sourceId] = match;
+  let observations = [];
+
+  if (source === "vitals") {
+    const set = await prisma.vitalSignSet.findUnique({
+      where: { id: sourceId },
+      include: vitalSetInclude,
+    });
+
+    if (set) {
+      observations = toFhirVitalObservations(set);
+    }
+  } else {
+    const result = await prisma.result.findFirst({
+      where: {
+        id: sourceId,
+        ...(await resultVerificationService.buildVisibleResultsWhere(user)),
+      },
+      include: resultInclude,
+    });
+
+    if (result) {
+      observations = toFhirResultObservations(
+        result,
+        result.order.encounter.patientId,
+        result.order.encounterId
+      );
+    }
+  }
+
+  const observation = observations.find((obs) => obs.id === id);
+
+  if (!observation) {
+    throw new AppError(`Observation/${id} not found`, 404);
+  }
+
+  return observation;
+}
+
+// ============================================
+// SERVICE REQUEST (orders)
+// ============================================
+
+const SERVICE_REQUEST_STATUS = {
+  active: ["pending", "collected", "processing"],
+  completed: ["completed"],
+  revoked: ["cancelled", "rejected"],
+};
+
+const orderInclude = {
+  clinician: userSelect,
+  encounter: { select: { patientId: true } },
+};
+
+/**
+ * Search service requests
+ * Params: _id, patient/subject, encounter, status, category, authored
+ */
+async function searchServiceRequests(params) {
+  const { count, offset } = parsePaging(params);
+  const where = {};
+
+  if (params._id) {
+    where.id = params._id;
+  }
+
+  const patientId =
+    parseReferenceParam(params.patient, "Patient") ||
+    parseReferenceParam(params.subject, "Patient");
+  if (patientId) {
+    where.encounter = { patientId };
+  }
+
+  const encounterId = parseReferenceParam(params.encounter, "Encounter");
+  if (encounterId) {
+    where.encounterId = encounterId;
+  }
+
+  if (params.status) {
+    where.status = { in: SERVICE_REQUEST_STATUS[params.status] || [] };
+  }
+
+  if (params.category) {
+    const category = parseTokenParam(params.category);
+    where.orderType =
+      category === "363679005" || category === "radiology"
+        ? "radiology"
+        : "lab";
+  }
+
+  if (params.authored) {
+    where.createdAt = parseDateParam(params.authored);
+  }
+
+  const [total, orders] = await Promise.all([
+    prisma.order.count({ where }),
+    prisma.order.findMany({
+      where,
+      skip: offset,
+      take: count,
+      include: orderInclude,
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    resources: orders.map(toFhirServiceRequest),
+    total,
+    count,
+    offset,
+  };
+}
+
+/**
+ * Read service request
+ */
+async function getServiceRequest(id) {
+  const order = await prisma.order.findUnique({
+    where: { id },
+    include: orderInclude,
+  });
+
+  if (!order) {
+    throw new AppError(`ServiceRequest/${id} not found`, 404);
+  }
+
+  return toFhirServiceRequest(order);
+}
+
+// ============================================
+// DIAGNOSTIC REPORT (results)
+// ============================================
+
+/**
+ * Search diagnostic reports
+ * Params: _id, patient/subject, encounter, status, category, date
+ */
+async function searchDiagnosticReports(params, user) {
+  const { count, offset } = parsePaging(params);
+  const where = await resultVerificationService.buildVisibleResultsWhere(user);
+
+  if (params._id) {
+    where.id = params._id;
+  }
+
+  const patientId =
+    parseReferenceParam(params.patient, "Patient") ||
+    parseReferenceParam(params.subject, "Patient");
+  const encounterId = parseReferenceParam(params.encounter, "Encounter");
+  if (patientId || encounterId) {
+    where.order = {
+      ...(encounterId && { encounterId }),
+      ...(patientId && { encounter: { patientId } }),
+    };
+  }
+
+  if (params.status === "final") {
+    where.approvedBy = { not: null };
+  } else if (params.status === "preliminary") {
+    where.approvedBy = null;
+  }
+
+  if (params.category) {
+    const category = parseTokenParam(params.category);
+    where.resultType = category === "RAD" ? "radiology_report" : "lab_result";
+  }
+
+  if (params.date) {
+    where.createdAt = parseDateParam(params.date);
+  }
+
+  const [total, results] = await Promise.all([
+    prisma.result.count({ where }),
+    prisma.result.findMany({
+      where,
+      skip: offset,
+      take: count,
+      include: resultInclude,
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    resources: results.map(toFhirDiagnosticReport),
+    total,
+    count,
+    offset,
+  };
+}
+
+/**
+ * Read diagnostic report
+ */
+async function getDiagnosticReport(id, user) {
+  const result = await prisma.result.findFirst({
+    where: {
+      id,
+      ...(await resultVerificationService.buildVisibleResultsWhere(user)),
+    },
+    include: resultInclude,
+  });
+
+  if (!result) {
+    throw new AppError(`DiagnosticReport/${id} not found`, 404);
+  }
+
+  return toFhirDiagnosticReport(result);
+}
+
+// ============================================
+// CAPABILITY STATEMENT
+// ============================================
+
+const SEARCH_PARAMS = {
+  Patient: [
+    ["_id", "token"],
+    ["identifier", "token"],
+    ["name", "string"],
+    ["family", "string"],
+    ["given", "string"],
+    ["gender", "token"],
+    ["birthdate", "date"],
+  ],
+  Encounter: [
+    ["_id", "token"],
+    ["patient", "reference"],
+    ["subject", "reference"],
+    ["date", "date"],
+    ["status", "token"],
+    ["class", "token"],
+  ],
+  Observation: [
+    ["patient", "reference"],
+    ["subject", "reference"],
+    ["encounter", "reference"],
+    ["category", "token"],
+    ["code", "token"],
+    ["date", "date"],
+  ],
+  ServiceRequest: [
+    ["_id", "token"],
+    ["patient", "reference"],
+    ["subject", "reference"],
+    ["encounter", "reference"],
+    ["status", "token"],
+    ["category", "token"],
+    ["authored", "date"],
+  ],
+  DiagnosticReport: [
+    ["_id", "token"],
+    ["patient", "reference"],
+    ["subject", "reference"],
+    ["encounter", "reference"],
+    ["status", "token"],
+    ["category", "token"],
+    ["date", "date"],
+  ],
+};
+
+/**
+ * Build CapabilityStatement for this server
+ * @param {string} baseUrl - FHIR base URL
+ * @returns {Object} CapabilityStatement
+ */
+function getCapabilityStatement(baseUrl) {
+  return {
+    resourceType: "CapabilityStatement",
+    status: "active",
+    date: new Date().toISOString(),
+    publisher: "Hela PHA",
+    kind: "instance",
+    software: {
+      name: "Hela PHA Medical Records Platform",
+    },
+    implementation: {
+      description: "Hela PHA FHIR R4 read API",
+      url: baseUrl,
+    },
+    fhirVersion: "4.0.1",
+    format: ["json"],
+    rest: [
+      {
+        mode: "server",
+        security: {
+          description:
+            "Bearer token (JWT) obtained from /api/auth/login is required",
+        },
+        resource: Object.keys(SEARCH_PARAMS).map((type) => ({
+          type,
+          interaction: [{ code: "read" }, { code: "search-type" }],
+          searchParam: [
+            ...SEARCH_PARAMS[type].map(([name, paramType]) => ({
+              name,
+              type: paramType,
+            })),
+            { name: "_count", type: "number" },
+            { name: "_offset", type: "number" },
+          ],
+        })),
+      },
+    ],
+    identifierSystems: { mrn: FHIR_SYSTEMS.mrn },
+  };
+}
+
+module.exports = {
+  buildSearchBundle,
+  searchPatients,
+  getPatient,
+  searchEncounters,
+  getEncounter,
+  searchObservations,
+  getObservation,
+  searchServiceRequests,
+  getServiceRequest,
+  searchDiagnosticReports,
+  getDiagnosticReport,
+  getCapabilityStatement,
+};
@@ -0,0 +1,791 @@
+// HL7 Service
+// Inbound ORU^R01 result ingestion and outbound ORM^O01 order messages
+
+const fs = require("fs");
+const path = require("path");
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const resultService = require("./resultService");
+const { assertTransition } = require("../utils/orderStatus");
+const {
+  parseMessage,
+  getField,
+  getComponent,
+  getSegments,
+  getOrderGroups,
+  escapeValue,
+  formatHl7DateTime,
+  formatHl7Date,
+  parseHl7DateTime,
+  buildMessage,
+  buildMSH,
+  buildAck,
+} = require("../utils/hl7Parser");
+
+/**
+ * HL7 interface configuration
+ */
+const HL7_CONFIG = {
+  sendingApplication: process.env.HL7_SENDING_APPLICATION || "HELA_PHA",
+  sendingFacility:
+    process.env.HL7_SENDING_FACILITY || process.env.MRN_FACILITY_CODE || "HELA",
+  receivingApplication: process.env.HL7_RECEIVING_APPLICATION || "LIS",
+  receivingFacility: process.env.HL7_RECEIVING_FACILITY || "",
+  inboundDir: process.env.HL7_INBOUND_DIR || null,
+  outboundDir: process.env.HL7_OUTBOUND_DIR || null,
+  pollIntervalMs: parseInt(process.env.HL7_POLL_INTERVAL_MS) || 5000,
+};
+
+// ORM OBR-5 priority codes
+const PRIORITY_CODES = {
+  stat: "S",
+  urgent: "A",
+  routine: "R",
+};
+
+// HL7 table 0074 diagnostic service sections
+const SERVICE_SECTIONS = {
+  hematology: "HM",
+  chemistry: "CH",
+  microbiology: "MB",
+};
+
+const ENCOUNTER_CLASS_CODES = {
+  opd: "O",
+  ipd: "I",
+  emergency: "E",
+};
+
+const SEX_CODES = {
+  male: "M",
+  female: "F",
+};
+
+/**
+ * Helper: Generate a message control ID
+ */
+function generateControlId(prefix) {
+  return `${prefix}${Date.now()}${Math.floor(Math.random() * 1000)
+    .toString()
+    .padStart(3, "0")}`;
+}
+
+/**
+ * Helper: Record an HL7 message in the interface log
+ * Logging failures must never break ingestion or ordering.
+ */
+async function logMessage(data) {
+  try {
+    return await prisma.hl7Message.create({ data });
+  } catch (error) {
+    console.error("Failed to log HL7 message:", error);
+    return null;
+  }
+}
+
+// ============================================
+// INBOUND (ORU^R01)
+// ============================================
+
+/**
+ * Convert an OBX segment into a resultData entry
+ * @param {Object} message - Parsed message
+ * @param {Object} observation - { obx, notes }
+ * @returns {Object} { key, entry }
+ */
+function mapObservation(message, observation) {
+  const { obx, notes } = observation;
+  const valueType = getField(obx, 2);
+  const code = getComponent(message, obx, 3, 1);
+  const name = getComponent(message, obx, 3, 2) || code;
+  const rawValue = getComponent(message, obx, 5, 1);
+  const flag = getComponent(message, obx, 8, 1).toUpperCase();
+
+  const numeric =
+    valueType === "NM" && rawValue !== "" && !isNaN(Number(rawValue));
+
+  const observedAt = parseHl7DateTime(getField(obx, 14));
+
+  const entry = {
+    value: numeric ? Number(rawValue) : rawValue,
+    unit: getComponent(message, obx, 6, 1) || null,
+    referenceRange: getComponent(message, obx, 7, 1) || null,
+    flag: flag || null,
+    code: code || null,
+    codeSystem: getComponent(message, obx, 3, 3) || null,
+    status: getField(obx, 11) || null,
+    ...(observedAt && { observedAt: observedAt.toISOString() }),
+  };
+
+  const comments = notes
+    .map((nte) => getComponent(message, nte, 3, 1))
+    .filter(Boolean);
+  if (comments.length > 0) {
+    entry.comment = comments.join("\n");
+  }
+
+  return { key: name, entry };
+}
+
+/**
+ * Build Result data for one ORU order group
+ * OBX-8 abnormal flags are kept on each entry; createResult re-flags
+ * analytes against the reference range catalogue and falls back to them.
+ * @param {Object} message - Parsed message
+ * @param {Object} group - Order group from getOrderGroups
+ * @returns {Object} { resultData, resultText }
+ */
+function mapOrderGroup(message, group) {
+  const resultData = {};
+
+  group.observations.forEach((observation) => {
+    const { key, entry } = mapObservation(message, observation);
+
+    // Keep repeated analytes (e.g. replicate runs) instead of overwriting
+    let uniqueKey = key;
+    let suffix = 2;
+    while (resultData[uniqueKey]) {
+      uniqueKey = `${key} (${suffix++})`;
+    }
+    resultData[uniqueKey] = entry;
+  });
+
+  const comments = group.notes
+    .map((nte) => getComponent(message, nte, 3, 1))
+    .filter(Boolean);
+
+  return {
+    resultData,
+    resultText: comments.length > 0 ? comments.join("\n") : null,
+  };
+}
+
+/**
+ * Resolve the Order referenced by an ORU order group
+ * Placer order number (ORC-2 / OBR-2) is the Order ID sent in ORM^O01.
+ * @returns {Promise<Object>} Order
+ */
+async function resolveOrder(message, group, patientIdentifiers) {
+  const placerNumber =
+    getComponent(message, group.orc, 2, 1) ||
+    getComponent(message, group.obr, 2, 1);
+
+  if (!placerNumber) {
+    throw new AppError("OBR is missing a placer order number", 400);
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: placerNumber },
+    include: {
+      encounter: {
+        select: {
+          patient: {
+            select: {
+              mrn: true,
+              aliases: { select: { mrn: true } },
+            },
+          },
+        },
+      },
+    },
+  });
+
+  if (!order) {
+    throw new AppError(`Unknown placer order number ${placerNumber}`, 404);
+  }
+
+  if (order.status === "cancelled") {
+    throw new AppError(`Order ${placerNumber} has been cancelled`, 400);
+  }
+
+  if (order.status !== "completed") {
+    assertTransition(order, "completed");
+  }
+
+  // Guard against results filed against the wrong patient
+  if (patientIdentifiers.length > 0) {
+    const patient = order.encounter.patient;
+    const knownMrns = [patient.mrn, ...patient.aliases.map((a) => a.mrn)];
+
+    if (!patientIdentifiers.some((id) => knownMrns.includes(id))) {
+      throw new AppError(
+        `Patient identifier does not match order ${placerNumber}`,
+        400
+      );
+    }
+  }
+
+  return order;
+}
+
+/**
+ * Get patient identifiers (PID-3 repetitions) from a message
+ */
+function getPatientIdentifiers(message) {
+  const pid = getSegments(message, "PID")[0];
+  if (!pid) return [];
+
+  return getField(pid, 3)
+    .split(message.delimiters.repetition)
+    .map((rep) => rep.split(message.delimiters.component)[0])
+    .filter(Boolean);
+}
+
+/**
+ * Process a parsed ORU^R01 message
+ * All order groups are resolved first and then written in one
+ * transaction, so a message is either applied in full or rejected.
+ * Notifications go out once it has committed.
+ * @returns {Promise<Array>} Created or amended results
+ */
+async function processObservationResult(message, userId) {
+  const groups = getOrderGroups(message);
+
+  if (groups.length === 0) {
+    throw new AppError("ORU message contains no OBR segments", 400);
+  }
+
+  const patientIdentifiers = getPatientIdentifiers(message);
+  const resolved = [];
+
+  for (const group of groups) {
+    if (group.observations.length === 0) {
+      throw new AppError("OBR group contains no OBX segments", 400);
+    }
+
+    const order = await resolveOrder(message, group, patientIdentifiers);
+    const existingResult = await prisma.result.findFirst({
+      where: { orderId: order.id },
+      select: { id: true },
+    });
+
+    resolved.push({
+      order,
+      existingResult,
+      resultStatus: getField(group.obr, 25),
+      mapped: mapOrderGroup(message, group),
+    });
+  }
+
+  const saved = await prisma.$transaction(async (tx) => {
+    const written = [];
+
+    for (const { order, existingResult, resultStatus, mapped } of resolved) {
+      // A repeat report for the same order is a new version of its result
+      written.push(
+        existingResult
+          ? await resultService.saveAmendment(
+              tx,
+              existingResult.id,
+              {
+                ...mapped,
+                amendmentType: resultStatus === "C" ? "corrected" : "amended",
+                amendmentReason: `${
+                  resultStatus === "C" ? "Corrected" : "Updated"
+                } result received from ${
+                  message.header.sendingApplication || "HL7 interface"
+                } (message ${message.header.controlId})`,
+              },
+              userId
+            )
+          : await resultService.saveResult(
+              tx,
+              {
+                orderId: order.id,
+                resultType:
+                  order.orderType === "radiology"
+                    ? "radiology_report"
+                    : "lab_result",
+                ...mapped,
+              },
+              userId
+            )
+      );
+    }
+
+    return written;
+  });
+
+  for (const { notify } of saved) {
+    await notify();
+  }
+
+  return saved.map(({ result }) => result);
+}
+
+/**
+ * Helper: Find an earlier successfully processed copy of an inbound message
+ * Senders retransmit when an ACK is lost; MSH-10 control IDs are unique
+ * per sending facility (MSH-4).
+ * @param {Object} header - Parsed MSH header
+ * @returns {Promise<Object|null>} Logged message with its original ACK
+ */
+async function findProcessedMessage(header) {
+  if (!header.controlId) {
+    return null;
+  }
+
+  return prisma.hl7Message.findFirst({
+    where: {
+      direction: "inbound",
+      status: "processed",
+      controlId: header.controlId,
+      sendingFacility: header.sendingFacility || null,
+    },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+/**
+ * Ingest an inbound HL7 v2 message and build its ACK
+ * Never throws for message problems: errors are reported in the ACK
+ * (AE = application error, AR = rejected). A message whose control ID
+ * was already processed for its sending facility is not filed again:
+ * the original ACK is returned and nothing is written.
+ * @param {string} raw - Raw ER7 message
+ * @param {string} userId - User the results are entered as
+ * @param {Object} options - { source: api|file_drop, fileName }
+ * @returns {Promise<Object>} { ackCode, ack, messageType, controlId, results, error, duplicate }
+ */
+async function ingestMessage(raw, userId, options = {}) {
+  const source = options.source || "api";
+  let message = null;
+  let messageType = "UNKNOWN";
+  let ackCode = "AA";
+  let error = null;
+  let results = [];
+
+  try {
+    message = parseMessage(raw);
+    messageType = `${message.header.messageType}^${message.header.triggerEvent}`;
+
+    if (messageType !== "ORU^R01") {
+      ackCode = "AR";
+      error = `Unsupported message type ${messageType}`;
+    } else {
+      const processed = await findProcessedMessage(message.header);
+
+      if (processed) {
+        return {
+          ackCode: processed.ackCode,
+          ack: processed.ackMessage,
+          messageType,
+          controlId: message.header.controlId,
+          results: [],
+          error: null,
+          duplicate: true,
+        };
+      }
+
+      results = await processObservationResult(message, userId);
+    }
+  } catch (err) {
+    ackCode = message ? "AE" : "AR";
+    error = err.message;
+
+    if (!err.statusCode) {
+      console.error("HL7 ingestion error:", err);
+    }
+  }
+
+  const ack = buildAck(
+    message,
+    ackCode,
+    error || `${results.length} result(s) filed`,
+    {
+      sendingApplication: HL7_CONFIG.sendingApplication,
+      sendingFacility: HL7_CONFIG.sendingFacility,
+      controlId: generateControlId("ACK"),
+    }
+  );
+
+  await logMessage({
+    direction: "inbound",
+    messageType,
+    controlId: message ? message.header.controlId || null : null,
+    sendingApplication: message
+      ? message.header.sendingApplication || null
+      : null,
+    sendingFacility: message ? message.header.sendingFacility || null : null,
+    source,
+    fileName: options.fileName || null,
+    rawMessage: String(raw || ""),
+    ackCode,
+    ackMessage: ack,
+    status:
+      ackCode === "AA" ? "processed" : ackCode === "AR" ? "rejected" : "error",
+    errorMessage: error,
+    orderId: results.length === 1 ? results[0].orderId : null,
+    resultIds: results.map((r) => r.id),
+    processedBy: userId,
+  });
+
+  return {
+    ackCode,
+    ack,
+    messageType,
+    controlId: message ? message.header.controlId : null,
+    results,
+    error,
+    duplicate: false,
+  };
+}
+
+// ============================================
+// OUTBOUND (ORM^O01)
+// ============================================
+
+/**
+ * Build an ORM^O01 new order message
+ * @param {Object} order - Order with encounter.patient, encounter.department
+ *   and clinician
+ * @param {string} controlId - MSH-10 control ID
+ * @returns {string} ER7 message
+ */
+function buildOrderMessage(order, controlId) {
+  const { encounter, clinician } = order;
+  const patient = encounter.patient;
+
+  const provider = clinician
+    ? `${escapeValue(clinician.id)}^${escapeValue(
+        clinician.lastName
+      )}^${escapeValue(clinician.firstName)}`
+    : "";
+
+  const serviceSection =
+    order.orderType === "radiology"
+      ? "RAD"
+      : SERVICE_SECTIONS[order.orderCategory] || "LAB";
+
+  return buildMessage([
+    buildMSH({
+      sendingApplication: HL7_CONFIG.sendingApplication,
+      sendingFacility: HL7_CONFIG.sendingFacility,
+      receivingApplication: HL7_CONFIG.receivingApplication,
+      receivingFacility: HL7_CONFIG.receivingFacility,
+      messageType: "ORM^O01^ORM_O01",
+      controlId,
+    }),
+    [
+      "PID",
+      "1",
+      "",
+      `${escapeValue(patient.mrn)}^^^${HL7_CONFIG.sendingFacility}^MR`,
+      "",
+      `${escapeValue(patient.lastName)}^${escapeValue(
+        patient.firstName
+      )}^${escapeValue(patient.middleName || "")}`,
+      "",
+      formatHl7Date(patient.dateOfBirth),
+      SEX_CODES[patient.sex] || "U",
+    ],
+    [
+      "PV1",
+      "1",
+      ENCOUNTER_CLASS_CODES[encounter.encounterType] || "O",
+      escapeValue(encounter.department ? encounter.department.name : ""),
+      "",
+      "",
+      "",
+      provider,
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      escapeValue(encounter.id),
+    ],
+    [
+      "ORC",
+      "NW",
+      escapeValue(order.id),
+      "",
+      "",
+      "SC",
+      "",
+      "",
+      "",
+      formatHl7DateTime(order.createdAt),
+      "",
+      "",
+      provider,
+    ],
+    [
+      "OBR",
+      "1",
+      escapeValue(order.id),
+      "",
+      `^${escapeValue(order.testName)}`,
+      PRIORITY_CODES[order.priority] || "R",
+      "",
+      formatHl7DateTime(order.createdAt),
+      "",
+      "",
+      "",
+      "",
+      "",
+      escapeValue(order.notes || ""),
+      "",
+      escapeValue(order.specimenType || ""),
+      provider,
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      serviceSection,
+    ],
+  ]);
+}
+
+/**
+ * Generate ORM^O01 for a placed order and deliver it to the outbound
+ * directory (when HL7_OUTBOUND_DIR is configured)
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { controlId, message, fileName }
+ */
+async function sendOrderMessage(orderId) {
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      clinician: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+      encounter: {
+        include: {
+          patient: true,
+          department: true,
+        },
+      },
+    },
+  });
+
+  if (!order) {
+    throw new AppError("Order not found", 404);
+  }
+
+  const controlId = generateControlId("ORM");
+  const message = buildOrderMessage(order, controlId);
+  let fileName = null;
+  let status = "generated";
+  let errorMessage = null;
+
+  if (HL7_CONFIG.outboundDir) {
+    try {
+      fileName = `ORM_${controlId}.hl7`;
+      await fs.promises.mkdir(HL7_CONFIG.outboundDir, { recursive: true });
+      await fs.promises.writeFile(
+        path.join(HL7_CONFIG.outboundDir, fileName),
+        message
+      );
+      status = "delivered";
+    } catch (error) {
+      status = "error";
+      errorMessage = error.message;
+      console.error("Failed to write outbound ORM message:", error);
+    }
+  }
+
+  await logMessage({
+    direction: "outbound",
+    messageType: "ORM^O01",
+    controlId,
+    sendingApplication: HL7_CONFIG.sendingApplication,
+    source: "order",
+    fileName,
+    rawMessage: message,
+    status,
+    errorMessage,
+    orderId: order.id,
+  });
+
+  return { controlId, message, fileName };
+}
+
+// ============================================
+// FILE DROP MODE
+// ============================================
+
+/**
+ * Split a file into individual messages (batch files may hold several)
+ */
+function splitMessages(content) {
+  return content
+    .replace(/^\x0b/gm, "")
+    .split(/(?=^MSH)/m)
+    .map((chunk) => chunk.replace(/\x1c/g, "").trim())
+    .filter((chunk) => chunk.startsWith("MSH"));
+}
+
+/**
+ * Process one file from the inbound directory
+ * Writes ACK(s) to <inbound>/ack and moves the file to
+ * <inbound>/processed or <inbound>/error.
+ * @param {string} filePath - File to process
+ * @param {string} userId - User the results are entered as
+ * @returns {Promise<Array>} Ingestion outcomes
+ */
+async function processInboundFile(filePath, userId) {
+  const directory = path.dirname(filePath);
+  const fileName = path.basename(filePath);
+  const content = await fs.promises.readFile(filePath, "utf8");
+
+  const messages = splitMessages(content);
+  const outcomes = [];
+
+  if (messages.length === 0) {
+    outcomes.push(
+      await ingestMessage(content, userId, { source: "file_drop", fileName })
+    );
+  }
+
+  for (const raw of messages) {
+    outcomes.push(
+      await ingestMessage(raw, userId, { source: "file_drop", fileName })
+    );
+  }
+
+  const ackDir = path.join(directory, "ack");
+  const targetDir = path.join(
+    directory,
+    outcomes.every((o) => o.ackCode === "AA") ? "processed" : "error"
+  );
+
+  await fs.promises.mkdir(ackDir, { recursive: true });
+  await fs.promises.mkdir(targetDir, { recursive: true });
+
+  await fs.promises.writeFile(
+    path.join(ackDir, `${fileName}.ack`),
+    outcomes.map((o) => o.ack).join("\r\n")
+  );
+  await fs.promises.rename(filePath, path.join(targetDir, fileName));
+
+  return outcomes;
+}
+
+/**
+ * Poll the inbound directory for dropped HL7 files
+ * Files modified in the last second are skipped so partially written
+ * files are picked up on the next pass.
+ * @param {string} userId - User the results are entered as
+ * @param {Object} options - { directory, intervalMs, onProcessed }
+ * @returns {Function} Stop function
+ */
+function watchInboundDirectory(userId, options = {}) {
+  const directory = options.directory || HL7_CONFIG.inboundDir;
+  const intervalMs = options.intervalMs || HL7_CONFIG.pollIntervalMs;
+
+  if (!directory) {
+    throw new AppError("HL7_INBOUND_DIR is not configured", 500);
+  }
+
+  let running = false;
+
+  const poll = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      const entries = await fs.promises.readdir(directory, {
+        withFileTypes: true,
+      });
+
+      for (const entry of entries) {
+        if (!entry.isFile() || !/\.(hl7|txt)$/i.test(entry.name)) continue;
+
+        const filePath = path.join(directory, entry.name);
+        const stats = await fs.promises.stat(filePath);
+        if (Date.now() - stats.mtimeMs < 1000) continue;
+
+        try {
+          const outcomes = await processInboundFile(filePath, userId);
+          if (options.onProcessed) options.onProcessed(entry.name, outcomes);
+        } catch (error) {
+          console.error(`Failed to process HL7 file ${entry.name}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error("HL7 inbound directory poll failed:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  poll();
+  const timer = setInterval(poll, intervalMs);
+
+  return () => clearInterval(timer);
+}
+
+// ============================================
+// INTERFACE LOG
+// ============================================
+
+/**
+ * Get HL7 interface log
+ * @param {Object} filters - { direction, status, messageType, orderId, page, limit }
+ * @returns {Promise<Object>} Messages with pagination
+ */
+async function getMessages(filters) {
+  const {
+    direction,
+    status,
+    messageType,
+    orderId,
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (direction) where.direction = direction;
+  if (status) where.status = status;
+  if (messageType) where.messageType = messageType;
+  if (orderId) where.orderId = orderId;
+
+  const [total, messages] = await Promise.all([
+    prisma.hl7Message.count({ where }),
+    prisma.hl7Message.findMany({
+      where,
+      skip,
+      take: limitNum,
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    messages,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+module.exports = {
+  HL7_CONFIG,
+  ingestMessage,
+  buildOrderMessage,
+  sendOrderMessage,
+  processInboundFile,
+  watchInboundDirectory,
+  getMessages,
+};
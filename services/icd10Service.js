@@ -0,0 +1,216 @@
+// ICD-10 Service
+// ICD-10 code table: search/autocomplete and bulk import
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+const IMPORT_BATCH_SIZE = 500;
+
+/**
+ * Normalise an ICD-10 code to the stored form (upper case, dotted)
+ * e.g. "b509" -> "B50.9", "a09" -> "A09"
+ * @param {string} code - Code as entered
+ * @returns {string|null} Normalised code, or null when not ICD-10 shaped
+ */
+function normalizeCode(code) {
+  if (!code) return null;
+
+  const compact = String(code).trim().toUpperCase().replace(/\./g, "");
+
+  if (!/^[A-Z][0-9][0-9A-Z]([0-9A-Z]{1,4})?$/.test(compact)) {
+    return null;
+  }
+
+  return compact.length > 3
+    ? `${compact.slice(0, 3)}.${compact.slice(3)}`
+    : compact;
+}
+
+/**
+ * Search codes for autocomplete
+ * Codes starting with the term are listed before description matches.
+ * @param {Object} filters - { search, limit, includeInactive }
+ * @returns {Promise<Array>} Matching codes
+ */
+async function searchCodes(filters = {}) {
+  const { search, includeInactive } = filters;
+  const limit = Math.min(parseInt(filters.limit) || 20, 100);
+  const term = search ? String(search).trim() : "";
+  const activeWhere =
+    includeInactive === true || includeInactive === "true"
+      ? {}
+      : { isActive: true };
+
+  if (!term) {
+    return prisma.icd10Code.findMany({
+      where: activeWhere,
+      orderBy: { code: "asc" },
+      take: limit,
+    });
+  }
+
+  const codePrefix = normalizeCode(term) || term.toUpperCase();
+
+  const codeMatches = await prisma.icd10Code.findMany({
+    where: { ...activeWhere, code: { startsWith: codePrefix } },
+    orderBy: { code: "asc" },
+    take: limit,
+  });
+
+  if (codeMatches.length >= limit) return codeMatches;
+
+  const descriptionMatches = await prisma.icd10Code.findMany({
+    where: {
+      ...activeWhere,
+      description: { contains: term, mode: "insensitive" },
+      id: { notIn: codeMatches.map((c) => c.id) },
+    },
+    orderBy: { code: "asc" },
+    take: limit - codeMatches.length,
+  });
+
+  return [...codeMatches, ...descriptionMatches];
+}
+
+/**
+ * Get a code by its ICD-10 code
+ * @param {string} code - ICD-10 code (dotted or not)
+ * @returns {Promise<Object>} Code
+ */
+async function getCode(code) {
+  const normalized = normalizeCode(code);
+
+  const icd10Code = normalized
+    ? await prisma.icd10Code.findUnique({ where: { code: normalized } })
+    : null;
+
+  if (!icd10Code) {
+    throw new AppError(`ICD-10 code ${code} not found`, 404);
+  }
+
+  return icd10Code;
+}
+
+/**
+ * Resolve active codes for diagnosis entry
+ * @param {Array<string>} codes - ICD-10 codes as entered
+ * @returns {Promise<Map>} Normalised code -> Icd10Code
+ */
+async function resolveCodes(codes) {
+  const normalized = codes.map((code) => {
+    const value = normalizeCode(code);
+    if (!value) {
+      throw new AppError(`Invalid ICD-10 code ${code}`, 400);
+    }
+    return value;
+  });
+
+  const found = await prisma.icd10Code.findMany({
+    where: { code: { in: normalized } },
+  });
+  const byCode = new Map(found.map((c) => [c.code, c]));
+
+  normalized.forEach((code) => {
+    const icd10Code = byCode.get(code);
+
+    if (!icd10Code) {
+      throw new AppError(`ICD-10 code ${code} not found`, 400);
+    }
+
+    if (!icd10Code.isActive) {
+      throw new AppError(`ICD-10 code ${code} is no longer in use`, 400);
+    }
+  });
+
+  return byCode;
+}
+
+/**
+ * Import (upsert) codes into the code table
+ * Rows with an invalid code or no description are skipped.
+ * @param {Array<Object>} rows - [{ code, description, chapter, block, isActive }]
+ * @param {Object} options - { deactivateMissing: mark codes not in the
+ *   import as inactive (full release import) }
+ * @returns {Promise<Object>} { imported, created, updated, skipped, deactivated }
+ */
+async function importCodes(rows, options = {}) {
+  const summary = {
+    imported: 0,
+    created: 0,
+    updated: 0,
+    skipped: [],
+    deactivated: 0,
+  };
+  const seen = new Set();
+  const valid = [];
+  const startedAt = new Date();
+
+  rows.forEach((row, index) => {
+    const code = normalizeCode(row.code);
+    const description = row.description ? String(row.description).trim() : "";
+
+    if (!code || !description) {
+      summary.skipped.push({ row: index + 1, code: row.code || null });
+      return;
+    }
+
+    if (seen.has(code)) return;
+    seen.add(code);
+
+    valid.push({
+      code,
+      description,
+      chapter: row.chapter ? String(row.chapter).trim() : null,
+      block: row.block ? String(row.block).trim() : null,
+      isActive: row.isActive === undefined ? true : Boolean(row.isActive),
+    });
+  });
+
+  for (let i = 0; i < valid.length; i += IMPORT_BATCH_SIZE) {
+    const batch = valid.slice(i, i + IMPORT_BATCH_SIZE);
+    const existing = await prisma.icd10Code.findMany({
+      where: { code: { in: batch.map((row) => row.code) } },
+      select: { code: true },
+    });
+    const existingCodes = new Set(existing.map((c) => c.code));
+
+    await prisma.$transaction(
+      batch.map((row) =>
+        prisma.icd10Code.upsert({
+          where: { code: row.code },
+          create: row,
+          update: {
+            description: row.description,
+            chapter: row.chapter,
+            block: row.block,
+            isActive: row.isActive,
+          },
+        })
+      )
+    );
+
+    summary.created += batch.filter((r) => !existingCodes.has(r.code)).length;
+    summary.updated += batch.filter((r) => existingCodes.has(r.code)).length;
+  }
+
+  summary.imported = valid.length;
+
+  if (options.deactivateMissing && valid.length > 0) {
+    const { count } = await prisma.icd10Code.updateMany({
+      // Every imported row was just upserted, so older rows were not in it
+      where: { updatedAt: { lt: startedAt }, isActive: true },
+      data: { isActive: false },
+    });
+    summary.deactivated = count;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  normalizeCode,
+  searchCodes,
+  getCode,
+  resolveCodes,
+  importCodes,
+};
@@ -2,162 +2,244 @@
 // Business logic for dashboards and analytics
 
 const { prisma } = require("../config/database");
+const { getPeriodScore } = require("./completenessService");
+const {
+  getDailyMetrics,
+  getMissingDays,
+  aggregateMetrics,
+  bucketMetrics,
+} = require("./kpiSnapshotService");
+const {
+  DAY_MS,
+  parsePeriod,
+  parseGranularity,
+  startOfDay,
+  periodStart,
+  nextPeriodStart,
+  formatDate,
+} = require("../utils/kpiPeriods");
+
+const ACTIVE_ORDER_STATUSES = ["pending", "collected", "processing"];
 
 /**
- * Get comprehensive dashboard summary
- * @returns {Promise<Object>} Dashboard KPIs
+ * Helper: Parse from/to (default: last 30 days), departmentId and
+ * granularity (default: day)
  */
-async function getDashboardSummary() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-
-  const thisMonth = new Date();
-  thisMonth.setDate(1);
-  thisMonth.setHours(0, 0, 0, 0);
-
-  // Parallel queries for performance
-  const [patientStats, encounterStats, orderStats, noteStats] =
-    await Promise.all([
-      getPatientKPIs(today, thisMonth),
-      getEncounterKPIs(today, thisMonth),
-      getOrderKPIs(today),
-      getClinicalNoteKPIs(today),
-    ]);
+function parseKpiFilters(filters) {
+  const { from, to } = parsePeriod(filters, 30);
 
   return {
-    patients: patientStats,
-    encounters: encounterStats,
-    orders: orderStats,
-    clinicalNotes: noteStats,
-    generatedAt: new Date(),
+    from,
+    to,
+    departmentId: filters.departmentId || null,
+    granularity: parseGranularity(filters.granularity),
   };
 }
 
 /**
- * Get patient KPIs
+ * Get dashboard summary for a period
+ * Existing figures keep their meaning: totals, open and pending counts,
+ * averages and the distributions are live as of now, Today/ThisMonth are
+ * the current day and month. The *InPeriod figures and the series come
+ * from the daily KPI snapshots (today is computed live; days without a
+ * snapshot are listed in missingDays and count as gaps).
+ * @param {Object} filters - { from, to (default: last 30 days),
+ *   departmentId, granularity (day, week, month; default day) }
+ * @returns {Promise<Object>} { patients, encounters, orders,
+ *   clinicalNotes, series, missingDays, ... }
  */
-async function getPatientKPIs(today, thisMonth) {
-  const [
-    total,
-    registeredToday,
-    registeredThisMonth,
-    sexDistribution,
-    ageGroups,
-  ] = await Promise.all([
-    prisma.patient.count(),
-    prisma.patient.count({ where: { createdAt: { gte: today } } }),
-    prisma.patient.count({ where: { createdAt: { gte: thisMonth } } }),
-    prisma.patient.groupBy({
-      by: ["sex"],
-      _count: true,
+async function getDashboardSummary(filters = {}) {
+  const { from, to, departmentId, granularity } = parseKpiFilters(filters);
+
+  const days = await getDailyMetrics({ from, to, departmentId });
+  const [current, notesWithVitalsInPeriod] = await Promise.all([
+    getCurrentStatus(departmentId),
+    prisma.clinicalNote.count({
+      where: {
+        createdAt: { gte: from, lte: to },
+        vitalSignSets: { some: {} },
+        ...(departmentId && { encounter: { departmentId } }),
+      },
     }),
-    getAgeDistribution(),
   ]);
 
+  const totals = aggregateMetrics(days);
+
   return {
-    total,
-    registeredToday,
-    registeredThisMonth,
-    sexDistribution: sexDistribution.map((item) => ({
-      sex: item.sex,
-      count: item._count,
-    })),
-    ageGroups,
+    period: { from, to },
+    departmentId,
+    granularity,
+    patients: {
+      total: current.totalPatients,
+      registeredToday: current.registeredToday,
+      registeredThisMonth: current.registeredThisMonth,
+      registeredInPeriod: totals.patientsRegistered,
+      sexDistribution: current.sexDistribution,
+      ageGroups: current.ageGroups,
+    },
+    encounters: {
+      totalOpen: current.openEncounters,
+      totalClosed: current.closedEncounters,
+      admissionsToday: current.admissionsToday,
+      dischargesToday: current.dischargesToday,
+      admissionsThisMonth: current.admissionsThisMonth,
+      admissionsInPeriod: totals.admissions,
+      dischargesInPeriod: totals.discharges,
+      typeDistribution: current.openEncountersByType,
+      avgLengthOfStayDays: current.avgLengthOfStayDays,
+      avgLengthOfStayDaysInPeriod: totals.avgLengthOfStayDays,
+      bedOccupancy: current.bedOccupancy,
+    },
+    orders: {
+      totalPending: current.pendingOrders,
+      ordersToday: current.ordersToday,
+      ordersInPeriod: totals.ordersPlaced,
+      criticalResults: current.criticalResults,
+      criticalResultsInPeriod: totals.criticalResults,
+      avgTurnaroundHours: current.avgTurnaroundHours,
+      avgTurnaroundHoursInPeriod: totals.avgTurnaroundHours,
+      pendingByPriority: current.pendingOrdersByPriority,
+    },
+    clinicalNotes: {
+      totalNotes: current.totalNotes,
+      notesToday: current.notesToday,
+      notesInPeriod: totals.clinicalNotes,
+      notesWithVitals: current.notesWithVitals,
+      notesWithVitalsInPeriod,
+      noteTypeDistribution: current.noteTypeDistribution,
+    },
+    series: bucketMetrics(days, granularity),
+    missingDays: getMissingDays(days),
+    generatedAt: new Date(),
   };
 }
 
 /**
- * Get encounter KPIs
+ * Helper: Live counts, averages and distributions as of now
  */
-async function getEncounterKPIs(today, thisMonth) {
+async function getCurrentStatus(departmentId) {
+  const today = startOfDay(new Date());
+  const thisMonth = periodStart(today, "month");
+  const patientWhere = departmentId
+    ? { encounters: { some: { departmentId } } }
+    : {};
+  const encounterWhere = departmentId ? { departmentId } : {};
+  const inEncounter = departmentId ? { encounter: { departmentId } } : {};
+
   const [
-    totalOpen,
-    totalClosed,
+    totalPatients,
+    registeredToday,
+    registeredThisMonth,
+    sexDistribution,
+    ageGroups,
+    openEncounters,
+    closedEncounters,
     admissionsToday,
     dischargesToday,
     admissionsThisMonth,
-    typeDistribution,
-    avgLengthOfStay,
+    openByType,
+    avgLengthOfStayDays,
+    pendingOrders,
+    ordersToday,
+    criticalResults,
+    avgTurnaroundHours,
+    pendingByPriority,
+    totalNotes,
+    notesToday,
+    notesWithVitals,
+    noteTypeDistribution,
+    bedOccupancy,
   ] = await Promise.all([
-    prisma.encounter.count({ where: { status: "open" } }),
-    prisma.encounter.count({ where: { status: "closed" } }),
-    prisma.encounter.count({ where: { admissionDate: { gte: today } } }),
-    prisma.encounter.count({ where: { dischargeDate: { gte: today } } }),
-    prisma.encounter.count({ where: { admissionDate: { gte: thisMonth } } }),
+    prisma.patient.count({ where: patientWhere }),
+    prisma.patient.count({
+      where: { ...patientWhere, createdAt: { gte: today } },
+    }),
+    prisma.patient.count({
+      where: { ...patientWhere, createdAt: { gte: thisMonth } },
+    }),
+    prisma.patient.groupBy({
+      by: ["sex"],
+      _count: true,
+      where: patientWhere,
+    }),
+    getAgeDistribution(patientWhere),
+    prisma.encounter.count({ where: { ...encounterWhere, status: "open" } }),
+    prisma.encounter.count({ where: { ...encounterWhere, status: "closed" } }),
+    prisma.encounter.count({
+      where: { ...encounterWhere, admissionDate: { gte: today } },
+    }),
+    prisma.encounter.count({
+      where: { ...encounterWhere, dischargeDate: { gte: today } },
+    }),
+    prisma.encounter.count({
+      where: { ...encounterWhere, admissionDate: { gte: thisMonth } },
+    }),
     prisma.encounter.groupBy({
       by: ["encounterType"],
       _count: true,
-      where: { status: "open" },
+      where: { ...encounterWhere, status: "open" },
     }),
-    getAverageLengthOfStay(),
-  ]);
-
-  return {
-    totalOpen,
-    totalClosed,
-    admissionsToday,
-    dischargesToday,
-    admissionsThisMonth,
-    typeDistribution: typeDistribution.map((item) => ({
-      type: item.encounterType,
-      count: item._count,
-    })),
-    avgLengthOfStayDays: avgLengthOfStay,
-  };
-}
-
-/**
- * Get order KPIs
- */
-async function getOrderKPIs(today) {
-  const [
-    totalPending,
-    totalToday,
-    criticalResults,
-    avgTurnaroundHours,
-    pendingByPriority,
-  ] = await Promise.all([
+    getAverageLengthOfStay({ ...encounterWhere, encounterType: "ipd" }, 100),
     prisma.order.count({
-      where: { status: { in: ["pending", "collected", "processing"] } },
+      where: { ...inEncounter, status: { in: ACTIVE_ORDER_STATUSES } },
     }),
-    prisma.order.count({ where: { createdAt: { gte: today } } }),
-    prisma.result.count({ where: { criticalFlag: true } }),
-    calculateAverageTurnaround(),
+    prisma.order.count({
+      where: { ...inEncounter, createdAt: { gte: today } },
+    }),
+    prisma.result.count({
+      where: {
+        criticalFlag: true,
+        ...(departmentId && { order: { encounter: { departmentId } } }),
+      },
+    }),
+    calculateAverageTurnaround(inEncounter),
     prisma.order.groupBy({
       by: ["priority"],
       _count: true,
-      where: { status: { in: ["pending", "collected", "processing"] } },
+      where: { ...inEncounter, status: { in: ACTIVE_ORDER_STATUSES } },
+    }),
+    prisma.clinicalNote.count({ where: inEncounter }),
+    prisma.clinicalNote.count({
+      where: { ...inEncounter, createdAt: { gte: today } },
+    }),
+    prisma.clinicalNote.count({
+      where: { ...inEncounter, vitalSignSets: { some: {} } },
+    }),
+    prisma.clinicalNote.groupBy({
+      by: ["noteType"],
+      _count: true,
+      where: inEncounter,
     }),
+    getCurrentBedOccupancy(departmentId ? { ward: { departmentId } } : {}),
   ]);
 
   return {
-    totalPending,
-    ordersToday: totalToday,
+    totalPatients,
+    registeredToday,
+    registeredThisMonth,
+    sexDistribution: sexDistribution.map((item) => ({
+      sex: item.sex,
+      count: item._count,
+    })),
+    ageGroups,
+    openEncounters,
+    closedEncounters,
+    admissionsToday,
+    dischargesToday,
+    admissionsThisMonth,
+    openEncountersByType: openByType.map((item) => ({
+      type: item.encounterType,
+      count: item._count,
+    })),
+    avgLengthOfStayDays,
+    pendingOrders,
+    ordersToday,
     criticalResults,
     avgTurnaroundHours: Math.round(avgTurnaroundHours * 10) / 10,
-    pendingByPriority: pendingByPriority.map((item) => ({
+    pendingOrdersByPriority: pendingByPriority.map((item) => ({
       priority: item.priority,
       count: item._count,
     })),
-  };
-}
-
-/**
- * Get clinical note KPIs
- */
-async function getClinicalNoteKPIs(today) {
-  const [totalNotes, notesToday, notesWithVitals, noteTypeDistribution] =
-    await Promise.all([
-      prisma.clinicalNote.count(),
-      prisma.clinicalNote.count({ where: { createdAt: { gte: today } } }),
-      prisma.clinicalNote.count({ where: { vitals: { not: null } } }),
-      prisma.clinicalNote.groupBy({
-        by: ["noteType"],
-        _count: true,
-      }),
-    ]);
-
-  return {
     totalNotes,
     notesToday,
     notesWithVitals,
@@ -165,226 +247,210 @@ async function getClinicalNoteKPIs(today) {
       type: item.noteType,
       count: item._count,
     })),
+    bedOccupancy,
   };
 }
 
 /**
- * Get department performance
- * @returns {Promise<Array>} Department statistics
+ * Get department performance for a period
+ * Open, total and pending counts and the average length of stay are live
+ * as of now; the *InPeriod figures and the series come from each
+ * department's daily KPI snapshots (today is computed live; days without
+ * a snapshot are listed in missingDays).
+ * @param {Object} filters - { from, to (default: last 30 days),
+ *   departmentId, granularity (day, week, month; default day) }
+ * @returns {Promise<Array>} Department statistics with series
  */
-async function getDepartmentPerformance() {
+async function getDepartmentPerformance(filters = {}) {
+  const { from, to, departmentId, granularity } = parseKpiFilters(filters);
+  const where = { isActive: true };
+
+  if (departmentId) where.id = departmentId;
+
   const departments = await prisma.department.findMany({
-    where: { isActive: true },
+    where,
+    orderBy: { name: "asc" },
   });
 
-  const departmentStats = await Promise.all(
-    departments.map(async (dept) => {
-      const [openEncounters, totalEncounters, avgLOS, pendingOrders] =
-        await Promise.all([
-          prisma.encounter.count({
-            where: { departmentId: dept.id, status: "open" },
-          }),
-          prisma.encounter.count({
-            where: { departmentId: dept.id },
-          }),
-          getAvgLengthOfStayByDepartment(dept.id),
-          prisma.order.count({
-            where: {
-              encounter: { departmentId: dept.id },
-              status: { in: ["pending", "collected", "processing"] },
-            },
-          }),
-        ]);
-
-      return {
-        departmentId: dept.id,
-        departmentName: dept.name,
-        departmentCode: dept.code,
-        openEncounters,
-        totalEncounters,
-        avgLengthOfStayDays: avgLOS,
-        pendingOrders,
-      };
-    })
-  );
+  // One department at a time to keep database load predictable
+  const departmentStats = [];
+  for (const dept of departments) {
+    const [openEncounters, totalEncounters, avgLOS, pendingOrders] =
+      await Promise.all([
+        prisma.encounter.count({
+          where: { departmentId: dept.id, status: "open" },
+        }),
+        prisma.encounter.count({
+          where: { departmentId: dept.id },
+        }),
+        getAverageLengthOfStay({ departmentId: dept.id }, 50),
+        prisma.order.count({
+          where: {
+            encounter: { departmentId: dept.id },
+            status: { in: ACTIVE_ORDER_STATUSES },
+          },
+        }),
+      ]);
+
+    const days = await getDailyMetrics({ from, to, departmentId: dept.id });
+    const totals = aggregateMetrics(days);
+
+    departmentStats.push({
+      departmentId: dept.id,
+      departmentName: dept.name,
+      departmentCode: dept.code,
+      openEncounters,
+      totalEncounters,
+      avgLengthOfStayDays: avgLOS,
+      pendingOrders,
+      admissionsInPeriod: totals.admissions,
+      dischargesInPeriod: totals.discharges,
+      avgLengthOfStayDaysInPeriod: totals.avgLengthOfStayDays,
+      ordersInPeriod: totals.ordersPlaced,
+      avgTurnaroundHoursInPeriod: totals.avgTurnaroundHours,
+      criticalResultsInPeriod: totals.criticalResults,
+      series: bucketMetrics(days, granularity),
+      missingDays: getMissingDays(days),
+    });
+  }
 
   return departmentStats;
 }
 
 /**
- * Get patient volume trends
- * @param {number} days - Number of days to look back
- * @returns {Promise<Array>} Daily patient registrations
+ * Helper: Daily metrics for a trend (from defaults to the last
+ * filters.days days including today, 30 by default)
  */
-async function getPatientVolumeTrends(days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  startDate.setHours(0, 0, 0, 0);
-
-  const patients = await prisma.patient.findMany({
-    where: {
-      createdAt: { gte: startDate },
+async function getTrendDays(filters) {
+  const days = parseInt(filters.days) || 30;
+  const { from, to } = parsePeriod(
+    {
+      ...filters,
+      from:
+        filters.from ||
+        startOfDay(
+          (filters.to ? new Date(filters.to) : new Date()) - (days - 1) * DAY_MS
+        ),
     },
-    select: {
-      createdAt: true,
-    },
-  });
+    days
+  );
 
-  // Group by date
-  const trends = {};
-  patients.forEach((patient) => {
-    const date = patient.createdAt.toISOString().split("T")[0];
-    trends[date] = (trends[date] || 0) + 1;
+  return getDailyMetrics({
+    from,
+    to,
+    departmentId: filters.departmentId || null,
   });
+}
 
-  // Convert to array and fill missing dates
-  const result = [];
-  for (let i = 0; i < days; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + i);
-    const dateStr = date.toISOString().split("T")[0];
-    result.push({
-      date: dateStr,
-      count: trends[dateStr] || 0,
-    });
-  }
-
-  return result;
+/**
+ * Get patient registration trends
+ * @param {Object} filters - { from, to, days (default 30), departmentId,
+ *   granularity (day, week, month; default day) }
+ * @returns {Promise<Array>} [{ date, count, missingDays }] (days without
+ *   a snapshot count as 0 and are counted in missingDays)
+ */
+async function getPatientVolumeTrends(filters = {}) {
+  const granularity = parseGranularity(filters.granularity);
+  const days = await getTrendDays(filters);
+
+  return bucketMetrics(days, granularity).map((bucket) => ({
+    date: bucket.date,
+    count: bucket.patientsRegistered || 0,
+    missingDays: bucket.missingDays,
+  }));
 }
 
 /**
  * Get encounter volume trends
- * @param {number} days - Number of days to look back
- * @returns {Promise<Array>} Daily encounters
+ * @param {Object} filters - { from, to, days (default 30), departmentId,
+ *   granularity (day, week, month; default day) }
+ * @returns {Promise<Array>} [{ date, opd, ipd, emergency, total,
+ *   missingDays }] (days without a snapshot count as 0 and are counted in
+ *   missingDays)
  */
-async function getEncounterVolumeTrends(days = 30) {
-  const startDate = new Date();
-  startDate.setDate(startDate.getDate() - days);
-  startDate.setHours(0, 0, 0, 0);
-
-  const encounters = await prisma.encounter.findMany({
-    where: {
-      admissionDate: { gte: startDate },
-    },
-    select: {
-      admissionDate: true,
-      encounterType: true,
-    },
-  });
-
-  // Group by date and type
-  const trends = {};
-  encounters.forEach((enc) => {
-    const date = enc.admissionDate.toISOString().split("T")[0];
-    if (!trends[date]) {
-      trends[date] = { opd: 0, ipd: 0, emergency: 0 };
-    }
-    trends[date][enc.encounterType] =
-      (trends[date][enc.encounterType] || 0) + 1;
-  });
-
-  // Convert to array
-  const result = [];
-  for (let i = 0; i < days; i++) {
-    const date = new Date(startDate);
-    date.setDate(date.getDate() + i);
-    const dateStr = date.toISOString().split("T")[0];
-    result.push({
-      date: dateStr,
-      opd: trends[dateStr]?.opd || 0,
-      ipd: trends[dateStr]?.ipd || 0,
-      emergency: trends[dateStr]?.emergency || 0,
-      total:
-        (trends[dateStr]?.opd || 0) +
-        (trends[dateStr]?.ipd || 0) +
-        (trends[dateStr]?.emergency || 0),
-    });
-  }
-
-  return result;
+async function getEncounterVolumeTrends(filters = {}) {
+  const granularity = parseGranularity(filters.granularity);
+  const days = await getTrendDays(filters);
+
+  return bucketMetrics(days, granularity).map((bucket) => ({
+    date: bucket.date,
+    opd: bucket.admissionsOpd || 0,
+    ipd: bucket.admissionsIpd || 0,
+    emergency: bucket.admissionsEmergency || 0,
+    total: bucket.admissions || 0,
+    missingDays: bucket.missingDays,
+  }));
 }
 
 /**
- * Get data quality metrics
- * @returns {Promise<Object>} Data quality scores
+ * Helper: Data quality view of KPI metrics
+ * Percentages are of the patients registered, encounters admitted and
+ * orders placed in the period.
  */
-async function getDataQualityMetrics() {
-  const [
-    totalPatients,
-    patientsWithPhone,
-    patientsWithAddress,
-    totalEncounters,
-    encountersWithDiagnosis,
-    encountersWithNotes,
-    totalOrders,
-    ordersWithResults,
-    openIssues,
-  ] = await Promise.all([
-    prisma.patient.count(),
-    prisma.patient.count({ where: { phoneNumber: { not: null } } }),
-    prisma.patient.count({ where: { address: { not: null } } }),
-    prisma.encounter.count(),
-    prisma.encounter.count({ where: { diagnosis: { not: null } } }),
-    prisma.encounter
-      .findMany({
-        where: { clinicalNotes: { some: {} } },
-        select: { id: true },
-      })
-      .then((e) => e.length),
-    prisma.order.count(),
-    prisma.order.count({ where: { results: { some: {} } } }),
-    prisma.dataQualityIssue.count({ where: { status: "open" } }),
-  ]);
-
-  const completenessScore = calculateCompletenessScore({
-    patientsWithPhone,
-    patientsWithAddress,
-    totalPatients,
-    encountersWithDiagnosis,
-    encountersWithNotes,
-    totalEncounters,
-    ordersWithResults,
-    totalOrders,
-  });
+function describeDataQuality(metrics) {
+  const percent = (part, whole) =>
+    whole > 0 ? Math.round((part / whole) * 100) : 0;
 
   return {
-    completenessScore,
     patientDataCompleteness: {
-      phoneNumber:
-        totalPatients > 0
-          ? Math.round((patientsWithPhone / totalPatients) * 100)
-          : 0,
-      address:
-        totalPatients > 0
-          ? Math.round((patientsWithAddress / totalPatients) * 100)
-          : 0,
+      phoneNumber: percent(
+        metrics.patientsWithPhone,
+        metrics.patientsRegistered
+      ),
+      address: percent(metrics.patientsWithAddress, metrics.patientsRegistered),
     },
     encounterDataCompleteness: {
-      diagnosis:
-        totalEncounters > 0
-          ? Math.round((encountersWithDiagnosis / totalEncounters) * 100)
-          : 0,
-      clinicalNotes:
-        totalEncounters > 0
-          ? Math.round((encountersWithNotes / totalEncounters) * 100)
-          : 0,
+      diagnosis: percent(metrics.encountersWithDiagnosis, metrics.admissions),
+      clinicalNotes: percent(metrics.encountersWithNotes, metrics.admissions),
     },
     orderCompleteness: {
-      withResults:
-        totalOrders > 0
-          ? Math.round((ordersWithResults / totalOrders) * 100)
-          : 0,
+      withResults: percent(metrics.ordersWithResults, metrics.ordersPlaced),
     },
-    openDataQualityIssues: openIssues,
+    dataQualityIssuesOpened: metrics.dataQualityIssuesOpened,
+    dataQualityIssuesClosed: metrics.dataQualityIssuesClosed,
+    openDataQualityIssues: metrics.openDataQualityIssues,
+  };
+}
+
+/**
+ * Get data quality metrics for a period
+ * From the daily KPI and completeness snapshots (today is computed live);
+ * days without a snapshot are listed in missingDays and
+ * completenessMissingDays.
+ * @param {Object} filters - { from, to (default: last 30 days),
+ *   departmentId, granularity (day, week, month; default day) }
+ * @returns {Promise<Object>} Data quality scores
+ */
+async function getDataQualityMetrics(filters = {}) {
+  const { from, to, departmentId, granularity } = parseKpiFilters(filters);
+
+  const days = await getDailyMetrics({ from, to, departmentId });
+  // Weighted score from the completeness model (utils/completenessModel.js)
+  const completeness = await getPeriodScore({ from, to, departmentId });
+
+  return {
+    period: { from, to },
+    departmentId,
+    granularity,
+    completenessScore: completeness.score || 0,
+    ...describeDataQuality(aggregateMetrics(days)),
+    series: bucketMetrics(days, granularity).map((bucket) => ({
+      date: bucket.date,
+      missingDays: bucket.missingDays,
+      ...(bucket.days > 0 ? describeDataQuality(bucket) : {}),
+    })),
+    missingDays: getMissingDays(days),
+    completenessMissingDays: completeness.missingDays,
   };
 }
 
 /**
  * Helper: Calculate age distribution
  */
-async function getAgeDistribution() {
+async function getAgeDistribution(where = {}) {
   const patients = await prisma.patient.findMany({
     where: {
+      ...where,
       OR: [{ dateOfBirth: { not: null } }, { ageEstimate: { not: null } }],
     },
     select: {
@@ -429,42 +495,12 @@ async function getAgeDistribution() {
 }
 
 /**
- * Helper: Calculate average length of stay
+ * Helper: Average length of stay (days) over the most recent discharges
  */
-async function getAverageLengthOfStay() {
-  const closedEncounters = await prisma.encounter.findMany({
-    where: {
-      status: "closed",
-      dischargeDate: { not: null },
-      encounterType: "ipd",
-    },
-    select: {
-      admissionDate: true,
-      dischargeDate: true,
-    },
-    take: 100,
-    orderBy: { dischargeDate: "desc" },
-  });
-
-  if (closedEncounters.length === 0) return 0;
-
-  const totalDays = closedEncounters.reduce((sum, enc) => {
-    const admission = new Date(enc.admissionDate);
-    const discharge = new Date(enc.dischargeDate);
-    const days = (discharge - admission) / (1000 * 60 * 60 * 24);
-    return sum + days;
-  }, 0);
-
-  return Math.round((totalDays / closedEncounters.length) * 10) / 10;
-}
-
-/**
- * Helper: Calculate average length of stay by department
- */
-async function getAvgLengthOfStayByDepartment(departmentId) {
+async function getAverageLengthOfStay(where, sampleSize) {
   const encounters = await prisma.encounter.findMany({
     where: {
-      departmentId,
+      ...where,
       status: "closed",
       dischargeDate: { not: null },
     },
@@ -472,32 +508,32 @@ async function getAvgLengthOfStayByDepartment(departmentId) {
       admissionDate: true,
       dischargeDate: true,
     },
-    take: 50,
+    take: sampleSize,
     orderBy: { dischargeDate: "desc" },
   });
 
   if (encounters.length === 0) return 0;
 
-  const totalDays = encounters.reduce((sum, enc) => {
-    const days =
-      (new Date(enc.dischargeDate) - new Date(enc.admissionDate)) /
-      (1000 * 60 * 60 * 24);
-    return sum + days;
-  }, 0);
+  const totalDays = encounters.reduce(
+    (sum, enc) =>
+      sum +
+      (new Date(enc.dischargeDate) - new Date(enc.admissionDate)) / DAY_MS,
+    0
+  );
 
   return Math.round((totalDays / encounters.length) * 10) / 10;
 }
 
 /**
- * Helper: Calculate average turnaround time for orders
+ * Helper: Average order-to-result turnaround (hours) for orders completed
+ * in the last 7 days
  */
-async function calculateAverageTurnaround() {
+async function calculateAverageTurnaround(where = {}) {
   const completedOrders = await prisma.order.findMany({
     where: {
+      ...where,
       status: "completed",
-      createdAt: {
-        gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000), // Last 7 days
-      },
+      createdAt: { gte: new Date(Date.now() - 7 * DAY_MS) },
     },
     include: {
       results: {
@@ -508,15 +544,13 @@ async function calculateAverageTurnaround() {
     take: 100,
   });
 
-  if (completedOrders.length === 0) return 0;
-
   const turnaroundTimes = completedOrders
     .filter((order) => order.results.length > 0)
-    .map((order) => {
-      const orderTime = new Date(order.createdAt);
-      const resultTime = new Date(order.results[0].createdAt);
-      return (resultTime - orderTime) / (1000 * 60 * 60); // Hours
-    });
+    .map(
+      (order) =>
+        (new Date(order.results[0].createdAt) - new Date(order.createdAt)) /
+        (1000 * 60 * 60)
+    );
 
   if (turnaroundTimes.length === 0) return 0;
 
@@ -524,30 +558,258 @@ async function calculateAverageTurnaround() {
 }
 
 /**
- * Helper: Calculate overall completeness score
+ * Get most frequent ICD-10 diagnoses, overall and by department
+ * Periods are by encounter admission date (default: last 30 days).
+ * Counted live in one query over the period (the ranking depends on the
+ * type and certainty filters, so it is not snapshotted).
+ * @param {Object} filters - { from, to, departmentId, limit,
+ *   diagnosisType (primary by default, or all), certainty (confirmed by
+ *   default, or all), granularity (adds a series when given) }
+ * @returns {Promise<Object>} { period, overall, departments, series }
  */
-function calculateCompletenessScore(metrics) {
-  const scores = [];
+async function getTopDiagnoses(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit) || 10, 100);
+  const diagnosisType = filters.diagnosisType || "primary";
+  const certainty = filters.certainty || "confirmed";
+  const granularity = parseGranularity(filters.granularity);
+  const { from, to } = parsePeriod(filters, 30);
+
+  const where = {
+    encounter: { admissionDate: { gte: from, lte: to } },
+  };
 
-  if (metrics.totalPatients > 0) {
-    scores.push((metrics.patientsWithPhone / metrics.totalPatients) * 100);
-    scores.push((metrics.patientsWithAddress / metrics.totalPatients) * 100);
+  if (filters.departmentId) {
+    where.encounter.departmentId = filters.departmentId;
   }
+  if (diagnosisType !== "all") where.diagnosisType = diagnosisType;
+  if (certainty !== "all") where.certainty = certainty;
 
-  if (metrics.totalEncounters > 0) {
-    scores.push(
-      (metrics.encountersWithDiagnosis / metrics.totalEncounters) * 100
-    );
-    scores.push((metrics.encountersWithNotes / metrics.totalEncounters) * 100);
-  }
+  const diagnoses = await prisma.encounterDiagnosis.findMany({
+    where,
+    select: {
+      icd10Code: { select: { code: true, description: true } },
+      encounter: {
+        select: {
+          admissionDate: true,
+          department: { select: { id: true, name: true, code: true } },
+        },
+      },
+    },
+  });
+
+  // Count by code, overall and within each department
+  const rank = (rows) => {
+    const counts = {};
+    rows.forEach(({ icd10Code }) => {
+      if (!counts[icd10Code.code]) {
+        counts[icd10Code.code] = { ...icd10Code, count: 0 };
+      }
+      counts[icd10Code.code].count++;
+    });
+
+    return Object.values(counts)
+      .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code))
+      .slice(0, limit)
+      .map((item) => ({
+        ...item,
+        percentage: Math.round((item.count / rows.length) * 1000) / 10,
+      }));
+  };
 
-  if (metrics.totalOrders > 0) {
-    scores.push((metrics.ordersWithResults / metrics.totalOrders) * 100);
+  const byDepartment = {};
+  diagnoses.forEach((diagnosis) => {
+    const { department } = diagnosis.encounter;
+    if (!byDepartment[department.id]) {
+      byDepartment[department.id] = { department, rows: [] };
+    }
+    byDepartment[department.id].rows.push(diagnosis);
+  });
+
+  const buckets = new Map();
+  if (filters.granularity) {
+    diagnoses.forEach((diagnosis) => {
+      const date = formatDate(
+        periodStart(diagnosis.encounter.admissionDate, granularity)
+      );
+      if (!buckets.has(date)) buckets.set(date, []);
+      buckets.get(date).push(diagnosis);
+    });
   }
 
-  if (scores.length === 0) return 0;
+  return {
+    period: { from, to },
+    diagnosisType,
+    certainty,
+    overall: {
+      totalDiagnoses: diagnoses.length,
+      topDiagnoses: rank(diagnoses),
+    },
+    departments: Object.values(byDepartment)
+      .map(({ department, rows }) => ({
+        departmentId: department.id,
+        departmentName: department.name,
+        departmentCode: department.code,
+        totalDiagnoses: rows.length,
+        topDiagnoses: rank(rows),
+      }))
+      .sort((a, b) => b.totalDiagnoses - a.totalDiagnoses),
+    ...(filters.granularity
+      ? {
+          series: [...buckets.keys()].sort().map((date) => ({
+            date,
+            totalDiagnoses: buckets.get(date).length,
+            topDiagnoses: rank(buckets.get(date)),
+          })),
+        }
+      : {}),
+  };
+}
+
+/**
+ * Helper: Current bed occupancy (beds out of service are not counted)
+ */
+async function getCurrentBedOccupancy(where = {}) {
+  const statuses = await prisma.bed.groupBy({
+    by: ["status"],
+    _count: true,
+    where: { ...where, isActive: true, status: { not: "out_of_service" } },
+  });
+
+  const count = (status) =>
+    (statuses.find((item) => item.status === status) || { _count: 0 })._count;
+  const totalBeds = statuses.reduce((sum, item) => sum + item._count, 0);
+
+  return {
+    totalBeds,
+    occupied: count("occupied"),
+    available: count("available"),
+    cleaning: count("cleaning"),
+    occupancyRate:
+      totalBeds > 0
+        ? Math.round((count("occupied") / totalBeds) * 1000) / 10
+        : 0,
+  };
+}
+
+/**
+ * Get bed occupancy and turnover by ward for a period
+ * Bed counts are the wards' current in-service beds.
+ * Computed live from bed assignments in one query over the period.
+ * @param {Object} filters - { from, to (default: last 30 days), departmentId,
+ *   granularity (adds a facility series when given) }
+ * @returns {Promise<Object>} { period, wards, totals, series }
+ */
+async function getBedKPIs(filters = {}) {
+  const { from, to } = parsePeriod(filters, 30);
+  const granularity = parseGranularity(filters.granularity);
+  const wardWhere = { isActive: true };
+
+  if (filters.departmentId) wardWhere.departmentId = filters.departmentId;
+
+  const wards = await prisma.ward.findMany({
+    where: wardWhere,
+    include: {
+      beds: {
+        where: { isActive: true },
+        select: {
+          status: true,
+          assignments: {
+            where: {
+              assignedAt: { lt: to },
+              OR: [{ releasedAt: null }, { releasedAt: { gt: from } }],
+            },
+            select: {
+              assignedAt: true,
+              releasedAt: true,
+              releaseReason: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const summarize = (beds, periodFrom = from, periodTo = to) => {
+    const periodDays = (periodTo - periodFrom) / DAY_MS;
+    const inService = beds.filter((bed) => bed.status !== "out_of_service");
+    const assignments = beds
+      .flatMap((bed) => bed.assignments)
+      .filter(
+        (a) =>
+          a.assignedAt < periodTo &&
+          (!a.releasedAt || a.releasedAt > periodFrom)
+      );
+
+    const occupiedBedDays = assignments.reduce((sum, assignment) => {
+      const start = Math.max(assignment.assignedAt, periodFrom);
+      const end = Math.min(assignment.releasedAt || new Date(), periodTo);
+      return sum + Math.max(end - start, 0) / DAY_MS;
+    }, 0);
+
+    const released = assignments.filter(
+      (a) =>
+        a.releasedAt && a.releasedAt >= periodFrom && a.releasedAt <= periodTo
+    );
+    const discharges = released.filter(
+      (a) => a.releaseReason === "discharge"
+    ).length;
+    const transfersOut = released.length - discharges;
+    const separations = released.length;
+    const availableBedDays = inService.length * periodDays;
+
+    return {
+      beds: inService.length,
+      occupiedNow: inService.filter((bed) => bed.status === "occupied").length,
+      admissions: assignments.filter((a) => a.assignedAt >= periodFrom).length,
+      discharges,
+      transfersOut,
+      occupiedBedDays: round(occupiedBedDays),
+      occupancyRate:
+        availableBedDays > 0
+          ? round((occupiedBedDays / availableBedDays) * 100)
+          : 0,
+      // Separations (discharges + transfers out) per bed over the period
+      turnoverRate:
+        inService.length > 0 ? round(separations / inService.length) : 0,
+      // Average days a bed stays empty between patients
+      turnoverIntervalDays:
+        separations > 0
+          ? round(Math.max(availableBedDays - occupiedBedDays, 0) / separations)
+          : null,
+    };
+  };
+
+  const allBeds = wards.flatMap((ward) => ward.beds);
+
+  // Facility totals per day/week/month, clipped to the period
+  const series = [];
+  if (filters.granularity) {
+    let cursor = from;
+    while (cursor < to) {
+      const next = new Date(Math.min(nextPeriodStart(cursor, granularity), to));
+      series.push({
+        date: formatDate(periodStart(cursor, granularity)),
+        ...summarize(allBeds, cursor, next),
+      });
+      cursor = next;
+    }
+  }
 
-  return Math.round(scores.reduce((a, b) => a + b, 0) / scores.length);
+  return {
+    period: { from, to, days: round((to - from) / DAY_MS) },
+    wards: wards.map((ward) => ({
+      wardId: ward.id,
+      wardName: ward.name,
+      wardCode: ward.code,
+      departmentId: ward.departmentId,
+      ...summarize(ward.beds),
+    })),
+    totals: summarize(allBeds),
+    ...(filters.granularity ? { series } : {}),
+  };
 }
 
 module.exports = {
@@ -556,4 +818,6 @@ module.exports = {
   getPatientVolumeTrends,
   getEncounterVolumeTrends,
   getDataQualityMetrics,
+  getTopDiagnoses,
+  getBedKPIs,
 };
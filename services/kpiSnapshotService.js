@@ -0,0 +1,497 @@
+// KPI Snapshot Service
+// Daily KPI materialisation: one row of counts per day for the facility
+// and for each department. Historical ranges are read from the snapshots
+// (written by scripts/snapshotKpis.js and POST /api/kpi/snapshots); only
+// today is computed from the live tables.
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  DAY_MS,
+  startOfDay,
+  eachDay,
+  periodStart,
+  formatDate,
+} = require("../utils/kpiPeriods");
+
+const FACILITY = "facility";
+const MAX_RANGE_DAYS = 366;
+const ACTIVE_ORDER_STATUSES = ["pending", "collected", "processing"];
+const CLOSED_ORDER_STATUSES = ["completed", "cancelled", "rejected"];
+const ACTIVE_ISSUE_STATUSES = ["open", "in_progress"];
+
+/**
+ * Daily metrics
+ * Flow metrics count what happened during the day and add up over a
+ * range; stock metrics are levels at the end of the day, so a range
+ * reports its last day.
+ */
+const FLOW_METRICS = [
+  "patientsRegistered",
+  "patientsWithPhone",
+  "patientsWithAddress",
+  "admissions",
+  "admissionsOpd",
+  "admissionsIpd",
+  "admissionsEmergency",
+  "encountersWithDiagnosis",
+  "encountersWithNotes",
+  "discharges",
+  "dischargesIpd",
+  "lengthOfStayDaysIpd",
+  "ordersPlaced",
+  "ordersWithResults",
+  "ordersCompleted",
+  "resultsReported",
+  "turnaroundHoursTotal",
+  "criticalResults",
+  "clinicalNotes",
+  "dataQualityIssuesOpened",
+  "dataQualityIssuesClosed",
+];
+
+const STOCK_METRICS = [
+  "totalPatients",
+  "openEncounters",
+  "pendingOrders",
+  "occupiedBeds",
+  "bedsInService",
+  "openDataQualityIssues",
+];
+
+/**
+ * Helper: Round to two decimals (stored sums)
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Helper: Round to one decimal (reported averages and rates)
+ */
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compute one day's metrics from the live tables
+ * Stock levels for past days are reconstructed from timestamps (order
+ * status history, discharge, release and resolution dates); beds in
+ * service are always the current count.
+ * @param {Date} day - Local midnight of the day
+ * @param {string|null} departmentId - Department (null for the facility)
+ * @returns {Promise<Object>} Metrics
+ */
+async function computeDailyMetrics(day, departmentId) {
+  const dayEnd = new Date(day);
+  dayEnd.setDate(dayEnd.getDate() + 1);
+  const during = { gte: day, lt: dayEnd };
+
+  // Department scoping by relation path, e.g. ["order", "encounter"]
+  const scoped = (where, path = []) => {
+    if (!departmentId) return where;
+    const filter = path.reduceRight((inner, key) => ({ [key]: inner }), {
+      departmentId,
+    });
+    return { AND: [where, filter] };
+  };
+  // Patients belong to a department through their encounters
+  const patientWhere = (where) =>
+    departmentId
+      ? { AND: [where, { encounters: { some: { departmentId } } }] }
+      : where;
+
+  const registered = { createdAt: during, mergedIntoId: null };
+  const admitted = { admissionDate: during };
+  const placed = { createdAt: during };
+
+  const [
+    patientsRegistered,
+    patientsWithPhone,
+    patientsWithAddress,
+    totalPatients,
+    admissionTypes,
+    encountersWithDiagnosis,
+    encountersWithNotes,
+    discharged,
+    openEncounters,
+    ordersPlaced,
+    ordersWithResults,
+    ordersCompleted,
+    pendingOrders,
+    results,
+    clinicalNotes,
+    dataQualityIssuesOpened,
+    dataQualityIssuesClosed,
+    openDataQualityIssues,
+    occupiedBeds,
+    bedsInService,
+  ] = await Promise.all([
+    prisma.patient.count({ where: patientWhere(registered) }),
+    prisma.patient.count({
+      where: patientWhere({
+        ...registered,
+        AND: [{ phoneNumber: { not: null } }, { phoneNumber: { not: "" } }],
+      }),
+    }),
+    prisma.patient.count({
+      where: patientWhere({
+        ...registered,
+        AND: [{ address: { not: null } }, { address: { not: "" } }],
+      }),
+    }),
+    prisma.patient.count({
+      where: patientWhere({ createdAt: { lt: dayEnd }, mergedIntoId: null }),
+    }),
+    prisma.encounter.groupBy({
+      by: ["encounterType"],
+      _count: true,
+      where: scoped(admitted),
+    }),
+    prisma.encounter.count({
+      where: scoped({
+        ...admitted,
+        OR: [
+          { diagnoses: { some: {} } },
+          { AND: [{ diagnosis: { not: null } }, { diagnosis: { not: "" } }] },
+        ],
+      }),
+    }),
+    prisma.encounter.count({
+      where: scoped({
+        ...admitted,
+        clinicalNotes: { some: { status: { not: "entered_in_error" } } },
+      }),
+    }),
+    prisma.encounter.findMany({
+      where: scoped({ dischargeDate: during }),
+      select: { encounterType: true, admissionDate: true, dischargeDate: true },
+    }),
+    prisma.encounter.count({
+      where: scoped({
+        admissionDate: { lt: dayEnd },
+        OR: [{ status: "open" }, { dischargeDate: { gte: dayEnd } }],
+      }),
+    }),
+    prisma.order.count({ where: scoped(placed, ["encounter"]) }),
+    prisma.order.count({
+      where: scoped({ ...placed, results: { some: {} } }, ["encounter"]),
+    }),
+    prisma.orderStatusHistory.count({
+      where: scoped({ toStatus: "completed", createdAt: during }, [
+        "order",
+        "encounter",
+      ]),
+    }),
+    prisma.order.count({
+      where: scoped(
+        {
+          createdAt: { lt: dayEnd },
+          OR: [
+            { status: { in: ACTIVE_ORDER_STATUSES } },
+            {
+              statusHistory: {
+                some: {
+                  toStatus: { in: CLOSED_ORDER_STATUSES },
+                  createdAt: { gte: dayEnd },
+                },
+              },
+            },
+          ],
+        },
+        ["encounter"]
+      ),
+    }),
+    prisma.result.findMany({
+      where: scoped({ createdAt: during }, ["order", "encounter"]),
+      select: {
+        createdAt: true,
+        criticalFlag: true,
+        order: { select: { createdAt: true } },
+      },
+    }),
+    prisma.clinicalNote.count({
+      where: scoped({ createdAt: during }, ["encounter"]),
+    }),
+    prisma.dataQualityIssue.count({
+      where: scoped({ createdAt: during }),
+    }),
+    prisma.dataQualityIssue.count({
+      where: scoped({ resolvedAt: during }),
+    }),
+    prisma.dataQualityIssue.count({
+      where: scoped({
+        createdAt: { lt: dayEnd },
+        OR: [
+          { status: { in: ACTIVE_ISSUE_STATUSES } },
+          { resolvedAt: { gte: dayEnd } },
+        ],
+      }),
+    }),
+    prisma.bedAssignment.count({
+      where: scoped(
+        {
+          assignedAt: { lt: dayEnd },
+          OR: [{ releasedAt: null }, { releasedAt: { gte: dayEnd } }],
+        },
+        ["bed", "ward"]
+      ),
+    }),
+    prisma.bed.count({
+      where: scoped({ isActive: true, status: { not: "out_of_service" } }, [
+        "ward",
+      ]),
+    }),
+  ]);
+
+  const admissionsOf = (type) =>
+    (
+      admissionTypes.find((item) => item.encounterType === type) || {
+        _count: 0,
+      }
+    )._count;
+  const ipdDischarges = discharged.filter(
+    (encounter) => encounter.encounterType === "ipd"
+  );
+
+  return {
+    patientsRegistered,
+    patientsWithPhone,
+    patientsWithAddress,
+    admissions: admissionTypes.reduce((sum, item) => sum + item._count, 0),
+    admissionsOpd: admissionsOf("opd"),
+    admissionsIpd: admissionsOf("ipd"),
+    admissionsEmergency: admissionsOf("emergency"),
+    encountersWithDiagnosis,
+    encountersWithNotes,
+    discharges: discharged.length,
+    dischargesIpd: ipdDischarges.length,
+    lengthOfStayDaysIpd: round2(
+      ipdDischarges.reduce(
+        (sum, enc) => sum + (enc.dischargeDate - enc.admissionDate) / DAY_MS,
+        0
+      )
+    ),
+    ordersPlaced,
+    ordersWithResults,
+    ordersCompleted,
+    resultsReported: results.length,
+    turnaroundHoursTotal: round2(
+      results.reduce(
+        (sum, result) =>
+          sum + (result.createdAt - result.order.createdAt) / (60 * 60 * 1000),
+        0
+      )
+    ),
+    criticalResults: results.filter((result) => result.criticalFlag).length,
+    clinicalNotes,
+    dataQualityIssuesOpened,
+    dataQualityIssuesClosed,
+    totalPatients,
+    openEncounters,
+    pendingOrders,
+    occupiedBeds,
+    bedsInService,
+    openDataQualityIssues,
+  };
+}
+
+/**
+ * Helper: Compute and store a day's metrics
+ */
+async function storeDay(day, departmentId) {
+  const metrics = await computeDailyMetrics(day, departmentId);
+  const key = departmentId || FACILITY;
+
+  await prisma.kpiSnapshot.upsert({
+    where: {
+      snapshotDate_departmentId: { snapshotDate: day, departmentId: key },
+    },
+    create: { snapshotDate: day, departmentId: key, metrics },
+    update: { metrics },
+  });
+
+  return metrics;
+}
+
+/**
+ * Snapshot one day's KPIs for the facility and every active department
+ * (replaces existing snapshots for the day)
+ * @param {Date|string} date - Day to snapshot (default: yesterday)
+ * @returns {Promise<Object>} { snapshotDate, departments }
+ */
+async function createDailySnapshots(date) {
+  const snapshotDate = startOfDay(date ? new Date(date) : Date.now() - DAY_MS);
+
+  if (isNaN(snapshotDate.getTime())) {
+    throw new AppError("date must be a valid date", 400);
+  }
+  if (snapshotDate >= startOfDay(new Date())) {
+    throw new AppError("Only past days can be snapshotted", 400);
+  }
+
+  const departments = await prisma.department.findMany({
+    where: { isActive: true },
+    select: { id: true },
+  });
+
+  await storeDay(snapshotDate, null);
+  for (const department of departments) {
+    await storeDay(snapshotDate, department.id);
+  }
+
+  return { snapshotDate, departments: departments.length };
+}
+
+/**
+ * Get daily metrics for a range
+ * Past days are read from snapshots; a day without one is a gap
+ * (metrics null) until it is snapshotted. Today is computed live and
+ * never stored.
+ * @param {Object} filters - { from, to, departmentId }
+ * @returns {Promise<Array>} [{ day, metrics }]
+ */
+async function getDailyMetrics({ from, to, departmentId }) {
+  const today = startOfDay(new Date());
+  const days = eachDay(from, to).filter((day) => day <= today);
+
+  if (days.length > MAX_RANGE_DAYS) {
+    throw new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  if (departmentId) {
+    const department = await prisma.department.findUnique({
+      where: { id: departmentId },
+      select: { id: true },
+    });
+    if (!department) {
+      throw new AppError("Department not found", 404);
+    }
+  }
+
+  const pastDays = days.filter((day) => day < today);
+  const snapshots =
+    pastDays.length > 0
+      ? await prisma.kpiSnapshot.findMany({
+          where: {
+            departmentId: departmentId || FACILITY,
+            snapshotDate: {
+              gte: pastDays[0],
+              lte: pastDays[pastDays.length - 1],
+            },
+          },
+          select: { snapshotDate: true, metrics: true },
+        })
+      : [];
+  const byDay = new Map(
+    snapshots.map((snapshot) => [
+      snapshot.snapshotDate.getTime(),
+      snapshot.metrics,
+    ])
+  );
+
+  const result = pastDays.map((day) => ({
+    day,
+    metrics: byDay.get(day.getTime()) || null,
+  }));
+
+  if (days.length > pastDays.length) {
+    result.push({
+      day: today,
+      metrics: await computeDailyMetrics(today, departmentId || null),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Days in a range without a snapshot
+ * @param {Array} days - [{ day, metrics }] from getDailyMetrics
+ * @returns {Array<string>} Dates (YYYY-MM-DD)
+ */
+function getMissingDays(days) {
+  return days
+    .filter((entry) => !entry.metrics)
+    .map((entry) => formatDate(entry.day));
+}
+
+/**
+ * Roll daily metrics up into one set
+ * Flows are summed, stocks taken from the last day; averages and rates
+ * are derived from the sums. Gaps (days without a snapshot) are skipped.
+ * @param {Array} days - [{ day, metrics }] in date order
+ * @returns {Object} Metrics with avgLengthOfStayDays, avgTurnaroundHours
+ *   and bedOccupancyRate
+ */
+function aggregateMetrics(days) {
+  const available = days.filter((entry) => entry.metrics);
+  const totals = {};
+
+  FLOW_METRICS.forEach((metric) => {
+    totals[metric] = round2(
+      available.reduce((sum, { metrics }) => sum + (metrics[metric] || 0), 0)
+    );
+  });
+
+  const last =
+    available.length > 0 ? available[available.length - 1].metrics : {};
+  STOCK_METRICS.forEach((metric) => {
+    totals[metric] = last[metric] || 0;
+  });
+
+  totals.avgLengthOfStayDays =
+    totals.dischargesIpd > 0
+      ? round1(totals.lengthOfStayDaysIpd / totals.dischargesIpd)
+      : 0;
+  totals.avgTurnaroundHours =
+    totals.resultsReported > 0
+      ? round1(totals.turnaroundHoursTotal / totals.resultsReported)
+      : 0;
+  totals.bedOccupancyRate =
+    totals.bedsInService > 0
+      ? round1((totals.occupiedBeds / totals.bedsInService) * 100)
+      : 0;
+
+  return totals;
+}
+
+/**
+ * Group daily metrics into day/week/month buckets
+ * A bucket made only of gaps has null metrics.
+ * @param {Array} days - [{ day, metrics }] in date order
+ * @param {string} granularity - day, week or month
+ * @returns {Array} [{ date (bucket start, YYYY-MM-DD), days, missingDays,
+ *   ...metrics }]
+ */
+function bucketMetrics(days, granularity) {
+  const buckets = new Map();
+
+  days.forEach((entry) => {
+    const key = formatDate(periodStart(entry.day, granularity));
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(entry);
+  });
+
+  return [...buckets.entries()].map(([date, entries]) => {
+    const missingDays = entries.filter((entry) => !entry.metrics).length;
+    const metrics = aggregateMetrics(entries);
+
+    return {
+      date,
+      days: entries.length - missingDays,
+      missingDays,
+      ...(missingDays === entries.length
+        ? Object.fromEntries(Object.keys(metrics).map((key) => [key, null]))
+        : metrics),
+    };
+  });
+}
+
+module.exports = {
+  createDailySnapshots,
+  getDailyMetrics,
+  getMissingDays,
+  aggregateMetrics,
+  bucketMetrics,
+};
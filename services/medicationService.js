@@ -0,0 +1,356 @@
+// Medication Service
+// Medication formulary, patient allergy list and drug-allergy checking
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+const ALLERGY_SEVERITIES = ["mild", "moderate", "severe", "unknown"];
+const ALLERGY_STATUSES = ["active", "inactive"];
+
+/**
+ * Helper: Validate formulary fields
+ */
+function buildMedicationData(medicationData, partial = false) {
+  const data = {};
+
+  if (medicationData.code !== undefined || !partial) {
+    if (!medicationData.code) {
+      throw new AppError("Medication code is required", 400);
+    }
+    data.code = String(medicationData.code).trim().toUpperCase();
+  }
+
+  ["name", "form"].forEach((field) => {
+    if (medicationData[field] !== undefined || !partial) {
+      if (!medicationData[field]) {
+        throw new AppError(`Medication ${field} is required`, 400);
+      }
+      data[field] = String(medicationData[field]).trim();
+    }
+  });
+
+  ["brandName", "strength", "defaultRoute"].forEach((field) => {
+    if (medicationData[field] !== undefined) {
+      data[field] = medicationData[field] || null;
+    }
+  });
+
+  // Classes are compared case-insensitively when checking allergies
+  if (medicationData.drugClass !== undefined) {
+    data.drugClass = medicationData.drugClass
+      ? String(medicationData.drugClass).trim().toLowerCase()
+      : null;
+  }
+
+  if (medicationData.isActive !== undefined) {
+    data.isActive = Boolean(medicationData.isActive);
+  }
+
+  return data;
+}
+
+// ============================================
+// FORMULARY
+// ============================================
+
+/**
+ * Get formulary medications
+ * @param {Object} filters - { search, drugClass, isActive }
+ * @returns {Promise<Array>} Medications
+ */
+async function getMedications(filters = {}) {
+  const { search, drugClass, isActive = "true" } = filters;
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { code: { contains: search, mode: "insensitive" } },
+      { name: { contains: search, mode: "insensitive" } },
+      { brandName: { contains: search, mode: "insensitive" } },
+    ];
+  }
+
+  if (drugClass) where.drugClass = String(drugClass).toLowerCase();
+
+  if (isActive !== "all") {
+    where.isActive = isActive === true || isActive === "true";
+  }
+
+  return prisma.medication.findMany({
+    where,
+    orderBy: [{ name: "asc" }, { strength: "asc" }],
+  });
+}
+
+/**
+ * Get medication by ID
+ * @param {string} medicationId - Medication ID
+ * @returns {Promise<Object>} Medication
+ */
+async function getMedicationById(medicationId) {
+  const medication = await prisma.medication.findUnique({
+    where: { id: medicationId },
+  });
+
+  if (!medication) {
+    throw new AppError("Medication not found", 404);
+  }
+
+  return medication;
+}
+
+/**
+ * Add medication to the formulary
+ * @param {Object} medicationData - Medication data
+ * @returns {Promise<Object>} Created medication
+ */
+async function createMedication(medicationData) {
+  const data = buildMedicationData(medicationData);
+
+  const existing = await prisma.medication.findUnique({
+    where: { code: data.code },
+  });
+
+  if (existing) {
+    throw new AppError("Medication with this code already exists", 400);
+  }
+
+  return prisma.medication.create({ data });
+}
+
+/**
+ * Update formulary medication
+ * @param {string} medicationId - Medication ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} Updated medication
+ */
+async function updateMedication(medicationId, updateData) {
+  await getMedicationById(medicationId);
+  const data = buildMedicationData(updateData, true);
+
+  if (data.code) {
+    const duplicate = await prisma.medication.findFirst({
+      where: { code: data.code, id: { not: medicationId } },
+    });
+
+    if (duplicate) {
+      throw new AppError("Medication with this code already exists", 400);
+    }
+  }
+
+  return prisma.medication.update({
+    where: { id: medicationId },
+    data,
+  });
+}
+
+/**
+ * Remove medication from the formulary (existing prescriptions keep it)
+ * @param {string} medicationId - Medication ID
+ * @returns {Promise<Object>} Deactivated medication
+ */
+async function deactivateMedication(medicationId) {
+  await getMedicationById(medicationId);
+
+  return prisma.medication.update({
+    where: { id: medicationId },
+    data: { isActive: false },
+  });
+}
+
+// ============================================
+// ALLERGIES
+// ============================================
+
+/**
+ * Get a patient's allergy list
+ * @param {string} patientId - Patient ID
+ * @param {Object} filters - { status (active by default, or all) }
+ * @returns {Promise<Array>} Allergies
+ */
+async function getPatientAllergies(patientId, filters = {}) {
+  const { status = "active" } = filters;
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: patientId },
+    select: { id: true },
+  });
+
+  if (!patient) {
+    throw new AppError("Patient not found", 404);
+  }
+
+  return prisma.patientAllergy.findMany({
+    where: {
+      patientId,
+      ...(status !== "all" && { status }),
+    },
+    include: {
+      medication: true,
+      recorder: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+    },
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Record an allergy for a patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} allergyData - { allergen, medicationId, drugClass,
+ *   reaction, severity }
+ * @param {string} userId - Recording user ID
+ * @returns {Promise<Object>} Created allergy
+ */
+async function addAllergy(patientId, allergyData, userId) {
+  const patient = await prisma.patient.findUnique({
+    where: { id: patientId },
+    select: { id: true },
+  });
+
+  if (!patient) {
+    throw new AppError("Patient not found", 404);
+  }
+
+  if (
+    allergyData.severity !== undefined &&
+    !ALLERGY_SEVERITIES.includes(allergyData.severity)
+  ) {
+    throw new AppError(
+      `Severity must be one of: ${ALLERGY_SEVERITIES.join(", ")}`,
+      400
+    );
+  }
+
+  let medication = null;
+  if (allergyData.medicationId) {
+    medication = await getMedicationById(allergyData.medicationId);
+  }
+
+  const allergen = allergyData.allergen || (medication && medication.name);
+
+  if (!allergen) {
+    throw new AppError("Allergen is required", 400);
+  }
+
+  return prisma.patientAllergy.create({
+    data: {
+      patientId,
+      allergen: String(allergen).trim(),
+      medicationId: medication ? medication.id : null,
+      drugClass: allergyData.drugClass
+        ? String(allergyData.drugClass).trim().toLowerCase()
+        : null,
+      reaction: allergyData.reaction || null,
+      severity: allergyData.severity || "unknown",
+      recordedBy: userId,
+    },
+    include: { medication: true },
+  });
+}
+
+/**
+ * Update an allergy (e.g. severity, or inactive when resolved / refuted)
+ * @param {string} patientId - Patient ID
+ * @param {string} allergyId - Allergy ID
+ * @param {Object} updateData - { reaction, severity, status }
+ * @returns {Promise<Object>} Updated allergy
+ */
+async function updateAllergy(patientId, allergyId, updateData) {
+  const allergy = await prisma.patientAllergy.findFirst({
+    where: { id: allergyId, patientId },
+  });
+
+  if (!allergy) {
+    throw new AppError("Allergy not found", 404);
+  }
+
+  if (
+    updateData.severity !== undefined &&
+    !ALLERGY_SEVERITIES.includes(updateData.severity)
+  ) {
+    throw new AppError(
+      `Severity must be one of: ${ALLERGY_SEVERITIES.join(", ")}`,
+      400
+    );
+  }
+
+  if (
+    updateData.status !== undefined &&
+    !ALLERGY_STATUSES.includes(updateData.status)
+  ) {
+    throw new AppError("Status must be active or inactive", 400);
+  }
+
+  return prisma.patientAllergy.update({
+    where: { id: allergyId },
+    data: {
+      reaction: updateData.reaction,
+      severity: updateData.severity,
+      status: updateData.status,
+    },
+    include: { medication: true },
+  });
+}
+
+/**
+ * Check a medication against a patient's active allergies
+ * Matches the same formulary drug, the same drug class, or an allergen
+ * naming the drug or its class.
+ * @param {string} patientId - Patient ID
+ * @param {Object} medication - Formulary medication
+ * @returns {Promise<Array>} Conflicts [{ allergyId, allergen, reaction,
+ *   severity, matchedOn }]
+ */
+async function checkAllergies(patientId, medication) {
+  const allergies = await prisma.patientAllergy.findMany({
+    where: { patientId, status: "active" },
+  });
+
+  const name = medication.name.toLowerCase();
+  const drugClass = medication.drugClass;
+
+  return allergies
+    .map((allergy) => {
+      const allergen = allergy.allergen.toLowerCase();
+      let matchedOn = null;
+
+      if (allergy.medicationId === medication.id) {
+        matchedOn = "medication";
+      } else if (drugClass && allergy.drugClass === drugClass) {
+        matchedOn = "drug_class";
+      } else if (allergen.includes(name) || name.includes(allergen)) {
+        matchedOn = "allergen_name";
+      } else if (drugClass && allergen.includes(drugClass)) {
+        matchedOn = "allergen_class";
+      }
+
+      return matchedOn
+        ? {
+            allergyId: allergy.id,
+            allergen: allergy.allergen,
+            reaction: allergy.reaction,
+            severity: allergy.severity,
+            matchedOn,
+          }
+        : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  getMedications,
+  getMedicationById,
+  createMedication,
+  updateMedication,
+  deactivateMedication,
+  getPatientAllergies,
+  addAllergy,
+  updateAllergy,
+  checkAllergies,
+};
@@ -3,27 +3,54 @@
 
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
-
-/**
- * Create order (lab or radiology)
- * @param {Object} orderData - Order data
- * @param {string} clinicianId - Ordering clinician ID
- * @returns {Promise<Object>} Created order
- */
-async function createOrder(orderData, clinicianId) {
-  // Verify encounter exists and is open
-  const encounter = await prisma.encounter.findUnique({
-    where: { id: orderData.encounterId },
-    include: {
+const hl7Service = require("./hl7Service");
+const testCatalogService = require("./testCatalogService");
+const resultVerificationService = require("./resultVerificationService");
+const {
+  ORDER_TRANSITIONS,
+  getAllowedTransitions,
+  applyOrderTransition,
+} = require("../utils/orderStatus");
+const {
+  ACCESSION_CONFIG,
+  generateAccessionNumber,
+} = require("../utils/accessionGenerator");
+const {
+  generateStudyInstanceUid,
+  isValidDicomUid,
+  isValidAccessionNumber,
+} = require("../utils/dicomIdentifiers");
+
+const orderInclude = {
+  clinician: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      email: true,
+    },
+  },
+  encounter: {
+    select: {
+      id: true,
       patient: {
         select: {
-          id: true,
           mrn: true,
           firstName: true,
           lastName: true,
         },
       },
     },
+  },
+};
+
+/**
+ * Helper: Verify encounter exists and is open for ordering
+ */
+async function verifyOpenEncounter(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    select: { id: true, status: true },
   });
 
   if (!encounter) {
@@ -34,52 +61,133 @@ async function createOrder(orderData, clinicianId) {
     throw new AppError("Cannot create orders for closed encounter", 400);
   }
 
-  // Create order
-  const order = await prisma.order.create({
-    data: {
-      encounterId: orderData.encounterId,
-      orderType: orderData.orderType,
-      orderCategory: orderData.orderCategory || null,
-      testName: orderData.testName,
-      orderingClinician: clinicianId,
-      priority: orderData.priority || "routine",
-      specimenType: orderData.specimenType || null,
-      notes: orderData.notes || null,
-      status: "pending",
-    },
-    include: {
-      clinician: {
-        select: {
-          id: true,
-          firstName: true,
-          lastName: true,
-          email: true,
-        },
-      },
-      encounter: {
-        select: {
-          id: true,
-          patient: {
-            select: {
-              mrn: true,
-              firstName: true,
-              lastName: true,
-            },
-          },
-        },
-      },
+  return encounter;
+}
+
+/**
+ * Helper: Build Order data from a request and its catalogue test
+ * Catalogue values fill anything the clinician did not specify.
+ */
+function buildOrderData(orderData, test, clinicianId) {
+  if (!test && !orderData.orderType) {
+    throw new AppError("Order type is required", 400);
+  }
+
+  return {
+    encounterId: orderData.encounterId,
+    orderType: test ? test.orderType : orderData.orderType,
+    orderCategory: test ? test.category : orderData.orderCategory || null,
+    testCatalogId: test ? test.id : null,
+    testCode: test ? test.code : null,
+    testName: test ? test.name : orderData.testName,
+    orderingClinician: clinicianId,
+    priority: orderData.priority || (test ? test.defaultPriority : "routine"),
+    specimenType:
+      orderData.specimenType || (test ? test.specimenType : null) || null,
+    notes: orderData.notes || null,
+    status: "pending",
+    statusHistory: {
+      create: { fromStatus: null, toStatus: "pending", changedBy: clinicianId },
     },
+  };
+}
+
+/**
+ * Helper: Send lab orders to the LIS / analyser bridge (ORM^O01)
+ * Delivery problems are logged and must not block ordering.
+ */
+async function sendLabOrderMessages(orders) {
+  for (const order of orders) {
+    if (order.orderType !== "lab") continue;
+
+    try {
+      await hl7Service.sendOrderMessage(order.id);
+    } catch (error) {
+      console.error("Failed to generate ORM message:", error);
+    }
+  }
+}
+
+/**
+ * Create order (lab or radiology)
+ * The test is matched against the test catalogue (by testCatalogId,
+ * testCode or testName); with ORDER_CATALOGUE_MODE "strict" it must be
+ * found there.
+ * @param {Object} orderData - Order data
+ * @param {string} clinicianId - Ordering clinician ID
+ * @returns {Promise<Object>} Created order
+ */
+async function createOrder(orderData, clinicianId) {
+  await verifyOpenEncounter(orderData.encounterId);
+
+  const test = await testCatalogService.resolveTest(orderData);
+
+  const order = await prisma.order.create({
+    data: buildOrderData(orderData, test, clinicianId),
+    include: orderInclude,
   });
 
+  await sendLabOrderMessages([order]);
+
   return order;
 }
 
+/**
+ * Place all tests of an order set as individual orders
+ * @param {Object} data - { orderSetId, encounterId, priority, notes }
+ * @param {string} clinicianId - Ordering clinician ID
+ * @returns {Promise<Array>} Created orders
+ */
+async function placeOrderSet(data, clinicianId) {
+  await verifyOpenEncounter(data.encounterId);
+
+  const orderSet = await testCatalogService.getOrderSetById(
+    data.orderSetId,
+    clinicianId
+  );
+
+  const inactive = orderSet.items.filter((item) => !item.test.isActive);
+  if (inactive.length > 0) {
+    throw new AppError(
+      `Order set contains tests that are no longer orderable: ${inactive
+        .map((item) => item.test.code)
+        .join(", ")}`,
+      400
+    );
+  }
+
+  const orders = await prisma.$transaction(
+    orderSet.items.map((item) =>
+      prisma.order.create({
+        data: buildOrderData(
+          {
+            encounterId: data.encounterId,
+            priority: data.priority || item.priority,
+            notes: [item.notes, data.notes].filter(Boolean).join("\n") || null,
+          },
+          item.test,
+          clinicianId
+        ),
+        include: orderInclude,
+      })
+    )
+  );
+
+  await sendLabOrderMessages(orders);
+
+  return orders;
+}
+
 /**
  * Get order by ID
  * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user (for the result visibility policy)
  * @returns {Promise<Object>} Order with results
  */
-async function getOrderById(orderId) {
+async function getOrderById(orderId, user) {
+  const visibleResults =
+    await resultVerificationService.buildVisibleResultsWhere(user);
+
   const order = await prisma.order.findUnique({
     where: { id: orderId },
     include: {
@@ -105,6 +213,7 @@ async function getOrderById(orderId) {
         },
       },
       results: {
+        where: visibleResults,
         include: {
           technician: {
             select: {
@@ -117,6 +226,33 @@ async function getOrderById(orderId) {
           createdAt: "desc",
         },
       },
+      specimens: {
+        select: {
+          id: true,
+          accessionNumber: true,
+          specimenType: true,
+          status: true,
+          collectedAt: true,
+          rejectionReason: true,
+        },
+        orderBy: {
+          collectedAt: "desc",
+        },
+      },
+      statusHistory: {
+        include: {
+          changer: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+            },
+          },
+        },
+        orderBy: {
+          createdAt: "asc",
+        },
+      },
     },
   });
 
@@ -124,21 +260,27 @@ async function getOrderById(orderId) {
     throw new AppError("Order not found", 404);
   }
 
-  return order;
+  return {
+    ...order,
+    allowedTransitions: getAllowedTransitions(order),
+  };
 }
 
 /**
  * Get orders with filters
  * @param {Object} filters - Filter parameters
+ * @param {Object} user - Requesting user (for the result visibility policy)
  * @returns {Promise<Object>} Orders with pagination
  */
-async function getOrders(filters) {
+async function getOrders(filters, user) {
   const {
     encounterId,
     patientId,
     orderType,
     status = "all",
     priority,
+    studyInstanceUid,
+    accessionNumber,
     page = 1,
     limit = 20,
   } = filters;
@@ -173,6 +315,18 @@ async function getOrders(filters) {
     where.priority = priority;
   }
 
+  // PACS matching (DICOM StudyInstanceUID / AccessionNumber)
+  if (studyInstanceUid) {
+    where.studyInstanceUid = studyInstanceUid;
+  }
+
+  if (accessionNumber) {
+    where.imagingAccessionNumber = accessionNumber;
+  }
+
+  const visibleResults =
+    await resultVerificationService.buildVisibleResultsWhere(user);
+
   // Get total count
   const total = await prisma.order.count({ where });
 
@@ -205,6 +359,7 @@ async function getOrders(filters) {
         },
       },
       results: {
+        where: visibleResults,
         select: {
           id: true,
           resultType: true,
@@ -231,12 +386,15 @@ async function getOrders(filters) {
 
 /**
  * Update order status
+ * Only transitions allowed by the order state machine are accepted;
+ * cancellation and rejection need a reason.
  * @param {string} orderId - Order ID
  * @param {string} status - New status
- * @param {Object} additionalData - Additional data (collectedAt, etc.)
+ * @param {Object} additionalData - { collectedAt, reason, note }
+ * @param {string} userId - User making the change
  * @returns {Promise<Object>} Updated order
  */
-async function updateOrderStatus(orderId, status, additionalData = {}) {
+async function updateOrderStatus(orderId, status, additionalData = {}, userId) {
   // Verify order exists
   const existingOrder = await prisma.order.findUnique({
     where: { id: orderId },
@@ -246,44 +404,44 @@ async function updateOrderStatus(orderId, status, additionalData = {}) {
     throw new AppError("Order not found", 404);
   }
 
-  // Prepare update data
-  const updateData = {
-    status,
-  };
+  const data = {};
 
-  if (status === "collected" && additionalData.collectedAt) {
-    updateData.collectedAt = new Date(additionalData.collectedAt);
+  if (status === "collected") {
+    data.collectedAt = additionalData.collectedAt
+      ? new Date(additionalData.collectedAt)
+      : new Date();
   }
 
-  // Update order
-  const updatedOrder = await prisma.order.update({
-    where: { id: orderId },
-    data: updateData,
-    include: {
-      encounter: {
-        select: {
-          patient: {
-            select: {
-              mrn: true,
-              firstName: true,
-              lastName: true,
+  return prisma.$transaction((tx) =>
+    applyOrderTransition(tx, existingOrder, status, userId, {
+      reason: additionalData.reason,
+      note: additionalData.note,
+      data,
+      include: {
+        encounter: {
+          select: {
+            patient: {
+              select: {
+                mrn: true,
+                firstName: true,
+                lastName: true,
+              },
             },
           },
         },
       },
-    },
-  });
-
-  return updatedOrder;
+    })
+  );
 }
 
 /**
  * Cancel order
  * @param {string} orderId - Order ID
  * @param {string} clinicianId - Requesting clinician ID
+ * @param {string} reason - Cancellation reason
  * @returns {Promise<Object>} Cancelled order
  */
-async function cancelOrder(orderId, clinicianId) {
+async function cancelOrder(orderId, clinicianId, reason) {
   const order = await prisma.order.findUnique({
     where: { id: orderId },
   });
@@ -300,19 +458,86 @@ async function cancelOrder(orderId, clinicianId) {
     );
   }
 
-  if (order.status === "completed") {
-    throw new AppError("Cannot cancel completed order", 400);
-  }
+  return prisma.$transaction((tx) =>
+    applyOrderTransition(tx, order, "cancelled", clinicianId, { reason })
+  );
+}
 
-  // Update status to cancelled
-  const cancelledOrder = await prisma.order.update({
+/**
+ * Link a radiology order to its DICOM study
+ * Missing identifiers are generated (UID under DICOM_UID_ROOT, accession
+ * number with IMAGING_ACCESSION_PREFIX) so the modality worklist and the
+ * PACS can use the same values.
+ * @param {string} orderId - Order ID
+ * @param {Object} studyData - { studyInstanceUid, accessionNumber }
+ * @returns {Promise<Object>} Order with study identifiers
+ */
+async function linkImagingStudy(orderId, studyData = {}) {
+  const order = await prisma.order.findUnique({
     where: { id: orderId },
-    data: {
-      status: "cancelled",
+  });
+
+  if (!order) {
+    throw new AppError("Order not found", 404);
+  }
+
+  if (order.orderType !== "radiology") {
+    throw new AppError("Only radiology orders have imaging studies", 400);
+  }
+
+  if (["cancelled", "rejected"].includes(order.status)) {
+    throw new AppError(`Cannot link a study to a ${order.status} order`, 400);
+  }
+
+  const studyInstanceUid =
+    studyData.studyInstanceUid ||
+    order.studyInstanceUid ||
+    generateStudyInstanceUid();
+
+  if (!isValidDicomUid(studyInstanceUid)) {
+    throw new AppError("Invalid Study Instance UID", 400);
+  }
+
+  const suppliedAccession = studyData.accessionNumber
+    ? String(studyData.accessionNumber).trim()
+    : null;
+
+  if (suppliedAccession && !isValidAccessionNumber(suppliedAccession)) {
+    throw new AppError("Invalid accession number", 400);
+  }
+
+  const conflict = await prisma.order.findFirst({
+    where: {
+      id: { not: orderId },
+      OR: [
+        { studyInstanceUid },
+        ...(suppliedAccession
+          ? [{ imagingAccessionNumber: suppliedAccession }]
+          : []),
+      ],
     },
+    select: { id: true },
   });
 
-  return cancelledOrder;
+  if (conflict) {
+    throw new AppError(
+      `Study is already linked to another order (${conflict.id})`,
+      409
+    );
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const imagingAccessionNumber =
+      suppliedAccession ||
+      order.imagingAccessionNumber ||
+      (await generateAccessionNumber(tx, ACCESSION_CONFIG.imagingPrefix));
+
+    return tx.order.update({
+      where: { id: orderId },
+      data: { studyInstanceUid, imagingAccessionNumber },
+      include: orderInclude,
+    });
+  });
 }
 
 /**
@@ -456,9 +681,13 @@ async function getOrderStatistics() {
 /**
  * Get orders for a patient
  * @param {string} patientId - Patient ID
+ * @param {Object} user - Requesting user (for the result visibility policy)
  * @returns {Promise<Array>} Patient orders
  */
-async function getPatientOrders(patientId) {
+async function getPatientOrders(patientId, user) {
+  const visibleResults =
+    await resultVerificationService.buildVisibleResultsWhere(user);
+
   const orders = await prisma.order.findMany({
     where: {
       encounter: {
@@ -480,6 +709,7 @@ async function getPatientOrders(patientId) {
         },
       },
       results: {
+        where: visibleResults,
         select: {
           id: true,
           isAbnormal: true,
@@ -497,11 +727,14 @@ async function getPatientOrders(patientId) {
 }
 
 module.exports = {
+  ORDER_TRANSITIONS,
   createOrder,
+  placeOrderSet,
   getOrderById,
   getOrders,
   updateOrderStatus,
   cancelOrder,
+  linkImagingStudy,
   getPendingOrders,
   getOrderStatistics,
   getPatientOrders,
@@ -2,24 +2,28 @@
 // Business logic for patient management
 
 const { prisma } = require("../config/database");
-const { generateMRN } = require("../utils/mrnGenerator");
+const {
+  generateMRN,
+  validateMRN,
+  isLegacyMRN,
+} = require("../utils/mrnGenerator");
+const {
+  scorePatientMatch,
+  normalizePhone,
+  MATCH_THRESHOLDS,
+} = require("../utils/patientMatcher");
 const { AppError } = require("../middleware/errorHandler");
+const { recordActivities } = require("./dataQualityActivityService");
 
 /**
  * Create new patient
  * @param {Object} patientData - Patient information
+ * @param {string} userId - Registering user ID
  * @returns {Promise<Object>} Created patient
  */
-async function createPatient(patientData) {
-  // Generate unique MRN
-  const mrn = await generateMRN();
-
+async function createPatient(patientData, userId) {
   // Check for potential duplicates
-  const duplicates = await findPotentialDuplicates(
-    patientData.firstName,
-    patientData.lastName,
-    patientData.dateOfBirth
-  );
+  const duplicates = await findPotentialDuplicates(patientData);
 
   if (duplicates.length > 0) {
     console.warn("Potential duplicate patients found:", duplicates.length);
@@ -37,31 +41,37 @@ async function createPatient(patientData) {
     dateOfBirth = new Date(patientData.dateOfBirth);
   }
 
-  // Create patient
-  const patient = await prisma.patient.create({
-    data: {
-      mrn,
-      firstName: patientData.firstName,
-      middleName: patientData.middleName || null,
-      lastName: patientData.lastName,
-      sex: patientData.sex,
-      dateOfBirth: dateOfBirth,
-      ageEstimate: patientData.ageEstimate || null,
-      phoneNumber: patientData.phoneNumber || null,
-      address: patientData.address || null,
-      city: patientData.city || null,
-      town: patientData.town || null,
-      district: patientData.district || null,
-      province: patientData.province || null,
-      nextOfKinName: patientData.nextOfKinName || null,
-      nextOfKinPhone: patientData.nextOfKinPhone || null,
-      nextOfKinRelation: patientData.nextOfKinRelation || null,
-    },
+  // Allocate MRN and create patient atomically
+  const patient = await prisma.$transaction(async (tx) => {
+    const mrn = await generateMRN(tx);
+
+    return tx.patient.create({
+      data: {
+        mrn,
+        firstName: patientData.firstName,
+        middleName: patientData.middleName || null,
+        lastName: patientData.lastName,
+        sex: patientData.sex,
+        dateOfBirth: dateOfBirth,
+        ageEstimate: patientData.ageEstimate || null,
+        phoneNumber: patientData.phoneNumber || null,
+        address: patientData.address || null,
+        city: patientData.city || null,
+        town: patientData.town || null,
+        district: patientData.district || null,
+        province: patientData.province || null,
+        nextOfKinName: patientData.nextOfKinName || null,
+        nextOfKinPhone: patientData.nextOfKinPhone || null,
+        nextOfKinRelation: patientData.nextOfKinRelation || null,
+        registeredById: userId || null,
+      },
+    });
   });
 
   return {
     ...patient,
     potentialDuplicates: duplicates.length,
+    duplicateCandidates: duplicates,
   };
 }
 
@@ -97,6 +107,13 @@ async function getPatientById(patientId) {
         },
         take: 5, // Last 5 files
       },
+      aliases: {
+        select: {
+          mrn: true,
+          mergeId: true,
+          createdAt: true,
+        },
+      },
     },
   });
 
@@ -109,25 +126,49 @@ async function getPatientById(patientId) {
 
 /**
  * Get patient by MRN
+ * Retired MRNs from merged records resolve to the surviving patient
  * @param {string} mrn - Medical Record Number
  * @returns {Promise<Object>} Patient data
  */
 async function getPatientByMRN(mrn) {
-  const patient = await prisma.patient.findUnique({
-    where: { mrn },
-    include: {
-      encounters: {
-        orderBy: { admissionDate: "desc" },
-        take: 5,
-      },
+  // Catch transcription errors before searching
+  if (!validateMRN(mrn) && !isLegacyMRN(mrn)) {
+    throw new AppError(
+      "Invalid MRN. Please check the number for transcription errors.",
+      400
+    );
+  }
+
+  const include = {
+    encounters: {
+      orderBy: { admissionDate: "desc" },
+      take: 5,
     },
+  };
+
+  // Retired MRNs are kept as aliases of the surviving patient
+  const alias = await prisma.patientAlias.findUnique({
+    where: { mrn },
   });
 
+  const patient = alias
+    ? await prisma.patient.findUnique({
+        where: { id: alias.patientId },
+        include,
+      })
+    : await prisma.patient.findUnique({
+        where: { mrn },
+        include,
+      });
+
   if (!patient) {
     throw new AppError("Patient not found", 404);
   }
 
-  return patient;
+  return {
+    ...patient,
+    resolvedFromAlias: patient.mrn !== mrn ? mrn : null,
+  };
 }
 
 /**
@@ -379,43 +420,89 @@ async function restorePatient(patientId) {
 }
 
 /**
- * Find potential duplicate patients
- * @param {string} firstName - First name
- * @param {string} lastName - Last name
- * @param {Date} dateOfBirth - Date of birth
- * @returns {Promise<Array>} Potential duplicates
+ * Find potential duplicate patients using probabilistic matching
+ * Candidates are pre-selected by name initials, phone and DOB, then
+ * scored on phonetic name similarity, DOB/age, sex, phone and district.
+ * @param {Object} patientData - Patient data (firstName, lastName, sex, dateOfBirth, ageEstimate, phoneNumber, district)
+ * @param {Object} options - { minScore, limit, excludePatientId }
+ * @returns {Promise<Array>} Ranked candidates with per-field explanations
  */
-async function findPotentialDuplicates(firstName, lastName, dateOfBirth) {
-  const where = {
-    firstName: {
-      equals: firstName,
-      mode: "insensitive",
+async function findPotentialDuplicates(patientData, options = {}) {
+  const {
+    minScore = MATCH_THRESHOLDS.low,
+    limit = 10,
+    excludePatientId = null,
+  } = options;
+
+  const firstName = (patientData.firstName || "").trim();
+  const lastName = (patientData.lastName || "").trim();
+
+  if (!firstName || !lastName) {
+    return [];
+  }
+
+  const firstInitial = firstName.charAt(0);
+  const lastInitial = lastName.charAt(0);
+
+  const blocks = [
+    {
+      firstName: { startsWith: firstInitial, mode: "insensitive" },
+      lastName: { startsWith: lastInitial, mode: "insensitive" },
     },
-    lastName: {
-      equals: lastName,
-      mode: "insensitive",
+    // Swapped first/last names
+    {
+      firstName: { startsWith: lastInitial, mode: "insensitive" },
+      lastName: { startsWith: firstInitial, mode: "insensitive" },
     },
-  };
+  ];
 
-  // Only add dateOfBirth filter if it's a valid date
-  if (dateOfBirth && dateOfBirth !== "" && dateOfBirth !== null) {
-    where.dateOfBirth = new Date(dateOfBirth);
+  const phone = normalizePhone(patientData.phoneNumber);
+  if (phone.length >= 7) {
+    blocks.push({ phoneNumber: { contains: phone.slice(-7) } });
   }
 
-  const duplicates = await prisma.patient.findMany({
+  // Only add dateOfBirth block if it's a valid date
+  if (patientData.dateOfBirth && !isNaN(new Date(patientData.dateOfBirth))) {
+    blocks.push({ dateOfBirth: new Date(patientData.dateOfBirth) });
+  }
+
+  // Archived and merged-away records are not offered as candidates
+  const where = { OR: blocks, isArchived: false, mergedIntoId: null };
+
+  if (excludePatientId) {
+    where.id = { not: excludePatientId };
+  }
+
+  const candidates = await prisma.patient.findMany({
     where,
     select: {
       id: true,
       mrn: true,
       firstName: true,
+      middleName: true,
       lastName: true,
+      sex: true,
       dateOfBirth: true,
+      ageEstimate: true,
       phoneNumber: true,
+      district: true,
     },
-    take: 5,
+    take: 500,
   });
 
-  return duplicates;
+  return candidates
+    .map((candidate) => {
+      const match = scorePatientMatch(patientData, candidate);
+      return {
+        ...candidate,
+        matchScore: match.score,
+        matchLevel: match.matchLevel,
+        matchExplanations: match.explanations,
+      };
+    })
+    .filter((candidate) => candidate.matchScore >= minScore)
+    .sort((a, b) => b.matchScore - a.matchScore)
+    .slice(0, limit);
 }
 
 /**
@@ -490,6 +577,414 @@ async function getPatientEncounters(patientId) {
   return encounters;
 }
 
+/**
+ * Build a snapshot of two patients and their linked records
+ * Used as the audit "before" state for merges
+ * @param {string} survivingPatientId - Surviving patient ID
+ * @param {string} retiredPatientId - Patient being merged away
+ * @param {Object} db - Prisma client or transaction client
+ * @returns {Promise<Object>} Snapshot
+ */
+async function getMergeSnapshot(
+  survivingPatientId,
+  retiredPatientId,
+  db = prisma
+) {
+  const snapshotOf = async (patientId) => {
+    const patient = await db.patient.findUnique({
+      where: { id: patientId },
+      include: {
+        encounters: { select: { id: true } },
+        recordFiles: { select: { id: true } },
+        aliases: { select: { id: true, mrn: true } },
+        vitalSignSets: { select: { id: true } },
+        allergies: { select: { id: true } },
+      },
+    });
+
+    if (!patient) return null;
+
+    const {
+      encounters,
+      recordFiles,
+      aliases,
+      vitalSignSets,
+      allergies,
+      ...fields
+    } = patient;
+    return {
+      patient: fields,
+      encounterIds: encounters.map((e) => e.id),
+      recordFileIds: recordFiles.map((f) => f.id),
+      aliases,
+      vitalSignSetIds: vitalSignSets.map((v) => v.id),
+      allergyIds: allergies.map((a) => a.id),
+    };
+  };
+
+  return {
+    surviving: await snapshotOf(survivingPatientId),
+    retired: await snapshotOf(retiredPatientId),
+  };
+}
+
+/**
+ * Merge a duplicate patient into a surviving patient
+ * Moves encounters (and with them notes, orders and results), vital sign
+ * sets, allergies and record files, retires the duplicate and keeps its
+ * MRN as an alias.
+ * @param {string} survivingPatientId - Patient that remains
+ * @param {string} retiredPatientId - Duplicate patient to retire
+ * @param {string} userId - User performing the merge
+ * @param {string} reason - Merge reason
+ * @returns {Promise<Object>} Merge record with before/after snapshots
+ */
+async function mergePatients(
+  survivingPatientId,
+  retiredPatientId,
+  userId,
+  reason
+) {
+  if (!retiredPatientId) {
+    throw new AppError("retiredPatientId is required", 400);
+  }
+
+  if (survivingPatientId === retiredPatientId) {
+    throw new AppError("Cannot merge a patient into itself", 400);
+  }
+
+  const retentionDays = parseInt(process.env.PATIENT_UNMERGE_WINDOW_DAYS) || 30;
+
+  const merge = await prisma.$transaction(async (tx) => {
+    const [surviving, retired] = await Promise.all([
+      tx.patient.findUnique({ where: { id: survivingPatientId } }),
+      tx.patient.findUnique({ where: { id: retiredPatientId } }),
+    ]);
+
+    if (!surviving || !retired) {
+      throw new AppError("Patient not found", 404);
+    }
+
+    if (surviving.mergedIntoId) {
+      throw new AppError("Surviving patient has itself been merged", 400);
+    }
+
+    if (retired.mergedIntoId) {
+      throw new AppError("Patient has already been merged", 400);
+    }
+
+    const before = await getMergeSnapshot(
+      survivingPatientId,
+      retiredPatientId,
+      tx
+    );
+    const mergedAt = new Date();
+
+    // Move clinical history and files
+    await tx.encounter.updateMany({
+      where: { patientId: retiredPatientId },
+      data: { patientId: survivingPatientId },
+    });
+
+    // Vital sign sets carry the patient as well as the encounter
+    await tx.vitalSignSet.updateMany({
+      where: { patientId: retiredPatientId },
+      data: { patientId: survivingPatientId },
+    });
+
+    // Allergies must follow so prescribing checks see them
+    await tx.patientAllergy.updateMany({
+      where: { patientId: retiredPatientId },
+      data: { patientId: survivingPatientId },
+    });
+
+    await tx.recordFile.updateMany({
+      where: { patientId: retiredPatientId },
+      data: { patientId: survivingPatientId },
+    });
+
+    // Aliases from earlier merges follow the retired patient
+    await tx.patientAlias.updateMany({
+      where: { patientId: retiredPatientId },
+      data: { patientId: survivingPatientId },
+    });
+
+    // Retire duplicate
+    await tx.patient.update({
+      where: { id: retiredPatientId },
+      data: {
+        isArchived: true,
+        archivedAt: mergedAt,
+        archivedBy: userId,
+        mergedIntoId: survivingPatientId,
+        mergedAt,
+      },
+    });
+
+    const mergeRecord = await tx.patientMerge.create({
+      data: {
+        survivingPatientId,
+        retiredPatientId,
+        retiredMrn: retired.mrn,
+        reason: reason || null,
+        status: "active",
+        beforeSnapshot: before,
+        movedEncounterIds: before.retired.encounterIds,
+        movedRecordFileIds: before.retired.recordFileIds,
+        movedAliasIds: before.retired.aliases.map((a) => a.id),
+        movedVitalSignSetIds: before.retired.vitalSignSetIds,
+        movedAllergyIds: before.retired.allergyIds,
+        mergedBy: userId,
+        mergedAt,
+        unmergeDeadline: new Date(
+          mergedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000
+        ),
+      },
+    });
+
+    await tx.patientAlias.create({
+      data: {
+        mrn: retired.mrn,
+        patientId: survivingPatientId,
+        mergeId: mergeRecord.id,
+      },
+    });
+
+    // Close duplicate issues raised for this pair
+    await tx.dataQualityIssue.updateMany({
+      where: {
+        issueType: "duplicate_record",
+        status: { in: ["open", "in_progress"] },
+        OR: [
+          {
+            entityId: retiredPatientId,
+            ruleViolated: `duplicate_patient:${survivingPatientId}`,
+          },
+          {
+            entityId: survivingPatientId,
+            ruleViolated: `duplicate_patient:${retiredPatientId}`,
+          },
+        ],
+      },
+      data: {
+        status: "resolved",
+        resolution: `Merged ${retired.mrn} into ${surviving.mrn}`,
+        resolvedAt: mergedAt,
+      },
+    });
+
+    const after = await getMergeSnapshot(
+      survivingPatientId,
+      retiredPatientId,
+      tx
+    );
+
+    return { ...mergeRecord, afterSnapshot: after };
+  });
+
+  return merge;
+}
+
+/**
+ * Reverse a patient merge within the retention window
+ * Only records moved by the merge are returned to the retired patient;
+ * encounters created on the survivor after the merge stay where they are.
+ * Refused while the survivor has itself been merged into another patient
+ * (its records have moved on); duplicate issues the merge resolved are
+ * reopened.
+ * @param {string} mergeId - Merge record ID
+ * @param {string} userId - User performing the unmerge
+ * @returns {Promise<Object>} Reversed merge record with after snapshot
+ */
+async function unmergePatients(mergeId, userId) {
+  const result = await prisma.$transaction(async (tx) => {
+    const merge = await tx.patientMerge.findUnique({
+      where: { id: mergeId },
+    });
+
+    if (!merge) {
+      throw new AppError("Merge record not found", 404);
+    }
+
+    if (merge.status !== "active") {
+      throw new AppError("Merge has already been reversed", 400);
+    }
+
+    if (new Date() > merge.unmergeDeadline) {
+      throw new AppError("Unmerge window for this merge has expired", 400);
+    }
+
+    const surviving = await tx.patient.findUnique({
+      where: { id: merge.survivingPatientId },
+      select: { mergedIntoId: true },
+    });
+    const laterMerge = await tx.patientMerge.findFirst({
+      where: {
+        retiredPatientId: merge.survivingPatientId,
+        status: "active",
+        mergedAt: { gt: merge.mergedAt },
+      },
+      select: { id: true },
+    });
+
+    if (surviving.mergedIntoId || laterMerge) {
+      throw new AppError(
+        "Surviving patient has since been merged into another patient; reverse that merge first",
+        400
+      );
+    }
+
+    const retiredBefore = merge.beforeSnapshot.retired.patient;
+
+    await tx.encounter.updateMany({
+      where: {
+        id: { in: merge.movedEncounterIds },
+        patientId: merge.survivingPatientId,
+      },
+      data: { patientId: merge.retiredPatientId },
+    });
+
+    // Sets recorded since the merge on a moved encounter go back with it
+    await tx.vitalSignSet.updateMany({
+      where: {
+        patientId: merge.survivingPatientId,
+        OR: [
+          { id: { in: merge.movedVitalSignSetIds } },
+          { encounterId: { in: merge.movedEncounterIds } },
+        ],
+      },
+      data: { patientId: merge.retiredPatientId },
+    });
+
+    await tx.patientAllergy.updateMany({
+      where: {
+        id: { in: merge.movedAllergyIds },
+        patientId: merge.survivingPatientId,
+      },
+      data: { patientId: merge.retiredPatientId },
+    });
+
+    await tx.recordFile.updateMany({
+      where: {
+        id: { in: merge.movedRecordFileIds },
+        patientId: merge.survivingPatientId,
+      },
+      data: { patientId: merge.retiredPatientId },
+    });
+
+    await tx.patientAlias.updateMany({
+      where: {
+        id: { in: merge.movedAliasIds },
+        patientId: merge.survivingPatientId,
+      },
+      data: { patientId: merge.retiredPatientId },
+    });
+
+    await tx.patientAlias.deleteMany({
+      where: { mergeId: merge.id },
+    });
+
+    await tx.patient.update({
+      where: { id: merge.retiredPatientId },
+      data: {
+        isArchived: retiredBefore.isArchived,
+        archivedAt: retiredBefore.archivedAt
+          ? new Date(retiredBefore.archivedAt)
+          : null,
+        archivedBy: retiredBefore.archivedBy,
+        mergedIntoId: null,
+        mergedAt: null,
+      },
+    });
+
+    // Reopen duplicate issues the merge resolved for this pair
+    const resolvedIssues = await tx.dataQualityIssue.findMany({
+      where: {
+        issueType: "duplicate_record",
+        status: "resolved",
+        resolvedAt: merge.mergedAt,
+        OR: [
+          {
+            entityId: merge.retiredPatientId,
+            ruleViolated: `duplicate_patient:${merge.survivingPatientId}`,
+          },
+          {
+            entityId: merge.survivingPatientId,
+            ruleViolated: `duplicate_patient:${merge.retiredPatientId}`,
+          },
+        ],
+      },
+      select: { id: true },
+    });
+
+    if (resolvedIssues.length > 0) {
+      await tx.dataQualityIssue.updateMany({
+        where: { id: { in: resolvedIssues.map((issue) => issue.id) } },
+        data: { status: "open", resolution: null, resolvedAt: null },
+      });
+
+      for (const issue of resolvedIssues) {
+        await recordActivities(tx, issue.id, userId, [
+          {
+            activityType: "status_change",
+            fromValue: "resolved",
+            toValue: "open",
+            comment: "Reopened: patient merge reversed",
+          },
+        ]);
+      }
+    }
+
+    const reversed = await tx.patientMerge.update({
+      where: { id: merge.id },
+      data: {
+        status: "reversed",
+        unmergedBy: userId,
+        unmergedAt: new Date(),
+      },
+    });
+
+    const after = await getMergeSnapshot(
+      merge.survivingPatientId,
+      merge.retiredPatientId,
+      tx
+    );
+
+    return { ...reversed, afterSnapshot: after };
+  });
+
+  return result;
+}
+
+/**
+ * Get merge history for a patient (as survivor or retired record)
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Array>} Merge records
+ */
+async function getPatientMerges(patientId) {
+  const merges = await prisma.patientMerge.findMany({
+    where: {
+      OR: [{ survivingPatientId: patientId }, { retiredPatientId: patientId }],
+    },
+    select: {
+      id: true,
+      survivingPatientId: true,
+      retiredPatientId: true,
+      retiredMrn: true,
+      reason: true,
+      status: true,
+      mergedBy: true,
+      mergedAt: true,
+      unmergeDeadline: true,
+      unmergedBy: true,
+      unmergedAt: true,
+    },
+    orderBy: { mergedAt: "desc" },
+  });
+
+  return merges;
+}
+
 module.exports = {
   createPatient,
   getPatientById,
@@ -502,4 +997,8 @@ module.exports = {
   findPotentialDuplicates,
   getPatientStatistics,
   getPatientEncounters,
+  getMergeSnapshot,
+  mergePatients,
+  unmergePatients,
+  getPatientMerges,
 };
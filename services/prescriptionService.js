@@ -0,0 +1,422 @@
+// Prescription Service
+// Encounter prescriptions and the pharmacy dispensing queue
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const medicationService = require("./medicationService");
+
+const ROUTES = [
+  "oral",
+  "sublingual",
+  "iv",
+  "im",
+  "sc",
+  "topical",
+  "inhaled",
+  "rectal",
+  "ophthalmic",
+  "otic",
+  "nasal",
+];
+
+/**
+ * Frequencies with doses per day (null when the quantity cannot be derived
+ * and must be given: stat, prn)
+ */
+const FREQUENCIES = {
+  od: 1,
+  bd: 2,
+  tds: 3,
+  qds: 4,
+  q4h: 6,
+  q6h: 4,
+  q8h: 3,
+  q12h: 2,
+  nocte: 1,
+  stat: null,
+  prn: null,
+};
+
+const SHORTFALL_REASONS = [
+  "stock_out",
+  "partial_supply",
+  "patient_declined",
+  "other",
+];
+
+const OPEN_STATUSES = ["pending", "partially_dispensed"];
+
+const prescriptionInclude = {
+  medication: true,
+  prescriber: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+  dispensings: {
+    include: {
+      dispenser: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+        },
+      },
+    },
+    orderBy: { dispensedAt: "asc" },
+  },
+};
+
+/**
+ * Create prescription for an open encounter
+ * Active allergies are checked first; a conflict blocks the prescription
+ * (409 with the matched allergies) unless allergyOverrideReason is given.
+ * @param {Object} prescriptionData - { encounterId, medicationId, dose,
+ *   route, frequency, durationDays, quantity, instructions,
+ *   allergyOverrideReason }
+ * @param {string} clinicianId - Prescribing clinician ID
+ * @returns {Promise<Object>} Created prescription
+ */
+async function createPrescription(prescriptionData, clinicianId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: prescriptionData.encounterId },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  if (encounter.status === "closed") {
+    throw new AppError("Cannot prescribe on a closed encounter", 400);
+  }
+
+  const medication = await medicationService.getMedicationById(
+    prescriptionData.medicationId
+  );
+
+  if (!medication.isActive) {
+    throw new AppError("Medication is not on the active formulary", 400);
+  }
+
+  const route = prescriptionData.route || medication.defaultRoute;
+
+  if (!ROUTES.includes(route)) {
+    throw new AppError(`Route must be one of: ${ROUTES.join(", ")}`, 400);
+  }
+
+  const { frequency } = prescriptionData;
+
+  if (!(frequency in FREQUENCIES)) {
+    throw new AppError(
+      `Frequency must be one of: ${Object.keys(FREQUENCIES).join(", ")}`,
+      400
+    );
+  }
+
+  const durationDays = prescriptionData.durationDays
+    ? parseInt(prescriptionData.durationDays)
+    : null;
+  let quantity = prescriptionData.quantity
+    ? parseInt(prescriptionData.quantity)
+    : null;
+
+  if (!quantity) {
+    if (frequency === "stat") {
+      quantity = 1;
+    } else if (FREQUENCIES[frequency] && durationDays) {
+      quantity = FREQUENCIES[frequency] * durationDays;
+    } else {
+      throw new AppError(
+        "Quantity is required when it cannot be derived from frequency and duration",
+        400
+      );
+    }
+  }
+
+  const conflicts = await medicationService.checkAllergies(
+    encounter.patientId,
+    medication
+  );
+
+  if (conflicts.length > 0 && !prescriptionData.allergyOverrideReason) {
+    throw new AppError(
+      `Patient has a recorded allergy matching ${medication.name}`,
+      409,
+      conflicts
+    );
+  }
+
+  return prisma.prescription.create({
+    data: {
+      encounterId: encounter.id,
+      medicationId: medication.id,
+      prescribedBy: clinicianId,
+      dose: prescriptionData.dose,
+      route,
+      frequency,
+      durationDays,
+      quantity,
+      instructions: prescriptionData.instructions || null,
+      allergyConflicts: conflicts.length > 0 ? conflicts : undefined,
+      allergyOverrideReason:
+        conflicts.length > 0 ? prescriptionData.allergyOverrideReason : null,
+    },
+    include: prescriptionInclude,
+  });
+}
+
+/**
+ * Get prescription by ID
+ * @param {string} prescriptionId - Prescription ID
+ * @returns {Promise<Object>} Prescription with dispensings
+ */
+async function getPrescriptionById(prescriptionId) {
+  const prescription = await prisma.prescription.findUnique({
+    where: { id: prescriptionId },
+    include: prescriptionInclude,
+  });
+
+  if (!prescription) {
+    throw new AppError("Prescription not found", 404);
+  }
+
+  return prescription;
+}
+
+/**
+ * Get prescriptions for an encounter
+ * @param {string} encounterId - Encounter ID
+ * @returns {Promise<Array>} Prescriptions
+ */
+async function getEncounterPrescriptions(encounterId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: encounterId },
+    select: { id: true },
+  });
+
+  if (!encounter) {
+    throw new AppError("Encounter not found", 404);
+  }
+
+  return prisma.prescription.findMany({
+    where: { encounterId },
+    include: prescriptionInclude,
+    orderBy: { createdAt: "desc" },
+  });
+}
+
+/**
+ * Cancel prescription (only before it is fully dispensed)
+ * @param {string} prescriptionId - Prescription ID
+ * @param {Object} user - Cancelling user (id, roleName)
+ * @param {string} reason - Cancellation reason
+ * @returns {Promise<Object>} Cancelled prescription
+ */
+async function cancelPrescription(prescriptionId, user, reason) {
+  const prescription = await prisma.prescription.findUnique({
+    where: { id: prescriptionId },
+  });
+
+  if (!prescription) {
+    throw new AppError("Prescription not found", 404);
+  }
+
+  // Only the prescriber or admin can cancel
+  if (prescription.prescribedBy !== user.id && user.roleName !== "admin") {
+    throw new AppError(
+      "Only the prescribing clinician can cancel this prescription",
+      403
+    );
+  }
+
+  if (!OPEN_STATUSES.includes(prescription.status)) {
+    throw new AppError(
+      `Cannot cancel a ${prescription.status} prescription`,
+      400
+    );
+  }
+
+  return prisma.prescription.update({
+    where: { id: prescriptionId },
+    data: {
+      status: "cancelled",
+      cancelledBy: user.id,
+      cancelledAt: new Date(),
+      cancelReason: reason || null,
+    },
+    include: prescriptionInclude,
+  });
+}
+
+/**
+ * Get the pharmacy dispensing queue (oldest first)
+ * @param {Object} filters - { status, departmentId, patientId, page, limit }
+ * @returns {Promise<Object>} { prescriptions, pagination }
+ */
+async function getDispensingQueue(filters = {}) {
+  const { status, departmentId, patientId, page = 1, limit = 20 } = filters;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {
+    status: status ? status : { in: OPEN_STATUSES },
+  };
+
+  if (departmentId || patientId) {
+    where.encounter = {
+      ...(departmentId && { departmentId }),
+      ...(patientId && { patientId }),
+    };
+  }
+
+  const [prescriptions, total] = await Promise.all([
+    prisma.prescription.findMany({
+      where,
+      include: {
+        ...prescriptionInclude,
+        encounter: {
+          select: {
+            id: true,
+            encounterType: true,
+            department: { select: { id: true, name: true } },
+            patient: {
+              select: {
+                id: true,
+                mrn: true,
+                firstName: true,
+                lastName: true,
+                dateOfBirth: true,
+                sex: true,
+              },
+            },
+          },
+        },
+      },
+      orderBy: { createdAt: "asc" },
+      skip,
+      take: limitNum,
+    }),
+    prisma.prescription.count({ where }),
+  ]);
+
+  return {
+    prescriptions: prescriptions.map((prescription) => ({
+      ...prescription,
+      remainingQuantity: prescription.quantity - prescription.dispensedQuantity,
+    })),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Dispense against a prescription
+ * Supplying less than the remaining balance (including nothing) requires a
+ * shortfall reason and leaves the prescription partially dispensed.
+ * @param {string} prescriptionId - Prescription ID
+ * @param {Object} dispenseData - { quantity, shortfallReason, notes }
+ * @param {string} userId - Dispensing user ID
+ * @returns {Promise<Object>} Updated prescription with dispensings
+ */
+async function dispensePrescription(prescriptionId, dispenseData, userId) {
+  const prescription = await prisma.prescription.findUnique({
+    where: { id: prescriptionId },
+  });
+
+  if (!prescription) {
+    throw new AppError("Prescription not found", 404);
+  }
+
+  if (!OPEN_STATUSES.includes(prescription.status)) {
+    throw new AppError(
+      `Cannot dispense a ${prescription.status} prescription`,
+      400
+    );
+  }
+
+  const remaining = prescription.quantity - prescription.dispensedQuantity;
+  const quantity = parseInt(dispenseData.quantity);
+
+  if (Number.isNaN(quantity) || quantity < 0) {
+    throw new AppError("Quantity must be a non-negative integer", 400);
+  }
+
+  if (quantity > remaining) {
+    throw new AppError(
+      `Quantity exceeds the remaining balance (${remaining})`,
+      400
+    );
+  }
+
+  const { shortfallReason } = dispenseData;
+
+  if (quantity < remaining) {
+    if (!SHORTFALL_REASONS.includes(shortfallReason)) {
+      throw new AppError(
+        `Shortfall reason is required when supplying less than the balance (${SHORTFALL_REASONS.join(
+          ", "
+        )})`,
+        400
+      );
+    }
+  }
+
+  const dispensedQuantity = prescription.dispensedQuantity + quantity;
+
+  await prisma.$transaction(async (tx) => {
+    // Guard against two pharmacists dispensing the same balance
+    const { count } = await tx.prescription.updateMany({
+      where: {
+        id: prescriptionId,
+        dispensedQuantity: prescription.dispensedQuantity,
+        status: { in: OPEN_STATUSES },
+      },
+      data: {
+        dispensedQuantity,
+        status:
+          dispensedQuantity >= prescription.quantity
+            ? "dispensed"
+            : "partially_dispensed",
+      },
+    });
+
+    if (count === 0) {
+      throw new AppError(
+        "Prescription was updated by another user; reload and retry",
+        409
+      );
+    }
+
+    await tx.dispensing.create({
+      data: {
+        prescriptionId,
+        quantity,
+        shortfallReason: quantity < remaining ? shortfallReason : null,
+        notes: dispenseData.notes || null,
+        dispensedBy: userId,
+      },
+    });
+  });
+
+  return getPrescriptionById(prescriptionId);
+}
+
+module.exports = {
+  ROUTES,
+  FREQUENCIES,
+  SHORTFALL_REASONS,
+  createPrescription,
+  getPrescriptionById,
+  getEncounterPrescriptions,
+  cancelPrescription,
+  getDispensingQueue,
+  dispensePrescription,
+};
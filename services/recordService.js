@@ -45,6 +45,7 @@ async function uploadPatientFile(fileData, fileBuffer, uploaderId) {
     const recordFile = await prisma.recordFile.create({
       data: {
         patientId: fileData.patientId,
+        encounterId: fileData.encounterId || null,
         fileName: fileData.fileName,
         fileUrl: fileUrl,
         fileType: fileData.fileType,
@@ -285,6 +286,7 @@ async function getFileStatistics() {
 async function searchFiles(filters) {
   const {
     patientId,
+    encounterId,
     documentType,
     checkoutStatus,
     page = 1,
@@ -299,6 +301,10 @@ async function searchFiles(filters) {
     where.patientId = patientId;
   }
 
+  if (encounterId) {
+    where.encounterId = encounterId;
+  }
+
   if (documentType) {
     where.documentType = documentType;
   }
@@ -0,0 +1,386 @@
+// Reference Range Service
+// Lab analyte catalogue, reference ranges and automatic result flagging
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  selectReferenceRange,
+  flagValue,
+  formatRange,
+  readEntry,
+  deriveResultFlags,
+} = require("../utils/referenceRanges");
+
+const RANGE_FIELDS = [
+  "normalLow",
+  "normalHigh",
+  "criticalLow",
+  "criticalHigh",
+  "ageMinDays",
+  "ageMaxDays",
+];
+
+/**
+ * Helper: Normalize and validate reference range input
+ */
+function buildRangeData(rangeData) {
+  const data = {
+    sex: rangeData.sex ? String(rangeData.sex).toLowerCase() : null,
+  };
+
+  if (data.sex && !["male", "female"].includes(data.sex)) {
+    throw new AppError("Range sex must be male, female or empty", 400);
+  }
+
+  RANGE_FIELDS.forEach((field) => {
+    const value = rangeData[field];
+
+    if (value === undefined || value === null || value === "") {
+      data[field] = null;
+      return;
+    }
+
+    const number = Number(value);
+    if (isNaN(number)) {
+      throw new AppError(`${field} must be a number`, 400);
+    }
+
+    data[field] = field.startsWith("age") ? Math.round(number) : number;
+  });
+
+  const { normalLow, normalHigh, criticalLow, criticalHigh } = data;
+  const has = (v) => v !== null;
+
+  if (has(normalLow) && has(normalHigh) && normalLow > normalHigh) {
+    throw new AppError("normalLow cannot be greater than normalHigh", 400);
+  }
+
+  if (has(criticalLow) && has(normalLow) && criticalLow > normalLow) {
+    throw new AppError("criticalLow cannot be above normalLow", 400);
+  }
+
+  if (has(criticalHigh) && has(normalHigh) && criticalHigh < normalHigh) {
+    throw new AppError("criticalHigh cannot be below normalHigh", 400);
+  }
+
+  if (
+    has(data.ageMinDays) &&
+    has(data.ageMaxDays) &&
+    data.ageMinDays >= data.ageMaxDays
+  ) {
+    throw new AppError("ageMinDays must be less than ageMaxDays", 400);
+  }
+
+  return data;
+}
+
+/**
+ * Get analytes
+ * @param {Object} filters - { search, category, isActive }
+ * @returns {Promise<Array>} Analytes with reference ranges
+ */
+async function getAnalytes(filters = {}) {
+  const { search, category, isActive } = filters;
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { code: { contains: search, mode: "insensitive" } },
+      { name: { contains: search, mode: "insensitive" } },
+    ];
+  }
+
+  if (category) {
+    where.category = category;
+  }
+
+  if (isActive !== undefined && isActive !== "all") {
+    where.isActive = isActive === true || isActive === "true";
+  }
+
+  return prisma.labAnalyte.findMany({
+    where,
+    include: {
+      referenceRanges: {
+        orderBy: [{ sex: "asc" }, { ageMinDays: "asc" }],
+      },
+    },
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Get analyte by ID
+ * @param {string} analyteId - Analyte ID
+ * @returns {Promise<Object>} Analyte with reference ranges
+ */
+async function getAnalyteById(analyteId) {
+  const analyte = await prisma.labAnalyte.findUnique({
+    where: { id: analyteId },
+    include: {
+      referenceRanges: {
+        orderBy: [{ sex: "asc" }, { ageMinDays: "asc" }],
+      },
+    },
+  });
+
+  if (!analyte) {
+    throw new AppError("Analyte not found", 404);
+  }
+
+  return analyte;
+}
+
+/**
+ * Create analyte (optionally with reference ranges)
+ * @param {Object} analyteData - { code, name, synonyms, unit, category, ranges }
+ * @returns {Promise<Object>} Created analyte
+ */
+async function createAnalyte(analyteData) {
+  if (!analyteData.code || !analyteData.name) {
+    throw new AppError("Analyte code and name are required", 400);
+  }
+
+  const code = String(analyteData.code).trim().toUpperCase();
+
+  const existing = await prisma.labAnalyte.findUnique({ where: { code } });
+  if (existing) {
+    throw new AppError("Analyte with this code already exists", 400);
+  }
+
+  const ranges = (analyteData.ranges || []).map(buildRangeData);
+
+  return prisma.labAnalyte.create({
+    data: {
+      code,
+      name: analyteData.name,
+      synonyms: analyteData.synonyms || undefined,
+      unit: analyteData.unit || null,
+      category: analyteData.category || null,
+      referenceRanges: {
+        create: ranges,
+      },
+    },
+    include: { referenceRanges: true },
+  });
+}
+
+/**
+ * Update analyte
+ * @param {string} analyteId - Analyte ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} Updated analyte
+ */
+async function updateAnalyte(analyteId, updateData) {
+  await getAnalyteById(analyteId);
+
+  const data = {};
+
+  if (updateData.code !== undefined) {
+    data.code = String(updateData.code).trim().toUpperCase();
+
+    const existing = await prisma.labAnalyte.findFirst({
+      where: { code: data.code, id: { not: analyteId } },
+    });
+    if (existing) {
+      throw new AppError("Analyte with this code already exists", 400);
+    }
+  }
+
+  ["name", "synonyms", "unit", "category", "isActive"].forEach((field) => {
+    if (updateData[field] !== undefined) {
+      data[field] = updateData[field];
+    }
+  });
+
+  return prisma.labAnalyte.update({
+    where: { id: analyteId },
+    data,
+    include: { referenceRanges: true },
+  });
+}
+
+/**
+ * Deactivate analyte (kept for flags already stored on results)
+ * @param {string} analyteId - Analyte ID
+ * @returns {Promise<Object>} Deactivated analyte
+ */
+async function deactivateAnalyte(analyteId) {
+  await getAnalyteById(analyteId);
+
+  return prisma.labAnalyte.update({
+    where: { id: analyteId },
+    data: { isActive: false },
+  });
+}
+
+/**
+ * Add reference range to analyte
+ * @param {string} analyteId - Analyte ID
+ * @param {Object} rangeData - Range data
+ * @returns {Promise<Object>} Created range
+ */
+async function addReferenceRange(analyteId, rangeData) {
+  await getAnalyteById(analyteId);
+
+  return prisma.referenceRange.create({
+    data: {
+      analyteId,
+      ...buildRangeData(rangeData),
+    },
+  });
+}
+
+/**
+ * Update reference range
+ * @param {string} rangeId - Range ID
+ * @param {Object} rangeData - Range data (omitted fields keep their value)
+ * @returns {Promise<Object>} Updated range
+ */
+async function updateReferenceRange(rangeId, rangeData) {
+  const range = await prisma.referenceRange.findUnique({
+    where: { id: rangeId },
+  });
+
+  if (!range) {
+    throw new AppError("Reference range not found", 404);
+  }
+
+  return prisma.referenceRange.update({
+    where: { id: rangeId },
+    data: buildRangeData({ ...range, ...rangeData }),
+  });
+}
+
+/**
+ * Delete reference range
+ * @param {string} rangeId - Range ID
+ * @returns {Promise<boolean>} Success
+ */
+async function deleteReferenceRange(rangeId) {
+  const range = await prisma.referenceRange.findUnique({
+    where: { id: rangeId },
+  });
+
+  if (!range) {
+    throw new AppError("Reference range not found", 404);
+  }
+
+  await prisma.referenceRange.delete({ where: { id: rangeId } });
+
+  return true;
+}
+
+/**
+ * Helper: Build lookup of active analytes by code, name and synonyms
+ */
+async function getAnalyteLookup() {
+  const analytes = await prisma.labAnalyte.findMany({
+    where: { isActive: true },
+    include: { referenceRanges: true },
+  });
+
+  const lookup = new Map();
+  const add = (key, analyte) => {
+    if (key) lookup.set(String(key).trim().toLowerCase(), analyte);
+  };
+
+  analytes.forEach((analyte) => {
+    add(analyte.code, analyte);
+    add(analyte.name, analyte);
+    (Array.isArray(analyte.synonyms) ? analyte.synonyms : []).forEach(
+      (synonym) => add(synonym, analyte)
+    );
+  });
+
+  return lookup;
+}
+
+/**
+ * Flag every analyte in resultData against the reference range catalogue
+ * Analytes without a catalogue range keep a flag supplied with the value
+ * (e.g. an analyser's OBX-8 flag).
+ * @param {Object} resultData - Structured result values
+ * @param {Object} patient - Patient (sex, dateOfBirth, ageEstimate)
+ * @param {Date} at - Result date, used for the patient's age
+ * @returns {Promise<Object|null>} { analyteFlags, isAbnormal, criticalFlag }
+ *   or null when no analyte could be flagged
+ */
+async function evaluateResultData(resultData, patient, at = new Date()) {
+  if (!resultData || typeof resultData !== "object") {
+    return null;
+  }
+
+  const lookup = await getAnalyteLookup();
+  const analyteFlags = {};
+
+  Object.keys(resultData).forEach((key) => {
+    const entry = resultData[key];
+    const { value, unit, flag } = readEntry(entry);
+    const suppliedCode =
+      entry && typeof entry === "object" ? entry.code : undefined;
+
+    const analyte =
+      lookup.get(key.trim().toLowerCase()) ||
+      (suppliedCode && lookup.get(String(suppliedCode).toLowerCase()));
+
+    const numeric =
+      value !== null &&
+      value !== undefined &&
+      value !== "" &&
+      !isNaN(Number(value));
+
+    const unitMismatch =
+      analyte &&
+      unit &&
+      analyte.unit &&
+      unit.toLowerCase() !== analyte.unit.toLowerCase();
+
+    const range =
+      analyte && numeric && !unitMismatch
+        ? selectReferenceRange(analyte.referenceRanges, patient, at)
+        : null;
+
+    if (range) {
+      analyteFlags[key] = {
+        flag: flagValue(Number(value), range),
+        analyteCode: analyte.code,
+        unit: analyte.unit,
+        referenceRange: formatRange(range.normalLow, range.normalHigh),
+        criticalRange: formatRange(range.criticalLow, range.criticalHigh),
+        rangeId: range.id,
+        source: "catalogue",
+      };
+    } else if (flag) {
+      analyteFlags[key] = {
+        flag: String(flag).toUpperCase(),
+        ...(analyte && { analyteCode: analyte.code }),
+        source: "supplied",
+        ...(unitMismatch && {
+          note: `Unit ${unit} differs from ${analyte.unit}`,
+        }),
+      };
+    }
+  });
+
+  if (Object.keys(analyteFlags).length === 0) {
+    return null;
+  }
+
+  return {
+    analyteFlags,
+    ...deriveResultFlags(analyteFlags),
+  };
+}
+
+module.exports = {
+  getAnalytes,
+  getAnalyteById,
+  createAnalyte,
+  updateAnalyte,
+  deactivateAnalyte,
+  addReferenceRange,
+  updateReferenceRange,
+  deleteReferenceRange,
+  evaluateResultData,
+};
@@ -1,18 +1,92 @@
 // Result Service
 // Business logic for lab and radiology results
 
+const { Prisma } = require("@prisma/client");
 const { prisma } = require("../config/database");
 const { AppError } = require("../middleware/errorHandler");
+const referenceRangeService = require("./referenceRangeService");
+const criticalResultService = require("./criticalResultService");
+const resultVerificationService = require("./resultVerificationService");
+const {
+  assertTransition,
+  applyOrderTransition,
+} = require("../utils/orderStatus");
+const {
+  getTemplate,
+  listTemplates,
+  validateReportData,
+} = require("../utils/radiologyTemplates");
+const { buildReportPdf } = require("../utils/radiologyReportPdf");
+
+const AMENDMENT_TYPES = ["amended", "corrected"];
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
 
 /**
- * Create result for an order
+ * Helper: Start the critical result notification loop for a critical
+ * version and close alerts raised for earlier versions
+ * Notification problems are logged and must not block result entry.
+ */
+async function notifyIfCritical(result) {
+  if (!result.criticalFlag && result.version === 1) return;
+
+  try {
+    await criticalResultService.notifyCriticalResult(result.id);
+  } catch (error) {
+    console.error(`Failed to notify critical result ${result.id}:`, error);
+  }
+}
+
+/**
+ * Helper: Validate structured radiology report data against its template
+ * @param {Object} order - Result's order (orderType)
+ * @param {string} templateCode - Template code
+ * @param {Object} resultData - { fieldKey: value }
+ * @returns {Object} { template, data (normalized) }
+ */
+function applyReportTemplate(order, templateCode, resultData) {
+  const template = getTemplate(templateCode);
+
+  if (!template) {
+    throw new AppError(`Unknown report template: ${templateCode}`, 400);
+  }
+
+  if (order.orderType !== "radiology") {
+    throw new AppError("Report templates are only used for radiology", 400);
+  }
+
+  const { data, errors } = validateReportData(template, resultData);
+
+  if (errors.length > 0) {
+    throw new AppError(
+      `Report does not match the ${template.name} template: ${errors.join(
+        "; "
+      )}`,
+      400
+    );
+  }
+
+  return { template, data };
+}
+
+/**
+ * Write a result for an order and complete the order
+ * Runs inside the caller's transaction; notifications must only go out
+ * once it has committed, so they are returned rather than sent.
+ * @param {Object} db - Transaction client
  * @param {Object} resultData - Result data
  * @param {string} technicianId - Technician user ID
- * @returns {Promise<Object>} Created result
+ * @returns {Promise<Object>} { result, notify } - call notify() after commit
  */
-async function createResult(resultData, technicianId) {
+async function saveResult(db, resultData, technicianId) {
   // Verify order exists
-  const order = await prisma.order.findUnique({
+  const order = await db.order.findUnique({
     where: { id: resultData.orderId },
     include: {
       encounter: {
@@ -31,28 +105,56 @@ async function createResult(resultData, technicianId) {
     throw new AppError("Cannot add results to cancelled order", 400);
   }
 
-  // Check if result already exists (allow multiple results for amendments)
-  const existingResults = await prisma.result.count({
+  // Further results on a completed order are amendments
+  if (order.status !== "completed") {
+    assertTransition(order, "completed");
+  }
+
+  // One result per order; later changes are new versions of it
+  const existingResult = await db.result.findFirst({
     where: { orderId: resultData.orderId },
+    select: { id: true },
   });
 
-  if (existingResults > 0 && !resultData.isAmendment) {
-    console.warn(
-      `Order ${resultData.orderId} already has results. Creating amendment.`
+  if (existingResult) {
+    throw new AppError(
+      `Order already has a result (${existingResult.id}); amend that result instead`,
+      409
     );
   }
 
+  const report = resultData.reportTemplate
+    ? applyReportTemplate(
+        order,
+        resultData.reportTemplate,
+        resultData.resultData
+      )
+    : null;
+
+  // Flag analytes against reference ranges. Supplied booleans are only
+  // used when nothing could be flagged (e.g. radiology reports).
+  const flags = report
+    ? null
+    : await referenceRangeService.evaluateResultData(
+        resultData.resultData,
+        order.encounter.patient
+      );
+
   // Create result
-  const result = await prisma.result.create({
+  const result = await db.result.create({
     data: {
       orderId: resultData.orderId,
       resultType: resultData.resultType,
-      resultData: resultData.resultData || null,
+      resultData: report ? report.data : resultData.resultData || null,
       resultText: resultData.resultText || null,
       attachments: resultData.attachments || null,
+      reportTemplate: report ? report.template.code : null,
       enteredBy: technicianId,
-      isAbnormal: resultData.isAbnormal || false,
-      criticalFlag: resultData.criticalFlag || false,
+      isAbnormal: flags ? flags.isAbnormal : resultData.isAbnormal || false,
+      criticalFlag: flags
+        ? flags.criticalFlag
+        : resultData.criticalFlag || false,
+      analyteFlags: flags ? flags.analyteFlags : undefined,
     },
     include: {
       technician: {
@@ -82,12 +184,30 @@ async function createResult(resultData, technicianId) {
   });
 
   // Update order status to completed
-  await prisma.order.update({
-    where: { id: resultData.orderId },
-    data: {
-      status: "completed",
-    },
-  });
+  if (order.status !== "completed") {
+    await applyOrderTransition(db, order, "completed", technicianId, {
+      note: "Result entered",
+    });
+  }
+
+  return { result, notify: () => notifyIfCritical(result) };
+}
+
+/**
+ * Create result for an order
+ * Radiology reports may name a reportTemplate; their resultData is then
+ * validated against it. The result and the order's completion are
+ * written together.
+ * @param {Object} resultData - Result data
+ * @param {string} technicianId - Technician user ID
+ * @returns {Promise<Object>} Created result
+ */
+async function createResult(resultData, technicianId) {
+  const { result, notify } = await prisma.$transaction((tx) =>
+    saveResult(tx, resultData, technicianId)
+  );
+
+  await notify();
 
   return result;
 }
@@ -95,9 +215,10 @@ async function createResult(resultData, technicianId) {
 /**
  * Get result by ID
  * @param {string} resultId - Result ID
+ * @param {Object} user - Requesting user (for the visibility policy)
  * @returns {Promise<Object>} Result with order details
  */
-async function getResultById(resultId) {
+async function getResultById(resultId, user) {
   const result = await prisma.result.findUnique({
     where: { id: resultId },
     include: {
@@ -135,7 +256,14 @@ async function getResultById(resultId) {
     },
   });
 
-  if (!result) {
+  if (
+    !result ||
+    !(await resultVerificationService.isResultVisible(
+      result,
+      result.order,
+      user
+    ))
+  ) {
     throw new AppError("Result not found", 404);
   }
 
@@ -145,11 +273,15 @@ async function getResultById(resultId) {
 /**
  * Get results for an order
  * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user (for the visibility policy)
  * @returns {Promise<Array>} Results
  */
-async function getResultsByOrder(orderId) {
+async function getResultsByOrder(orderId, user) {
   const results = await prisma.result.findMany({
-    where: { orderId },
+    where: {
+      orderId,
+      ...(await resultVerificationService.buildVisibleResultsWhere(user)),
+    },
     include: {
       technician: {
         select: {
@@ -167,40 +299,144 @@ async function getResultsByOrder(orderId) {
 }
 
 /**
- * Update result
- * @param {string} resultId - Result ID
- * @param {Object} updateData - Update data
- * @param {string} technicianId - Requesting technician ID
- * @returns {Promise<Object>} Updated result
+ * Helper: Re-flag analytes when values change; flags derived from the
+ * catalogue take precedence over supplied booleans
  */
-async function updateResult(resultId, updateData, technicianId) {
-  const existingResult = await prisma.result.findUnique({
+async function deriveUpdatedFlags(existingResult, updateData) {
+  let isAbnormal = updateData.isAbnormal;
+  let criticalFlag = updateData.criticalFlag;
+  let analyteFlags;
+
+  if (updateData.resultData !== undefined) {
+    const flags = await referenceRangeService.evaluateResultData(
+      updateData.resultData,
+      existingResult.order.encounter.patient,
+      existingResult.createdAt
+    );
+
+    analyteFlags = flags ? flags.analyteFlags : Prisma.DbNull;
+
+    if (flags) {
+      isAbnormal = flags.isAbnormal;
+      criticalFlag = flags.criticalFlag;
+    }
+  } else if (existingResult.analyteFlags) {
+    isAbnormal = undefined;
+    criticalFlag = undefined;
+  }
+
+  return { isAbnormal, criticalFlag, analyteFlags };
+}
+
+/**
+ * Helper: Load a result with what is needed to revise it
+ */
+async function getResultForRevision(resultId, db = prisma) {
+  const result = await db.result.findUnique({
     where: { id: resultId },
+    include: {
+      order: {
+        select: {
+          orderType: true,
+          testName: true,
+          orderingClinician: true,
+          encounter: {
+            select: {
+              patient: {
+                select: {
+                  mrn: true,
+                  firstName: true,
+                  lastName: true,
+                  sex: true,
+                  dateOfBirth: true,
+                  ageEstimate: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
   });
 
-  if (!existingResult) {
+  if (!result) {
     throw new AppError("Result not found", 404);
   }
 
-  // Only the technician who entered it can update (unless admin)
-  if (existingResult.enteredBy !== technicianId && !updateData.isAdmin) {
-    throw new AppError("You can only update your own results", 403);
-  }
+  return result;
+}
 
-  // If result is approved, don't allow updates
-  if (existingResult.approvedBy) {
-    throw new AppError("Cannot update approved results", 400);
-  }
+/**
+ * Helper: Store the current state as an immutable version and apply changes
+ * @param {Object} db - Transaction client
+ * @param {Object} existingResult - Result from getResultForRevision
+ * @param {Object} updateData - New values
+ * @param {string} userId - User making the change
+ * @param {Object} changes - Extra Result fields (status, approval reset, ...)
+ * @returns {Promise<Object>} Updated result
+ */
+async function reviseResult(
+  db,
+  existingResult,
+  updateData,
+  userId,
+  changes = {}
+) {
+  const templateCode =
+    updateData.reportTemplate !== undefined
+      ? updateData.reportTemplate
+      : existingResult.reportTemplate;
+
+  // Templated reports are re-validated whenever data or template change
+  const report =
+    templateCode &&
+    (updateData.resultData !== undefined ||
+      updateData.reportTemplate !== undefined)
+      ? applyReportTemplate(
+          existingResult.order,
+          templateCode,
+          updateData.resultData !== undefined
+            ? updateData.resultData
+            : existingResult.resultData
+        )
+      : null;
+
+  const flags = await deriveUpdatedFlags(
+    existingResult,
+    templateCode ? { ...updateData, resultData: undefined } : updateData
+  );
+
+  await db.resultVersion.create({
+    data: {
+      resultId: existingResult.id,
+      version: existingResult.version,
+      status: existingResult.status,
+      resultData: existingResult.resultData || undefined,
+      resultText: existingResult.resultText,
+      attachments: existingResult.attachments || undefined,
+      reportTemplate: existingResult.reportTemplate,
+      isAbnormal: existingResult.isAbnormal,
+      criticalFlag: existingResult.criticalFlag,
+      analyteFlags: existingResult.analyteFlags || undefined,
+      enteredBy: existingResult.enteredBy,
+      approvedBy: existingResult.approvedBy,
+      approvedAt: existingResult.approvedAt,
+      amendmentReason: existingResult.amendmentReason,
+      recordedAt: existingResult.updatedAt,
+      supersededBy: userId,
+    },
+  });
 
-  // Update result
-  const updatedResult = await prisma.result.update({
-    where: { id: resultId },
+  return db.result.update({
+    where: { id: existingResult.id },
     data: {
-      resultData: updateData.resultData,
+      resultData: report ? report.data : updateData.resultData,
       resultText: updateData.resultText,
       attachments: updateData.attachments,
-      isAbnormal: updateData.isAbnormal,
-      criticalFlag: updateData.criticalFlag,
+      reportTemplate: report ? report.template.code : updateData.reportTemplate,
+      ...flags,
+      ...changes,
+      version: existingResult.version + 1,
     },
     include: {
       technician: {
@@ -211,19 +447,219 @@ async function updateResult(resultId, updateData, technicianId) {
       },
     },
   });
+}
+
+/**
+ * Helper: Tell the ordering clinician that a released result changed
+ * Notification problems are logged and must not block the amendment.
+ */
+async function notifyAmendment(existingResult, amendedResult, userId) {
+  const { order } = existingResult;
+  const patient = order.encounter.patient;
+
+  try {
+    await prisma.message.create({
+      data: {
+        senderId: userId,
+        recipientId: order.orderingClinician,
+        subject: `${
+          amendedResult.status === "corrected" ? "Corrected" : "Amended"
+        } result: ${order.testName} - ${patient.mrn}`,
+        body: [
+          `A result you ordered for ${patient.firstName} ${patient.lastName} (${patient.mrn}) has been ${amendedResult.status}.`,
+          "",
+          `Test: ${order.testName}`,
+          `Version: ${existingResult.version} -> ${amendedResult.version}`,
+          `Reason: ${amendedResult.amendmentReason}`,
+          "",
+          `Please review the result (ID ${amendedResult.id}). Earlier versions remain available in the result history.`,
+        ].join("\n"),
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to notify amendment of ${existingResult.id}:`, error);
+  }
+}
+
+/**
+ * Update result
+ * Unapproved results can be edited by the technician who entered them
+ * (or an admin). Approved results can only be amended, see amendResult.
+ * Every change keeps the previous version.
+ * @param {string} resultId - Result ID
+ * @param {Object} updateData - Update data (amendmentReason, amendmentType
+ *   for approved results)
+ * @param {Object} user - Requesting user (id, roleName)
+ * @returns {Promise<Object>} Updated result
+ */
+async function updateResult(resultId, updateData, user) {
+  const existingResult = await getResultForRevision(resultId);
+
+  if (existingResult.approvedBy) {
+    return amendResult(resultId, updateData, user.id);
+  }
+
+  // Only the technician who entered it can update (unless admin)
+  if (existingResult.enteredBy !== user.id && user.roleName !== "admin") {
+    throw new AppError("You can only update your own results", 403);
+  }
+
+  const updatedResult = await prisma.$transaction((tx) =>
+    reviseResult(
+      tx,
+      existingResult,
+      updateData,
+      user.id,
+      updateData.amendmentReason
+        ? { amendmentReason: updateData.amendmentReason }
+        : {}
+    )
+  );
+
+  await notifyIfCritical(updatedResult);
 
   return updatedResult;
 }
 
 /**
- * Approve result
+ * Amend a result
+ * Approved results become amended/corrected, lose their approval until
+ * re-approved, and the ordering clinician is notified.
+ * Runs inside the caller's transaction; see saveResult for notify().
+ * @param {Object} db - Transaction client
+ * @param {string} resultId - Result ID
+ * @param {Object} updateData - New values with amendmentReason and
+ *   amendmentType (amended | corrected, default amended)
+ * @param {string} userId - Amending user ID
+ * @returns {Promise<Object>} { result, notify } - call notify() after commit
+ */
+async function saveAmendment(db, resultId, updateData, userId) {
+  const reason = updateData.amendmentReason
+    ? String(updateData.amendmentReason).trim()
+    : "";
+
+  if (!reason) {
+    throw new AppError("An amendment reason is required", 400);
+  }
+
+  const amendmentType = updateData.amendmentType || "amended";
+  if (!AMENDMENT_TYPES.includes(amendmentType)) {
+    throw new AppError("Amendment type must be amended or corrected", 400);
+  }
+
+  const existingResult = await getResultForRevision(resultId, db);
+  const released = Boolean(existingResult.approvedBy);
+
+  const amendedResult = await reviseResult(
+    db,
+    existingResult,
+    updateData,
+    userId,
+    {
+      amendmentReason: reason,
+      amendedBy: userId,
+      amendedAt: new Date(),
+      // Changing a released result needs re-approval
+      ...(released && {
+        status: amendmentType,
+        approvedBy: null,
+        approvedAt: null,
+      }),
+    }
+  );
+
+  const notify = async () => {
+    if (released) {
+      await notifyAmendment(existingResult, amendedResult, userId);
+    }
+
+    await notifyIfCritical(amendedResult);
+  };
+
+  return { result: amendedResult, notify };
+}
+
+/**
+ * Amend a result
+ * @param {string} resultId - Result ID
+ * @param {Object} updateData - New values (see saveAmendment)
+ * @param {string} userId - Amending user ID
+ * @returns {Promise<Object>} Amended result
+ */
+async function amendResult(resultId, updateData, userId) {
+  const { result, notify } = await prisma.$transaction((tx) =>
+    saveAmendment(tx, resultId, updateData, userId)
+  );
+
+  await notify();
+
+  return result;
+}
+
+/**
+ * Get result versions, newest first
+ * Versions the user may not see under the visibility policy (unverified
+ * ones of hidden categories) are left out.
+ * @param {string} resultId - Result ID
+ * @param {Object} user - Requesting user (for the visibility policy)
+ * @returns {Promise<Object>} { current, versions }
+ */
+async function getResultVersions(resultId, user) {
+  const result = await prisma.result.findUnique({
+    where: { id: resultId },
+    include: {
+      order: { select: { orderType: true, orderCategory: true } },
+      technician: userSelect,
+      amender: userSelect,
+      versions: {
+        include: { superseder: userSelect },
+        orderBy: { version: "desc" },
+      },
+    },
+  });
+
+  if (
+    !result ||
+    !(await resultVerificationService.isResultVisible(
+      result,
+      result.order,
+      user
+    ))
+  ) {
+    throw new AppError("Result not found", 404);
+  }
+
+  const { versions, order, ...current } = result;
+  const visibleVersions = [];
+
+  for (const version of versions) {
+    if (await resultVerificationService.isResultVisible(version, order, user)) {
+      visibleVersions.push(version);
+    }
+  }
+
+  return { current, versions: visibleVersions };
+}
+
+/**
+ * Approve (verify) result
+ * Records the next verification stage required by the policy for the
+ * order's category. The result is approved once the last stage is
+ * signed off; first approval makes it final, amended/corrected results
+ * keep their status. Nobody may verify a result they entered or verify
+ * the same version twice.
  * @param {string} resultId - Result ID
- * @param {string} approverId - Approver user ID
- * @returns {Promise<Object>} Approved result
+ * @param {Object} user - Verifying user (id, roleName)
+ * @param {string} comment - Optional verification comment
+ * @returns {Promise<Object>} Result with verification progress
  */
-async function approveResult(resultId, approverId) {
+async function approveResult(resultId, user, comment) {
   const existingResult = await prisma.result.findUnique({
     where: { id: resultId },
+    include: {
+      order: { select: { orderType: true, orderCategory: true } },
+      verifications: true,
+    },
   });
 
   if (!existingResult) {
@@ -234,37 +670,106 @@ async function approveResult(resultId, approverId) {
     throw new AppError("Result is already approved", 400);
   }
 
-  // Approve result
-  const approvedResult = await prisma.result.update({
-    where: { id: resultId },
-    data: {
-      approvedBy: approverId,
-      approvedAt: new Date(),
-    },
-    include: {
-      technician: {
-        select: {
-          firstName: true,
-          lastName: true,
+  if (existingResult.enteredBy === user.id) {
+    throw new AppError("You cannot verify a result you entered", 403);
+  }
+
+  const policy = await resultVerificationService.getPolicyForOrder(
+    existingResult.order
+  );
+  const completed = existingResult.verifications.filter(
+    (v) => v.resultVersion === existingResult.version
+  );
+
+  // Stages already signed off stay valid if the policy changed since
+  const remaining = policy.stages.filter(
+    (stage) => !completed.some((v) => v.stage === stage.stage)
+  );
+  const nextStage =
+    remaining[0] ||
+    resultVerificationService.getVerificationStages("single")[0];
+
+  if (completed.some((v) => v.verifiedBy === user.id)) {
+    throw new AppError(
+      "Each verification stage must be signed off by a different user",
+      403
+    );
+  }
+
+  if (!nextStage.roles.includes(user.roleName)) {
+    throw new AppError(
+      `The ${
+        nextStage.stage
+      } verification stage requires one of: ${nextStage.roles.join(", ")}`,
+      403
+    );
+  }
+
+  const isFinalStage = remaining.length <= 1;
+
+  const approvedResult = await prisma.$transaction(async (tx) => {
+    await tx.resultVerification.create({
+      data: {
+        resultId,
+        resultVersion: existingResult.version,
+        stage: nextStage.stage,
+        verifiedBy: user.id,
+        comment: comment || null,
+      },
+    });
+
+    return tx.result.update({
+      where: { id: resultId },
+      data: isFinalStage
+        ? {
+            approvedBy: user.id,
+            approvedAt: new Date(),
+            ...(existingResult.status === "preliminary" && {
+              status: "final",
+            }),
+          }
+        : {},
+      include: {
+        technician: {
+          select: {
+            firstName: true,
+            lastName: true,
+          },
+        },
+        verifications: {
+          where: { resultVersion: existingResult.version },
+          include: { verifier: userSelect },
+          orderBy: { verifiedAt: "asc" },
         },
       },
-    },
+    });
   });
 
-  return approvedResult;
+  return {
+    ...approvedResult,
+    verificationMode: policy.mode,
+    pendingStages: remaining.slice(1).map((stage) => stage.stage),
+  };
 }
 
 /**
  * Get critical/abnormal results
  * @param {Object} filters - Filter parameters
+ * @param {Object} user - Requesting user (for the visibility policy)
  * @returns {Promise<Array>} Critical results
  */
-async function getCriticalResults(filters = {}) {
-  const { departmentId, limit = 50 } = filters;
+async function getCriticalResults(filters = {}, user) {
+  const { departmentId, limit = 50, criticalOnly } = filters;
 
-  const where = {
-    OR: [{ criticalFlag: true }, { isAbnormal: true }],
-  };
+  const where =
+    criticalOnly === true || criticalOnly === "true"
+      ? { criticalFlag: true }
+      : { OR: [{ criticalFlag: true }, { isAbnormal: true }] };
+
+  Object.assign(
+    where,
+    await resultVerificationService.buildVisibleResultsWhere(user)
+  );
 
   if (departmentId) {
     where.order = {
@@ -276,7 +781,7 @@ async function getCriticalResults(filters = {}) {
 
   const results = await prisma.result.findMany({
     where,
-    take: limit,
+    take: parseInt(limit) || 50,
     include: {
       order: {
         include: {
@@ -349,6 +854,61 @@ async function getPendingApprovals() {
   return results;
 }
 
+/**
+ * Get radiology report templates
+ * @returns {Array<Object>} Template summaries
+ */
+function getReportTemplates() {
+  return listTemplates();
+}
+
+/**
+ * Get a radiology report template with its fields
+ * @param {string} code - Template code
+ * @returns {Object} Template
+ */
+function getReportTemplate(code) {
+  const template = getTemplate(code);
+
+  if (!template) {
+    throw new AppError("Report template not found", 404);
+  }
+
+  return template;
+}
+
+/**
+ * Render a verified radiology report as PDF
+ * @param {string} resultId - Result ID
+ * @param {Object} user - Requesting user (for the visibility policy)
+ * @returns {Promise<Object>} { contentType, fileName, content }
+ */
+async function getReportPdf(resultId, user) {
+  const result = await getResultById(resultId, user);
+
+  if (result.resultType !== "radiology_report") {
+    throw new AppError("Only radiology reports can be rendered", 400);
+  }
+
+  if (!result.approvedBy) {
+    throw new AppError("Report has not been verified yet", 409);
+  }
+
+  const approver = await prisma.user.findUnique({
+    where: { id: result.approvedBy },
+    select: { firstName: true, lastName: true },
+  });
+
+  const reference =
+    result.order.imagingAccessionNumber || result.id.slice(0, 8);
+
+  return {
+    contentType: "application/pdf",
+    fileName: `report-${reference}-v${result.version}.pdf`,
+    content: await buildReportPdf(result, approver),
+  };
+}
+
 /**
  * Get result statistics
  * @returns {Promise<Object>} Result statistics
@@ -405,12 +965,19 @@ async function getResultStatistics() {
 }
 
 module.exports = {
+  saveResult,
   createResult,
   getResultById,
   getResultsByOrder,
   updateResult,
+  saveAmendment,
+  amendResult,
+  getResultVersions,
   approveResult,
   getCriticalResults,
   getPendingApprovals,
+  getReportTemplates,
+  getReportTemplate,
+  getReportPdf,
   getResultStatistics,
 };
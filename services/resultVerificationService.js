@@ -0,0 +1,250 @@
+// Result Verification Service
+// Per-category verification policies and clinician visibility of
+// results that are still awaiting verification
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+const VERIFICATION_MODES = ["single", "second_technician", "specialist"];
+const VISIBILITY_OPTIONS = ["preliminary", "hidden"];
+
+/**
+ * Policy used when neither the order category nor the order type has one
+ */
+const DEFAULT_POLICY = {
+  mode: process.env.RESULT_VERIFICATION_MODE || "single",
+  unverifiedVisibility:
+    process.env.RESULT_UNVERIFIED_VISIBILITY || "preliminary",
+};
+
+const TECHNICIAN_ROLES = ["lab_tech", "radiographer"];
+
+// Roles whose view of results follows the visibility policy
+const RESTRICTED_ROLES = ["clinician"];
+
+/**
+ * Verification stages for a policy mode
+ * @param {string} mode - single, second_technician or specialist
+ * @param {string} orderType - lab or radiology
+ * @returns {Array<Object>} [{ stage, roles }]
+ */
+function getVerificationStages(mode, orderType) {
+  if (mode === "second_technician") {
+    return [{ stage: "technical", roles: TECHNICIAN_ROLES }];
+  }
+
+  if (mode === "specialist") {
+    return [
+      { stage: "technical", roles: TECHNICIAN_ROLES },
+      {
+        stage: "specialist",
+        roles: [orderType === "radiology" ? "radiologist" : "pathologist"],
+      },
+    ];
+  }
+
+  return [
+    {
+      stage: "sign_off",
+      roles: ["admin", ...TECHNICIAN_ROLES, "pathologist", "radiologist"],
+    },
+  ];
+}
+
+/**
+ * Helper: Build a resolver that finds the policy for an order
+ * Order category policy first, then order type, then DEFAULT_POLICY.
+ */
+async function loadPolicyResolver() {
+  const policies = await prisma.resultVerificationPolicy.findMany();
+  const byCategory = new Map(policies.map((p) => [p.category, p]));
+
+  const resolve = (order) =>
+    (order.orderCategory && byCategory.get(order.orderCategory)) ||
+    byCategory.get(order.orderType) || {
+      category: null,
+      ...DEFAULT_POLICY,
+    };
+
+  return { policies, resolve };
+}
+
+/**
+ * Get the verification policy for an order
+ * @param {Object} order - Order (orderType, orderCategory)
+ * @returns {Promise<Object>} Policy with stages
+ */
+async function getPolicyForOrder(order) {
+  const { resolve } = await loadPolicyResolver();
+  const policy = resolve(order);
+
+  return {
+    ...policy,
+    stages: getVerificationStages(policy.mode, order.orderType),
+  };
+}
+
+/**
+ * Get all configured policies and the fallback default
+ * @returns {Promise<Object>} { policies, default }
+ */
+async function getPolicies() {
+  const policies = await prisma.resultVerificationPolicy.findMany({
+    orderBy: { category: "asc" },
+  });
+
+  return { policies, default: DEFAULT_POLICY };
+}
+
+/**
+ * Create or replace the policy for a category
+ * @param {string} category - Order category (e.g. hematology) or order
+ *   type (lab, radiology) for a type-wide default
+ * @param {Object} policyData - { mode, unverifiedVisibility }
+ * @returns {Promise<Object>} Saved policy
+ */
+async function savePolicy(category, policyData) {
+  const key = String(category || "")
+    .trim()
+    .toLowerCase();
+
+  if (!key) {
+    throw new AppError("Category is required", 400);
+  }
+
+  if (!VERIFICATION_MODES.includes(policyData.mode)) {
+    throw new AppError(
+      `Mode must be one of: ${VERIFICATION_MODES.join(", ")}`,
+      400
+    );
+  }
+
+  const unverifiedVisibility =
+    policyData.unverifiedVisibility || DEFAULT_POLICY.unverifiedVisibility;
+
+  if (!VISIBILITY_OPTIONS.includes(unverifiedVisibility)) {
+    throw new AppError(
+      `Visibility must be one of: ${VISIBILITY_OPTIONS.join(", ")}`,
+      400
+    );
+  }
+
+  return prisma.resultVerificationPolicy.upsert({
+    where: { category: key },
+    update: { mode: policyData.mode, unverifiedVisibility },
+    create: { category: key, mode: policyData.mode, unverifiedVisibility },
+  });
+}
+
+/**
+ * Delete the policy for a category (falls back to the next policy)
+ * @param {string} category - Category
+ * @returns {Promise<boolean>} Success
+ */
+async function deletePolicy(category) {
+  const key = String(category).trim().toLowerCase();
+
+  const policy = await prisma.resultVerificationPolicy.findUnique({
+    where: { category: key },
+  });
+
+  if (!policy) {
+    throw new AppError("Verification policy not found", 404);
+  }
+
+  await prisma.resultVerificationPolicy.delete({ where: { category: key } });
+
+  return true;
+}
+
+/**
+ * Prisma filter for the results a user may see
+ * Unverified results under a "hidden" policy are left out for clinicians.
+ * Critical results stay visible so the critical call-back loop works.
+ * @param {Object} user - Requesting user (roleName)
+ * @returns {Promise<Object>} Result where clause (empty when unrestricted)
+ */
+async function buildVisibleResultsWhere(user) {
+  if (!user || !RESTRICTED_ROLES.includes(user.roleName)) {
+    return {};
+  }
+
+  const { policies } = await loadPolicyResolver();
+  const orderTypes = ["lab", "radiology"];
+
+  const typePolicies = policies.filter((p) => orderTypes.includes(p.category));
+  const categoryPolicies = policies.filter(
+    (p) => !orderTypes.includes(p.category)
+  );
+
+  const configuredCategories = categoryPolicies.map((p) => p.category);
+  const hiddenCategories = categoryPolicies
+    .filter((p) => p.unverifiedVisibility === "hidden")
+    .map((p) => p.category);
+  const hiddenTypes = orderTypes.filter((type) => {
+    const policy = typePolicies.find((p) => p.category === type);
+    return (policy || DEFAULT_POLICY).unverifiedVisibility === "hidden";
+  });
+
+  const hiddenOrder = [];
+
+  if (hiddenCategories.length > 0) {
+    hiddenOrder.push({ orderCategory: { in: hiddenCategories } });
+  }
+
+  if (hiddenTypes.length > 0) {
+    hiddenOrder.push({
+      orderType: { in: hiddenTypes },
+      OR: [
+        { orderCategory: null },
+        { orderCategory: { notIn: configuredCategories } },
+      ],
+    });
+  }
+
+  if (hiddenOrder.length === 0) {
+    return {};
+  }
+
+  return {
+    NOT: {
+      approvedBy: null,
+      criticalFlag: false,
+      order: { OR: hiddenOrder },
+    },
+  };
+}
+
+/**
+ * Check whether a user may see a result
+ * @param {Object} result - Result (approvedBy, criticalFlag)
+ * @param {Object} order - Result's order (orderType, orderCategory)
+ * @param {Object} user - Requesting user (roleName)
+ * @returns {Promise<boolean>} Is visible
+ */
+async function isResultVisible(result, order, user) {
+  if (
+    !user ||
+    !RESTRICTED_ROLES.includes(user.roleName) ||
+    result.approvedBy ||
+    result.criticalFlag
+  ) {
+    return true;
+  }
+
+  const policy = await getPolicyForOrder(order);
+  return policy.unverifiedVisibility !== "hidden";
+}
+
+module.exports = {
+  VERIFICATION_MODES,
+  VISIBILITY_OPTIONS,
+  DEFAULT_POLICY,
+  getVerificationStages,
+  getPolicyForOrder,
+  getPolicies,
+  savePolicy,
+  deletePolicy,
+  buildVisibleResultsWhere,
+  isResultVisible,
+};
@@ -0,0 +1,363 @@
+// Specimen Service
+// Specimen collection, accessioning, labels and chain of custody
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const { generateAccessionNumber } = require("../utils/accessionGenerator");
+const { buildZplLabel, buildPdfLabel } = require("../utils/specimenLabel");
+const { applyOrderTransition } = require("../utils/orderStatus");
+
+/**
+ * Allowed next steps for each specimen status
+ */
+const SPECIMEN_TRANSITIONS = {
+  collected: ["received", "rejected"],
+  received: ["processing", "rejected", "disposed"],
+  processing: ["rejected", "disposed"],
+  rejected: ["disposed"],
+  disposed: [],
+};
+
+const REJECTION_REASONS = [
+  "haemolysed",
+  "clotted",
+  "insufficient_volume",
+  "mislabelled",
+  "unlabelled",
+  "leaked",
+  "wrong_container",
+  "transport_delay",
+  "other",
+];
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
+
+const specimenInclude = {
+  order: {
+    select: {
+      id: true,
+      orderType: true,
+      testCode: true,
+      testName: true,
+      priority: true,
+      status: true,
+      encounter: {
+        select: {
+          id: true,
+          patient: {
+            select: {
+              id: true,
+              mrn: true,
+              firstName: true,
+              lastName: true,
+              sex: true,
+              dateOfBirth: true,
+            },
+          },
+        },
+      },
+    },
+  },
+  events: {
+    include: { performer: userSelect },
+    orderBy: { occurredAt: "asc" },
+  },
+};
+
+/**
+ * Collect a specimen for a lab order
+ * Allocates an accession number and opens the chain of custody.
+ * @param {Object} specimenData - { orderId, specimenType, containerType,
+ *   collectedAt, location, notes }
+ * @param {string} userId - Collecting user ID
+ * @returns {Promise<Object>} Created specimen with events
+ */
+async function collectSpecimen(specimenData, userId) {
+  const order = await prisma.order.findUnique({
+    where: { id: specimenData.orderId },
+  });
+
+  if (!order) {
+    throw new AppError("Order not found", 404);
+  }
+
+  if (order.orderType !== "lab") {
+    throw new AppError("Specimens can only be collected for lab orders", 400);
+  }
+
+  if (["completed", "cancelled", "rejected"].includes(order.status)) {
+    throw new AppError(
+      `Cannot collect specimen for ${order.status} order`,
+      400
+    );
+  }
+
+  const collectedAt = specimenData.collectedAt
+    ? new Date(specimenData.collectedAt)
+    : new Date();
+
+  if (collectedAt > new Date()) {
+    throw new AppError("Collection time cannot be in the future", 400);
+  }
+
+  return prisma.$transaction(async (tx) => {
+    const accessionNumber = await generateAccessionNumber(tx);
+
+    const specimen = await tx.specimen.create({
+      data: {
+        accessionNumber,
+        orderId: order.id,
+        specimenType: specimenData.specimenType || order.specimenType || null,
+        containerType: specimenData.containerType || null,
+        status: "collected",
+        collectedAt,
+        events: {
+          create: {
+            event: "collected",
+            performedBy: userId,
+            location: specimenData.location || null,
+            notes: specimenData.notes || null,
+            occurredAt: collectedAt,
+          },
+        },
+      },
+      include: specimenInclude,
+    });
+
+    // First specimen moves the order on from pending
+    if (order.status === "pending") {
+      await applyOrderTransition(tx, order, "collected", userId, {
+        note: `Specimen ${accessionNumber} collected`,
+        data: { collectedAt },
+      });
+    }
+
+    return specimen;
+  });
+}
+
+/**
+ * Get specimens with filters and pagination
+ * @param {Object} filters - { status, orderId, patientId, accessionNumber,
+ *   startDate, endDate, page, limit }
+ * @returns {Promise<Object>} Specimens and pagination info
+ */
+async function getSpecimens(filters = {}) {
+  const {
+    status,
+    orderId,
+    patientId,
+    accessionNumber,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const pageNum = parseInt(page) || 1;
+  const limitNum = parseInt(limit) || 20;
+  const skip = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (status) where.status = status;
+  if (orderId) where.orderId = orderId;
+  if (patientId) where.order = { encounter: { patientId } };
+
+  if (accessionNumber) {
+    where.accessionNumber = {
+      contains: accessionNumber,
+      mode: "insensitive",
+    };
+  }
+
+  if (startDate || endDate) {
+    where.collectedAt = {};
+    if (startDate) where.collectedAt.gte = new Date(startDate);
+    if (endDate) where.collectedAt.lte = new Date(endDate);
+  }
+
+  const [total, specimens] = await Promise.all([
+    prisma.specimen.count({ where }),
+    prisma.specimen.findMany({
+      where,
+      skip,
+      take: limitNum,
+      include: { order: specimenInclude.order },
+      orderBy: { collectedAt: "desc" },
+    }),
+  ]);
+
+  return {
+    specimens,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+    },
+  };
+}
+
+/**
+ * Get specimen by ID with its chain of custody
+ * @param {string} specimenId - Specimen ID
+ * @returns {Promise<Object>} Specimen with events
+ */
+async function getSpecimenById(specimenId) {
+  const specimen = await prisma.specimen.findUnique({
+    where: { id: specimenId },
+    include: specimenInclude,
+  });
+
+  if (!specimen) {
+    throw new AppError("Specimen not found", 404);
+  }
+
+  return specimen;
+}
+
+/**
+ * Get specimen by accession number (barcode scan)
+ * @param {string} accessionNumber - Accession number
+ * @returns {Promise<Object>} Specimen with events
+ */
+async function getSpecimenByAccession(accessionNumber) {
+  const specimen = await prisma.specimen.findUnique({
+    where: { accessionNumber: String(accessionNumber).trim().toUpperCase() },
+    include: specimenInclude,
+  });
+
+  if (!specimen) {
+    throw new AppError("Specimen not found", 404);
+  }
+
+  return specimen;
+}
+
+/**
+ * Record a chain-of-custody step for a specimen
+ * @param {string} specimenId - Specimen ID
+ * @param {Object} eventData - { event, reason, location, notes, occurredAt }
+ * @param {string} userId - Handling user ID
+ * @returns {Promise<Object>} Updated specimen with events
+ */
+async function recordSpecimenEvent(specimenId, eventData, userId) {
+  const specimen = await getSpecimenById(specimenId);
+  const { event } = eventData;
+
+  const allowed = SPECIMEN_TRANSITIONS[specimen.status] || [];
+  if (!allowed.includes(event)) {
+    throw new AppError(
+      `Cannot mark a ${specimen.status} specimen as ${event}` +
+        (allowed.length ? ` (allowed: ${allowed.join(", ")})` : ""),
+      400
+    );
+  }
+
+  if (event === "rejected") {
+    if (!REJECTION_REASONS.includes(eventData.reason)) {
+      throw new AppError(
+        `Rejection reason must be one of: ${REJECTION_REASONS.join(", ")}`,
+        400
+      );
+    }
+
+    if (eventData.reason === "other" && !eventData.notes) {
+      throw new AppError("Notes are required for rejection reason other", 400);
+    }
+  }
+
+  const occurredAt = eventData.occurredAt
+    ? new Date(eventData.occurredAt)
+    : new Date();
+
+  const lastEvent = specimen.events[specimen.events.length - 1];
+  if (lastEvent && occurredAt < lastEvent.occurredAt) {
+    throw new AppError(
+      "Event time cannot be earlier than the previous step",
+      400
+    );
+  }
+
+  const specimenUpdate = { status: event };
+
+  if (event === "received") specimenUpdate.receivedAt = occurredAt;
+  if (event === "disposed") specimenUpdate.disposedAt = occurredAt;
+  if (event === "rejected") {
+    specimenUpdate.rejectedAt = occurredAt;
+    specimenUpdate.rejectionReason = eventData.reason;
+  }
+
+  return prisma.$transaction(async (tx) => {
+    await tx.specimenEvent.create({
+      data: {
+        specimenId,
+        event,
+        performedBy: userId,
+        location: eventData.location || null,
+        reason: event === "rejected" ? eventData.reason : null,
+        notes: eventData.notes || null,
+        occurredAt,
+      },
+    });
+
+    // Lab work on the specimen means the order is being processed
+    if (event === "processing" && specimen.order.status === "collected") {
+      await applyOrderTransition(tx, specimen.order, "processing", userId, {
+        note: `Specimen ${specimen.accessionNumber} in processing`,
+      });
+    }
+
+    return tx.specimen.update({
+      where: { id: specimenId },
+      data: specimenUpdate,
+      include: specimenInclude,
+    });
+  });
+}
+
+/**
+ * Build a printable specimen label
+ * @param {string} specimenId - Specimen ID
+ * @param {string} format - zpl or pdf
+ * @returns {Promise<Object>} { contentType, fileName, content }
+ */
+async function getSpecimenLabel(specimenId, format = "zpl") {
+  const specimen = await getSpecimenById(specimenId);
+
+  if (format === "pdf") {
+    return {
+      contentType: "application/pdf",
+      fileName: `${specimen.accessionNumber}.pdf`,
+      content: await buildPdfLabel(specimen),
+    };
+  }
+
+  if (format === "zpl") {
+    return {
+      contentType: "application/zpl",
+      fileName: `${specimen.accessionNumber}.zpl`,
+      content: buildZplLabel(specimen),
+    };
+  }
+
+  throw new AppError("Label format must be zpl or pdf", 400);
+}
+
+module.exports = {
+  SPECIMEN_TRANSITIONS,
+  REJECTION_REASONS,
+  collectSpecimen,
+  getSpecimens,
+  getSpecimenById,
+  getSpecimenByAccession,
+  recordSpecimenEvent,
+  getSpecimenLabel,
+};
@@ -0,0 +1,439 @@
+// Test Catalogue Service
+// Managed lab/radiology test catalogue and clinician order sets
+
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+
+const ORDER_TYPES = ["lab", "radiology"];
+const PRIORITIES = ["routine", "urgent", "stat"];
+
+/**
+ * "lenient" (default) links orders to a matching catalogue entry but
+ * still accepts free-text tests; "strict" requires an active catalogue
+ * entry. Switch to strict once the catalogue has been populated.
+ */
+const CATALOGUE_MODE = process.env.ORDER_CATALOGUE_MODE || "lenient";
+
+const orderSetInclude = {
+  creator: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+    },
+  },
+  items: {
+    include: { test: true },
+    orderBy: { sortOrder: "asc" },
+  },
+};
+
+/**
+ * Helper: Validate catalogue item fields
+ */
+function buildTestData(testData, partial = false) {
+  const data = {};
+
+  if (testData.code !== undefined || !partial) {
+    if (!testData.code) throw new AppError("Test code is required", 400);
+    data.code = String(testData.code).trim().toUpperCase();
+  }
+
+  if (testData.name !== undefined || !partial) {
+    if (!testData.name) throw new AppError("Test name is required", 400);
+    data.name = String(testData.name).trim();
+  }
+
+  if (testData.orderType !== undefined || !partial) {
+    if (!ORDER_TYPES.includes(testData.orderType)) {
+      throw new AppError("Order type must be lab or radiology", 400);
+    }
+    data.orderType = testData.orderType;
+  }
+
+  if (testData.defaultPriority !== undefined) {
+    if (!PRIORITIES.includes(testData.defaultPriority)) {
+      throw new AppError("Priority must be routine, urgent, or stat", 400);
+    }
+    data.defaultPriority = testData.defaultPriority;
+  }
+
+  if (testData.turnaroundMinutes !== undefined) {
+    const minutes =
+      testData.turnaroundMinutes === null
+        ? null
+        : parseInt(testData.turnaroundMinutes);
+
+    if (minutes !== null && (isNaN(minutes) || minutes <= 0)) {
+      throw new AppError(
+        "Turnaround must be a positive number of minutes",
+        400
+      );
+    }
+    data.turnaroundMinutes = minutes;
+  }
+
+  ["category", "specimenType"].forEach((field) => {
+    if (testData[field] !== undefined) {
+      data[field] = testData[field] || null;
+    }
+  });
+
+  if (testData.isActive !== undefined) {
+    data.isActive = Boolean(testData.isActive);
+  }
+
+  return data;
+}
+
+// ============================================
+// TEST CATALOGUE
+// ============================================
+
+/**
+ * Get catalogue tests
+ * @param {Object} filters - { search, orderType, category, isActive }
+ * @returns {Promise<Array>} Tests
+ */
+async function getTests(filters = {}) {
+  const { search, orderType, category, isActive = "true" } = filters;
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { code: { contains: search, mode: "insensitive" } },
+      { name: { contains: search, mode: "insensitive" } },
+    ];
+  }
+
+  if (orderType) where.orderType = orderType;
+  if (category) where.category = category;
+
+  if (isActive !== "all") {
+    where.isActive = isActive === true || isActive === "true";
+  }
+
+  return prisma.testCatalogItem.findMany({
+    where,
+    orderBy: [{ orderType: "asc" }, { name: "asc" }],
+  });
+}
+
+/**
+ * Get test by ID
+ * @param {string} testId - Test ID
+ * @returns {Promise<Object>} Test
+ */
+async function getTestById(testId) {
+  const test = await prisma.testCatalogItem.findUnique({
+    where: { id: testId },
+  });
+
+  if (!test) {
+    throw new AppError("Test not found", 404);
+  }
+
+  return test;
+}
+
+/**
+ * Create catalogue test
+ * @param {Object} testData - Test data
+ * @returns {Promise<Object>} Created test
+ */
+async function createTest(testData) {
+  const data = buildTestData(testData);
+
+  const existing = await prisma.testCatalogItem.findUnique({
+    where: { code: data.code },
+  });
+
+  if (existing) {
+    throw new AppError("Test with this code already exists", 400);
+  }
+
+  return prisma.testCatalogItem.create({ data });
+}
+
+/**
+ * Update catalogue test
+ * @param {string} testId - Test ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object>} Updated test
+ */
+async function updateTest(testId, updateData) {
+  await getTestById(testId);
+  const data = buildTestData(updateData, true);
+
+  if (data.code) {
+    const duplicate = await prisma.testCatalogItem.findFirst({
+      where: { code: data.code, id: { not: testId } },
+    });
+
+    if (duplicate) {
+      throw new AppError("Test with this code already exists", 400);
+    }
+  }
+
+  return prisma.testCatalogItem.update({
+    where: { id: testId },
+    data,
+  });
+}
+
+/**
+ * Deactivate catalogue test (existing orders keep their reference)
+ * @param {string} testId - Test ID
+ * @returns {Promise<Object>} Deactivated test
+ */
+async function deactivateTest(testId) {
+  await getTestById(testId);
+
+  return prisma.testCatalogItem.update({
+    where: { id: testId },
+    data: { isActive: false },
+  });
+}
+
+/**
+ * Resolve the catalogue entry for an order request
+ * Looks up by testCatalogId, then testCode, then exact testName.
+ * @param {Object} orderData - { testCatalogId, testCode, testName, orderType }
+ * @returns {Promise<Object|null>} Active test, or null for an accepted
+ *   free-text order in lenient mode
+ */
+async function resolveTest(orderData) {
+  let test = null;
+
+  if (orderData.testCatalogId) {
+    test = await prisma.testCatalogItem.findUnique({
+      where: { id: orderData.testCatalogId },
+    });
+  } else if (orderData.testCode) {
+    test = await prisma.testCatalogItem.findUnique({
+      where: { code: String(orderData.testCode).trim().toUpperCase() },
+    });
+  } else if (orderData.testName) {
+    test = await prisma.testCatalogItem.findFirst({
+      where: {
+        isActive: true,
+        name: {
+          equals: String(orderData.testName).trim(),
+          mode: "insensitive",
+        },
+        ...(orderData.orderType && { orderType: orderData.orderType }),
+      },
+    });
+  }
+
+  if (!test) {
+    if (
+      CATALOGUE_MODE === "lenient" &&
+      !orderData.testCatalogId &&
+      !orderData.testCode
+    ) {
+      return null;
+    }
+
+    throw new AppError("Test not found in the test catalogue", 400);
+  }
+
+  if (!test.isActive) {
+    throw new AppError(`Test ${test.code} is no longer orderable`, 400);
+  }
+
+  if (orderData.orderType && orderData.orderType !== test.orderType) {
+    throw new AppError(
+      `Test ${test.code} is a ${test.orderType} test, not ${orderData.orderType}`,
+      400
+    );
+  }
+
+  return test;
+}
+
+// ============================================
+// ORDER SETS
+// ============================================
+
+/**
+ * Helper: Validate order set items against the catalogue
+ */
+async function buildOrderSetItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError("Order set must contain at least one test", 400);
+  }
+
+  const testIds = items.map((item) => item.testId);
+
+  if (new Set(testIds).size !== testIds.length) {
+    throw new AppError("Order set contains the same test more than once", 400);
+  }
+
+  const tests = await prisma.testCatalogItem.findMany({
+    where: { id: { in: testIds }, isActive: true },
+    select: { id: true },
+  });
+
+  if (tests.length !== testIds.length) {
+    throw new AppError("Order set contains unknown or inactive tests", 400);
+  }
+
+  return items.map((item, index) => {
+    if (item.priority && !PRIORITIES.includes(item.priority)) {
+      throw new AppError("Priority must be routine, urgent, or stat", 400);
+    }
+
+    return {
+      testId: item.testId,
+      priority: item.priority || null,
+      notes: item.notes || null,
+      sortOrder: index,
+    };
+  });
+}
+
+/**
+ * Helper: Ensure the user may edit an order set (creator or admin)
+ */
+function assertCanEdit(orderSet, user) {
+  if (orderSet.createdBy !== user.id && user.roleName !== "admin") {
+    throw new AppError("You can only modify your own order sets", 403);
+  }
+}
+
+/**
+ * Get order sets visible to a user (shared + own)
+ * @param {string} userId - Requesting user ID
+ * @param {Object} filters - { search }
+ * @returns {Promise<Array>} Order sets with tests
+ */
+async function getOrderSets(userId, filters = {}) {
+  const where = {
+    isActive: true,
+    OR: [{ isShared: true }, { createdBy: userId }],
+  };
+
+  if (filters.search) {
+    where.name = { contains: filters.search, mode: "insensitive" };
+  }
+
+  return prisma.orderSet.findMany({
+    where,
+    include: orderSetInclude,
+    orderBy: { name: "asc" },
+  });
+}
+
+/**
+ * Get order set by ID
+ * @param {string} orderSetId - Order set ID
+ * @param {string} userId - Requesting user ID
+ * @returns {Promise<Object>} Order set with tests
+ */
+async function getOrderSetById(orderSetId, userId) {
+  const orderSet = await prisma.orderSet.findUnique({
+    where: { id: orderSetId },
+    include: orderSetInclude,
+  });
+
+  if (
+    !orderSet ||
+    !orderSet.isActive ||
+    (!orderSet.isShared && orderSet.createdBy !== userId)
+  ) {
+    throw new AppError("Order set not found", 404);
+  }
+
+  return orderSet;
+}
+
+/**
+ * Create order set
+ * @param {Object} orderSetData - { name, description, isShared, items: [{ testId, priority, notes }] }
+ * @param {string} userId - Creating clinician ID
+ * @returns {Promise<Object>} Created order set
+ */
+async function createOrderSet(orderSetData, userId) {
+  if (!orderSetData.name || !String(orderSetData.name).trim()) {
+    throw new AppError("Order set name is required", 400);
+  }
+
+  const items = await buildOrderSetItems(orderSetData.items);
+
+  return prisma.orderSet.create({
+    data: {
+      name: String(orderSetData.name).trim(),
+      description: orderSetData.description || null,
+      isShared: orderSetData.isShared !== false,
+      createdBy: userId,
+      items: { create: items },
+    },
+    include: orderSetInclude,
+  });
+}
+
+/**
+ * Update order set (items are replaced when provided)
+ * @param {string} orderSetId - Order set ID
+ * @param {Object} updateData - Fields to update
+ * @param {Object} user - Requesting user (id, roleName)
+ * @returns {Promise<Object>} Updated order set
+ */
+async function updateOrderSet(orderSetId, updateData, user) {
+  const orderSet = await getOrderSetById(orderSetId, user.id);
+  assertCanEdit(orderSet, user);
+
+  const items =
+    updateData.items !== undefined
+      ? await buildOrderSetItems(updateData.items)
+      : null;
+
+  return prisma.$transaction(async (tx) => {
+    if (items) {
+      await tx.orderSetItem.deleteMany({ where: { orderSetId } });
+    }
+
+    return tx.orderSet.update({
+      where: { id: orderSetId },
+      data: {
+        name: updateData.name,
+        description: updateData.description,
+        isShared: updateData.isShared,
+        ...(items && { items: { create: items } }),
+      },
+      include: orderSetInclude,
+    });
+  });
+}
+
+/**
+ * Deactivate order set
+ * @param {string} orderSetId - Order set ID
+ * @param {Object} user - Requesting user (id, roleName)
+ * @returns {Promise<Object>} Deactivated order set
+ */
+async function deactivateOrderSet(orderSetId, user) {
+  const orderSet = await getOrderSetById(orderSetId, user.id);
+  assertCanEdit(orderSet, user);
+
+  return prisma.orderSet.update({
+    where: { id: orderSetId },
+    data: { isActive: false },
+  });
+}
+
+module.exports = {
+  CATALOGUE_MODE,
+  getTests,
+  getTestById,
+  createTest,
+  updateTest,
+  deactivateTest,
+  resolveTest,
+  getOrderSets,
+  getOrderSetById,
+  createOrderSet,
+  updateOrderSet,
+  deactivateOrderSet,
+};
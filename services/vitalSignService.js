@@ -0,0 +1,459 @@
+// Vital Sign Service
+// Vitals time series, early warning scores and deterioration alerts
+
+const { Prisma } = require("@prisma/client");
+const { prisma } = require("../config/database");
+const { AppError } = require("../middleware/errorHandler");
+const {
+  VITAL_SIGNS,
+  normalizeVitals,
+  observationsToValues,
+} = require("../utils/vitalSigns");
+const { calculateEarlyWarningScore } = require("../utils/earlyWarningScores");
+
+const RISK_ORDER = ["low", "low_medium", "medium", "high"];
+
+const userSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+  },
+};
+
+// Vitals recorded in notes later entered in error are left out
+const activeSetWhere = {
+  OR: [
+    { clinicalNoteId: null },
+    { clinicalNote: { status: { not: "entered_in_error" } } },
+  ],
+};
+
+/**
+ * Helper: Validate vitals, throwing a 400 listing every problem
+ */
+function validateVitals(vitals) {
+  const normalized = normalizeVitals(vitals);
+
+  if (normalized.errors.length > 0) {
+    throw new AppError(`Invalid vitals: ${normalized.errors.join("; ")}`, 400);
+  }
+
+  return normalized;
+}
+
+/**
+ * Alert the attending clinician (or department lead) when an inpatient's
+ * early warning score reaches the alert level. Only sent when the risk
+ * rises, not for every repeat observation.
+ * Notification problems are logged and must not block recording vitals.
+ * @param {Object} set - Newly recorded VitalSignSet
+ */
+async function notifyDeterioration(set) {
+  if (!set || !set.deteriorating) return;
+
+  try {
+    const [encounter, previousSet] = await Promise.all([
+      prisma.encounter.findUnique({
+        where: { id: set.encounterId },
+        include: {
+          patient: true,
+          department: { select: { leadId: true } },
+        },
+      }),
+      prisma.vitalSignSet.findFirst({
+        where: {
+          encounterId: set.encounterId,
+          id: { not: set.id },
+          score: { not: null },
+          measuredAt: { lte: set.measuredAt },
+          ...activeSetWhere,
+        },
+        orderBy: { measuredAt: "desc" },
+      }),
+    ]);
+
+    if (
+      previousSet &&
+      previousSet.deteriorating &&
+      RISK_ORDER.indexOf(previousSet.risk) >= RISK_ORDER.indexOf(set.risk)
+    ) {
+      return;
+    }
+
+    const recipientId =
+      encounter.attendingClinicianId || encounter.department.leadId;
+
+    if (!recipientId) return;
+
+    const { patient } = encounter;
+
+    await prisma.message.create({
+      data: {
+        senderId: set.measuredBy,
+        recipientId,
+        subject: `${set.scoreType} ${set.score} (${set.risk} risk): ${patient.mrn}`,
+        body: [
+          `${patient.firstName} ${patient.lastName} (${patient.mrn}) has a ${set.scoreType} of ${set.score} (${set.risk} risk).`,
+          "",
+          `Measured: ${set.measuredAt.toISOString()}`,
+          `Components: ${Object.entries(set.scoreComponents || {})
+            .map(([code, points]) => `${code} ${points}`)
+            .join(", ")}`,
+          "",
+          "Please review the patient.",
+        ].join("\n"),
+      },
+    });
+  } catch (error) {
+    console.error(`Failed to notify deterioration for set ${set.id}:`, error);
+  }
+}
+
+/**
+ * Record a set of vitals and score it
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} data - { patient, encounter, vitals, measuredAt,
+ *   clinicalNoteId }
+ * @param {string} userId - Measuring user ID
+ * @returns {Promise<Object>} Created set with observations
+ */
+async function createVitalSignSet(db, data, userId) {
+  const { observations, values } = validateVitals(data.vitals);
+  const measuredAt = data.measuredAt ? new Date(data.measuredAt) : new Date();
+
+  if (isNaN(measuredAt.getTime())) {
+    throw new AppError("Measurement time must be a valid date", 400);
+  }
+
+  if (measuredAt > new Date()) {
+    throw new AppError("Measurement time cannot be in the future", 400);
+  }
+
+  const ews = calculateEarlyWarningScore(values, data.patient, measuredAt);
+
+  // Only open inpatient stays raise deterioration flags
+  const monitored =
+    data.encounter.encounterType === "ipd" && data.encounter.status === "open";
+
+  return db.vitalSignSet.create({
+    data: {
+      patientId: data.patient.id,
+      encounterId: data.encounter.id,
+      clinicalNoteId: data.clinicalNoteId || null,
+      measuredBy: userId,
+      measuredAt,
+      scoreType: ews.scoreType,
+      score: ews.score,
+      risk: ews.risk,
+      scoreComponents: ews.components,
+      deteriorating: monitored && ews.deteriorating,
+      observations: { create: observations },
+    },
+    include: {
+      observations: true,
+      measurer: userSelect,
+    },
+  });
+}
+
+/**
+ * Record vitals for a patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} vitalsData - { encounterId, vitals, measuredAt }
+ * @param {string} userId - Measuring user ID
+ * @returns {Promise<Object>} Created set with score
+ */
+async function recordVitals(patientId, vitalsData, userId) {
+  const encounter = await prisma.encounter.findUnique({
+    where: { id: vitalsData.encounterId },
+    include: { patient: true },
+  });
+
+  if (!encounter || encounter.patientId !== patientId) {
+    throw new AppError("Encounter not found for this patient", 404);
+  }
+
+  if (encounter.status === "closed") {
+    throw new AppError("Cannot record vitals on closed encounter", 400);
+  }
+
+  const set = await createVitalSignSet(
+    prisma,
+    {
+      patient: encounter.patient,
+      encounter,
+      vitals: vitalsData.vitals,
+      measuredAt: vitalsData.measuredAt,
+    },
+    userId
+  );
+
+  await notifyDeterioration(set);
+
+  return set;
+}
+
+/**
+ * Record the vitals entered with a clinical note
+ * Replaces any set previously recorded for the note (draft edits).
+ * Call notifyDeterioration with the result once the transaction commits.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} note - Clinical note (id, encounterId, vitals)
+ * @param {string} userId - Note author
+ * @returns {Promise<Object|null>} Created set
+ */
+async function recordNoteVitals(db, note, userId) {
+  await db.vitalSignSet.deleteMany({ where: { clinicalNoteId: note.id } });
+
+  if (!note.vitals || Object.keys(note.vitals).length === 0) {
+    return null;
+  }
+
+  const encounter = await db.encounter.findUnique({
+    where: { id: note.encounterId },
+    include: { patient: true },
+  });
+
+  return createVitalSignSet(
+    db,
+    {
+      patient: encounter.patient,
+      encounter,
+      vitals: note.vitals,
+      measuredAt: note.createdAt,
+      clinicalNoteId: note.id,
+    },
+    userId
+  );
+}
+
+/**
+ * Copy vitals stored on clinical notes before vital sign sets existed
+ * (ClinicalNote.vitals without a set) into VitalSignSet rows
+ * Values that fail validation are left out and reported; notes without
+ * a single valid value are skipped. No deterioration alerts are sent.
+ * @param {Object} options - { batchSize (default 200), dryRun }
+ * @returns {Promise<Object>} { checked, backfilled, skipped, problems }
+ */
+async function backfillNoteVitals(options = {}) {
+  const batchSize = parseInt(options.batchSize) || 200;
+  const summary = { checked: 0, backfilled: 0, skipped: 0, problems: [] };
+  let cursor = null;
+
+  for (;;) {
+    const notes = await prisma.clinicalNote.findMany({
+      where: {
+        vitals: { not: Prisma.DbNull },
+        vitalSignSets: { none: {} },
+      },
+      include: { encounter: { include: { patient: true } } },
+      orderBy: { id: "asc" },
+      take: batchSize,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (notes.length === 0) break;
+    cursor = notes[notes.length - 1].id;
+
+    for (const note of notes) {
+      summary.checked++;
+
+      const { values, errors } = normalizeVitals(note.vitals);
+      const valid = Object.keys(values).length > 0;
+
+      if (errors.length > 0) {
+        summary.problems.push({ noteId: note.id, errors });
+      }
+
+      if (!valid) {
+        summary.skipped++;
+        continue;
+      }
+
+      if (!options.dryRun) {
+        await createVitalSignSet(
+          prisma,
+          {
+            patient: note.encounter.patient,
+            encounter: note.encounter,
+            vitals: values,
+            measuredAt: note.createdAt,
+            clinicalNoteId: note.id,
+          },
+          note.clinicianId
+        );
+      }
+
+      summary.backfilled++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Get vitals trend for a patient
+ * @param {string} patientId - Patient ID
+ * @param {Object} filters - { from, to, encounterId, codes (comma list) }
+ * @returns {Promise<Object>} { sets, series: { code: [points] }, latestScore }
+ */
+async function getPatientVitals(patientId, filters = {}) {
+  const { from, to, encounterId, codes } = filters;
+
+  const patient = await prisma.patient.findUnique({
+    where: { id: patientId },
+    select: { id: true },
+  });
+
+  if (!patient) {
+    throw new AppError("Patient not found", 404);
+  }
+
+  const where = { patientId, ...activeSetWhere };
+
+  if (encounterId) where.encounterId = encounterId;
+
+  if (from || to) {
+    where.measuredAt = {};
+    if (from) where.measuredAt.gte = new Date(from);
+    if (to) where.measuredAt.lte = new Date(to);
+  }
+
+  const codeList = codes
+    ? String(codes)
+        .split(",")
+        .map((code) => code.trim())
+        .filter((code) => VITAL_SIGNS[code])
+    : null;
+
+  const sets = await prisma.vitalSignSet.findMany({
+    where,
+    include: {
+      observations: codeList ? { where: { code: { in: codeList } } } : true,
+      measurer: userSelect,
+    },
+    orderBy: { measuredAt: "asc" },
+  });
+
+  // Per-vital series for charting
+  const series = {};
+  sets.forEach((set) => {
+    const values = observationsToValues(set.observations);
+
+    set.observations.forEach((observation) => {
+      if (!series[observation.code]) series[observation.code] = [];
+      series[observation.code].push({
+        measuredAt: set.measuredAt,
+        value: values[observation.code],
+        unit: observation.unit,
+        setId: set.id,
+      });
+    });
+  });
+
+  const scored = sets.filter((set) => set.score !== null);
+  const latest = scored[scored.length - 1];
+
+  return {
+    sets,
+    series,
+    scores: scored.map((set) => ({
+      measuredAt: set.measuredAt,
+      scoreType: set.scoreType,
+      score: set.score,
+      risk: set.risk,
+    })),
+    latestScore: latest
+      ? {
+          measuredAt: latest.measuredAt,
+          scoreType: latest.scoreType,
+          score: latest.score,
+          risk: latest.risk,
+          components: latest.scoreComponents,
+          deteriorating: latest.deteriorating,
+        }
+      : null,
+  };
+}
+
+/**
+ * Get latest vitals for a patient
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Object|null>} Latest set with values
+ */
+async function getLatestVitals(patientId) {
+  const set = await prisma.vitalSignSet.findFirst({
+    where: { patientId, ...activeSetWhere },
+    include: {
+      observations: true,
+      measurer: userSelect,
+    },
+    orderBy: { measuredAt: "desc" },
+  });
+
+  if (!set) return null;
+
+  return { ...set, vitals: observationsToValues(set.observations) };
+}
+
+/**
+ * Get inpatients on open IPD encounters whose latest early warning score
+ * is at the alert level
+ * @param {Object} filters - { departmentId }
+ * @returns {Promise<Array>} [{ encounter, patient, latestScore }]
+ */
+async function getDeterioratingPatients(filters = {}) {
+  const where = { encounterType: "ipd", status: "open" };
+
+  if (filters.departmentId) where.departmentId = filters.departmentId;
+
+  const encounters = await prisma.encounter.findMany({
+    where,
+    include: {
+      patient: {
+        select: {
+          id: true,
+          mrn: true,
+          firstName: true,
+          lastName: true,
+          dateOfBirth: true,
+          sex: true,
+        },
+      },
+      department: { select: { id: true, name: true } },
+      attendingClinician: userSelect,
+      vitalSignSets: {
+        where: { score: { not: null }, ...activeSetWhere },
+        orderBy: { measuredAt: "desc" },
+        take: 1,
+      },
+    },
+  });
+
+  return encounters
+    .filter((e) => e.vitalSignSets[0] && e.vitalSignSets[0].deteriorating)
+    .map(({ vitalSignSets, ...encounter }) => ({
+      ...encounter,
+      latestScore: {
+        setId: vitalSignSets[0].id,
+        measuredAt: vitalSignSets[0].measuredAt,
+        scoreType: vitalSignSets[0].scoreType,
+        score: vitalSignSets[0].score,
+        risk: vitalSignSets[0].risk,
+        components: vitalSignSets[0].scoreComponents,
+      },
+    }))
+    .sort((a, b) => b.latestScore.score - a.latestScore.score);
+}
+
+module.exports = {
+  validateVitals,
+  recordVitals,
+  recordNoteVitals,
+  backfillNoteVitals,
+  notifyDeterioration,
+  getPatientVitals,
+  getLatestVitals,
+  getDeterioratingPatients,
+};
@@ -0,0 +1,277 @@
+// FHIR tests
+// Mapping of platform records to FHIR R4 resources
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  FHIR_SYSTEMS,
+  toFhirPatient,
+  toFhirEncounter,
+  toFhirVitalObservations,
+  toFhirResultObservations,
+  toFhirDiagnosticReport,
+  toOperationOutcome,
+} = require("../utils/fhirMapper");
+
+describe("toFhirPatient", () => {
+  const patient = {
+    id: "patient-1",
+    mrn: "HELA-20240115-00427",
+    firstName: "Amina",
+    middleName: "Zawadi",
+    lastName: "Mohamed",
+    sex: "female",
+    dateOfBirth: new Date("1990-04-07T00:00:00Z"),
+    phoneNumber: "0712345678",
+    district: "Ilala",
+    isArchived: false,
+    aliases: [{ mrn: "HELA-20231201-0001" }],
+    updatedAt: new Date("2024-02-01T08:30:00Z"),
+  };
+
+  it("maps the MRN as the official identifier and aliases as old ones", () => {
+    const resource = toFhirPatient(patient);
+
+    assert.equal(resource.resourceType, "Patient");
+    assert.deepEqual(resource.identifier, [
+      { use: "official", system: FHIR_SYSTEMS.mrn, value: patient.mrn },
+      { use: "old", system: FHIR_SYSTEMS.mrn, value: "HELA-20231201-0001" },
+    ]);
+  });
+
+  it("maps name, gender, birth date, phone and district", () => {
+    const resource = toFhirPatient(patient);
+
+    assert.deepEqual(resource.name, [
+      { use: "official", family: "Mohamed", given: ["Amina", "Zawadi"] },
+    ]);
+    assert.equal(resource.gender, "female");
+    assert.equal(resource.birthDate, "1990-04-07");
+    assert.equal(resource.telecom[0].value, "0712345678");
+    assert.equal(resource.address[0].district, "Ilala");
+    assert.equal(resource.active, true);
+    assert.equal(resource.meta.lastUpdated, "2024-02-01T08:30:00.000Z");
+  });
+
+  it("carries an age estimate when the birth date is unknown", () => {
+    const resource = toFhirPatient({
+      ...patient,
+      dateOfBirth: null,
+      ageEstimate: 34,
+    });
+
+    assert.equal(resource.birthDate, undefined);
+    assert.equal(resource.extension[0].url, FHIR_SYSTEMS.ageEstimate);
+    assert.equal(resource.extension[0].valueAge.value, 34);
+  });
+
+  it("links a merged patient to the patient that replaced it", () => {
+    const resource = toFhirPatient({
+      ...patient,
+      isArchived: true,
+      mergedIntoId: "patient-2",
+    });
+
+    assert.equal(resource.active, false);
+    assert.deepEqual(resource.link, [
+      { other: { reference: "Patient/patient-2" }, type: "replaced-by" },
+    ]);
+  });
+
+  it("leaves out empty elements", () => {
+    const resource = toFhirPatient({
+      ...patient,
+      aliases: [],
+      phoneNumber: null,
+      district: null,
+    });
+
+    assert.equal(resource.identifier.length, 1);
+    assert.ok(!("telecom" in resource));
+    assert.ok(!("address" in resource));
+    assert.ok(!("link" in resource));
+  });
+});
+
+describe("toFhirEncounter", () => {
+  it("maps type, status, department and period", () => {
+    const resource = toFhirEncounter({
+      id: "enc-1",
+      patientId: "patient-1",
+      encounterType: "ipd",
+      status: "closed",
+      department: { code: "IPD", name: "IPD" },
+      admissionDate: new Date("2024-01-10T09:00:00Z"),
+      dischargeDate: new Date("2024-01-14T11:00:00Z"),
+      chiefComplaint: "Fever",
+    });
+
+    assert.equal(resource.status, "finished");
+    assert.equal(resource.class.code, "IMP");
+    assert.equal(resource.serviceType.coding[0].code, "IPD");
+    assert.deepEqual(resource.subject, { reference: "Patient/patient-1" });
+    assert.deepEqual(resource.period, {
+      start: "2024-01-10T09:00:00.000Z",
+      end: "2024-01-14T11:00:00.000Z",
+    });
+    assert.deepEqual(resource.reasonCode, [{ text: "Fever" }]);
+  });
+
+  it("reports an open encounter as in progress without an end", () => {
+    const resource = toFhirEncounter({
+      id: "enc-2",
+      patientId: "patient-1",
+      encounterType: "opd",
+      status: "open",
+      admissionDate: new Date("2024-01-10T09:00:00Z"),
+    });
+
+    assert.equal(resource.status, "in-progress");
+    assert.equal(resource.class.code, "AMB");
+    assert.deepEqual(resource.period, { start: "2024-01-10T09:00:00.000Z" });
+  });
+});
+
+describe("toFhirVitalObservations", () => {
+  const set = {
+    id: "set-1",
+    patientId: "patient-1",
+    encounterId: "enc-1",
+    measuredAt: new Date("2024-01-11T08:00:00Z"),
+    measuredBy: "nurse-1",
+    observations: [
+      { code: "pulse", value: 112, unit: "/min" },
+      { code: "temperature", value: 38.4, unit: null },
+      { code: "consciousness", valueText: "voice" },
+      { code: "capillaryRefill", value: 3, unit: "s" },
+    ],
+  };
+
+  it("maps each vital with a LOINC code to a vital-signs Observation", () => {
+    const [pulse, temperature] = toFhirVitalObservations(set);
+
+    assert.equal(pulse.id, "vitals-set-1-pulse");
+    assert.equal(pulse.status, "final");
+    assert.equal(pulse.category[0].coding[0].code, "vital-signs");
+    assert.deepEqual(pulse.code.coding[0], {
+      system: FHIR_SYSTEMS.loinc,
+      code: "8867-4",
+      display: "Heart rate",
+    });
+    assert.deepEqual(pulse.subject, { reference: "Patient/patient-1" });
+    assert.deepEqual(pulse.encounter, { reference: "Encounter/enc-1" });
+    assert.equal(pulse.effectiveDateTime, "2024-01-11T08:00:00.000Z");
+    assert.deepEqual(pulse.performer, [{ reference: "Practitioner/nurse-1" }]);
+    assert.deepEqual(pulse.valueQuantity, {
+      value: 112,
+      unit: "/min",
+      system: FHIR_SYSTEMS.ucum,
+      code: "/min",
+    });
+    assert.equal(temperature.valueQuantity.unit, "Cel");
+  });
+
+  it("leaves out vitals without a LOINC code", () => {
+    assert.deepEqual(
+      toFhirVitalObservations(set).map((observation) => observation.id),
+      ["vitals-set-1-pulse", "vitals-set-1-temperature"]
+    );
+  });
+
+  it("takes the status from the note the vitals were recorded in", () => {
+    const statusFor = (status) =>
+      toFhirVitalObservations({ ...set, clinicalNote: { status } })[0].status;
+
+    assert.equal(statusFor("draft"), "preliminary");
+    assert.equal(statusFor("signed"), "final");
+    assert.equal(statusFor("entered_in_error"), "entered-in-error");
+  });
+});
+
+describe("result Observations and DiagnosticReport", () => {
+  const result = {
+    id: "result-1",
+    orderId: "order-1",
+    resultType: "lab_result",
+    resultData: {
+      Hemoglobin: { value: 7.2, unit: "g/dL" },
+      "Blood film": { value: "Microcytic hypochromic" },
+    },
+    resultText: "Severe anaemia",
+    isAbnormal: true,
+    criticalFlag: true,
+    enteredBy: "tech-1",
+    createdAt: new Date("2024-01-11T10:00:00Z"),
+    order: {
+      testName: "Full blood count",
+      encounterId: "enc-1",
+      encounter: { patientId: "patient-1" },
+    },
+  };
+
+  it("maps numeric values to quantities and text values to strings", () => {
+    const [hemoglobin, film] = toFhirResultObservations(
+      result,
+      "patient-1",
+      "enc-1"
+    );
+
+    assert.equal(hemoglobin.id, "result-result-1-Hemoglobin");
+    assert.equal(hemoglobin.category[0].coding[0].code, "laboratory");
+    assert.deepEqual(hemoglobin.valueQuantity, {
+      value: 7.2,
+      unit: "g/dL",
+      system: FHIR_SYSTEMS.ucum,
+    });
+    assert.equal(film.valueString, "Microcytic hypochromic");
+    assert.ok(!("valueQuantity" in film));
+  });
+
+  it("is preliminary until approved and final afterwards", () => {
+    assert.equal(
+      toFhirResultObservations(result, "patient-1", "enc-1")[0].status,
+      "preliminary"
+    );
+    assert.equal(toFhirDiagnosticReport(result).status, "preliminary");
+
+    const approved = {
+      ...result,
+      approvedBy: "pathologist-1",
+      approvedAt: new Date("2024-01-11T12:00:00Z"),
+    };
+    const report = toFhirDiagnosticReport(approved);
+
+    assert.equal(report.status, "final");
+    assert.equal(report.issued, "2024-01-11T12:00:00.000Z");
+    assert.deepEqual(report.resultsInterpreter, [
+      { reference: "Practitioner/pathologist-1" },
+    ]);
+  });
+
+  it("references the order, its Observations and flags critical results", () => {
+    const report = toFhirDiagnosticReport(result);
+
+    assert.deepEqual(report.basedOn, [{ reference: "ServiceRequest/order-1" }]);
+    assert.deepEqual(report.subject, { reference: "Patient/patient-1" });
+    assert.deepEqual(
+      report.result.map((item) => item.reference),
+      [
+        "Observation/result-result-1-Hemoglobin",
+        "Observation/result-result-1-Blood film",
+      ]
+    );
+    assert.equal(report.code.text, "Full blood count");
+    assert.equal(report.conclusionCode[0].coding[0].code, "AA");
+  });
+});
+
+describe("toOperationOutcome", () => {
+  it("wraps one issue", () => {
+    assert.deepEqual(toOperationOutcome("error", "not-found", "No patient"), {
+      resourceType: "OperationOutcome",
+      issue: [
+        { severity: "error", code: "not-found", diagnostics: "No patient" },
+      ],
+    });
+  });
+});
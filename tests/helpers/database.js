@@ -0,0 +1,161 @@
+// Test Database Helper
+// Replaces config/database with a stand-in Prisma client so services can be
+// exercised without a database. Call before requiring any service.
+
+const databasePath = require.resolve("../../config/database");
+
+/**
+ * Install a stand-in Prisma client as config/database
+ * @param {Object} prisma - Object with the model delegates a test needs
+ * @returns {Object} The same client
+ */
+function stubDatabase(prisma = {}) {
+  require.cache[databasePath] = {
+    id: databasePath,
+    filename: databasePath,
+    loaded: true,
+    exports: {
+      prisma,
+      connectDatabase: async () => {},
+      disconnectDatabase: async () => {},
+      checkDatabaseHealth: async () => true,
+    },
+  };
+
+  return prisma;
+}
+
+/**
+ * Helper: Test a value against a Prisma scalar filter
+ */
+function matchesValue(value, filter) {
+  const comparable = (v) => (v instanceof Date ? v.getTime() : v);
+
+  if (filter === null || typeof filter !== "object" || filter instanceof Date) {
+    return comparable(value) === comparable(filter);
+  }
+
+  return Object.entries(filter).every(([operator, operand]) => {
+    switch (operator) {
+      case "in":
+        return operand.map(comparable).includes(comparable(value));
+      case "not":
+        return !matchesValue(value, operand);
+      case "gt":
+        return value != null && comparable(value) > comparable(operand);
+      case "gte":
+        return value != null && comparable(value) >= comparable(operand);
+      case "lt":
+        return value != null && comparable(value) < comparable(operand);
+      case "lte":
+        return value != null && comparable(value) <= comparable(operand);
+      default:
+        throw new Error(`Unsupported filter operator: ${operator}`);
+    }
+  });
+}
+
+/**
+ * Helper: Test a row against a Prisma where clause (scalars, OR, AND)
+ */
+function matchesWhere(row, where = {}) {
+  return Object.entries(where).every(([key, filter]) => {
+    if (key === "OR") return filter.some((inner) => matchesWhere(row, inner));
+    if (key === "AND") return filter.every((inner) => matchesWhere(row, inner));
+    return matchesValue(row[key], filter);
+  });
+}
+
+/**
+ * In-memory Prisma client for service tests
+ * Supports the scalar filters, select/include of one-to-many relations
+ * and interactive transactions (run against the same tables).
+ * @param {Object} tables - { model: [rows] }
+ * @param {Object} relations - { model: { field: [relatedModel, foreignKey] } }
+ * @returns {Object} Client with a delegate per model
+ */
+function createMemoryClient(tables, relations = {}) {
+  let nextId = 1;
+
+  const shape = (model, row, query = {}) => {
+    const projection = query.select || query.include;
+    const result = query.select ? {} : { ...row };
+
+    Object.entries(projection || {}).forEach(([field, option]) => {
+      const relation = (relations[model] || {})[field];
+
+      if (!relation) {
+        if (query.select && option) result[field] = row[field];
+        return;
+      }
+
+      const [relatedModel, foreignKey] = relation;
+      result[field] = tables[relatedModel]
+        .filter((related) => related[foreignKey] === row.id)
+        .map((related) =>
+          shape(relatedModel, related, option === true ? {} : option)
+        );
+    });
+
+    return result;
+  };
+
+  const delegate = (model) => {
+    const rows = () => tables[model];
+    const find = (where) => rows().filter((row) => matchesWhere(row, where));
+
+    return {
+      findUnique: async (query) => {
+        const [row] = find(query.where);
+        return row ? shape(model, row, query) : null;
+      },
+      findFirst: async (query = {}) => {
+        const [row] = find(query.where);
+        return row ? shape(model, row, query) : null;
+      },
+      findMany: async (query = {}) =>
+        find(query.where).map((row) => shape(model, row, query)),
+      count: async (query = {}) => find(query.where).length,
+      create: async ({ data }) => {
+        const row = { id: `${model}-${nextId++}`, ...data };
+        rows().push(row);
+        return { ...row };
+      },
+      createMany: async ({ data }) => {
+        data.forEach((item) =>
+          rows().push({ id: `${model}-${nextId++}`, ...item })
+        );
+        return { count: data.length };
+      },
+      update: async ({ where, data }) => {
+        const [row] = find(where);
+        if (!row) throw new Error(`${model} not found`);
+        Object.assign(row, data);
+        return { ...row };
+      },
+      updateMany: async ({ where, data }) => {
+        const matched = find(where);
+        matched.forEach((row) => Object.assign(row, data));
+        return { count: matched.length };
+      },
+      deleteMany: async ({ where }) => {
+        const matched = find(where);
+        tables[model] = rows().filter((row) => !matched.includes(row));
+        return { count: matched.length };
+      },
+    };
+  };
+
+  const client = {};
+  Object.keys(tables).forEach((model) => {
+    client[model] = delegate(model);
+  });
+  client.$transaction = async (callback) => callback(client);
+
+  return client;
+}
+
+module.exports = {
+  stubDatabase,
+  createMemoryClient,
+};
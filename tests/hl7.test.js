@@ -0,0 +1,235 @@
+// HL7 tests
+// ER7 parsing, ACK building and inbound message ingestion
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { stubDatabase } = require("./helpers/database");
+
+const prisma = stubDatabase();
+const {
+  parseMessage,
+  getField,
+  getComponent,
+  getSegments,
+  getOrderGroups,
+  escapeValue,
+  parseHl7DateTime,
+  buildAck,
+} = require("../utils/hl7Parser");
+const hl7Service = require("../services/hl7Service");
+
+const ORU = [
+  "MSH|^~\\&|LIS|CENTRAL_LAB|HELA_PHA|HELA|20240115103000||ORU^R01|MSG0001|P|2.5",
+  "PID|1||HELA-20240115-00427^^^HELA^MR||Mohamed^Amina",
+  "ORC|RE|ORD-1",
+  "OBR|1|ORD-1|LAB-1|FBC^Full blood count|||20240115090000",
+  "OBX|1|NM|HGB^Hemoglobin^LN||7.2|g/dL|12-16|L|||F",
+  "NTE|1||Repeat \\T\\ confirm\\.br\\sample haemolysed",
+  "OBX|2|ST|FILM^Blood film||Microcytic~Hypochromic||||||F",
+  "OBR|2|ORD-2|LAB-2|CRP^C-reactive protein",
+  "OBX|1|NM|CRP^CRP||48|mg/L|<5|H|||F",
+].join("\r");
+
+describe("parseMessage", () => {
+  it("reads the MSH header", () => {
+    const { header } = parseMessage(ORU);
+
+    assert.equal(header.sendingApplication, "LIS");
+    assert.equal(header.sendingFacility, "CENTRAL_LAB");
+    assert.equal(header.messageType, "ORU");
+    assert.equal(header.triggerEvent, "R01");
+    assert.equal(header.controlId, "MSG0001");
+    assert.equal(header.processingId, "P");
+    assert.equal(header.version, "2.5");
+  });
+
+  it("numbers MSH fields as the HL7 spec does", () => {
+    const message = parseMessage(ORU);
+    const [msh] = getSegments(message, "MSH");
+
+    assert.equal(getField(msh, 1), "|");
+    assert.equal(getField(msh, 2), "^~\\&");
+    assert.equal(getField(msh, 10), "MSG0001");
+  });
+
+  it("accepts MLLP framing and newline segment separators", () => {
+    const framed = `\x0b${ORU.replace(/\r/g, "\n")}\x1c\r`;
+    const message = parseMessage(framed);
+
+    assert.equal(message.header.controlId, "MSG0001");
+    assert.equal(getSegments(message, "OBX").length, 3);
+  });
+
+  it("rejects messages that do not start with MSH", () => {
+    assert.throws(() => parseMessage("PID|1||X"), /MSH/);
+    assert.throws(() => parseMessage(""), /Empty/);
+  });
+
+  it("unescapes components and reads the first repetition", () => {
+    const message = parseMessage(ORU);
+    const [, film] = getSegments(message, "OBX");
+    const [nte] = getSegments(message, "NTE");
+
+    assert.equal(getComponent(message, film, 5, 1), "Microcytic");
+    assert.equal(
+      getComponent(message, nte, 3, 1),
+      "Repeat & confirm\nsample haemolysed"
+    );
+  });
+
+  it("groups observations and notes under their OBR", () => {
+    const message = parseMessage(ORU);
+    const groups = getOrderGroups(message);
+
+    assert.equal(groups.length, 2);
+    assert.equal(getField(groups[0].orc, 2), "ORD-1");
+    assert.equal(groups[0].observations.length, 2);
+    assert.equal(groups[0].observations[0].notes.length, 1);
+    assert.equal(groups[1].observations.length, 1);
+    assert.equal(getComponent(message, groups[1].obr, 4, 1), "CRP");
+  });
+
+  it("escapes delimiters so values survive a round trip", () => {
+    const escaped = escapeValue("a|b^c&d~e\\f\ng");
+    const message = parseMessage(`MSH|^~\\&|A\rNTE|1||${escaped}`);
+
+    assert.equal(escaped, "a\\F\\b\\S\\c\\T\\d\\R\\e\\E\\f\\.br\\g");
+    assert.equal(
+      getComponent(message, getSegments(message, "NTE")[0], 3, 1),
+      "a|b^c&d~e\\f\ng"
+    );
+  });
+
+  it("parses HL7 timestamps of date, minute and second precision", () => {
+    assert.equal(
+      parseHl7DateTime("20240115").toISOString(),
+      "2024-01-15T00:00:00.000Z"
+    );
+    assert.equal(
+      parseHl7DateTime("202401151030").toISOString(),
+      "2024-01-15T10:30:00.000Z"
+    );
+    assert.equal(
+      parseHl7DateTime("20240115103045").toISOString(),
+      "2024-01-15T10:30:45.000Z"
+    );
+    assert.equal(parseHl7DateTime("not a date"), null);
+  });
+});
+
+describe("buildAck", () => {
+  const options = {
+    sendingApplication: "HELA_PHA",
+    sendingFacility: "HELA",
+    controlId: "ACK0001",
+  };
+
+  it("accepts with MSA-1 AA and echoes the control ID", () => {
+    const ack = parseMessage(
+      buildAck(parseMessage(ORU), "AA", "2 result(s) filed", options)
+    );
+    const [msa] = getSegments(ack, "MSA");
+
+    assert.equal(ack.header.messageType, "ACK");
+    assert.equal(ack.header.triggerEvent, "R01");
+    assert.equal(ack.header.controlId, "ACK0001");
+    assert.equal(ack.header.sendingApplication, "HELA_PHA");
+    assert.equal(ack.header.receivingApplication, "LIS");
+    assert.equal(ack.header.receivingFacility, "CENTRAL_LAB");
+    assert.equal(getField(msa, 1), "AA");
+    assert.equal(getField(msa, 2), "MSG0001");
+    assert.equal(getSegments(ack, "ERR").length, 0);
+  });
+
+  it("reports errors in an escaped ERR segment", () => {
+    const ack = parseMessage(
+      buildAck(parseMessage(ORU), "AE", "Order ORD|1 not found", options)
+    );
+    const [err] = getSegments(ack, "ERR");
+
+    assert.equal(getField(getSegments(ack, "MSA")[0], 1), "AE");
+    assert.equal(getComponent(ack, err, 3, 1), "207");
+    assert.equal(getField(err, 4), "E");
+    assert.equal(getComponent(ack, err, 8, 1), "Order ORD|1 not found");
+  });
+
+  it("rejects an unparseable message without a control ID", () => {
+    const ack = parseMessage(
+      buildAck(null, "AR", "Empty HL7 message", options)
+    );
+    const [msa] = getSegments(ack, "MSA");
+
+    assert.equal(getField(msa, 1), "AR");
+    assert.equal(getField(msa, 2), "");
+  });
+});
+
+describe("ingestMessage", () => {
+  let logged;
+  let lookups;
+  let processed;
+
+  beforeEach(() => {
+    logged = [];
+    lookups = [];
+    processed = null;
+    prisma.hl7Message = {
+      findFirst: async (query) => {
+        lookups.push(query.where);
+        return processed;
+      },
+      create: async ({ data }) => {
+        logged.push(data);
+        return data;
+      },
+    };
+    prisma.$transaction = async () => {
+      throw new Error("No results should be written");
+    };
+  });
+
+  it("rejects unsupported message types and logs them", async () => {
+    const outcome = await hl7Service.ingestMessage(
+      ORU.replace("ORU^R01", "ADT^A01"),
+      "user-1"
+    );
+
+    assert.equal(outcome.ackCode, "AR");
+    assert.match(outcome.error, /Unsupported message type ADT\^A01/);
+    assert.equal(logged.length, 1);
+    assert.equal(logged[0].status, "rejected");
+  });
+
+  it("answers AE for an ORU without OBR segments", async () => {
+    const outcome = await hl7Service.ingestMessage(
+      ORU.split("\r").slice(0, 2).join("\r"),
+      "user-1"
+    );
+
+    assert.equal(outcome.ackCode, "AE");
+    assert.equal(logged[0].status, "error");
+    assert.equal(logged[0].controlId, "MSG0001");
+    assert.equal(logged[0].sendingFacility, "CENTRAL_LAB");
+  });
+
+  it("returns the original ACK for a repeated control ID and writes nothing", async () => {
+    processed = {
+      ackCode: "AA",
+      ackMessage: "MSH|^~\\&|HELA_PHA|HELA|LIS|CENTRAL_LAB\rMSA|AA|MSG0001",
+    };
+
+    const outcome = await hl7Service.ingestMessage(ORU, "user-1");
+
+    assert.deepEqual(lookups[0], {
+      direction: "inbound",
+      status: "processed",
+      controlId: "MSG0001",
+      sendingFacility: "CENTRAL_LAB",
+    });
+    assert.equal(outcome.duplicate, true);
+    assert.equal(outcome.ackCode, "AA");
+    assert.equal(outcome.ack, processed.ackMessage);
+    assert.deepEqual(outcome.results, []);
+    assert.deepEqual(logged, []);
+  });
+});
@@ -0,0 +1,178 @@
+// MRN tests
+// Template validation, check digits and sequence-based generation
+
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { stubDatabase } = require("./helpers/database");
+
+stubDatabase();
+
+const MRN_ENV = [
+  "MRN_FACILITY_CODE",
+  "MRN_FORMAT",
+  "MRN_SEQUENCE_LENGTH",
+  "MRN_CHECK_DIGIT",
+  "MRN_SEQUENCE_RESET",
+];
+const savedEnv = Object.fromEntries(
+  MRN_ENV.map((key) => [key, process.env[key]])
+);
+
+/**
+ * Helper: Load the generator with an MRN configuration (read at load time)
+ */
+function loadGenerator(env = {}) {
+  MRN_ENV.forEach((key) => {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  });
+  delete require.cache[require.resolve("../utils/mrnGenerator")];
+
+  return require("../utils/mrnGenerator");
+}
+
+/**
+ * Helper: Transaction client whose sequence allocation returns a value
+ */
+function sequenceClient(lastValue, calls = []) {
+  return {
+    $queryRaw: async (strings, ...values) => {
+      calls.push(values);
+      return [{ lastValue: BigInt(lastValue) }];
+    },
+  };
+}
+
+after(() => {
+  MRN_ENV.forEach((key) => {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  });
+});
+
+describe("validateMRNConfig", () => {
+  const { MRN_CONFIG, validateMRNConfig } = loadGenerator();
+  const withFormat = (format, overrides = {}) => ({
+    ...MRN_CONFIG,
+    format,
+    ...overrides,
+  });
+
+  it("accepts the default template", () => {
+    assert.doesNotThrow(() => validateMRNConfig(MRN_CONFIG));
+  });
+
+  it("requires {SEQ} exactly once", () => {
+    assert.throws(
+      () => validateMRNConfig(withFormat("{FACILITY}-{DATE}")),
+      /\{SEQ\} exactly once/
+    );
+    assert.throws(
+      () => validateMRNConfig(withFormat("{DATE}-{SEQ}-{SEQ}")),
+      /\{SEQ\} exactly once/
+    );
+  });
+
+  it("requires {DATE} while the sequence resets daily", () => {
+    assert.throws(
+      () => validateMRNConfig(withFormat("{FACILITY}-{SEQ}{CHECK}")),
+      /must contain \{DATE\}/
+    );
+    assert.doesNotThrow(() =>
+      validateMRNConfig(
+        withFormat("{FACILITY}-{SEQ}{CHECK}", { sequenceReset: "never" })
+      )
+    );
+  });
+
+  it("rejects repeated tokens and unknown check digit schemes", () => {
+    assert.throws(
+      () => validateMRNConfig(withFormat("{FACILITY}{FACILITY}-{DATE}-{SEQ}")),
+      /\{FACILITY\} only once/
+    );
+    assert.throws(
+      () =>
+        validateMRNConfig(
+          withFormat("{DATE}-{SEQ}{CHECK}", { checkDigit: "verhoeff" })
+        ),
+      /luhn or mod11/
+    );
+  });
+});
+
+describe("MRN with Luhn check digit (default)", () => {
+  const {
+    generateMRN,
+    validateMRN,
+    parseMRN,
+    isLegacyMRN,
+    calculateCheckDigit,
+  } = loadGenerator();
+
+  it("calculates the Luhn check digit", () => {
+    assert.equal(calculateCheckDigit(null, "7992739871"), "3");
+  });
+
+  it("generates a valid MRN from the allocated daily sequence", async () => {
+    const calls = [];
+    const mrn = await generateMRN(sequenceClient(11, calls));
+    const today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+    const check = calculateCheckDigit(today, "0011");
+
+    assert.equal(mrn, `HELA-${today}-0011${check}`);
+    assert.deepEqual(calls[0], ["HELA", today]);
+    assert.equal(validateMRN(mrn), true);
+  });
+
+  it("rejects a mistyped check digit", () => {
+    const check = calculateCheckDigit("20240115", "0042");
+    const wrong = String((Number(check) + 1) % 10);
+
+    assert.equal(validateMRN(`HELA-20240115-0042${check}`), true);
+    assert.equal(validateMRN(`HELA-20240115-0042${wrong}`), false);
+    assert.equal(validateMRN("HELA-20240115-42"), false);
+  });
+
+  it("parses facility, date, sequence and check digit", () => {
+    const check = calculateCheckDigit("20240115", "0042");
+    const parsed = parseMRN(`hela-20240115-0042${check}`);
+
+    assert.equal(parsed.prefix, "HELA");
+    assert.equal(parsed.date.toISOString().slice(0, 10), "2024-01-15");
+    assert.equal(parsed.sequence, 42);
+    assert.equal(parsed.checkDigit, check);
+    assert.equal(parseMRN("HELA-20240115-0042"), null);
+  });
+
+  it("recognises legacy MRNs issued without a check digit", () => {
+    assert.equal(isLegacyMRN("HELA-20231201-0001"), true);
+    assert.equal(isLegacyMRN("HELA-20231201-0001-2"), true);
+    assert.equal(isLegacyMRN("HELA-20231201-00011"), false);
+  });
+});
+
+describe("MRN with mod 11 check digit and a continuous sequence", () => {
+  const { generateMRN, validateMRN, calculateCheckDigit } = loadGenerator({
+    MRN_FACILITY_CODE: "KRH",
+    MRN_FORMAT: "{FACILITY}{SEQ}-{CHECK}",
+    MRN_SEQUENCE_LENGTH: "6",
+    MRN_CHECK_DIGIT: "mod11",
+    MRN_SEQUENCE_RESET: "never",
+  });
+
+  it("weights digits 2-7 from the right and uses X for 10", () => {
+    // 3*2 + 2*3 + 1*4 = 16; 11 - (16 % 11) = 6
+    assert.equal(calculateCheckDigit(null, "123"), "6");
+    // 6*2 = 12; 11 - (12 % 11) = 10
+    assert.equal(calculateCheckDigit(null, "6"), "X");
+  });
+
+  it("generates from one sequence that never resets", async () => {
+    const calls = [];
+    const mrn = await generateMRN(sequenceClient(123, calls));
+
+    assert.equal(mrn, `KRH000123-${calculateCheckDigit(null, "000123")}`);
+    assert.deepEqual(calls[0], ["KRH", "00000000"]);
+    assert.equal(validateMRN(mrn), true);
+  });
+});
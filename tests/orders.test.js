@@ -0,0 +1,163 @@
+// Order tests
+// Order status transitions and the status history trail
+
+const { describe, it, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMemoryClient } = require("./helpers/database");
+
+const savedRequiresSpecimen = process.env.LAB_RESULT_REQUIRES_SPECIMEN;
+
+/**
+ * Helper: Load the state machine with LAB_RESULT_REQUIRES_SPECIMEN set
+ * (read at load time)
+ */
+function loadOrderStatus(requiresSpecimen) {
+  if (requiresSpecimen === undefined) {
+    delete process.env.LAB_RESULT_REQUIRES_SPECIMEN;
+  } else {
+    process.env.LAB_RESULT_REQUIRES_SPECIMEN = requiresSpecimen;
+  }
+  delete require.cache[require.resolve("../utils/orderStatus")];
+
+  return require("../utils/orderStatus");
+}
+
+after(() => {
+  if (savedRequiresSpecimen === undefined) {
+    delete process.env.LAB_RESULT_REQUIRES_SPECIMEN;
+  } else {
+    process.env.LAB_RESULT_REQUIRES_SPECIMEN = savedRequiresSpecimen;
+  }
+});
+
+describe("order status transitions", () => {
+  const { getAllowedTransitions, assertTransition } = loadOrderStatus();
+
+  it("moves lab orders through collection and radiology orders without it", () => {
+    assert.deepEqual(
+      getAllowedTransitions({ orderType: "lab", status: "collected" }),
+      ["processing", "completed", "cancelled", "rejected"]
+    );
+    assert.ok(
+      !getAllowedTransitions({
+        orderType: "radiology",
+        status: "pending",
+      }).includes("collected")
+    );
+  });
+
+  it("accepts lab results on pending orders by default", () => {
+    assert.doesNotThrow(() =>
+      assertTransition({ orderType: "lab", status: "pending" }, "completed")
+    );
+  });
+
+  it("treats completed, cancelled and rejected as final", () => {
+    ["completed", "cancelled", "rejected"].forEach((status) => {
+      assert.deepEqual(getAllowedTransitions({ orderType: "lab", status }), []);
+      assert.throws(
+        () => assertTransition({ orderType: "lab", status }, "processing"),
+        { statusCode: 400, message: new RegExp(`${status} is final`) }
+      );
+    });
+  });
+
+  it("lists the allowed statuses when a transition is refused", () => {
+    assert.throws(
+      () =>
+        assertTransition({ orderType: "lab", status: "processing" }, "pending"),
+      { message: /from processing to pending \(allowed: completed, rejected\)/ }
+    );
+  });
+
+  it("rejects unknown statuses", () => {
+    assert.throws(
+      () => assertTransition({ orderType: "lab", status: "pending" }, "lost"),
+      { statusCode: 400, message: /Invalid order status: lost/ }
+    );
+  });
+
+  it("requires a reason to cancel or reject", () => {
+    const order = { orderType: "lab", status: "pending" };
+
+    assert.throws(() => assertTransition(order, "cancelled", "  "), {
+      statusCode: 400,
+      message: /reason is required/,
+    });
+    assert.doesNotThrow(() =>
+      assertTransition(order, "rejected", "Haemolysed sample")
+    );
+  });
+});
+
+describe("order status transitions with LAB_RESULT_REQUIRES_SPECIMEN", () => {
+  const { assertTransition } = loadOrderStatus("true");
+
+  it("requires a collected specimen before a lab order completes", () => {
+    assert.throws(
+      () =>
+        assertTransition({ orderType: "lab", status: "pending" }, "completed"),
+      { statusCode: 400 }
+    );
+    assert.doesNotThrow(() =>
+      assertTransition(
+        { orderType: "radiology", status: "pending" },
+        "completed"
+      )
+    );
+  });
+});
+
+describe("applyOrderTransition", () => {
+  const { applyOrderTransition } = loadOrderStatus();
+  let tables;
+  let db;
+
+  beforeEach(() => {
+    tables = {
+      order: [{ id: "order-1", orderType: "lab", status: "pending" }],
+      orderStatusHistory: [],
+    };
+    db = createMemoryClient(tables);
+  });
+
+  it("updates the order and records the transition", async () => {
+    const updated = await applyOrderTransition(
+      db,
+      { id: "order-1", orderType: "lab", status: "pending" },
+      "collected",
+      "user-1",
+      { note: "Bedside draw", data: { collectedBy: "user-1" } }
+    );
+
+    assert.equal(updated.status, "collected");
+    assert.equal(updated.collectedBy, "user-1");
+    assert.deepEqual(tables.orderStatusHistory, [
+      {
+        id: tables.orderStatusHistory[0].id,
+        orderId: "order-1",
+        fromStatus: "pending",
+        toStatus: "collected",
+        changedBy: "user-1",
+        reason: null,
+        note: "Bedside draw",
+      },
+    ]);
+  });
+
+  it("refuses a stale status with 409 and records nothing", async () => {
+    tables.order[0].status = "cancelled";
+
+    await assert.rejects(
+      applyOrderTransition(
+        db,
+        { id: "order-1", orderType: "lab", status: "pending" },
+        "collected",
+        "user-1"
+      ),
+      { statusCode: 409 }
+    );
+    assert.equal(tables.order[0].status, "cancelled");
+    assert.deepEqual(tables.orderStatusHistory, []);
+  });
+});
@@ -0,0 +1,395 @@
+// Patient tests
+// Duplicate matching, the registry duplicate scan and patient merges
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { stubDatabase, createMemoryClient } = require("./helpers/database");
+
+const prisma = stubDatabase();
+const {
+  soundex,
+  levenshtein,
+  getMatchLevel,
+  scorePatientMatch,
+} = require("../utils/patientMatcher");
+const patientService = require("../services/patientService");
+const dataQualityService = require("../services/dataQualityService");
+
+const amina = {
+  firstName: "Amina",
+  lastName: "Mohamed",
+  sex: "female",
+  dateOfBirth: "1990-04-07",
+  phoneNumber: "+255 712 345 678",
+  district: "Ilala",
+};
+
+const explanationFor = (match, field) =>
+  match.explanations.find((explanation) => explanation.field === field);
+
+describe("patientMatcher", () => {
+  it("gives spelling variants of a name the same Soundex code", () => {
+    assert.equal(soundex("Mohamed"), "M530");
+    assert.equal(soundex("Mohammed"), "M530");
+    assert.equal(soundex("Robert"), "R163");
+    assert.equal(soundex("Rupert"), "R163");
+  });
+
+  it("does not let h or w separate letters with the same code", () => {
+    assert.equal(soundex("Ashcraft"), "A261");
+  });
+
+  it("counts edits with Levenshtein distance", () => {
+    assert.equal(levenshtein("kitten", "sitting"), 3);
+    assert.equal(levenshtein("amina", "amina"), 0);
+    assert.equal(levenshtein("", "abc"), 3);
+  });
+
+  it("scores identical records 100 as a high match", () => {
+    const match = scorePatientMatch(amina, { ...amina });
+
+    assert.equal(match.score, 100);
+    assert.equal(match.matchLevel, "high");
+  });
+
+  it("matches phonetic spellings and local phone formats", () => {
+    const match = scorePatientMatch(amina, {
+      ...amina,
+      lastName: "Mohammed",
+      phoneNumber: "0712345678",
+    });
+
+    assert.equal(match.matchLevel, "high");
+    assert.equal(explanationFor(match, "name").reason, "phonetic");
+    assert.equal(explanationFor(match, "phoneNumber").reason, "exact");
+  });
+
+  it("recognises swapped first and last names", () => {
+    const match = scorePatientMatch(amina, {
+      ...amina,
+      firstName: amina.lastName,
+      lastName: amina.firstName,
+    });
+
+    assert.equal(explanationFor(match, "name").reason, "swapped");
+    assert.ok(match.score >= 85);
+  });
+
+  it("recognises day and month transposed in the date of birth", () => {
+    const match = scorePatientMatch(amina, {
+      ...amina,
+      dateOfBirth: "1990-07-04",
+    });
+
+    assert.equal(
+      explanationFor(match, "dateOfBirth").reason,
+      "day_month_transposed"
+    );
+  });
+
+  it("leaves fields missing on either record out of the score", () => {
+    const match = scorePatientMatch(
+      { firstName: "Amina", lastName: "Mohamed" },
+      { ...amina }
+    );
+
+    assert.equal(match.score, 100);
+    assert.deepEqual(
+      match.explanations
+        .filter((explanation) => explanation.score === null)
+        .map((explanation) => explanation.field),
+      ["dateOfBirth", "sex", "phoneNumber", "district"]
+    );
+  });
+
+  it("does not match different people", () => {
+    const match = scorePatientMatch(amina, {
+      firstName: "Joseph",
+      lastName: "Kariuki",
+      sex: "male",
+      dateOfBirth: "1975-11-20",
+      phoneNumber: "0787000111",
+      district: "Kinondoni",
+    });
+
+    assert.ok(match.score < 60);
+    assert.equal(match.matchLevel, null);
+  });
+
+  it("maps scores to match levels at the thresholds", () => {
+    assert.equal(getMatchLevel(85), "high");
+    assert.equal(getMatchLevel(84), "medium");
+    assert.equal(getMatchLevel(70), "medium");
+    assert.equal(getMatchLevel(60), "low");
+    assert.equal(getMatchLevel(59), null);
+  });
+});
+
+describe("findPotentialDuplicates", () => {
+  let where;
+
+  beforeEach(() => {
+    where = null;
+    prisma.patient = {
+      findMany: async (query) => {
+        where = query.where;
+        return [
+          { id: "p1", mrn: "MRN-1", ...amina, lastName: "Mohammed" },
+          { id: "p2", mrn: "MRN-2", ...amina, firstName: "Joseph" },
+        ];
+      },
+    };
+  });
+
+  it("excludes archived and merged patients from the candidates", async () => {
+    await patientService.findPotentialDuplicates(amina);
+
+    assert.equal(where.isArchived, false);
+    assert.equal(where.mergedIntoId, null);
+  });
+
+  it("ranks candidates above the minimum score with explanations", async () => {
+    const duplicates = await patientService.findPotentialDuplicates(amina, {
+      minScore: 85,
+    });
+
+    assert.deepEqual(
+      duplicates.map((duplicate) => duplicate.id),
+      ["p1"]
+    );
+    assert.equal(duplicates[0].matchLevel, "high");
+    assert.ok(duplicates[0].matchExplanations.length > 0);
+  });
+});
+
+describe("scanDuplicatePatients", () => {
+  let existingWhere;
+  let created;
+
+  beforeEach(() => {
+    existingWhere = null;
+    created = [];
+    prisma.patient = {
+      findMany: async () => [
+        { id: "older", mrn: "MRN-1", ...amina, createdAt: new Date(1) },
+        {
+          id: "newer",
+          mrn: "MRN-2",
+          ...amina,
+          lastName: "Mohammed",
+          createdAt: new Date(2),
+        },
+      ],
+    };
+    prisma.dataQualityIssue = {
+      findFirst: async (query) => {
+        existingWhere = query.where;
+        return { id: "issue-1", status: "dismissed" };
+      },
+      create: async (query) => created.push(query.data),
+    };
+  });
+
+  it("does not raise a pair again once its issue was dismissed", async () => {
+    const summary = await dataQualityService.scanDuplicatePatients("user-1");
+
+    assert.equal(summary.matchesFound, 1);
+    assert.equal(summary.issuesCreated, 0);
+    assert.equal(summary.skippedExisting, 1);
+    assert.deepEqual(created, []);
+    assert.equal(existingWhere.ruleViolated, "duplicate_patient:older");
+    assert.ok(existingWhere.status.in.includes("dismissed"));
+  });
+});
+
+describe("mergePatients / unmergePatients", () => {
+  const duplicateIssue = {
+    id: "issue-1",
+    issueType: "duplicate_record",
+    entityId: "retired",
+    ruleViolated: "duplicate_patient:surviving",
+    status: "open",
+    resolution: null,
+    resolvedAt: null,
+  };
+  let tables;
+
+  beforeEach(() => {
+    tables = {
+      patient: [
+        {
+          id: "surviving",
+          mrn: "MRN-1",
+          isArchived: false,
+          archivedAt: null,
+          archivedBy: null,
+          mergedIntoId: null,
+          mergedAt: null,
+        },
+        {
+          id: "retired",
+          mrn: "MRN-2",
+          isArchived: false,
+          archivedAt: null,
+          archivedBy: null,
+          mergedIntoId: null,
+          mergedAt: null,
+        },
+      ],
+      encounter: [
+        { id: "enc-retired", patientId: "retired" },
+        { id: "enc-surviving", patientId: "surviving" },
+      ],
+      recordFile: [{ id: "file-retired", patientId: "retired" }],
+      vitalSignSet: [
+        {
+          id: "vitals-retired",
+          patientId: "retired",
+          encounterId: "enc-retired",
+        },
+      ],
+      patientAlias: [
+        { id: "alias-old", mrn: "MRN-0", patientId: "retired", mergeId: null },
+      ],
+      patientAllergy: [
+        { id: "allergy-retired", patientId: "retired", allergen: "Penicillin" },
+      ],
+      patientMerge: [],
+      dataQualityIssue: [{ ...duplicateIssue }],
+      dataQualityIssueActivity: [],
+    };
+
+    Object.assign(
+      prisma,
+      createMemoryClient(tables, {
+        patient: {
+          encounters: ["encounter", "patientId"],
+          recordFiles: ["recordFile", "patientId"],
+          aliases: ["patientAlias", "patientId"],
+          vitalSignSets: ["vitalSignSet", "patientId"],
+          allergies: ["patientAllergy", "patientId"],
+        },
+      })
+    );
+  });
+
+  const patientIdOf = (model, id) =>
+    tables[model].find((row) => row.id === id).patientId;
+
+  it("moves the retired patient's records to the survivor", async () => {
+    const merge = await patientService.mergePatients(
+      "surviving",
+      "retired",
+      "user-1",
+      "Same person"
+    );
+
+    assert.equal(patientIdOf("encounter", "enc-retired"), "surviving");
+    assert.equal(patientIdOf("recordFile", "file-retired"), "surviving");
+    assert.equal(patientIdOf("vitalSignSet", "vitals-retired"), "surviving");
+    assert.equal(patientIdOf("patientAllergy", "allergy-retired"), "surviving");
+    assert.equal(patientIdOf("patientAlias", "alias-old"), "surviving");
+    assert.ok(
+      tables.patientAlias.some(
+        (alias) =>
+          alias.mrn === "MRN-2" &&
+          alias.patientId === "surviving" &&
+          alias.mergeId === merge.id
+      )
+    );
+
+    const retired = tables.patient.find((p) => p.id === "retired");
+    assert.equal(retired.isArchived, true);
+    assert.equal(retired.mergedIntoId, "surviving");
+
+    assert.deepEqual(merge.movedEncounterIds, ["enc-retired"]);
+    assert.deepEqual(merge.movedRecordFileIds, ["file-retired"]);
+    assert.deepEqual(merge.movedAliasIds, ["alias-old"]);
+    assert.deepEqual(merge.movedVitalSignSetIds, ["vitals-retired"]);
+    assert.deepEqual(merge.movedAllergyIds, ["allergy-retired"]);
+    assert.deepEqual(merge.afterSnapshot.retired.encounterIds, []);
+    assert.equal(tables.dataQualityIssue[0].status, "resolved");
+  });
+
+  it("restores the merged records on unmerge and keeps later ones", async () => {
+    const merge = await patientService.mergePatients(
+      "surviving",
+      "retired",
+      "user-1"
+    );
+    tables.encounter.push({ id: "enc-after-merge", patientId: "surviving" });
+
+    const reversed = await patientService.unmergePatients(merge.id, "user-2");
+
+    assert.equal(reversed.status, "reversed");
+    assert.equal(reversed.unmergedBy, "user-2");
+    assert.equal(patientIdOf("encounter", "enc-retired"), "retired");
+    assert.equal(patientIdOf("encounter", "enc-surviving"), "surviving");
+    assert.equal(patientIdOf("encounter", "enc-after-merge"), "surviving");
+    assert.equal(patientIdOf("recordFile", "file-retired"), "retired");
+    assert.equal(patientIdOf("vitalSignSet", "vitals-retired"), "retired");
+    assert.equal(patientIdOf("patientAllergy", "allergy-retired"), "retired");
+    assert.equal(patientIdOf("patientAlias", "alias-old"), "retired");
+    assert.ok(!tables.patientAlias.some((alias) => alias.mergeId === merge.id));
+
+    const retired = tables.patient.find((p) => p.id === "retired");
+    assert.equal(retired.isArchived, false);
+    assert.equal(retired.mergedIntoId, null);
+
+    assert.deepEqual(
+      reversed.afterSnapshot.retired,
+      merge.beforeSnapshot.retired
+    );
+    assert.equal(tables.dataQualityIssue[0].status, "open");
+    assert.equal(tables.dataQualityIssueActivity.length, 1);
+  });
+
+  it("returns vitals recorded since on a moved encounter with it", async () => {
+    const merge = await patientService.mergePatients(
+      "surviving",
+      "retired",
+      "user-1"
+    );
+    tables.encounter.push({ id: "enc-after-merge", patientId: "surviving" });
+    tables.vitalSignSet.push(
+      {
+        id: "vitals-moved-enc",
+        patientId: "surviving",
+        encounterId: "enc-retired",
+      },
+      {
+        id: "vitals-after-merge",
+        patientId: "surviving",
+        encounterId: "enc-after-merge",
+      }
+    );
+
+    await patientService.unmergePatients(merge.id, "user-2");
+
+    assert.equal(patientIdOf("vitalSignSet", "vitals-moved-enc"), "retired");
+    assert.equal(
+      patientIdOf("vitalSignSet", "vitals-after-merge"),
+      "surviving"
+    );
+  });
+
+  it("refuses to merge a patient into itself", async () => {
+    await assert.rejects(
+      patientService.mergePatients("surviving", "surviving", "user-1"),
+      { statusCode: 400 }
+    );
+  });
+
+  it("refuses to reverse a merge twice", async () => {
+    const merge = await patientService.mergePatients(
+      "surviving",
+      "retired",
+      "user-1"
+    );
+    await patientService.unmergePatients(merge.id, "user-2");
+
+    await assert.rejects(patientService.unmergePatients(merge.id, "user-2"), {
+      statusCode: 400,
+    });
+  });
+});
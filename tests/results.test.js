@@ -0,0 +1,203 @@
+// Result tests
+// Reference range selection and automatic analyte flagging
+
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { stubDatabase } = require("./helpers/database");
+
+const prisma = stubDatabase();
+const {
+  getAgeInDays,
+  selectReferenceRange,
+  flagValue,
+  formatRange,
+  deriveResultFlags,
+} = require("../utils/referenceRanges");
+const referenceRangeService = require("../services/referenceRangeService");
+
+const resultedAt = new Date("2024-01-15T10:00:00Z");
+
+const hemoglobinRanges = [
+  { id: "hgb-any", sex: null, normalLow: 11, normalHigh: 17 },
+  {
+    id: "hgb-female",
+    sex: "female",
+    ageMinDays: 6575,
+    normalLow: 12,
+    normalHigh: 16,
+    criticalLow: 7,
+    criticalHigh: 20,
+  },
+  {
+    id: "hgb-infant",
+    sex: null,
+    ageMinDays: 0,
+    ageMaxDays: 365,
+    normalLow: 9.5,
+    normalHigh: 13.5,
+  },
+];
+
+const woman = { sex: "female", dateOfBirth: "1990-04-07" };
+const infant = { sex: "male", dateOfBirth: "2023-10-15" };
+
+describe("getAgeInDays", () => {
+  it("counts from the date of birth at the result date", () => {
+    assert.equal(getAgeInDays(infant, resultedAt), 92);
+  });
+
+  it("falls back to the age estimate in years", () => {
+    assert.equal(getAgeInDays({ ageEstimate: 2 }, resultedAt), 730);
+    assert.equal(getAgeInDays({}, resultedAt), null);
+  });
+});
+
+describe("selectReferenceRange", () => {
+  it("prefers the narrower age band", () => {
+    assert.equal(
+      selectReferenceRange(hemoglobinRanges, infant, resultedAt).id,
+      "hgb-infant"
+    );
+  });
+
+  it("matches sex-specific ranges and skips the other sex", () => {
+    assert.equal(
+      selectReferenceRange(hemoglobinRanges, woman, resultedAt).id,
+      "hgb-female"
+    );
+    assert.equal(
+      selectReferenceRange(
+        hemoglobinRanges,
+        { ...woman, sex: "male" },
+        resultedAt
+      ).id,
+      "hgb-any"
+    );
+  });
+
+  it("skips age-banded ranges when the age is unknown", () => {
+    assert.equal(
+      selectReferenceRange(hemoglobinRanges, { sex: "female" }, resultedAt).id,
+      "hgb-any"
+    );
+    assert.equal(selectReferenceRange([], woman, resultedAt), null);
+  });
+});
+
+describe("flagValue", () => {
+  const [, range] = hemoglobinRanges;
+
+  it("flags values outside the normal range L or H", () => {
+    assert.equal(flagValue(11.9, range), "L");
+    assert.equal(flagValue(12, range), "N");
+    assert.equal(flagValue(16, range), "N");
+    assert.equal(flagValue(16.1, range), "H");
+  });
+
+  it("flags values at or beyond the critical limits LL or HH", () => {
+    assert.equal(flagValue(7, range), "LL");
+    assert.equal(flagValue(20, range), "HH");
+  });
+
+  it("ignores bounds a range does not set", () => {
+    assert.equal(flagValue(3, { normalHigh: 10 }), "N");
+    assert.equal(flagValue(30, { normalHigh: 10 }), "H");
+  });
+
+  it("formats open and closed ranges", () => {
+    assert.equal(formatRange(12, 16), "12-16");
+    assert.equal(formatRange(4, null), ">= 4");
+    assert.equal(formatRange(null, 10), "<= 10");
+    assert.equal(formatRange(null, null), null);
+  });
+
+  it("derives abnormal and critical result flags", () => {
+    assert.deepEqual(deriveResultFlags({ a: { flag: "N" } }), {
+      isAbnormal: false,
+      criticalFlag: false,
+    });
+    assert.deepEqual(
+      deriveResultFlags({ a: { flag: "N" }, b: { flag: "H" } }),
+      {
+        isAbnormal: true,
+        criticalFlag: false,
+      }
+    );
+    assert.deepEqual(deriveResultFlags({ a: { flag: "LL" } }), {
+      isAbnormal: true,
+      criticalFlag: true,
+    });
+  });
+});
+
+describe("evaluateResultData", () => {
+  beforeEach(() => {
+    prisma.labAnalyte = {
+      findMany: async () => [
+        {
+          code: "HGB",
+          name: "Hemoglobin",
+          synonyms: ["Hb"],
+          unit: "g/dL",
+          referenceRanges: hemoglobinRanges,
+        },
+        {
+          code: "CRP",
+          name: "C-reactive protein",
+          synonyms: [],
+          unit: "mg/L",
+          referenceRanges: [{ id: "crp", normalHigh: 5 }],
+        },
+      ],
+    };
+  });
+
+  it("flags analytes found by name or synonym against the catalogue", async () => {
+    const evaluation = await referenceRangeService.evaluateResultData(
+      { Hb: { value: "6.5", unit: "g/dL" }, "C-reactive protein": 3 },
+      woman,
+      resultedAt
+    );
+
+    assert.deepEqual(evaluation.analyteFlags.Hb, {
+      flag: "LL",
+      analyteCode: "HGB",
+      unit: "g/dL",
+      referenceRange: "12-16",
+      criticalRange: "7-20",
+      rangeId: "hgb-female",
+      source: "catalogue",
+    });
+    assert.equal(evaluation.analyteFlags["C-reactive protein"].flag, "N");
+    assert.equal(evaluation.isAbnormal, true);
+    assert.equal(evaluation.criticalFlag, true);
+  });
+
+  it("keeps a supplied flag when the unit does not match the catalogue", async () => {
+    const evaluation = await referenceRangeService.evaluateResultData(
+      { HGB: { value: 120, unit: "g/L", flag: "n" } },
+      woman,
+      resultedAt
+    );
+
+    assert.deepEqual(evaluation.analyteFlags.HGB, {
+      flag: "N",
+      analyteCode: "HGB",
+      source: "supplied",
+      note: "Unit g/L differs from g/dL",
+    });
+    assert.equal(evaluation.isAbnormal, false);
+  });
+
+  it("returns null when nothing could be flagged", async () => {
+    assert.equal(
+      await referenceRangeService.evaluateResultData(
+        { Comment: "Sample haemolysed", Unknown: 4 },
+        woman,
+        resultedAt
+      ),
+      null
+    );
+    assert.equal(await referenceRangeService.evaluateResultData(null), null);
+  });
+});
@@ -0,0 +1,183 @@
+// Vital sign tests
+// Vitals validation and NEWS2 / paediatric early warning scores
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeVitals,
+  observationsToValues,
+} = require("../utils/vitalSigns");
+const {
+  calculateNews2,
+  calculatePews,
+  calculateEarlyWarningScore,
+} = require("../utils/earlyWarningScores");
+
+const measuredAt = new Date("2024-01-15T10:00:00Z");
+
+const adultNormal = {
+  respiratoryRate: 16,
+  oxygenSaturation: 97,
+  bloodPressureSystolic: 120,
+  pulse: 70,
+  consciousness: "alert",
+  temperature: 37,
+};
+
+const infantNormal = { pulse: 130, respiratoryRate: 35 };
+
+describe("normalizeVitals", () => {
+  it("converts numbers, booleans and ACVPU levels to observations", () => {
+    const { observations, values, errors } = normalizeVitals({
+      pulse: "88",
+      supplementalOxygen: "true",
+      consciousness: "Alert",
+      temperature: "",
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(observations, [
+      { code: "pulse", value: 88, unit: "/min" },
+      { code: "supplementalOxygen", valueText: "true" },
+      { code: "consciousness", valueText: "alert" },
+    ]);
+    assert.deepEqual(values, {
+      pulse: 88,
+      supplementalOxygen: true,
+      consciousness: "alert",
+    });
+    assert.deepEqual(observationsToValues(observations), values);
+  });
+
+  it("rejects unknown codes, non-numbers and implausible values", () => {
+    const { observations, errors } = normalizeVitals({
+      pulse: 400,
+      temperature: "warm",
+      mood: "good",
+      consciousness: "drowsy",
+    });
+
+    assert.deepEqual(observations, []);
+    assert.equal(errors.length, 4);
+    assert.ok(errors.includes("Heart rate must be between 20 and 300 /min"));
+    assert.ok(errors.includes("Temperature must be a number"));
+    assert.ok(errors.includes("Unknown vital sign mood"));
+  });
+
+  it("requires at least one vital sign", () => {
+    assert.deepEqual(normalizeVitals({}).errors, [
+      "At least one vital sign is required",
+    ]);
+    assert.deepEqual(normalizeVitals([]).errors, ["Vitals must be an object"]);
+  });
+});
+
+describe("calculateNews2", () => {
+  it("scores normal adult vitals 0 (low)", () => {
+    const news2 = calculateNews2(adultNormal);
+
+    assert.equal(news2.score, 0);
+    assert.equal(news2.risk, "low");
+    assert.equal(news2.components.supplementalOxygen, 0);
+  });
+
+  it("rates a single parameter scoring 3 low-medium", () => {
+    const news2 = calculateNews2({ ...adultNormal, respiratoryRate: 25 });
+
+    assert.equal(news2.score, 3);
+    assert.equal(news2.risk, "low_medium");
+  });
+
+  it("rates totals from 5 medium and from 7 high", () => {
+    const medium = calculateNews2({
+      ...adultNormal,
+      respiratoryRate: 22,
+      oxygenSaturation: 94,
+      supplementalOxygen: true,
+    });
+    const high = calculateNews2({
+      ...adultNormal,
+      respiratoryRate: 25,
+      oxygenSaturation: 91,
+      bloodPressureSystolic: 95,
+    });
+
+    assert.equal(medium.score, 5);
+    assert.equal(medium.risk, "medium");
+    assert.equal(high.score, 8);
+    assert.equal(high.risk, "high");
+  });
+
+  it("does not score an incomplete set", () => {
+    const news2 = calculateNews2({ ...adultNormal, pulse: undefined });
+
+    assert.equal(news2.score, null);
+    assert.equal(news2.risk, null);
+    assert.deepEqual(news2.missing, ["pulse"]);
+  });
+});
+
+describe("calculatePews", () => {
+  it("scores against the normal ranges for the child's age", () => {
+    const pews = calculatePews(infantNormal, 92);
+
+    assert.equal(pews.ageBand, "under 1 year");
+    assert.equal(pews.score, 0);
+    assert.equal(pews.risk, "low");
+    assert.equal(calculatePews(infantNormal, 10 * 365).components.pulse, 1);
+  });
+
+  it("gives 1 point within 20% of the range and 2 beyond it", () => {
+    const pews = calculatePews({ pulse: 200, respiratoryRate: 45 }, 92);
+
+    assert.deepEqual(pews.components, { pulse: 2, respiratoryRate: 1 });
+    assert.equal(pews.score, 3);
+    assert.equal(pews.risk, "medium");
+  });
+
+  it("rates a child responding only to pain high", () => {
+    const pews = calculatePews({ ...infantNormal, consciousness: "pain" }, 92);
+
+    assert.equal(pews.score, 3);
+    assert.equal(pews.risk, "high");
+  });
+
+  it("needs heart and respiratory rate to score", () => {
+    const pews = calculatePews({ pulse: 130 }, 92);
+
+    assert.equal(pews.score, null);
+    assert.deepEqual(pews.missing, ["respiratoryRate"]);
+  });
+});
+
+describe("calculateEarlyWarningScore", () => {
+  it("uses PEWS under 16 and NEWS2 for adults and unknown ages", () => {
+    const child = { dateOfBirth: "2023-10-15" };
+    const adult = { dateOfBirth: "1990-04-07" };
+
+    assert.equal(
+      calculateEarlyWarningScore(infantNormal, child, measuredAt).scoreType,
+      "PEWS"
+    );
+    assert.equal(
+      calculateEarlyWarningScore(adultNormal, adult, measuredAt).scoreType,
+      "NEWS2"
+    );
+    assert.equal(
+      calculateEarlyWarningScore(adultNormal, {}, measuredAt).scoreType,
+      "NEWS2"
+    );
+  });
+
+  it("flags medium and high risk as deteriorating", () => {
+    const score = (values) =>
+      calculateEarlyWarningScore(values, {}, measuredAt).deteriorating;
+
+    assert.equal(score(adultNormal), false);
+    assert.equal(score({ ...adultNormal, respiratoryRate: 25 }), false);
+    assert.equal(
+      score({ ...adultNormal, respiratoryRate: 22, oxygenSaturation: 91 }),
+      true
+    );
+  });
+});
@@ -0,0 +1,54 @@
+// Accession Number Generator
+// Generates unique, barcode-friendly specimen and imaging identifiers
+
+/**
+ * Accession configuration
+ * Format: {PREFIX}{YYMMDD}{SEQ} (e.g., S26101900042)
+ */
+const ACCESSION_CONFIG = {
+  prefix: (process.env.ACCESSION_PREFIX || "S").toUpperCase(),
+  imagingPrefix: (process.env.IMAGING_ACCESSION_PREFIX || "R").toUpperCase(),
+  sequenceLength: parseInt(process.env.ACCESSION_SEQUENCE_LENGTH) || 5,
+};
+
+/**
+ * Allocate the next accession sequence number for a day
+ * Uses a single INSERT ... ON CONFLICT so concurrent collections
+ * never receive the same value.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} dateString - YYMMDD
+ * @returns {Promise<number>} Allocated sequence value
+ */
+async function allocateSequence(db, dateString) {
+  const rows = await db.$queryRaw`
+    INSERT INTO "AccessionSequence" ("sequenceDate", "lastValue", "updatedAt")
+    VALUES (${dateString}, 1, NOW())
+    ON CONFLICT ("sequenceDate")
+    DO UPDATE SET "lastValue" = "AccessionSequence"."lastValue" + 1, "updatedAt" = NOW()
+    RETURNING "lastValue"
+  `;
+
+  return Number(rows[0].lastValue);
+}
+
+/**
+ * Generate unique accession number
+ * Call with the transaction client used to create the specimen so an
+ * aborted collection also releases its sequence number.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} prefix - Prefix (defaults to the specimen prefix)
+ * @returns {Promise<string>} Generated accession number
+ */
+async function generateAccessionNumber(db, prefix = ACCESSION_CONFIG.prefix) {
+  const dateString = new Date().toISOString().slice(2, 10).replace(/-/g, "");
+
+  const value = await allocateSequence(db, dateString);
+  const sequence = String(value).padStart(ACCESSION_CONFIG.sequenceLength, "0");
+
+  return `${prefix}${dateString}${sequence}`;
+}
+
+module.exports = {
+  ACCESSION_CONFIG,
+  generateAccessionNumber,
+};
@@ -0,0 +1,150 @@
+// Completeness Model
+// Weighted fields scored by the data completeness scorecard
+// (see services/completenessService.js)
+
+/**
+ * Helper: Prisma filter for a non-empty string field
+ */
+function present(field) {
+  return { AND: [{ [field]: { not: null } }, { [field]: { not: "" } }] };
+}
+
+/**
+ * Scored fields
+ * Patient fields are measured on patients registered in the period
+ * (attributed to the registering user), encounter fields on encounters
+ * admitted in the period (attributed to department and attending
+ * clinician). appliesTo narrows the records a field is expected on;
+ * complete is the Prisma filter for records that have it. weight is the
+ * default, overridable with COMPLETENESS_WEIGHTS.
+ */
+const COMPLETENESS_FIELDS = {
+  "patient.dateOfBirth": {
+    entity: "patient",
+    label: "Date of birth",
+    weight: 3,
+    complete: { dateOfBirth: { not: null } },
+  },
+  "patient.phoneNumber": {
+    entity: "patient",
+    label: "Phone number",
+    weight: 2,
+    complete: present("phoneNumber"),
+  },
+  "patient.address": {
+    entity: "patient",
+    label: "Address",
+    weight: 2,
+    complete: present("address"),
+  },
+  "patient.district": {
+    entity: "patient",
+    label: "District",
+    weight: 1,
+    complete: present("district"),
+  },
+  "patient.nextOfKin": {
+    entity: "patient",
+    label: "Next of kin (name and phone)",
+    weight: 1,
+    complete: { AND: [present("nextOfKinName"), present("nextOfKinPhone")] },
+  },
+  "encounter.chiefComplaint": {
+    entity: "encounter",
+    label: "Chief complaint",
+    weight: 2,
+    complete: present("chiefComplaint"),
+  },
+  "encounter.diagnosis": {
+    entity: "encounter",
+    label: "Diagnosis (coded primary or free text)",
+    weight: 3,
+    complete: {
+      OR: [
+        { diagnoses: { some: { diagnosisType: "primary" } } },
+        present("diagnosis"),
+      ],
+    },
+  },
+  "encounter.clinicalNote": {
+    entity: "encounter",
+    label: "Clinical note",
+    weight: 3,
+    complete: {
+      clinicalNotes: { some: { status: { not: "entered_in_error" } } },
+    },
+  },
+  "encounter.vitalSigns": {
+    entity: "encounter",
+    label: "Vital signs",
+    weight: 2,
+    complete: { vitalSignSets: { some: {} } },
+  },
+  "encounter.attendingClinician": {
+    entity: "encounter",
+    label: "Attending clinician",
+    weight: 1,
+    complete: { attendingClinicianId: { not: null } },
+  },
+  "encounter.outcome": {
+    entity: "encounter",
+    label: "Outcome (closed encounters)",
+    weight: 2,
+    appliesTo: { status: "closed" },
+    complete: present("outcome"),
+  },
+};
+
+/**
+ * Field weights: defaults overridden by COMPLETENESS_WEIGHTS,
+ * e.g. "patient.phoneNumber:3,encounter.vitalSigns:1" (0 excludes a field)
+ */
+const COMPLETENESS_WEIGHTS = {
+  ...Object.fromEntries(
+    Object.keys(COMPLETENESS_FIELDS).map((key) => [
+      key,
+      COMPLETENESS_FIELDS[key].weight,
+    ])
+  ),
+  ...Object.fromEntries(
+    (process.env.COMPLETENESS_WEIGHTS || "")
+      .split(",")
+      .map((entry) => entry.split(":").map((part) => part.trim()))
+      .filter(
+        ([key, weight]) => key in COMPLETENESS_FIELDS && parseFloat(weight) >= 0
+      )
+      .map(([key, weight]) => [key, parseFloat(weight)])
+  ),
+};
+
+/**
+ * Weighted completeness score
+ * Fields with no applicable records (or weight 0) are left out rather
+ * than counted as empty.
+ * @param {Object} fieldCounts - { fieldKey: { applicable, complete } }
+ * @returns {number|null} Score 0-100 (one decimal), null if nothing applied
+ */
+function scoreFields(fieldCounts) {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.keys(fieldCounts).forEach((key) => {
+    const { applicable, complete } = fieldCounts[key];
+    const weight = COMPLETENESS_WEIGHTS[key] || 0;
+
+    if (applicable > 0 && weight > 0) {
+      weighted += weight * (complete / applicable);
+      totalWeight += weight;
+    }
+  });
+
+  return totalWeight > 0
+    ? Math.round((weighted / totalWeight) * 1000) / 10
+    : null;
+}
+
+module.exports = {
+  COMPLETENESS_FIELDS,
+  COMPLETENESS_WEIGHTS,
+  scoreFields,
+};
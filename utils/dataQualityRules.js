@@ -0,0 +1,388 @@
+// Data Quality Rules
+// Declarative rules for the data quality scanner
+// (see services/dataQualityRuleService.js)
+
+const { Prisma } = require("@prisma/client");
+const { VITAL_SIGNS } = require("./vitalSigns");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const NOTE_BATCH_SIZE = 1000;
+
+/**
+ * Helper: Patient label used in issue descriptions
+ */
+function patientLabel(patient) {
+  return `${patient.mrn} (${patient.firstName} ${patient.lastName})`;
+}
+
+/**
+ * Helper: Whole hours between two dates
+ */
+function hoursBetween(from, to) {
+  return Math.floor((to - from) / HOUR_MS);
+}
+
+/**
+ * Helper: Problems with vitals stored as JSON on a clinical note
+ * Notes written before vitals were validated may hold values outside
+ * the limits in utils/vitalSigns.js, text, or an inverted blood pressure.
+ */
+function describeImplausibleVitals(vitals) {
+  if (!vitals || typeof vitals !== "object" || Array.isArray(vitals)) {
+    return [];
+  }
+
+  const problems = [];
+  const values = {};
+
+  Object.keys(VITAL_SIGNS)
+    .filter((code) => VITAL_SIGNS[code].min !== undefined)
+    .forEach((code) => {
+      const definition = VITAL_SIGNS[code];
+      const raw = vitals[code];
+
+      if (raw === undefined || raw === null || raw === "") return;
+
+      const value = Number(raw);
+
+      if (isNaN(value)) {
+        problems.push(`${definition.label} "${raw}"`);
+      } else if (value < definition.min || value > definition.max) {
+        problems.push(`${definition.label} ${value} ${definition.unit}`);
+      } else {
+        values[code] = value;
+      }
+    });
+
+  if (
+    values.bloodPressureSystolic !== undefined &&
+    values.bloodPressureDiastolic !== undefined &&
+    values.bloodPressureDiastolic >= values.bloodPressureSystolic
+  ) {
+    problems.push(
+      `blood pressure ${values.bloodPressureSystolic}/${values.bloodPressureDiastolic}`
+    );
+  }
+
+  return problems;
+}
+
+/**
+ * Scanner rules
+ * Each rule finds the entities currently violating it; the scanner raises
+ * one issue per entity and auto-resolves issues whose entity no longer
+ * appears. severity and params are defaults, overridable per rule in the
+ * DataQualityRule table.
+ * find(db, params, now) resolves to [{ entityId, departmentId, description }]
+ * (departmentId is omitted for patient-level rules).
+ */
+const DATA_QUALITY_RULES = {
+  patient_missing_phone: {
+    name: "Patient without phone number",
+    description: "Active patients with no phone number recorded",
+    entityType: "patient",
+    issueType: "missing_data",
+    severity: "low",
+    params: {},
+    async find(db) {
+      const patients = await db.patient.findMany({
+        where: {
+          isArchived: false,
+          OR: [{ phoneNumber: null }, { phoneNumber: "" }],
+        },
+        select: { id: true, mrn: true, firstName: true, lastName: true },
+      });
+
+      return patients.map((patient) => ({
+        entityId: patient.id,
+        description: `Patient ${patientLabel(
+          patient
+        )} has no phone number recorded.`,
+      }));
+    },
+  },
+
+  patient_missing_dob: {
+    name: "Patient without date of birth",
+    description:
+      "Active patients with no date of birth (age estimates are not enough for paediatric scoring and reference ranges)",
+    entityType: "patient",
+    issueType: "missing_data",
+    severity: "medium",
+    params: {},
+    async find(db) {
+      const patients = await db.patient.findMany({
+        where: { isArchived: false, dateOfBirth: null },
+        select: {
+          id: true,
+          mrn: true,
+          firstName: true,
+          lastName: true,
+          ageEstimate: true,
+        },
+      });
+
+      return patients.map((patient) => ({
+        entityId: patient.id,
+        description: `Patient ${patientLabel(
+          patient
+        )} has no date of birth recorded${
+          patient.ageEstimate !== null
+            ? ` (estimated age ${patient.ageEstimate})`
+            : ""
+        }.`,
+      }));
+    },
+  },
+
+  encounter_open_without_notes: {
+    name: "Open encounter without clinical notes",
+    description: "Encounters open for more than params.days with no notes",
+    entityType: "encounter",
+    issueType: "incomplete_encounter",
+    severity: "medium",
+    params: { days: 3 },
+    async find(db, params, now) {
+      const days = Number(params.days);
+      const encounters = await db.encounter.findMany({
+        where: {
+          status: "open",
+          admissionDate: { lt: new Date(now - days * DAY_MS) },
+          clinicalNotes: {
+            none: { status: { not: "entered_in_error" } },
+          },
+        },
+        select: {
+          id: true,
+          departmentId: true,
+          admissionDate: true,
+          encounterType: true,
+          patient: {
+            select: { mrn: true, firstName: true, lastName: true },
+          },
+        },
+      });
+
+      return encounters.map((encounter) => ({
+        entityId: encounter.id,
+        departmentId: encounter.departmentId,
+        description: `${encounter.encounterType.toUpperCase()} encounter for ${patientLabel(
+          encounter.patient
+        )} has been open ${Math.floor(
+          (now - encounter.admissionDate) / DAY_MS
+        )} days without a clinical note.`,
+      }));
+    },
+  },
+
+  encounter_closed_without_outcome: {
+    name: "Discharge without outcome",
+    description: "Closed encounters with no outcome recorded",
+    entityType: "encounter",
+    issueType: "incomplete_encounter",
+    severity: "high",
+    params: {},
+    async find(db) {
+      const encounters = await db.encounter.findMany({
+        where: {
+          status: "closed",
+          OR: [{ outcome: null }, { outcome: "" }],
+        },
+        select: {
+          id: true,
+          departmentId: true,
+          dischargeDate: true,
+          patient: {
+            select: { mrn: true, firstName: true, lastName: true },
+          },
+        },
+      });
+
+      return encounters.map((encounter) => ({
+        entityId: encounter.id,
+        departmentId: encounter.departmentId,
+        description: `Encounter for ${patientLabel(
+          encounter.patient
+        )} was closed${
+          encounter.dischargeDate
+            ? ` on ${encounter.dischargeDate.toISOString().slice(0, 10)}`
+            : ""
+        } without an outcome.`,
+      }));
+    },
+  },
+
+  order_overdue: {
+    name: "Order past expected turnaround",
+    description:
+      "Orders not completed within the catalogue turnaround (params.defaultTurnaroundHours when the test has none)",
+    entityType: "order",
+    issueType: "delayed_workflow",
+    severity: "medium",
+    params: { defaultTurnaroundHours: 24 },
+    async find(db, params, now) {
+      const defaultMinutes = Number(params.defaultTurnaroundHours) * 60;
+      const orders = await db.order.findMany({
+        where: { status: { in: ["pending", "collected", "processing"] } },
+        select: {
+          id: true,
+          testName: true,
+          status: true,
+          createdAt: true,
+          testCatalog: { select: { turnaroundMinutes: true } },
+          encounter: {
+            select: {
+              departmentId: true,
+              patient: {
+                select: { mrn: true, firstName: true, lastName: true },
+              },
+            },
+          },
+        },
+      });
+
+      return orders
+        .filter((order) => {
+          const minutes =
+            (order.testCatalog && order.testCatalog.turnaroundMinutes) ||
+            defaultMinutes;
+          return now - order.createdAt > minutes * 60 * 1000;
+        })
+        .map((order) => ({
+          entityId: order.id,
+          departmentId: order.encounter.departmentId,
+          description: `${order.testName} for ${patientLabel(
+            order.encounter.patient
+          )} is still ${order.status} ${hoursBetween(
+            order.createdAt,
+            now
+          )} hours after ordering.`,
+        }));
+    },
+  },
+
+  result_unapproved: {
+    name: "Result awaiting approval",
+    description: "Results entered more than params.hours ago and not approved",
+    entityType: "result",
+    issueType: "delayed_workflow",
+    severity: "high",
+    params: { hours: 24 },
+    async find(db, params, now) {
+      const hours = Number(params.hours);
+      const results = await db.result.findMany({
+        where: {
+          approvedAt: null,
+          createdAt: { lt: new Date(now - hours * HOUR_MS) },
+          order: { status: { notIn: ["cancelled", "rejected"] } },
+        },
+        select: {
+          id: true,
+          createdAt: true,
+          order: {
+            select: {
+              testName: true,
+              encounter: {
+                select: {
+                  departmentId: true,
+                  patient: {
+                    select: { mrn: true, firstName: true, lastName: true },
+                  },
+                },
+              },
+            },
+          },
+        },
+      });
+
+      return results.map((result) => ({
+        entityId: result.id,
+        departmentId: result.order.encounter.departmentId,
+        description: `${result.order.testName} result for ${patientLabel(
+          result.order.encounter.patient
+        )} has awaited approval for ${hoursBetween(
+          result.createdAt,
+          now
+        )} hours.`,
+      }));
+    },
+  },
+
+  vitals_implausible: {
+    name: "Implausible vital signs",
+    description:
+      "Clinical notes whose recorded vitals are outside physiological limits, not numeric, or have diastolic at or above systolic pressure (mostly notes written before vitals were validated)",
+    entityType: "clinical_note",
+    issueType: "invalid_data",
+    severity: "medium",
+    params: {},
+    async find(db) {
+      const implausible = [];
+      let cursor = null;
+
+      // Vitals are JSON, so they are checked here in batches of notes
+      for (;;) {
+        const notes = await db.clinicalNote.findMany({
+          where: {
+            vitals: { not: Prisma.DbNull },
+            status: { not: "entered_in_error" },
+          },
+          select: { id: true, vitals: true },
+          orderBy: { id: "asc" },
+          take: NOTE_BATCH_SIZE,
+          ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+        });
+
+        if (notes.length === 0) break;
+        cursor = notes[notes.length - 1].id;
+
+        notes.forEach((note) => {
+          const problems = describeImplausibleVitals(note.vitals);
+          if (problems.length > 0) {
+            implausible.push({ id: note.id, problems });
+          }
+        });
+      }
+
+      if (implausible.length === 0) return [];
+
+      const details = await db.clinicalNote.findMany({
+        where: { id: { in: implausible.map((note) => note.id) } },
+        select: {
+          id: true,
+          noteType: true,
+          createdAt: true,
+          encounter: {
+            select: {
+              departmentId: true,
+              patient: {
+                select: { mrn: true, firstName: true, lastName: true },
+              },
+            },
+          },
+        },
+      });
+      const notesById = new Map(details.map((note) => [note.id, note]));
+
+      return implausible.map(({ id, problems }) => {
+        const note = notesById.get(id);
+
+        return {
+          entityId: id,
+          departmentId: note.encounter.departmentId,
+          description: `Vitals in the ${note.noteType} note for ${patientLabel(
+            note.encounter.patient
+          )} written ${note.createdAt
+            .toISOString()
+            .slice(0, 16)
+            .replace("T", " ")} are implausible: ${problems.join(", ")}.`,
+        };
+      });
+    },
+  },
+};
+
+module.exports = {
+  DATA_QUALITY_RULES,
+};
@@ -0,0 +1,64 @@
+// DICOM Identifiers
+// Study Instance UID / accession number helpers for PACS matching
+
+const crypto = require("crypto");
+
+/**
+ * DICOM configuration
+ * The default root 2.25 derives UIDs from random UUIDs (PS3.5 B.2), so no
+ * registered organisation root is needed.
+ */
+const DICOM_CONFIG = {
+  uidRoot: process.env.DICOM_UID_ROOT || "2.25",
+};
+
+const UID_MAX_LENGTH = 64;
+const ACCESSION_MAX_LENGTH = 16;
+
+/**
+ * Generate a new Study Instance UID
+ * @returns {string} UID (e.g. 2.25.329800735698586629295641978511506172918)
+ */
+function generateStudyInstanceUid() {
+  const uuid = crypto.randomUUID().replace(/-/g, "");
+  const suffix = BigInt(`0x${uuid}`).toString();
+
+  return `${DICOM_CONFIG.uidRoot}.${suffix}`.slice(0, UID_MAX_LENGTH);
+}
+
+/**
+ * Check a DICOM UID: digits and dots, max 64 characters, no empty or
+ * zero-padded components
+ * @param {string} uid - UID
+ * @returns {boolean} Is valid
+ */
+function isValidDicomUid(uid) {
+  return (
+    typeof uid === "string" &&
+    uid.length <= UID_MAX_LENGTH &&
+    /^(0|[1-9]\d*)(\.(0|[1-9]\d*))+$/.test(uid)
+  );
+}
+
+/**
+ * Check a DICOM accession number (SH: max 16 chars, no backslash or
+ * control characters)
+ * @param {string} accessionNumber - Accession number
+ * @returns {boolean} Is valid
+ */
+function isValidAccessionNumber(accessionNumber) {
+  return (
+    typeof accessionNumber === "string" &&
+    accessionNumber.length > 0 &&
+    accessionNumber.length <= ACCESSION_MAX_LENGTH &&
+    /^[\x20-\x7e]+$/.test(accessionNumber) &&
+    !accessionNumber.includes("\\")
+  );
+}
+
+module.exports = {
+  DICOM_CONFIG,
+  generateStudyInstanceUid,
+  isValidDicomUid,
+  isValidAccessionNumber,
+};
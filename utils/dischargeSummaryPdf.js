@@ -0,0 +1,172 @@
+// Discharge Summary PDF
+// Renders a compiled discharge summary (see services/dischargeSummaryService.js)
+
+const PDFDocument = require("pdfkit");
+const { REPORT_CONFIG } = require("./radiologyReportPdf");
+
+/**
+ * Helper: Format a date as YYYY-MM-DD (and HH:MM when withTime)
+ */
+function formatSummaryDate(date, withTime = false) {
+  if (!date) return "";
+  const iso = new Date(date).toISOString();
+  return withTime
+    ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`
+    : iso.slice(0, 10);
+}
+
+/**
+ * Helper: Vitals as "Label value unit" lines
+ */
+function formatVitals(vitals) {
+  return vitals.map((vital) =>
+    [vital.label, vital.value, vital.unit].filter((v) => v !== null).join(" ")
+  );
+}
+
+/**
+ * Build the discharge summary PDF
+ * @param {Object} summary - Compiled discharge summary
+ * @returns {Promise<Buffer>} PDF document
+ */
+function buildDischargeSummaryPdf(summary) {
+  const { patient, encounter } = summary;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `Discharge summary - ${patient.mrn}`,
+        Subject: "Discharge summary",
+      },
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const row = (label, value) => {
+      if (value === undefined || value === null || value === "") return;
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .text(`${label}: `, { continued: true })
+        .font("Helvetica")
+        .text(String(value));
+    };
+
+    const heading = (text) => {
+      doc.moveDown(0.8).font("Helvetica-Bold").fontSize(12).text(text);
+      doc.moveDown(0.2);
+    };
+
+    const paragraph = (text) => {
+      doc.font("Helvetica").fontSize(10).text(text);
+    };
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(16).text(REPORT_CONFIG.institutionName);
+    doc.font("Helvetica").fontSize(12).text("Discharge summary");
+
+    heading("Patient");
+    row("Name", patient.name);
+    row("MRN", patient.mrn);
+    row("Date of birth", formatSummaryDate(patient.dateOfBirth));
+    row("Age", patient.age);
+    row("Sex", patient.sex);
+
+    heading("Encounter");
+    row("Department", encounter.department);
+    row("Type", encounter.encounterType.toUpperCase());
+    row("Admitted", formatSummaryDate(encounter.admissionDate, true));
+    row("Discharged", formatSummaryDate(encounter.dischargeDate, true));
+    row("Length of stay (days)", encounter.lengthOfStayDays);
+    row("Attending clinician", encounter.attendingClinician);
+    row("Outcome", encounter.outcome);
+    summary.transfers.forEach((transfer) =>
+      row(
+        "Transferred",
+        `${formatSummaryDate(transfer.at, true)} ${transfer.from} -> ${
+          transfer.to
+        }`
+      )
+    );
+
+    heading("Presenting complaint");
+    paragraph(summary.chiefComplaint || "Not recorded");
+
+    heading("Diagnoses");
+    if (summary.diagnoses.length === 0) {
+      paragraph(summary.diagnosisText || "Not recorded");
+    }
+    summary.diagnoses.forEach((diagnosis) =>
+      paragraph(
+        `${diagnosis.code}  ${diagnosis.description} (${diagnosis.diagnosisType}, ${diagnosis.certainty})`
+      )
+    );
+
+    if (summary.vitals.admission || summary.vitals.discharge) {
+      heading("Key vitals");
+      [
+        ["On admission", summary.vitals.admission],
+        ["At discharge", summary.vitals.discharge],
+      ].forEach(([label, set]) => {
+        if (!set) return;
+        const score =
+          set.score !== null ? ` - ${set.scoreType} ${set.score}` : "";
+        row(label, `${formatSummaryDate(set.measuredAt, true)}${score}`);
+        paragraph(formatVitals(set.values).join(", "));
+      });
+    }
+
+    if (summary.results.length > 0) {
+      heading("Investigations");
+      summary.results.forEach((order) => {
+        doc.moveDown(0.3);
+        row(
+          order.testName,
+          `${formatSummaryDate(order.reportedAt)}${
+            order.abnormal ? " (abnormal)" : ""
+          }`
+        );
+        order.values.forEach((line) => paragraph(`  ${line}`));
+        if (order.text) paragraph(order.text);
+      });
+    }
+
+    if (summary.pendingOrders.length > 0) {
+      heading("Results pending at discharge");
+      summary.pendingOrders.forEach((order) =>
+        paragraph(`${order.testName} (${order.status})`)
+      );
+    }
+
+    heading("Discharge notes");
+    if (summary.dischargeNotes.length === 0) paragraph("None recorded");
+    summary.dischargeNotes.forEach((note) => {
+      row(note.clinician, formatSummaryDate(note.at, true));
+      paragraph(note.text);
+      doc.moveDown(0.3);
+    });
+
+    doc
+      .moveDown(2)
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("gray")
+      .text(
+        `Generated ${formatSummaryDate(
+          summary.generatedAt,
+          true
+        )} - encounter ${encounter.id}`
+      );
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  buildDischargeSummaryPdf,
+};
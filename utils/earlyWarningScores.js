@@ -0,0 +1,282 @@
+// Early Warning Scores
+// NEWS2 for adults (16+) and an age-banded paediatric early warning score
+
+const { getAgeInDays } = require("./referenceRanges");
+
+const ADULT_AGE_DAYS = 16 * 365;
+
+/**
+ * Risk levels that mark a patient as deteriorating
+ */
+const EWS_CONFIG = {
+  alertRisks: (process.env.EWS_ALERT_RISKS || "medium,high")
+    .split(",")
+    .map((risk) => risk.trim())
+    .filter(Boolean),
+};
+
+/**
+ * Helper: Points for a value from [upperBound, points] bands (ascending)
+ */
+function band(value, bands) {
+  const match = bands.find(([upper]) => value <= upper);
+  return match ? match[1] : bands[bands.length - 1][1];
+}
+
+/**
+ * NEWS2 parameter scoring (Royal College of Physicians, 2017; SpO2 scale 1)
+ */
+const NEWS2_SCORING = {
+  respiratoryRate: (v) =>
+    band(v, [
+      [8, 3],
+      [11, 1],
+      [20, 0],
+      [24, 2],
+      [Infinity, 3],
+    ]),
+  oxygenSaturation: (v) =>
+    band(v, [
+      [91, 3],
+      [93, 2],
+      [95, 1],
+      [Infinity, 0],
+    ]),
+  supplementalOxygen: (v) => (v ? 2 : 0),
+  bloodPressureSystolic: (v) =>
+    band(v, [
+      [90, 3],
+      [100, 2],
+      [110, 1],
+      [219, 0],
+      [Infinity, 3],
+    ]),
+  pulse: (v) =>
+    band(v, [
+      [40, 3],
+      [50, 1],
+      [90, 0],
+      [110, 1],
+      [130, 2],
+      [Infinity, 3],
+    ]),
+  consciousness: (v) => (v === "alert" ? 0 : 3),
+  temperature: (v) =>
+    band(v, [
+      [35.0, 3],
+      [36.0, 1],
+      [38.0, 0],
+      [39.0, 1],
+      [Infinity, 2],
+    ]),
+};
+
+/**
+ * Normal ranges by age band for the paediatric score (APLS)
+ */
+const PEWS_AGE_BANDS = [
+  {
+    label: "under 1 year",
+    maxDays: 365,
+    pulse: [110, 160],
+    respiratoryRate: [30, 40],
+    bloodPressureSystolic: [70, 90],
+  },
+  {
+    label: "1-2 years",
+    maxDays: 2 * 365,
+    pulse: [100, 150],
+    respiratoryRate: [25, 35],
+    bloodPressureSystolic: [80, 95],
+  },
+  {
+    label: "2-5 years",
+    maxDays: 5 * 365,
+    pulse: [95, 140],
+    respiratoryRate: [25, 30],
+    bloodPressureSystolic: [80, 100],
+  },
+  {
+    label: "5-12 years",
+    maxDays: 12 * 365,
+    pulse: [80, 120],
+    respiratoryRate: [20, 25],
+    bloodPressureSystolic: [90, 110],
+  },
+  {
+    label: "12-16 years",
+    maxDays: ADULT_AGE_DAYS,
+    pulse: [60, 100],
+    respiratoryRate: [15, 20],
+    bloodPressureSystolic: [100, 120],
+  },
+];
+
+/**
+ * Helper: 0 inside the normal range, 1 within 20% outside it, 2 beyond
+ */
+function rangePoints(value, [low, high]) {
+  if (value >= low && value <= high) return 0;
+  return value >= low * 0.8 && value <= high * 1.2 ? 1 : 2;
+}
+
+/**
+ * Helper: Risk level from total score and the highest single parameter
+ */
+function news2Risk(score, components) {
+  if (score >= 7) return "high";
+  if (score >= 5) return "medium";
+  if (Object.values(components).some((points) => points === 3)) {
+    return "low_medium";
+  }
+  return "low";
+}
+
+/**
+ * Calculate NEWS2
+ * Missing supplementalOxygen is taken as breathing room air.
+ * @param {Object} values - Vital values keyed by code
+ * @returns {Object} { scoreType, score, risk, components, missing }
+ */
+function calculateNews2(values) {
+  const components = {};
+  const missing = [];
+
+  Object.keys(NEWS2_SCORING).forEach((code) => {
+    let value = values[code];
+
+    if (value === undefined && code === "supplementalOxygen") value = false;
+
+    if (value === undefined) {
+      missing.push(code);
+    } else {
+      components[code] = NEWS2_SCORING[code](value);
+    }
+  });
+
+  if (missing.length > 0) {
+    return { scoreType: "NEWS2", score: null, risk: null, components, missing };
+  }
+
+  const score = Object.values(components).reduce((sum, p) => sum + p, 0);
+
+  return {
+    scoreType: "NEWS2",
+    score,
+    risk: news2Risk(score, components),
+    components,
+    missing,
+  };
+}
+
+/**
+ * Calculate the paediatric early warning score
+ * Heart rate, respiratory rate and systolic BP are scored against APLS
+ * ranges for the child's age; SpO2, oxygen, consciousness and capillary
+ * refill add points when recorded.
+ * @param {Object} values - Vital values keyed by code
+ * @param {number} ageDays - Age in days
+ * @returns {Object} { scoreType, score, risk, components, missing, ageBand }
+ */
+function calculatePews(values, ageDays) {
+  const ageBand =
+    PEWS_AGE_BANDS.find((b) => ageDays < b.maxDays) ||
+    PEWS_AGE_BANDS[PEWS_AGE_BANDS.length - 1];
+  const components = {};
+  const missing = ["pulse", "respiratoryRate"].filter(
+    (code) => values[code] === undefined
+  );
+
+  ["pulse", "respiratoryRate", "bloodPressureSystolic"].forEach((code) => {
+    if (values[code] !== undefined) {
+      components[code] = rangePoints(values[code], ageBand[code]);
+    }
+  });
+
+  if (values.oxygenSaturation !== undefined) {
+    components.oxygenSaturation = band(values.oxygenSaturation, [
+      [91, 2],
+      [94, 1],
+      [Infinity, 0],
+    ]);
+  }
+  if (values.supplementalOxygen !== undefined) {
+    components.supplementalOxygen = values.supplementalOxygen ? 2 : 0;
+  }
+  if (values.consciousness !== undefined) {
+    components.consciousness = {
+      alert: 0,
+      confusion: 2,
+      voice: 2,
+      pain: 3,
+      unresponsive: 3,
+    }[values.consciousness];
+  }
+  if (values.capillaryRefill !== undefined) {
+    components.capillaryRefill = band(values.capillaryRefill, [
+      [2, 0],
+      [4, 1],
+      [Infinity, 2],
+    ]);
+  }
+
+  if (missing.length > 0) {
+    return {
+      scoreType: "PEWS",
+      score: null,
+      risk: null,
+      components,
+      missing,
+      ageBand: ageBand.label,
+    };
+  }
+
+  const score = Object.values(components).reduce((sum, p) => sum + p, 0);
+  const risk =
+    score >= 6 || components.consciousness === 3
+      ? "high"
+      : score >= 3
+      ? "medium"
+      : "low";
+
+  return {
+    scoreType: "PEWS",
+    score,
+    risk,
+    components,
+    missing,
+    ageBand: ageBand.label,
+  };
+}
+
+/**
+ * Calculate the early warning score appropriate for the patient's age
+ * Adults (and patients of unknown age) get NEWS2, children PEWS.
+ * @param {Object} values - Vital values keyed by code
+ * @param {Object} patient - Patient (dateOfBirth, ageEstimate)
+ * @param {Date} at - Measurement time
+ * @returns {Object} Score with deteriorating flag
+ */
+function calculateEarlyWarningScore(values, patient, at = new Date()) {
+  const ageDays = getAgeInDays(patient, at);
+
+  const result =
+    ageDays !== null && ageDays < ADULT_AGE_DAYS
+      ? calculatePews(values, ageDays)
+      : calculateNews2(values);
+
+  return {
+    ...result,
+    deteriorating: Boolean(
+      result.risk && EWS_CONFIG.alertRisks.includes(result.risk)
+    ),
+  };
+}
+
+module.exports = {
+  EWS_CONFIG,
+  PEWS_AGE_BANDS,
+  calculateNews2,
+  calculatePews,
+  calculateEarlyWarningScore,
+};
@@ -0,0 +1,537 @@
+// FHIR Mapper
+// Maps platform records to FHIR R4 resources
+
+const FHIR_SYSTEMS = {
+  mrn: "urn:hela-pha:mrn",
+  loinc: "http://loinc.org",
+  snomed: "http://snomed.info/sct",
+  ucum: "http://unitsofmeasure.org",
+  actCode: "http://terminology.hl7.org/CodeSystem/v3-ActCode",
+  observationCategory:
+    "http://terminology.hl7.org/CodeSystem/observation-category",
+  diagnosticService: "http://terminology.hl7.org/CodeSystem/v2-0074",
+  interpretation:
+    "http://terminology.hl7.org/CodeSystem/v3-ObservationInterpretation",
+  ageEstimate: "urn:hela-pha:fhir:StructureDefinition:age-estimate",
+  department: "urn:hela-pha:department",
+  identifierType: "http://terminology.hl7.org/CodeSystem/v2-0203",
+  dicomUid: "urn:dicom:uid",
+};
+
+/**
+ * ClinicalNote status to Observation status for vitals recorded in a note
+ */
+const VITALS_STATUS = {
+  draft: "preliminary",
+  signed: "final",
+  entered_in_error: "entered-in-error",
+};
+
+/**
+ * Vital sign codes (see utils/vitalSigns.js) mapped to LOINC codes
+ */
+const VITAL_SIGN_CODES = {
+  bloodPressureSystolic: {
+    code: "8480-6",
+    display: "Systolic blood pressure",
+    unit: "mm[Hg]",
+  },
+  bloodPressureDiastolic: {
+    code: "8462-4",
+    display: "Diastolic blood pressure",
+    unit: "mm[Hg]",
+  },
+  temperature: { code: "8310-5", display: "Body temperature", unit: "Cel" },
+  pulse: { code: "8867-4", display: "Heart rate", unit: "/min" },
+  respiratoryRate: {
+    code: "9279-1",
+    display: "Respiratory rate",
+    unit: "/min",
+  },
+  oxygenSaturation: {
+    code: "59408-5",
+    display: "Oxygen saturation in Arterial blood by Pulse oximetry",
+    unit: "%",
+  },
+  weight: { code: "29463-7", display: "Body weight", unit: "kg" },
+  height: { code: "8302-2", display: "Body height", unit: "cm" },
+  bmi: { code: "39156-5", display: "Body mass index (BMI)", unit: "kg/m2" },
+};
+
+const ENCOUNTER_CLASS = {
+  opd: { code: "AMB", display: "ambulatory" },
+  ipd: { code: "IMP", display: "inpatient encounter" },
+  emergency: { code: "EMER", display: "emergency" },
+};
+
+const ORDER_STATUS = {
+  pending: "active",
+  collected: "active",
+  processing: "active",
+  completed: "completed",
+  cancelled: "revoked",
+  rejected: "revoked",
+};
+
+const ORDER_CATEGORY = {
+  lab: { code: "108252007", display: "Laboratory procedure" },
+  radiology: { code: "363679005", display: "Imaging" },
+};
+
+/**
+ * Format a date as FHIR date (YYYY-MM-DD)
+ */
+function toFhirDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : undefined;
+}
+
+/**
+ * Format a date as FHIR instant/dateTime
+ */
+function toFhirDateTime(value) {
+  return value ? new Date(value).toISOString() : undefined;
+}
+
+/**
+ * Remove undefined/null/empty array properties so resources stay compact
+ */
+function compact(resource) {
+  Object.keys(resource).forEach((key) => {
+    const value = resource[key];
+    if (
+      value === undefined ||
+      value === null ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      delete resource[key];
+    }
+  });
+  return resource;
+}
+
+/**
+ * Build a FHIR Reference
+ */
+function reference(type, id, display) {
+  if (!id) return undefined;
+  return compact({ reference: `${type}/${id}`, display });
+}
+
+/**
+ * Display name for a referenced user
+ */
+function userDisplay(user) {
+  return user ? `${user.firstName} ${user.lastName}` : undefined;
+}
+
+/**
+ * Map Patient to FHIR Patient
+ */
+function toFhirPatient(patient) {
+  const identifiers = [
+    {
+      use: "official",
+      system: FHIR_SYSTEMS.mrn,
+      value: patient.mrn,
+    },
+  ];
+
+  (patient.aliases || []).forEach((alias) => {
+    identifiers.push({
+      use: "old",
+      system: FHIR_SYSTEMS.mrn,
+      value: alias.mrn,
+    });
+  });
+
+  const given = [patient.firstName, patient.middleName].filter(Boolean);
+
+  const address = compact({
+    use: "home",
+    line: patient.address ? [patient.address] : undefined,
+    city: patient.city || patient.town || undefined,
+    district: patient.district || undefined,
+    state: patient.province || undefined,
+  });
+
+  return compact({
+    resourceType: "Patient",
+    id: patient.id,
+    meta: { lastUpdated: toFhirDateTime(patient.updatedAt) },
+    identifier: identifiers,
+    active: !patient.isArchived,
+    name: [
+      {
+        use: "official",
+        family: patient.lastName,
+        given,
+      },
+    ],
+    telecom: patient.phoneNumber
+      ? [{ system: "phone", value: patient.phoneNumber, use: "mobile" }]
+      : undefined,
+    gender: ["male", "female", "other"].includes(patient.sex)
+      ? patient.sex
+      : "unknown",
+    birthDate: toFhirDate(patient.dateOfBirth),
+    extension:
+      !patient.dateOfBirth && patient.ageEstimate
+        ? [
+            {
+              url: FHIR_SYSTEMS.ageEstimate,
+              valueAge: {
+                value: patient.ageEstimate,
+                unit: "years",
+                system: FHIR_SYSTEMS.ucum,
+                code: "a",
+              },
+            },
+          ]
+        : undefined,
+    address: Object.keys(address).length > 1 ? [address] : undefined,
+    contact: patient.nextOfKinName
+      ? [
+          compact({
+            relationship: patient.nextOfKinRelation
+              ? [{ text: patient.nextOfKinRelation }]
+              : undefined,
+            name: { text: patient.nextOfKinName },
+            telecom: patient.nextOfKinPhone
+              ? [{ system: "phone", value: patient.nextOfKinPhone }]
+              : undefined,
+          }),
+        ]
+      : undefined,
+    link: patient.mergedIntoId
+      ? [
+          {
+            other: reference("Patient", patient.mergedIntoId),
+            type: "replaced-by",
+          },
+        ]
+      : undefined,
+  });
+}
+
+/**
+ * Map Encounter to FHIR Encounter
+ */
+function toFhirEncounter(encounter) {
+  const encounterClass = ENCOUNTER_CLASS[encounter.encounterType] || {
+    code: encounter.encounterType,
+  };
+
+  return compact({
+    resourceType: "Encounter",
+    id: encounter.id,
+    meta: { lastUpdated: toFhirDateTime(encounter.updatedAt) },
+    status: encounter.status === "closed" ? "finished" : "in-progress",
+    class: { system: FHIR_SYSTEMS.actCode, ...encounterClass },
+    serviceType: encounter.department
+      ? {
+          coding: [
+            {
+              system: FHIR_SYSTEMS.department,
+              code: encounter.department.code,
+              display: encounter.department.name,
+            },
+          ],
+        }
+      : undefined,
+    subject: reference("Patient", encounter.patientId),
+    participant: encounter.attendingClinicianId
+      ? [
+          {
+            type: [{ text: "attending" }],
+            individual: reference(
+              "Practitioner",
+              encounter.attendingClinicianId,
+              userDisplay(encounter.attendingClinician)
+            ),
+          },
+        ]
+      : undefined,
+    period: compact({
+      start: toFhirDateTime(encounter.admissionDate),
+      end: toFhirDateTime(encounter.dischargeDate),
+    }),
+    reasonCode: encounter.chiefComplaint
+      ? [{ text: encounter.chiefComplaint }]
+      : undefined,
+    hospitalization: encounter.outcome
+      ? { dischargeDisposition: { text: encounter.outcome } }
+      : undefined,
+  });
+}
+
+/**
+ * Map a VitalSignSet (with observations and clinicalNote status) to FHIR
+ * vital-sign Observations
+ * One Observation is produced per LOINC-coded vital sign
+ */
+function toFhirVitalObservations(set) {
+  const status = set.clinicalNote
+    ? VITALS_STATUS[set.clinicalNote.status] || "final"
+    : "final";
+
+  return (set.observations || [])
+    .filter((observation) => VITAL_SIGN_CODES[observation.code])
+    .map((observation) => {
+      const vital = VITAL_SIGN_CODES[observation.code];
+      const numeric =
+        observation.value !== null && observation.value !== undefined;
+      const unit = observation.unit || vital.unit;
+
+      return compact({
+        resourceType: "Observation",
+        id: `vitals-${set.id}-${observation.code}`,
+        status,
+        category: [
+          {
+            coding: [
+              {
+                system: FHIR_SYSTEMS.observationCategory,
+                code: "vital-signs",
+                display: "Vital Signs",
+              },
+            ],
+          },
+        ],
+        code: {
+          coding: [
+            {
+              system: FHIR_SYSTEMS.loinc,
+              code: vital.code,
+              display: vital.display,
+            },
+          ],
+          text: vital.display,
+        },
+        subject: reference("Patient", set.patientId),
+        encounter: reference("Encounter", set.encounterId),
+        effectiveDateTime: toFhirDateTime(set.measuredAt),
+        performer: set.measuredBy
+          ? [reference("Practitioner", set.measuredBy)]
+          : undefined,
+        valueQuantity: numeric
+          ? {
+              value: observation.value,
+              unit,
+              system: FHIR_SYSTEMS.ucum,
+              code: unit,
+            }
+          : undefined,
+        valueString: numeric ? undefined : observation.valueText,
+      });
+    });
+}
+
+/**
+ * Status shared by a result's DiagnosticReport and Observations
+ */
+function resultStatus(result) {
+  if (!result.approvedBy) return "preliminary";
+  return ["amended", "corrected"].includes(result.status)
+    ? result.status
+    : "final";
+}
+
+/**
+ * Map Result.resultData entries to FHIR Observations
+ */
+function toFhirResultObservations(result, patientId, encounterId) {
+  if (!result.resultData || typeof result.resultData !== "object") {
+    return [];
+  }
+
+  const category =
+    result.resultType === "radiology_report" ? "imaging" : "laboratory";
+
+  return Object.keys(result.resultData).map((key) => {
+    const entry = result.resultData[key];
+    const rawValue =
+      entry && typeof entry === "object" && "value" in entry
+        ? entry.value
+        : entry;
+    const unit = entry && typeof entry === "object" ? entry.unit : undefined;
+    const numeric =
+      rawValue !== null && rawValue !== "" && !isNaN(Number(rawValue));
+
+    return compact({
+      resourceType: "Observation",
+      id: `result-${result.id}-${key}`,
+      status: resultStatus(result),
+      category: [
+        {
+          coding: [
+            {
+              system: FHIR_SYSTEMS.observationCategory,
+              code: category,
+            },
+          ],
+        },
+      ],
+      code: { text: key },
+      subject: reference("Patient", patientId),
+      encounter: reference("Encounter", encounterId),
+      effectiveDateTime: toFhirDateTime(result.createdAt),
+      issued: toFhirDateTime(result.approvedAt || result.createdAt),
+      valueQuantity: numeric
+        ? compact({
+            value: Number(rawValue),
+            unit,
+            system: unit ? FHIR_SYSTEMS.ucum : undefined,
+          })
+        : undefined,
+      valueString:
+        !numeric && rawValue !== null && rawValue !== undefined
+          ? typeof rawValue === "object"
+            ? JSON.stringify(rawValue)
+            : String(rawValue)
+          : undefined,
+    });
+  });
+}
+
+/**
+ * Map Order to FHIR ServiceRequest
+ */
+function toFhirServiceRequest(order) {
+  const category = ORDER_CATEGORY[order.orderType];
+
+  // Imaging identifiers let a PACS match its studies to the request
+  const identifiers = [];
+
+  if (order.imagingAccessionNumber) {
+    identifiers.push({
+      type: {
+        coding: [{ system: FHIR_SYSTEMS.identifierType, code: "ACSN" }],
+      },
+      value: order.imagingAccessionNumber,
+    });
+  }
+
+  if (order.studyInstanceUid) {
+    identifiers.push({
+      system: FHIR_SYSTEMS.dicomUid,
+      value: `urn:oid:${order.studyInstanceUid}`,
+    });
+  }
+
+  return compact({
+    resourceType: "ServiceRequest",
+    id: order.id,
+    meta: { lastUpdated: toFhirDateTime(order.updatedAt) },
+    identifier: identifiers,
+    status: ORDER_STATUS[order.status] || "unknown",
+    intent: "order",
+    priority: order.priority,
+    category: category
+      ? [
+          {
+            coding: [{ system: FHIR_SYSTEMS.snomed, ...category }],
+            text: order.orderCategory || undefined,
+          },
+        ]
+      : undefined,
+    code: { text: order.testName },
+    subject: reference("Patient", order.encounter?.patientId),
+    encounter: reference("Encounter", order.encounterId),
+    authoredOn: toFhirDateTime(order.createdAt),
+    requester: reference(
+      "Practitioner",
+      order.orderingClinician,
+      userDisplay(order.clinician)
+    ),
+    note: order.notes ? [{ text: order.notes }] : undefined,
+  });
+}
+
+/**
+ * Map Result to FHIR DiagnosticReport
+ */
+function toFhirDiagnosticReport(result) {
+  const patientId = result.order?.encounter?.patientId;
+  const encounterId = result.order?.encounterId;
+  const isRadiology = result.resultType === "radiology_report";
+
+  const attachments = Array.isArray(result.attachments)
+    ? result.attachments
+    : [];
+
+  return compact({
+    resourceType: "DiagnosticReport",
+    id: result.id,
+    meta: { lastUpdated: toFhirDateTime(result.updatedAt) },
+    basedOn: [reference("ServiceRequest", result.orderId)],
+    status: resultStatus(result),
+    category: [
+      {
+        coding: [
+          {
+            system: FHIR_SYSTEMS.diagnosticService,
+            code: isRadiology ? "RAD" : "LAB",
+          },
+        ],
+      },
+    ],
+    code: { text: result.order?.testName || result.resultType },
+    subject: reference("Patient", patientId),
+    encounter: reference("Encounter", encounterId),
+    effectiveDateTime: toFhirDateTime(result.createdAt),
+    issued: toFhirDateTime(result.approvedAt || result.createdAt),
+    performer: [
+      reference(
+        "Practitioner",
+        result.enteredBy,
+        userDisplay(result.technician)
+      ),
+    ],
+    resultsInterpreter: result.approvedBy
+      ? [reference("Practitioner", result.approvedBy)]
+      : undefined,
+    result: Object.keys(result.resultData || {}).map((key) =>
+      reference("Observation", `result-${result.id}-${key}`)
+    ),
+    conclusion: result.resultText || undefined,
+    conclusionCode:
+      result.criticalFlag || result.isAbnormal
+        ? [
+            {
+              coding: [
+                {
+                  system: FHIR_SYSTEMS.interpretation,
+                  code: result.criticalFlag ? "AA" : "A",
+                  display: result.criticalFlag
+                    ? "Critical abnormal"
+                    : "Abnormal",
+                },
+              ],
+            },
+          ]
+        : undefined,
+    presentedForm: attachments.map((url) => ({ url: String(url) })),
+  });
+}
+
+/**
+ * Build FHIR OperationOutcome
+ */
+function toOperationOutcome(severity, code, diagnostics) {
+  return {
+    resourceType: "OperationOutcome",
+    issue: [{ severity, code, diagnostics }],
+  };
+}
+
+module.exports = {
+  FHIR_SYSTEMS,
+  VITAL_SIGN_CODES,
+  toFhirPatient,
+  toFhirEncounter,
+  toFhirVitalObservations,
+  toFhirResultObservations,
+  toFhirServiceRequest,
+  toFhirDiagnosticReport,
+  toOperationOutcome,
+};
@@ -0,0 +1,320 @@
+// HL7 v2 Parser
+// Parses and builds pipe-delimited (ER7) HL7 v2 messages
+
+const HL7_VERSION = "2.5";
+
+/**
+ * Parse a raw HL7 v2 message
+ * Segments may be separated by \r, \n or \r\n.
+ * @param {string} raw - Raw ER7 message
+ * @returns {Object} { segments, delimiters, header }
+ */
+function parseMessage(raw) {
+  if (!raw || typeof raw !== "string") {
+    throw new Error("Empty HL7 message");
+  }
+
+  // Strip MLLP framing characters if present
+  const text = raw
+    .replace(/^\x0b/, "")
+    .replace(/\x1c\r?$/, "")
+    .trim();
+
+  if (!text.startsWith("MSH")) {
+    throw new Error("HL7 message must start with an MSH segment");
+  }
+
+  const delimiters = {
+    field: text[3],
+    component: text[4],
+    repetition: text[5],
+    escape: text[6],
+    subcomponent: text[7],
+  };
+
+  const segments = text
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const fields = line.split(delimiters.field);
+      const name = fields[0];
+
+      // MSH-1 is the field separator itself, so shift MSH fields by one
+      if (name === "MSH") {
+        fields.splice(1, 0, delimiters.field);
+      }
+
+      return { name, fields };
+    });
+
+  const message = { segments, delimiters };
+  const msh = segments[0];
+
+  message.header = {
+    sendingApplication: getComponent(message, msh, 3, 1),
+    sendingFacility: getComponent(message, msh, 4, 1),
+    receivingApplication: getComponent(message, msh, 5, 1),
+    receivingFacility: getComponent(message, msh, 6, 1),
+    dateTime: getField(msh, 7),
+    messageType: getComponent(message, msh, 9, 1),
+    triggerEvent: getComponent(message, msh, 9, 2),
+    controlId: getField(msh, 10),
+    processingId: getField(msh, 11),
+    version: getField(msh, 12),
+  };
+
+  return message;
+}
+
+/**
+ * Get raw field value (1-based, as numbered in the HL7 spec)
+ * @param {Object} segment - Parsed segment
+ * @param {number} index - Field number
+ * @returns {string} Field value or empty string
+ */
+function getField(segment, index) {
+  return (segment && segment.fields[index]) || "";
+}
+
+/**
+ * Get a component of a field (1-based), unescaped
+ * @param {Object} message - Parsed message (for delimiters)
+ * @param {Object} segment - Parsed segment
+ * @param {number} fieldIndex - Field number
+ * @param {number} componentIndex - Component number
+ * @returns {string} Component value or empty string
+ */
+function getComponent(message, segment, fieldIndex, componentIndex) {
+  const field = getField(segment, fieldIndex).split(
+    message.delimiters.repetition
+  )[0];
+  const component = field.split(message.delimiters.component)[
+    componentIndex - 1
+  ];
+
+  return unescapeValue(message, component || "");
+}
+
+/**
+ * Decode HL7 escape sequences (\F\ \S\ \T\ \R\ \E\)
+ */
+function unescapeValue(message, value) {
+  const { escape, field, component, subcomponent, repetition } =
+    message.delimiters;
+
+  if (!value.includes(escape)) return value;
+
+  const map = {
+    F: field,
+    S: component,
+    T: subcomponent,
+    R: repetition,
+    E: escape,
+    ".br": "\n",
+  };
+
+  const pattern = new RegExp(`\\${escape}(F|S|T|R|E|\\.br)\\${escape}`, "g");
+
+  return value.replace(pattern, (match, code) => map[code]);
+}
+
+/**
+ * Encode a value for use inside an HL7 field
+ */
+function escapeValue(value) {
+  if (value === null || value === undefined) return "";
+
+  return String(value)
+    .replace(/\\/g, "\\E\\")
+    .replace(/\|/g, "\\F\\")
+    .replace(/\^/g, "\\S\\")
+    .replace(/&/g, "\\T\\")
+    .replace(/~/g, "\\R\\")
+    .replace(/\r?\n/g, "\\.br\\");
+}
+
+/**
+ * Find all segments with a given name
+ * @param {Object} message - Parsed message
+ * @param {string} name - Segment name (e.g. "OBX")
+ * @returns {Array} Matching segments
+ */
+function getSegments(message, name) {
+  return message.segments.filter((segment) => segment.name === name);
+}
+
+/**
+ * Split an ORU message into order groups: each OBR with the ORC before it
+ * and the OBX / NTE segments that follow it
+ * @param {Object} message - Parsed message
+ * @returns {Array} [{ orc, obr, observations: [{ obx, notes }], notes }]
+ */
+function getOrderGroups(message) {
+  const groups = [];
+  let currentOrc = null;
+  let currentGroup = null;
+  let currentObservation = null;
+
+  message.segments.forEach((segment) => {
+    switch (segment.name) {
+      case "ORC":
+        currentOrc = segment;
+        break;
+      case "OBR":
+        currentGroup = {
+          orc: currentOrc,
+          obr: segment,
+          observations: [],
+          notes: [],
+        };
+        currentObservation = null;
+        groups.push(currentGroup);
+        break;
+      case "OBX":
+        if (currentGroup) {
+          currentObservation = { obx: segment, notes: [] };
+          currentGroup.observations.push(currentObservation);
+        }
+        break;
+      case "NTE":
+        if (currentObservation) {
+          currentObservation.notes.push(segment);
+        } else if (currentGroup) {
+          currentGroup.notes.push(segment);
+        }
+        break;
+      default:
+        break;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Format a date as an HL7 timestamp (YYYYMMDDHHMMSS)
+ * @param {Date} date - Date to format
+ * @returns {string} HL7 timestamp
+ */
+function formatHl7DateTime(date = new Date()) {
+  return new Date(date).toISOString().replace(/[-:T]/g, "").slice(0, 14);
+}
+
+/**
+ * Format a date as an HL7 date (YYYYMMDD)
+ */
+function formatHl7Date(date) {
+  if (!date) return "";
+  return formatHl7DateTime(date).slice(0, 8);
+}
+
+/**
+ * Parse an HL7 timestamp (YYYYMMDD[HHMM[SS]]) into a Date
+ * @param {string} value - HL7 timestamp
+ * @returns {Date|null} Parsed date
+ */
+function parseHl7DateTime(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(\d{2})?(\d{2})?(\d{2})?/.exec(
+    value || ""
+  );
+  if (!match) return null;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00"] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`);
+
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Serialize segments into an ER7 message
+ * @param {Array} segments - Array of field arrays, e.g. [["PID", "", "", "MRN"]]
+ * @returns {string} Message with \r segment terminators
+ */
+function buildMessage(segments) {
+  return segments
+    .map((fields) => fields.map((f) => (f === undefined ? "" : f)).join("|"))
+    .join("\r");
+}
+
+/**
+ * Build an MSH segment
+ * @param {Object} options - { messageType, controlId, sendingApplication,
+ *   sendingFacility, receivingApplication, receivingFacility, processingId }
+ * @returns {Array} MSH field array
+ */
+function buildMSH(options) {
+  return [
+    "MSH",
+    "^~\\&",
+    options.sendingApplication || "",
+    options.sendingFacility || "",
+    options.receivingApplication || "",
+    options.receivingFacility || "",
+    formatHl7DateTime(),
+    "",
+    options.messageType,
+    options.controlId,
+    options.processingId || "P",
+    HL7_VERSION,
+  ];
+}
+
+/**
+ * Build an ACK message for a received message
+ * @param {Object|null} message - Parsed original message (null if unparseable)
+ * @param {string} ackCode - AA (accept), AE (error), AR (reject)
+ * @param {string} text - Acknowledgement text / error description
+ * @param {Object} options - { sendingApplication, sendingFacility, controlId }
+ * @returns {string} ER7 ACK message
+ */
+function buildAck(message, ackCode, text, options = {}) {
+  const header = (message && message.header) || {};
+  const trigger = header.triggerEvent || "";
+
+  const segments = [
+    buildMSH({
+      sendingApplication: options.sendingApplication,
+      sendingFacility: options.sendingFacility,
+      receivingApplication: header.sendingApplication,
+      receivingFacility: header.sendingFacility,
+      messageType: `ACK^${trigger}^ACK`,
+      controlId: options.controlId || `ACK${Date.now()}`,
+      processingId: header.processingId,
+    }),
+    ["MSA", ackCode, header.controlId || "", escapeValue(text)],
+  ];
+
+  if (ackCode !== "AA" && text) {
+    // ERR-3 error code (207 = application internal error), ERR-4 severity
+    segments.push([
+      "ERR",
+      "",
+      "",
+      "207^Application internal error^HL70357",
+      "E",
+      "",
+      "",
+      "",
+      escapeValue(text),
+    ]);
+  }
+
+  return buildMessage(segments);
+}
+
+module.exports = {
+  HL7_VERSION,
+  parseMessage,
+  getField,
+  getComponent,
+  getSegments,
+  getOrderGroups,
+  escapeValue,
+  formatHl7DateTime,
+  formatHl7Date,
+  parseHl7DateTime,
+  buildMessage,
+  buildMSH,
+  buildAck,
+};
@@ -0,0 +1,137 @@
+// KPI Periods
+// Date ranges, days and granularity buckets shared by the KPI,
+// KPI snapshot and completeness services
+
+const { AppError } = require("../middleware/errorHandler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GRANULARITIES = ["day", "week", "month"];
+
+/**
+ * Parse from/to query parameters
+ * @param {Object} filters - { from, to (default: now) }
+ * @param {number} defaultDays - Days before to when from is omitted
+ * @returns {Object} { from, to }
+ */
+function parsePeriod(filters, defaultDays) {
+  const to = filters.to ? new Date(filters.to) : new Date();
+  const from = filters.from
+    ? new Date(filters.from)
+    : new Date(to.getTime() - defaultDays * DAY_MS);
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    throw new AppError("from and to must be valid dates, from before to", 400);
+  }
+
+  return { from, to };
+}
+
+/**
+ * Parse the granularity query parameter
+ * @param {string} granularity - day, week or month
+ * @param {string} defaultGranularity - Used when omitted
+ * @returns {string} Granularity
+ */
+function parseGranularity(granularity, defaultGranularity = "day") {
+  const value = granularity || defaultGranularity;
+
+  if (!GRANULARITIES.includes(value)) {
+    throw new AppError(
+      `granularity must be one of: ${GRANULARITIES.join(", ")}`,
+      400
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Local midnight of a date
+ * @param {Date|string|number} date - Date
+ * @returns {Date} Start of the day
+ */
+function startOfDay(date) {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+}
+
+/**
+ * Days (local midnights) from the day of from to the day of to, inclusive
+ * @param {Date} from - Range start
+ * @param {Date} to - Range end
+ * @returns {Array<Date>} Days
+ */
+function eachDay(from, to) {
+  const days = [];
+  const day = startOfDay(from);
+
+  while (day <= to) {
+    days.push(new Date(day));
+    day.setDate(day.getDate() + 1);
+  }
+
+  return days;
+}
+
+/**
+ * Start of the day, week (Monday) or month a date falls in
+ * @param {Date} date - Date
+ * @param {string} granularity - day, week or month
+ * @returns {Date} Bucket start
+ */
+function periodStart(date, granularity) {
+  const start = startOfDay(date);
+
+  if (granularity === "week") {
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  } else if (granularity === "month") {
+    start.setDate(1);
+  }
+
+  return start;
+}
+
+/**
+ * Start of the day, week or month after the one a date falls in
+ * @param {Date} date - Date
+ * @param {string} granularity - day, week or month
+ * @returns {Date} Next bucket start
+ */
+function nextPeriodStart(date, granularity) {
+  const next = periodStart(date, granularity);
+
+  if (granularity === "week") {
+    next.setDate(next.getDate() + 7);
+  } else if (granularity === "month") {
+    next.setMonth(next.getMonth() + 1);
+  } else {
+    next.setDate(next.getDate() + 1);
+  }
+
+  return next;
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Formatted date
+ */
+function formatDate(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+module.exports = {
+  DAY_MS,
+  GRANULARITIES,
+  parsePeriod,
+  parseGranularity,
+  startOfDay,
+  eachDay,
+  periodStart,
+  nextPeriodStart,
+  formatDate,
+};
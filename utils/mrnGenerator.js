@@ -4,55 +4,228 @@
 const { prisma } = require("../config/database");
 
 /**
- * Generate unique MRN
- * Format: HELA-YYYYMMDD-XXXX (e.g., HELA-20231201-0001)
- * @returns {Promise<string>} Generated MRN
+ * MRN configuration
+ * Template tokens: {FACILITY}, {DATE} (YYYYMMDD), {SEQ}, {CHECK}
  */
-async function generateMRN() {
-  const prefix = "HELA";
-  const today = new Date();
-  const dateString = today.toISOString().slice(0, 10).replace(/-/g, "");
-
-  // Get count of patients created today
-  const startOfDay = new Date(today.setHours(0, 0, 0, 0));
-  const endOfDay = new Date(today.setHours(23, 59, 59, 999));
-
-  const todayCount = await prisma.patient.count({
-    where: {
-      createdAt: {
-        gte: startOfDay,
-        lte: endOfDay,
-      },
-    },
-  });
+const MRN_CONFIG = {
+  facilityCode: process.env.MRN_FACILITY_CODE || "HELA",
+  format: process.env.MRN_FORMAT || "{FACILITY}-{DATE}-{SEQ}{CHECK}",
+  sequenceLength: parseInt(process.env.MRN_SEQUENCE_LENGTH) || 4,
+  checkDigit: process.env.MRN_CHECK_DIGIT || "luhn", // luhn, mod11
+  sequenceReset: process.env.MRN_SEQUENCE_RESET || "daily", // daily, never
+};
 
-  // Generate sequential number
-  const sequenceNumber = String(todayCount + 1).padStart(4, "0");
+// Sequence key used when the sequence never resets
+const CONTINUOUS_SEQUENCE_KEY = "00000000";
 
-  const mrn = `${prefix}-${dateString}-${sequenceNumber}`;
+/**
+ * Validate the MRN configuration (checked when the module loads, so a bad
+ * template stops the server instead of issuing unusable MRNs)
+ * {SEQ} is required, {DATE} too when the sequence resets daily (otherwise
+ * each day would reissue the same MRNs); tokens may appear once each.
+ * @param {Object} config - MRN configuration
+ * @returns {Object} The configuration
+ */
+function validateMRNConfig(config) {
+  const errors = [];
+  const count = (token) => config.format.split(token).length - 1;
 
-  // Verify uniqueness (should always be unique, but double-check)
-  const existing = await prisma.patient.findUnique({
-    where: { mrn },
+  if (count("{SEQ}") !== 1) {
+    errors.push("MRN_FORMAT must contain {SEQ} exactly once");
+  }
+  ["{FACILITY}", "{DATE}", "{CHECK}"].forEach((token) => {
+    if (count(token) > 1) {
+      errors.push(`MRN_FORMAT may contain ${token} only once`);
+    }
   });
+  if (!["daily", "never"].includes(config.sequenceReset)) {
+    errors.push("MRN_SEQUENCE_RESET must be daily or never");
+  } else if (config.sequenceReset === "daily" && count("{DATE}") === 0) {
+    errors.push(
+      "MRN_FORMAT must contain {DATE} when MRN_SEQUENCE_RESET is daily"
+    );
+  }
+  if (!["luhn", "mod11"].includes(config.checkDigit)) {
+    errors.push("MRN_CHECK_DIGIT must be luhn or mod11");
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid MRN configuration: ${errors.join("; ")}`);
+  }
+
+  return config;
+}
+
+validateMRNConfig(MRN_CONFIG);
+
+const HAS_DATE = MRN_CONFIG.format.includes("{DATE}");
+const HAS_CHECK = MRN_CONFIG.format.includes("{CHECK}");
+
+// MRNs issued before sequence allocation (no check digit)
+const LEGACY_MRN_PATTERN = /^HELA-\d{8}-\d{4}(-\d+)?$/;
+
+/**
+ * Calculate Luhn (mod 10) check digit
+ * @param {string} digits - Numeric string
+ * @returns {string} Check digit
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i], 10);
 
-  if (existing) {
-    // If somehow exists, add random suffix
-    const randomSuffix = Math.floor(Math.random() * 1000);
-    return `${mrn}-${randomSuffix}`;
+    // Double every second digit starting from the rightmost
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
   }
 
-  return mrn;
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Calculate mod 11 check digit (weights 2-7 from the right, 10 => X)
+ * @param {string} digits - Numeric string
+ * @returns {string} Check digit
+ */
+function mod11CheckDigit(digits) {
+  let sum = 0;
+
+  for (let i = 0; i < digits.length; i++) {
+    const weight = (i % 6) + 2;
+    sum += parseInt(digits[digits.length - 1 - i], 10) * weight;
+  }
+
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+/**
+ * Calculate check digit for the numeric part of an MRN
+ * @param {string|null} dateString - YYYYMMDD (null when the template has
+ *   no {DATE})
+ * @param {string} sequence - Padded sequence number
+ * @returns {string} Check digit
+ */
+function calculateCheckDigit(dateString, sequence) {
+  const digits = `${dateString || ""}${sequence}`;
+
+  return MRN_CONFIG.checkDigit === "mod11"
+    ? mod11CheckDigit(digits)
+    : luhnCheckDigit(digits);
+}
+
+/**
+ * Build MRN string from template
+ */
+function formatMRN(facilityCode, dateString, sequence) {
+  const check = HAS_CHECK
+    ? calculateCheckDigit(HAS_DATE ? dateString : null, sequence)
+    : "";
+
+  return MRN_CONFIG.format
+    .replace("{FACILITY}", facilityCode)
+    .replace("{DATE}", dateString)
+    .replace("{SEQ}", sequence)
+    .replace("{CHECK}", check);
+}
+
+/**
+ * Build a regular expression for the configured template
+ * Capture groups: facility, date, sequence, check
+ */
+function buildMRNPattern() {
+  const escaped = MRN_CONFIG.format.replace(/[.*+?^$()|[\]\\-]/g, "\\$&");
+
+  const pattern = escaped
+    .replace("{FACILITY}", "(?<facility>[A-Z0-9]+)")
+    .replace("{DATE}", "(?<date>\\d{8})")
+    .replace("{SEQ}", `(?<sequence>\\d{${MRN_CONFIG.sequenceLength},})`)
+    .replace("{CHECK}", "(?<check>[0-9X])");
+
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Allocate the next sequence number for a facility and day
+ * Uses a single INSERT ... ON CONFLICT so concurrent registrations
+ * never receive the same value.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {string} facilityCode - Facility code
+ * @param {string} dateString - YYYYMMDD
+ * @returns {Promise<number>} Allocated sequence value
+ */
+async function allocateSequence(db, facilityCode, dateString) {
+  const rows = await db.$queryRaw`
+    INSERT INTO "MrnSequence" ("facilityCode", "sequenceDate", "lastValue", "updatedAt")
+    VALUES (${facilityCode}, ${dateString}, 1, NOW())
+    ON CONFLICT ("facilityCode", "sequenceDate")
+    DO UPDATE SET "lastValue" = "MrnSequence"."lastValue" + 1, "updatedAt" = NOW()
+    RETURNING "lastValue"
+  `;
+
+  return Number(rows[0].lastValue);
+}
+
+/**
+ * Generate unique MRN
+ * Format (default): HELA-YYYYMMDD-XXXXC (e.g., HELA-20231201-00011)
+ * Call with the transaction client used to create the patient so an
+ * aborted registration also releases its sequence number.
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} options - { facilityCode }
+ * @returns {Promise<string>} Generated MRN
+ */
+async function generateMRN(db = prisma, options = {}) {
+  const facilityCode = (
+    options.facilityCode || MRN_CONFIG.facilityCode
+  ).toUpperCase();
+  const dateString = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+
+  const value = await allocateSequence(
+    db,
+    facilityCode,
+    MRN_CONFIG.sequenceReset === "daily" ? dateString : CONTINUOUS_SEQUENCE_KEY
+  );
+  const sequence = String(value).padStart(MRN_CONFIG.sequenceLength, "0");
+
+  return formatMRN(facilityCode, dateString, sequence);
 }
 
 /**
- * Validate MRN format
+ * Validate MRN format and check digit (when the template has {CHECK})
  * @param {string} mrn - MRN to validate
  * @returns {boolean} Is valid
  */
 function validateMRN(mrn) {
-  const mrnPattern = /^HELA-\d{8}-\d{4}(-\d+)?$/;
-  return mrnPattern.test(mrn);
+  if (typeof mrn !== "string") {
+    return false;
+  }
+
+  const match = buildMRNPattern().exec(mrn.toUpperCase());
+  if (!match) {
+    return false;
+  }
+
+  if (!HAS_CHECK) {
+    return true;
+  }
+
+  const { date, sequence, check } = match.groups;
+  return calculateCheckDigit(date || null, sequence) === check;
+}
+
+/**
+ * Check whether an MRN uses the legacy format (issued without check digit)
+ * @param {string} mrn - MRN to check
+ * @returns {boolean} Is legacy MRN
+ */
+function isLegacyMRN(mrn) {
+  return LEGACY_MRN_PATTERN.test(mrn);
 }
 
 /**
@@ -65,23 +238,32 @@ function parseMRN(mrn) {
     return null;
   }
 
-  const parts = mrn.split("-");
-  const dateString = parts[1];
-
-  const year = dateString.substring(0, 4);
-  const month = dateString.substring(4, 6);
-  const day = dateString.substring(6, 8);
+  const { facility, date, sequence, check } = buildMRNPattern().exec(
+    mrn.toUpperCase()
+  ).groups;
 
   return {
-    prefix: parts[0],
-    date: new Date(`${year}-${month}-${day}`),
-    sequence: parseInt(parts[2], 10),
+    prefix: facility || null,
+    date: date
+      ? new Date(
+          `${date.substring(0, 4)}-${date.substring(4, 6)}-${date.substring(
+            6,
+            8
+          )}`
+        )
+      : null,
+    sequence: parseInt(sequence, 10),
+    checkDigit: check || null,
     full: mrn,
   };
 }
 
 module.exports = {
+  MRN_CONFIG,
+  validateMRNConfig,
   generateMRN,
   validateMRN,
+  isLegacyMRN,
   parseMRN,
+  calculateCheckDigit,
 };
@@ -0,0 +1,148 @@
+// Order Status State Machine
+// Allowed lab/radiology order transitions and the status history trail.
+// Shared by the order, specimen and result services so every status
+// change is checked and recorded the same way.
+
+const { AppError } = require("../middleware/errorHandler");
+
+/**
+ * Lab results on pending orders (specimen collected outside the system,
+ * e.g. manual entry or HL7 ingest) are accepted unless
+ * LAB_RESULT_REQUIRES_SPECIMEN is "true"
+ */
+const LAB_RESULT_REQUIRES_SPECIMEN =
+  process.env.LAB_RESULT_REQUIRES_SPECIMEN === "true";
+
+/**
+ * Allowed next statuses per order type
+ * Radiology has no collection step.
+ */
+const ORDER_TRANSITIONS = {
+  lab: {
+    pending: [
+      "collected",
+      ...(LAB_RESULT_REQUIRES_SPECIMEN ? [] : ["completed"]),
+      "cancelled",
+      "rejected",
+    ],
+    collected: ["processing", "completed", "cancelled", "rejected"],
+    processing: ["completed", "rejected"],
+    completed: [],
+    cancelled: [],
+    rejected: [],
+  },
+  radiology: {
+    pending: ["processing", "completed", "cancelled", "rejected"],
+    processing: ["completed", "rejected"],
+    completed: [],
+    cancelled: [],
+    rejected: [],
+  },
+};
+
+const ORDER_STATUSES = [
+  "pending",
+  "collected",
+  "processing",
+  "completed",
+  "cancelled",
+  "rejected",
+];
+
+// Transitions that must carry a reason
+const REASON_REQUIRED = ["cancelled", "rejected"];
+
+/**
+ * Get statuses an order may move to next
+ * @param {Object} order - Order (orderType, status)
+ * @returns {Array<string>} Allowed statuses
+ */
+function getAllowedTransitions(order) {
+  const transitions =
+    ORDER_TRANSITIONS[order.orderType] || ORDER_TRANSITIONS.lab;
+  return transitions[order.status] || [];
+}
+
+/**
+ * Throw unless the order may move to the requested status
+ * @param {Object} order - Order (orderType, status)
+ * @param {string} toStatus - Requested status
+ * @param {string} reason - Reason for the change
+ */
+function assertTransition(order, toStatus, reason) {
+  if (!ORDER_STATUSES.includes(toStatus)) {
+    throw new AppError(`Invalid order status: ${toStatus}`, 400);
+  }
+
+  const allowed = getAllowedTransitions(order);
+
+  if (!allowed.includes(toStatus)) {
+    throw new AppError(
+      `Cannot change ${order.orderType} order from ${order.status} to ${toStatus}` +
+        (allowed.length
+          ? ` (allowed: ${allowed.join(", ")})`
+          : ` (${order.status} is final)`),
+      400
+    );
+  }
+
+  if (REASON_REQUIRED.includes(toStatus) && !(reason && reason.trim())) {
+    throw new AppError(
+      `A reason is required when an order is ${toStatus}`,
+      400
+    );
+  }
+}
+
+/**
+ * Move an order to a new status and record the transition
+ * @param {Object} db - Prisma client or transaction client
+ * @param {Object} order - Current order (id, orderType, status)
+ * @param {string} toStatus - New status
+ * @param {string} userId - User making the change
+ * @param {Object} options - { reason, note, data (extra Order fields), include }
+ * @returns {Promise<Object>} Updated order
+ */
+async function applyOrderTransition(db, order, toStatus, userId, options = {}) {
+  const { reason, note, data = {}, include } = options;
+
+  assertTransition(order, toStatus, reason);
+
+  // Only move on if nobody else changed the status in the meantime
+  const { count } = await db.order.updateMany({
+    where: { id: order.id, status: order.status },
+    data: { ...data, status: toStatus },
+  });
+
+  if (count === 0) {
+    throw new AppError(
+      "Order status was changed by someone else, please reload",
+      409
+    );
+  }
+
+  await db.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      toStatus,
+      changedBy: userId,
+      reason: reason || null,
+      note: note || null,
+    },
+  });
+
+  return db.order.findUnique({
+    where: { id: order.id },
+    ...(include && { include }),
+  });
+}
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  ORDER_STATUSES,
+  REASON_REQUIRED,
+  getAllowedTransitions,
+  assertTransition,
+  applyOrderTransition,
+};
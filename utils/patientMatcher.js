@@ -0,0 +1,400 @@
+// Patient Matcher
+// Probabilistic scoring of two patient records for duplicate detection
+
+/**
+ * Field weights used to build the overall match score.
+ * Fields missing on either record are left out of the calculation.
+ */
+const MATCH_WEIGHTS = {
+  name: 0.45,
+  dateOfBirth: 0.2,
+  sex: 0.1,
+  phoneNumber: 0.15,
+  district: 0.1,
+};
+
+/**
+ * Score thresholds (0-100) for match levels
+ */
+const MATCH_THRESHOLDS = {
+  high: 85,
+  medium: 70,
+  low: 60,
+};
+
+/**
+ * Normalize a name for comparison (lowercase, letters only)
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  if (!name) return "";
+  return String(name)
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[^a-z]/g, "");
+}
+
+/**
+ * Normalize a phone number to its last 9 digits
+ * @param {string} phone - Raw phone number
+ * @returns {string} Digits only
+ */
+function normalizePhone(phone) {
+  if (!phone) return "";
+  const digits = String(phone).replace(/\D/g, "");
+  return digits.slice(-9);
+}
+
+/**
+ * Soundex phonetic code (e.g. Mohamed / Mohammed -> M530)
+ * @param {string} name - Name to encode
+ * @returns {string} Four character Soundex code
+ */
+function soundex(name) {
+  const normalized = normalizeName(name);
+  if (!normalized) return "";
+
+  const groups = ["bfpv", "cgjkqsxz", "dt", "l", "mn", "r"];
+  const codeFor = (char) => {
+    const index = groups.findIndex((group) => group.includes(char));
+    return index === -1 ? "" : String(index + 1);
+  };
+
+  let result = normalized[0].toUpperCase();
+  let lastCode = codeFor(normalized[0]);
+
+  for (let i = 1; i < normalized.length && result.length < 4; i++) {
+    const char = normalized[i];
+    const code = codeFor(char);
+
+    if (code && code !== lastCode) {
+      result += code;
+    }
+
+    // h and w do not separate letters with the same code
+    if (char !== "h" && char !== "w") {
+      lastCode = code;
+    }
+  }
+
+  return result.padEnd(4, "0");
+}
+
+/**
+ * Simplified Metaphone-style key that folds common spelling variants
+ * (ph/f, ck/k, double letters, silent h, vowels after the first letter)
+ * @param {string} name - Name to encode
+ * @returns {string} Phonetic key
+ */
+function phoneticKey(name) {
+  let value = normalizeName(name);
+  if (!value) return "";
+
+  value = value
+    .replace(/^kn|^gn|^pn|^wr/, (m) => m[1])
+    .replace(/^x/, "s")
+    .replace(/ph/g, "f")
+    .replace(/ck/g, "k")
+    .replace(/q/g, "k")
+    .replace(/c(?=[iey])/g, "s")
+    .replace(/c/g, "k")
+    .replace(/dg(?=[iey])/g, "j")
+    .replace(/gh/g, "")
+    .replace(/sch/g, "sk")
+    .replace(/sh|ch/g, "x")
+    .replace(/th/g, "0")
+    .replace(/z/g, "s")
+    .replace(/v/g, "f")
+    .replace(/y/g, "i")
+    .replace(/([^aeiou])h/g, "$1")
+    .replace(/(.)\1+/g, "$1");
+
+  if (!value) return "";
+
+  return value[0] + value.slice(1).replace(/[aeiouhw]/g, "");
+}
+
+/**
+ * Levenshtein edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Edit distance
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Compare two single names
+ * @param {string} a - First name value
+ * @param {string} b - Second name value
+ * @returns {Object} { score (0-1), reason }
+ */
+function compareNamePart(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+
+  if (!left || !right) {
+    return { score: 0, reason: "missing" };
+  }
+
+  if (left === right) {
+    return { score: 1, reason: "exact" };
+  }
+
+  const distance = levenshtein(left, right);
+  const similarity = 1 - distance / Math.max(left.length, right.length);
+
+  if (phoneticKey(left) === phoneticKey(right)) {
+    return { score: Math.max(0.92, similarity), reason: "phonetic" };
+  }
+
+  if (soundex(left) === soundex(right)) {
+    return { score: Math.max(0.85, similarity), reason: "phonetic" };
+  }
+
+  if (similarity >= 0.75) {
+    return { score: similarity, reason: "similar_spelling" };
+  }
+
+  return { score: similarity, reason: "mismatch" };
+}
+
+/**
+ * Compare full names, allowing for swapped first/last names
+ */
+function compareNames(candidate, existing) {
+  const first = compareNamePart(candidate.firstName, existing.firstName);
+  const last = compareNamePart(candidate.lastName, existing.lastName);
+  const straight = (first.score + last.score) / 2;
+
+  const swappedFirst = compareNamePart(candidate.firstName, existing.lastName);
+  const swappedLast = compareNamePart(candidate.lastName, existing.firstName);
+  const swapped = ((swappedFirst.score + swappedLast.score) / 2) * 0.95;
+
+  if (swapped > straight) {
+    return {
+      score: swapped,
+      reason: "swapped",
+      detail: {
+        firstName: swappedFirst.reason,
+        lastName: swappedLast.reason,
+      },
+    };
+  }
+
+  let reason = "mismatch";
+  if (first.reason === "exact" && last.reason === "exact") {
+    reason = "exact";
+  } else if (straight >= 0.85) {
+    reason = "phonetic";
+  } else if (straight >= 0.7) {
+    reason = "similar_spelling";
+  }
+
+  return {
+    score: straight,
+    reason,
+    detail: {
+      firstName: first.reason,
+      lastName: last.reason,
+    },
+  };
+}
+
+/**
+ * Estimate age in years for a record (DOB preferred over ageEstimate)
+ */
+function getAgeInYears(record, referenceDate = new Date()) {
+  if (record.dateOfBirth) {
+    const dob = new Date(record.dateOfBirth);
+    if (!isNaN(dob)) {
+      return (referenceDate - dob) / (1000 * 60 * 60 * 24 * 365.25);
+    }
+  }
+
+  if (record.ageEstimate !== null && record.ageEstimate !== undefined) {
+    return Number(record.ageEstimate);
+  }
+
+  return null;
+}
+
+/**
+ * Compare date of birth / age estimate
+ */
+function compareDateOfBirth(candidate, existing) {
+  const hasDob = (r) => r.dateOfBirth && !isNaN(new Date(r.dateOfBirth));
+
+  if (hasDob(candidate) && hasDob(existing)) {
+    const a = new Date(candidate.dateOfBirth);
+    const b = new Date(existing.dateOfBirth);
+
+    if (a.toISOString().slice(0, 10) === b.toISOString().slice(0, 10)) {
+      return { score: 1, reason: "exact" };
+    }
+
+    // Day and month transposed at data entry (e.g. 04/07 vs 07/04)
+    if (
+      a.getUTCFullYear() === b.getUTCFullYear() &&
+      a.getUTCDate() === b.getUTCMonth() + 1 &&
+      a.getUTCMonth() + 1 === b.getUTCDate()
+    ) {
+      return { score: 0.8, reason: "day_month_transposed" };
+    }
+
+    const diffDays = Math.abs(a - b) / (1000 * 60 * 60 * 24);
+    if (diffDays <= 31) return { score: 0.7, reason: "within_one_month" };
+    if (diffDays <= 366) return { score: 0.4, reason: "within_one_year" };
+
+    return { score: 0, reason: "mismatch" };
+  }
+
+  const ageA = getAgeInYears(candidate);
+  const ageB = getAgeInYears(existing);
+
+  if (ageA === null || ageB === null) {
+    return null;
+  }
+
+  const diffYears = Math.abs(ageA - ageB);
+  if (diffYears <= 2) return { score: 0.7, reason: "age_within_2_years" };
+  if (diffYears <= 5) return { score: 0.4, reason: "age_within_5_years" };
+
+  return { score: 0, reason: "age_mismatch" };
+}
+
+/**
+ * Compare sex
+ */
+function compareSex(candidate, existing) {
+  if (!candidate.sex || !existing.sex) return null;
+
+  return String(candidate.sex).toLowerCase() ===
+    String(existing.sex).toLowerCase()
+    ? { score: 1, reason: "exact" }
+    : { score: 0, reason: "mismatch" };
+}
+
+/**
+ * Compare phone numbers
+ */
+function comparePhone(candidate, existing) {
+  const a = normalizePhone(candidate.phoneNumber);
+  const b = normalizePhone(existing.phoneNumber);
+
+  if (!a || !b) return null;
+
+  if (a === b) return { score: 1, reason: "exact" };
+  if (levenshtein(a, b) === 1) return { score: 0.6, reason: "one_digit_off" };
+
+  return { score: 0, reason: "mismatch" };
+}
+
+/**
+ * Compare district
+ */
+function compareDistrict(candidate, existing) {
+  const a = normalizeName(candidate.district);
+  const b = normalizeName(existing.district);
+
+  if (!a || !b) return null;
+
+  return a === b
+    ? { score: 1, reason: "exact" }
+    : { score: 0, reason: "mismatch" };
+}
+
+/**
+ * Get match level label for a score
+ * @param {number} score - Score between 0 and 100
+ * @returns {string|null} high, medium, low or null
+ */
+function getMatchLevel(score) {
+  if (score >= MATCH_THRESHOLDS.high) return "high";
+  if (score >= MATCH_THRESHOLDS.medium) return "medium";
+  if (score >= MATCH_THRESHOLDS.low) return "low";
+  return null;
+}
+
+/**
+ * Score how likely two patient records describe the same person
+ * @param {Object} candidate - Incoming/new patient data
+ * @param {Object} existing - Existing patient record
+ * @returns {Object} { score (0-100), matchLevel, explanations }
+ */
+function scorePatientMatch(candidate, existing) {
+  const comparisons = {
+    name: compareNames(candidate, existing),
+    dateOfBirth: compareDateOfBirth(candidate, existing),
+    sex: compareSex(candidate, existing),
+    phoneNumber: comparePhone(candidate, existing),
+    district: compareDistrict(candidate, existing),
+  };
+
+  let weightedTotal = 0;
+  let totalWeight = 0;
+  const explanations = [];
+
+  Object.keys(comparisons).forEach((field) => {
+    const comparison = comparisons[field];
+    const weight = MATCH_WEIGHTS[field];
+
+    if (!comparison) {
+      explanations.push({ field, weight, score: null, reason: "missing" });
+      return;
+    }
+
+    weightedTotal += comparison.score * weight;
+    totalWeight += weight;
+
+    explanations.push({
+      field,
+      weight,
+      score: Math.round(comparison.score * 100) / 100,
+      reason: comparison.reason,
+      ...(comparison.detail && { detail: comparison.detail }),
+    });
+  });
+
+  const score =
+    totalWeight > 0 ? Math.round((weightedTotal / totalWeight) * 100) : 0;
+
+  return {
+    score,
+    matchLevel: getMatchLevel(score),
+    explanations,
+  };
+}
+
+module.exports = {
+  MATCH_WEIGHTS,
+  MATCH_THRESHOLDS,
+  normalizeName,
+  normalizePhone,
+  soundex,
+  phoneticKey,
+  levenshtein,
+  getMatchLevel,
+  scorePatientMatch,
+};
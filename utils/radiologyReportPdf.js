@@ -0,0 +1,156 @@
+// Radiology Report PDF
+// Renders a verified radiology report (structured template or free text)
+
+const PDFDocument = require("pdfkit");
+const { getTemplate } = require("./radiologyTemplates");
+
+const REPORT_CONFIG = {
+  institutionName: process.env.REPORT_INSTITUTION_NAME || "Hela PHA",
+};
+
+/**
+ * Helper: Format a date as YYYY-MM-DD (and HH:MM when withTime)
+ */
+function formatReportDate(date, withTime = false) {
+  if (!date) return "";
+  const iso = new Date(date).toISOString();
+  return withTime
+    ? `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`
+    : iso.slice(0, 10);
+}
+
+/**
+ * Helper: Display value of a template field
+ */
+function formatFieldValue(field, value) {
+  if (field.type === "boolean") return value ? "Yes" : "No";
+  return field.unit ? `${value} ${field.unit}` : String(value);
+}
+
+/**
+ * Helper: Full name of a user/person
+ */
+function fullName(person) {
+  return person ? `${person.firstName} ${person.lastName}` : "";
+}
+
+/**
+ * Build the report PDF
+ * @param {Object} result - Result with order.encounter.patient/department,
+ *   order.clinician and technician
+ * @param {Object} approver - Verifying user (firstName, lastName)
+ * @returns {Promise<Buffer>} PDF document
+ */
+function buildReportPdf(result, approver) {
+  const { order } = result;
+  const patient = order.encounter.patient;
+  const template = result.reportTemplate
+    ? getTemplate(result.reportTemplate)
+    : null;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: "A4",
+      margin: 50,
+      info: {
+        Title: `${order.testName} - ${patient.mrn}`,
+        Subject: "Radiology report",
+      },
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const row = (label, value) => {
+      if (value === undefined || value === null || value === "") return;
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .text(`${label}: `, { continued: true })
+        .font("Helvetica")
+        .text(String(value));
+    };
+
+    const heading = (text) => {
+      doc.moveDown(0.8).font("Helvetica-Bold").fontSize(12).text(text);
+      doc.moveDown(0.2);
+    };
+
+    // Header
+    doc.font("Helvetica-Bold").fontSize(16).text(REPORT_CONFIG.institutionName);
+    doc
+      .font("Helvetica")
+      .fontSize(12)
+      .text(template ? `${template.name} report` : "Radiology report");
+    doc
+      .moveDown(0.3)
+      .fontSize(10)
+      .text(
+        `Status: ${result.status.toUpperCase()}  |  Version ${result.version}`
+      );
+
+    heading("Patient");
+    row("Name", fullName(patient));
+    row("MRN", patient.mrn);
+    row("Date of birth", formatReportDate(patient.dateOfBirth));
+    row("Sex", patient.sex);
+
+    heading("Examination");
+    row("Exam", order.testName);
+    row("Accession number", order.imagingAccessionNumber);
+    row("Study Instance UID", order.studyInstanceUid);
+    row("Referring clinician", fullName(order.clinician));
+    row("Department", order.encounter.department?.name);
+    row("Ordered", formatReportDate(order.createdAt, true));
+
+    if (template) {
+      const data = result.resultData || {};
+
+      template.sections.forEach((section) => {
+        const fields = section.fields.filter(
+          (field) => data[field.key] !== undefined
+        );
+        if (fields.length === 0) return;
+
+        heading(section.label);
+        fields.forEach((field) =>
+          row(field.label, formatFieldValue(field, data[field.key]))
+        );
+      });
+    }
+
+    if (result.resultText) {
+      heading(template ? "Additional comments" : "Report");
+      doc.font("Helvetica").fontSize(10).text(result.resultText);
+    }
+
+    if (result.amendmentReason && result.status !== "final") {
+      heading(result.status === "corrected" ? "Correction" : "Amendment");
+      doc.font("Helvetica").fontSize(10).text(result.amendmentReason);
+    }
+
+    heading("Sign-off");
+    row("Reported by", fullName(result.technician));
+    row("Reported", formatReportDate(result.createdAt, true));
+    row("Verified by", fullName(approver));
+    row("Verified", formatReportDate(result.approvedAt, true));
+
+    doc
+      .moveDown(2)
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor("gray")
+      .text(
+        `Generated ${formatReportDate(new Date(), true)} - result ${result.id}`
+      );
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  REPORT_CONFIG,
+  buildReportPdf,
+};
@@ -0,0 +1,417 @@
+// Radiology Report Templates
+// Modality-specific structured report definitions and resultData validation
+
+/**
+ * Field types: text, number, integer, enum, boolean, date
+ * resultData for a templated report is flat: { fieldKey: value }
+ */
+const REPORT_TEMPLATES = {
+  CXR: {
+    code: "CXR",
+    name: "Chest X-ray",
+    modality: "DX",
+    category: "xray",
+    sections: [
+      {
+        key: "technique",
+        label: "Technique",
+        fields: [
+          {
+            key: "projection",
+            label: "Projection",
+            type: "enum",
+            options: ["PA", "AP", "lateral", "PA and lateral"],
+            required: true,
+          },
+          {
+            key: "quality",
+            label: "Image quality",
+            type: "enum",
+            options: ["adequate", "suboptimal", "non-diagnostic"],
+          },
+        ],
+      },
+      {
+        key: "findings",
+        label: "Findings",
+        fields: [
+          { key: "lungs", label: "Lungs", type: "text", required: true },
+          { key: "pleura", label: "Pleura", type: "text" },
+          {
+            key: "heartSize",
+            label: "Heart size",
+            type: "enum",
+            options: ["normal", "enlarged", "not assessable"],
+            required: true,
+          },
+          {
+            key: "cardiothoracicRatio",
+            label: "Cardiothoracic ratio",
+            type: "number",
+            min: 0.2,
+            max: 0.9,
+          },
+          { key: "mediastinum", label: "Mediastinum", type: "text" },
+          {
+            key: "bonesSoftTissues",
+            label: "Bones and soft tissues",
+            type: "text",
+          },
+          { key: "linesTubes", label: "Lines and tubes", type: "text" },
+        ],
+      },
+      {
+        key: "conclusion",
+        label: "Conclusion",
+        fields: [
+          {
+            key: "impression",
+            label: "Impression",
+            type: "text",
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+
+  US_OBSTETRIC: {
+    code: "US_OBSTETRIC",
+    name: "Obstetric ultrasound",
+    modality: "US",
+    category: "ultrasound",
+    sections: [
+      {
+        key: "pregnancy",
+        label: "Pregnancy",
+        fields: [
+          {
+            key: "fetalNumber",
+            label: "Number of fetuses",
+            type: "integer",
+            min: 1,
+            max: 5,
+            required: true,
+          },
+          {
+            key: "fetalHeartActivity",
+            label: "Fetal heart activity",
+            type: "enum",
+            options: ["present", "absent"],
+            required: true,
+          },
+          {
+            key: "fetalHeartRate",
+            label: "Fetal heart rate",
+            type: "integer",
+            unit: "bpm",
+            min: 60,
+            max: 220,
+          },
+          {
+            key: "presentation",
+            label: "Presentation",
+            type: "enum",
+            options: [
+              "cephalic",
+              "breech",
+              "transverse",
+              "oblique",
+              "variable",
+            ],
+          },
+        ],
+      },
+      {
+        key: "biometry",
+        label: "Biometry",
+        fields: [
+          {
+            key: "bpd",
+            label: "Biparietal diameter",
+            type: "number",
+            unit: "mm",
+            min: 10,
+            max: 110,
+          },
+          {
+            key: "hc",
+            label: "Head circumference",
+            type: "number",
+            unit: "mm",
+            min: 50,
+            max: 400,
+          },
+          {
+            key: "ac",
+            label: "Abdominal circumference",
+            type: "number",
+            unit: "mm",
+            min: 40,
+            max: 450,
+          },
+          {
+            key: "fl",
+            label: "Femur length",
+            type: "number",
+            unit: "mm",
+            min: 5,
+            max: 90,
+          },
+          {
+            key: "estimatedFetalWeight",
+            label: "Estimated fetal weight",
+            type: "integer",
+            unit: "g",
+            min: 100,
+            max: 6000,
+          },
+          {
+            key: "gestationalAgeWeeks",
+            label: "Gestational age",
+            type: "number",
+            unit: "weeks",
+            min: 4,
+            max: 44,
+            required: true,
+          },
+          { key: "edd", label: "Estimated due date", type: "date" },
+        ],
+      },
+      {
+        key: "placentaLiquor",
+        label: "Placenta and liquor",
+        fields: [
+          {
+            key: "placentaLocation",
+            label: "Placenta",
+            type: "enum",
+            options: [
+              "anterior",
+              "posterior",
+              "fundal",
+              "lateral",
+              "low-lying",
+              "praevia",
+            ],
+          },
+          {
+            key: "amnioticFluid",
+            label: "Amniotic fluid",
+            type: "enum",
+            options: ["normal", "reduced", "increased"],
+          },
+          {
+            key: "afi",
+            label: "Amniotic fluid index",
+            type: "number",
+            unit: "cm",
+            min: 0,
+            max: 50,
+          },
+        ],
+      },
+      {
+        key: "conclusion",
+        label: "Conclusion",
+        fields: [
+          {
+            key: "impression",
+            label: "Impression",
+            type: "text",
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+
+  CT_HEAD: {
+    code: "CT_HEAD",
+    name: "CT head",
+    modality: "CT",
+    category: "ct",
+    sections: [
+      {
+        key: "technique",
+        label: "Technique",
+        fields: [
+          {
+            key: "contrast",
+            label: "Contrast",
+            type: "enum",
+            options: ["non-contrast", "contrast", "non-contrast and contrast"],
+            required: true,
+          },
+        ],
+      },
+      {
+        key: "findings",
+        label: "Findings",
+        fields: [
+          {
+            key: "haemorrhage",
+            label: "Haemorrhage",
+            type: "enum",
+            options: [
+              "none",
+              "extradural",
+              "subdural",
+              "subarachnoid",
+              "intraparenchymal",
+              "intraventricular",
+            ],
+            required: true,
+          },
+          {
+            key: "infarct",
+            label: "Infarct",
+            type: "enum",
+            options: ["none", "acute", "subacute", "chronic"],
+            required: true,
+          },
+          {
+            key: "midlineShift",
+            label: "Midline shift",
+            type: "number",
+            unit: "mm",
+            min: 0,
+            max: 30,
+          },
+          { key: "massLesion", label: "Mass lesion", type: "boolean" },
+          { key: "hydrocephalus", label: "Hydrocephalus", type: "boolean" },
+          { key: "skullFracture", label: "Skull fracture", type: "boolean" },
+          { key: "otherFindings", label: "Other findings", type: "text" },
+        ],
+      },
+      {
+        key: "conclusion",
+        label: "Conclusion",
+        fields: [
+          {
+            key: "impression",
+            label: "Impression",
+            type: "text",
+            required: true,
+          },
+        ],
+      },
+    ],
+  },
+};
+
+/**
+ * Get template by code
+ * @param {string} code - Template code
+ * @returns {Object|null} Template
+ */
+function getTemplate(code) {
+  return REPORT_TEMPLATES[String(code || "").toUpperCase()] || null;
+}
+
+/**
+ * Helper: Validate and normalize one field value
+ * @returns {Object} { value } or { error }
+ */
+function normalizeField(field, raw) {
+  switch (field.type) {
+    case "number":
+    case "integer": {
+      const value = Number(raw);
+
+      if (raw === "" || isNaN(value)) {
+        return { error: `${field.label} must be a number` };
+      }
+      if (field.type === "integer" && !Number.isInteger(value)) {
+        return { error: `${field.label} must be a whole number` };
+      }
+      if (field.min !== undefined && value < field.min) {
+        return { error: `${field.label} must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && value > field.max) {
+        return { error: `${field.label} must be at most ${field.max}` };
+      }
+      return { value };
+    }
+
+    case "enum":
+      return field.options.includes(raw)
+        ? { value: raw }
+        : {
+            error: `${field.label} must be one of: ${field.options.join(", ")}`,
+          };
+
+    case "boolean":
+      if (typeof raw === "boolean") return { value: raw };
+      if (raw === "true" || raw === "false") return { value: raw === "true" };
+      return { error: `${field.label} must be true or false` };
+
+    case "date":
+      return isNaN(new Date(raw).getTime())
+        ? { error: `${field.label} must be a valid date` }
+        : { value: new Date(raw).toISOString().slice(0, 10) };
+
+    default:
+      return typeof raw === "string"
+        ? { value: raw.trim() }
+        : { error: `${field.label} must be text` };
+  }
+}
+
+/**
+ * Validate report data against a template
+ * @param {Object} template - Template from REPORT_TEMPLATES
+ * @param {Object} resultData - { fieldKey: value }
+ * @returns {Object} { data (normalized), errors: [string] }
+ */
+function validateReportData(template, resultData) {
+  const input = resultData && typeof resultData === "object" ? resultData : {};
+  const fields = template.sections.flatMap((section) => section.fields);
+  const data = {};
+  const errors = [];
+
+  fields.forEach((field) => {
+    const raw = input[field.key];
+
+    if (raw === undefined || raw === null || raw === "") {
+      if (field.required) errors.push(`${field.label} is required`);
+      return;
+    }
+
+    const { value, error } = normalizeField(field, raw);
+    if (error) {
+      errors.push(error);
+    } else {
+      data[field.key] = value;
+    }
+  });
+
+  const known = new Set(fields.map((field) => field.key));
+  Object.keys(input)
+    .filter((key) => !known.has(key))
+    .forEach((key) => errors.push(`Unknown field ${key}`));
+
+  return { data, errors };
+}
+
+/**
+ * Summarize templates for listing
+ * @returns {Array<Object>} [{ code, name, modality, category }]
+ */
+function listTemplates() {
+  return Object.values(REPORT_TEMPLATES).map(
+    ({ code, name, modality, category }) => ({
+      code,
+      name,
+      modality,
+      category,
+    })
+  );
+}
+
+module.exports = {
+  REPORT_TEMPLATES,
+  getTemplate,
+  listTemplates,
+  validateReportData,
+};
@@ -0,0 +1,155 @@
+// Reference Ranges
+// Selects age/sex-specific reference ranges and flags analyte values
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Analyte flags
+ * N = normal, L/H = outside normal range, LL/HH = critical
+ */
+const FLAGS = {
+  normal: "N",
+  low: "L",
+  high: "H",
+  criticalLow: "LL",
+  criticalHigh: "HH",
+};
+
+const ABNORMAL_FLAGS = ["L", "H", "LL", "HH", "A", "AA", "<", ">"];
+const CRITICAL_FLAGS = ["LL", "HH", "AA"];
+
+/**
+ * Patient age in days at a given date (DOB preferred over ageEstimate)
+ * @param {Object} patient - Patient with dateOfBirth / ageEstimate
+ * @param {Date} at - Reference date
+ * @returns {number|null} Age in days
+ */
+function getAgeInDays(patient, at = new Date()) {
+  if (!patient) return null;
+
+  if (patient.dateOfBirth) {
+    const dob = new Date(patient.dateOfBirth);
+    if (!isNaN(dob)) {
+      return Math.floor((new Date(at) - dob) / DAY_MS);
+    }
+  }
+
+  if (patient.ageEstimate !== null && patient.ageEstimate !== undefined) {
+    return Math.floor(Number(patient.ageEstimate) * 365.25);
+  }
+
+  return null;
+}
+
+/**
+ * Pick the most specific range matching the patient
+ * Narrower age bands win over wider ones, then sex-specific over "any".
+ * Ranges with an age band are skipped when the patient's age is unknown.
+ * @param {Array} ranges - ReferenceRange rows
+ * @param {Object} patient - Patient (sex, dateOfBirth, ageEstimate)
+ * @param {Date} at - Date the specimen was resulted
+ * @returns {Object|null} Matching range
+ */
+function selectReferenceRange(ranges, patient, at = new Date()) {
+  const ageDays = getAgeInDays(patient, at);
+  const sex = patient && patient.sex ? String(patient.sex).toLowerCase() : null;
+
+  const candidates = (ranges || []).filter((range) => {
+    if (range.sex && range.sex !== sex) return false;
+
+    const minDays = range.ageMinDays ?? null;
+    const maxDays = range.ageMaxDays ?? null;
+
+    if (minDays !== null || maxDays !== null) {
+      if (ageDays === null) return false;
+      if (minDays !== null && ageDays < minDays) return false;
+      if (maxDays !== null && ageDays >= maxDays) return false;
+    }
+
+    return true;
+  });
+
+  const bandWidth = (range) =>
+    (range.ageMaxDays ?? Number.MAX_SAFE_INTEGER) - (range.ageMinDays ?? 0);
+
+  candidates.sort((a, b) => {
+    const widthDiff = bandWidth(a) - bandWidth(b);
+    if (widthDiff !== 0) return widthDiff;
+    return Boolean(b.sex) - Boolean(a.sex);
+  });
+
+  return candidates[0] || null;
+}
+
+/**
+ * Flag a numeric value against a reference range
+ * @param {number} value - Analyte value
+ * @param {Object} range - ReferenceRange
+ * @returns {string} N, L, H, LL or HH
+ */
+function flagValue(value, range) {
+  const has = (bound) => range[bound] !== null && range[bound] !== undefined;
+
+  if (has("criticalLow") && value <= range.criticalLow) {
+    return FLAGS.criticalLow;
+  }
+  if (has("criticalHigh") && value >= range.criticalHigh) {
+    return FLAGS.criticalHigh;
+  }
+  if (has("normalLow") && value < range.normalLow) return FLAGS.low;
+  if (has("normalHigh") && value > range.normalHigh) return FLAGS.high;
+
+  return FLAGS.normal;
+}
+
+/**
+ * Format a range for display (e.g. "12-16", ">= 4", "<= 10")
+ */
+function formatRange(low, high) {
+  const has = (v) => v !== null && v !== undefined;
+
+  if (has(low) && has(high)) return `${low}-${high}`;
+  if (has(low)) return `>= ${low}`;
+  if (has(high)) return `<= ${high}`;
+  return null;
+}
+
+/**
+ * Read the raw value and unit from a resultData entry
+ * Entries are either a plain value or { value, unit, ... }.
+ */
+function readEntry(entry) {
+  if (entry && typeof entry === "object" && "value" in entry) {
+    return { value: entry.value, unit: entry.unit || null, flag: entry.flag };
+  }
+
+  return { value: entry, unit: null, flag: null };
+}
+
+/**
+ * Derive overall result flags from per-analyte flags
+ * @param {Object} analyteFlags - { key: { flag } }
+ * @returns {Object} { isAbnormal, criticalFlag }
+ */
+function deriveResultFlags(analyteFlags) {
+  const flags = Object.values(analyteFlags || {})
+    .map((entry) => entry.flag)
+    .filter(Boolean);
+
+  return {
+    isAbnormal: flags.some((flag) => ABNORMAL_FLAGS.includes(flag)),
+    criticalFlag: flags.some((flag) => CRITICAL_FLAGS.includes(flag)),
+  };
+}
+
+module.exports = {
+  FLAGS,
+  ABNORMAL_FLAGS,
+  CRITICAL_FLAGS,
+  getAgeInDays,
+  selectReferenceRange,
+  flagValue,
+  formatRange,
+  readEntry,
+  deriveResultFlags,
+};
@@ -0,0 +1,204 @@
+// Specimen Label Utility
+// Builds barcode labels for specimen tubes/containers (ZPL and PDF)
+
+const PDFDocument = require("pdfkit");
+
+/**
+ * Label size (2" x 1" tube label)
+ */
+const LABEL_SIZE = {
+  widthPt: 144,
+  heightPt: 72,
+  widthDots: 406, // 203 dpi
+  heightDots: 203,
+};
+
+// Code 128 bar/space widths for symbol values 0-106 (106 = stop)
+// prettier-ignore
+const CODE128_PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213",
+  "122312", "132212", "221213", "221312", "231212", "112232", "122132",
+  "122231", "113222", "123122", "123221", "223211", "221132", "221231",
+  "213212", "223112", "312131", "311222", "321122", "321221", "312212",
+  "322112", "322211", "212123", "212321", "232121", "111323", "131123",
+  "131321", "112313", "132113", "132311", "211313", "231113", "231311",
+  "112133", "112331", "132131", "113123", "113321", "133121", "313121",
+  "211331", "231131", "213113", "213311", "213131", "311123", "311321",
+  "331121", "312113", "312311", "332111", "314111", "221411", "431111",
+  "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114",
+  "413111", "241112", "134111", "111242", "121142", "121241", "114212",
+  "124112", "124211", "411212", "421112", "421211", "212141", "214121",
+  "412121", "111143", "111341", "131141", "114113", "114311", "411113",
+  "411311", "113141", "114131", "311141", "411131", "211412", "211214",
+  "211232", "2331112",
+];
+
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+/**
+ * Encode text as Code 128 (code set B) bar/space widths
+ * @param {string} text - Printable ASCII text
+ * @returns {Array<number>} Alternating bar/space widths in modules
+ */
+function encodeCode128(text) {
+  const values = String(text)
+    .split("")
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 126) {
+        throw new Error(`Character "${char}" cannot be encoded in Code 128B`);
+      }
+      return code - 32;
+    });
+
+  const checksum =
+    values.reduce(
+      (sum, value, index) => sum + value * (index + 1),
+      CODE128_START_B
+    ) % 103;
+
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+    .map((value) => CODE128_PATTERNS[value])
+    .join("")
+    .split("")
+    .map(Number);
+}
+
+/**
+ * Helper: Format a date as YYYY-MM-DD (and HH:MM when withTime)
+ */
+function formatLabelDate(date, withTime = false) {
+  if (!date) return "";
+  const iso = new Date(date).toISOString();
+  return withTime
+    ? `${iso.slice(0, 10)} ${iso.slice(11, 16)}`
+    : iso.slice(0, 10);
+}
+
+/**
+ * Build the printable label fields for a specimen
+ * @param {Object} specimen - Specimen with order.encounter.patient
+ * @returns {Object} Label fields
+ */
+function buildLabelData(specimen) {
+  const { order } = specimen;
+  const patient = order.encounter.patient;
+
+  return {
+    accessionNumber: specimen.accessionNumber,
+    patientName: `${patient.lastName.toUpperCase()}, ${patient.firstName}`,
+    mrn: patient.mrn,
+    dateOfBirth: formatLabelDate(patient.dateOfBirth),
+    sex: patient.sex ? patient.sex.charAt(0).toUpperCase() : "",
+    test: order.testCode || order.testName,
+    specimenType: [specimen.specimenType, specimen.containerType]
+      .filter(Boolean)
+      .join(" / "),
+    collectedAt: formatLabelDate(specimen.collectedAt, true),
+    priority: order.priority !== "routine" ? order.priority.toUpperCase() : "",
+  };
+}
+
+/**
+ * Helper: Remove ZPL control characters from field data
+ */
+function zplField(value) {
+  return String(value || "").replace(/[\^~]/g, " ");
+}
+
+/**
+ * Build ZPL II label for thermal printers
+ * @param {Object} specimen - Specimen with order.encounter.patient
+ * @returns {string} ZPL document
+ */
+function buildZplLabel(specimen) {
+  const label = buildLabelData(specimen);
+  const demographics = [label.mrn, label.dateOfBirth, label.sex]
+    .filter(Boolean)
+    .join("  ");
+  const collection = [label.collectedAt, label.priority]
+    .filter(Boolean)
+    .join("  ");
+
+  return [
+    "^XA",
+    "^CI28",
+    `^PW${LABEL_SIZE.widthDots}`,
+    `^LL${LABEL_SIZE.heightDots}`,
+    `^FO20,10^A0N,22,22^FD${zplField(label.patientName)}^FS`,
+    `^FO20,34^A0N,18,18^FD${zplField(demographics)}^FS`,
+    `^FO20,56^BY2^BCN,60,N,N,N^FD${zplField(label.accessionNumber)}^FS`,
+    `^FO20,122^A0N,22,22^FD${zplField(label.accessionNumber)}^FS`,
+    `^FO20,148^A0N,18,18^FD${zplField(
+      [label.test, label.specimenType].filter(Boolean).join("  ")
+    )}^FS`,
+    `^FO20,170^A0N,18,18^FD${zplField(collection)}^FS`,
+    "^XZ",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Build PDF label (one 2" x 1" page) for office printers
+ * @param {Object} specimen - Specimen with order.encounter.patient
+ * @returns {Promise<Buffer>} PDF document
+ */
+function buildPdfLabel(specimen) {
+  const label = buildLabelData(specimen);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: [LABEL_SIZE.widthPt, LABEL_SIZE.heightPt],
+      margin: 0,
+      info: { Title: `Specimen ${label.accessionNumber}` },
+    });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = 6;
+    const width = LABEL_SIZE.widthPt - left * 2;
+    const text = (value, y, size, bold = false) =>
+      doc
+        .font(bold ? "Helvetica-Bold" : "Helvetica")
+        .fontSize(size)
+        .text(value, left, y, { width, lineBreak: false, ellipsis: true });
+
+    text(label.patientName, 4, 7, true);
+    text(
+      [label.mrn, label.dateOfBirth, label.sex].filter(Boolean).join("  "),
+      12,
+      6
+    );
+
+    // Barcode, scaled to the label width
+    const widths = encodeCode128(label.accessionNumber);
+    const modules = widths.reduce((sum, w) => sum + w, 0);
+    const moduleWidth = width / modules;
+    let x = left;
+
+    widths.forEach((w, index) => {
+      if (index % 2 === 0) {
+        doc.rect(x, 20, w * moduleWidth, 22).fill("black");
+      }
+      x += w * moduleWidth;
+    });
+
+    text(label.accessionNumber, 44, 7, true);
+    text([label.test, label.specimenType].filter(Boolean).join("  "), 53, 6);
+    text([label.collectedAt, label.priority].filter(Boolean).join("  "), 61, 6);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  encodeCode128,
+  buildLabelData,
+  buildZplLabel,
+  buildPdfLabel,
+};
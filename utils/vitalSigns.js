@@ -0,0 +1,174 @@
+// Vital Signs
+// Definitions, units and plausibility limits for recorded vital signs
+
+/**
+ * Recordable vital signs
+ * Numeric limits reject values that cannot be physiological (typos),
+ * not values that are merely abnormal.
+ */
+const VITAL_SIGNS = {
+  respiratoryRate: {
+    label: "Respiratory rate",
+    unit: "/min",
+    min: 0,
+    max: 120,
+  },
+  oxygenSaturation: {
+    label: "Oxygen saturation",
+    unit: "%",
+    min: 50,
+    max: 100,
+  },
+  supplementalOxygen: {
+    label: "Supplemental oxygen",
+    type: "boolean",
+  },
+  bloodPressureSystolic: {
+    label: "Systolic blood pressure",
+    unit: "mm[Hg]",
+    min: 30,
+    max: 300,
+  },
+  bloodPressureDiastolic: {
+    label: "Diastolic blood pressure",
+    unit: "mm[Hg]",
+    min: 10,
+    max: 200,
+  },
+  pulse: { label: "Heart rate", unit: "/min", min: 20, max: 300 },
+  temperature: { label: "Temperature", unit: "Cel", min: 25, max: 45 },
+  consciousness: {
+    label: "Level of consciousness (ACVPU)",
+    type: "enum",
+    options: ["alert", "confusion", "voice", "pain", "unresponsive"],
+  },
+  capillaryRefill: {
+    label: "Capillary refill time",
+    unit: "s",
+    min: 0,
+    max: 20,
+  },
+  weight: { label: "Weight", unit: "kg", min: 0.2, max: 500 },
+  height: { label: "Height", unit: "cm", min: 20, max: 260 },
+  bmi: { label: "BMI", unit: "kg/m2", min: 5, max: 100 },
+};
+
+/**
+ * Validate vitals and convert them to observations
+ * @param {Object} vitals - { code: value }, e.g. { pulse: 88 }
+ * @returns {Object} { observations: [{ code, value, valueText, unit }],
+ *   values: { code: normalized value }, errors: [string] }
+ */
+function normalizeVitals(vitals) {
+  let observations = [];
+  const values = {};
+  const errors = [];
+
+  if (!vitals || typeof vitals !== "object" || Array.isArray(vitals)) {
+    return { observations, values, errors: ["Vitals must be an object"] };
+  }
+
+  Object.keys(vitals).forEach((code) => {
+    const definition = VITAL_SIGNS[code];
+    const raw = vitals[code];
+
+    if (raw === undefined || raw === null || raw === "") return;
+
+    if (!definition) {
+      errors.push(`Unknown vital sign ${code}`);
+      return;
+    }
+
+    if (definition.type === "boolean") {
+      if (typeof raw !== "boolean" && raw !== "true" && raw !== "false") {
+        errors.push(`${definition.label} must be true or false`);
+        return;
+      }
+      values[code] = raw === true || raw === "true";
+      observations.push({ code, valueText: String(values[code]) });
+      return;
+    }
+
+    if (definition.type === "enum") {
+      const option = String(raw).toLowerCase();
+      if (!definition.options.includes(option)) {
+        errors.push(
+          `${definition.label} must be one of: ${definition.options.join(", ")}`
+        );
+        return;
+      }
+      values[code] = option;
+      observations.push({ code, valueText: option });
+      return;
+    }
+
+    const value = Number(raw);
+
+    if (isNaN(value)) {
+      errors.push(`${definition.label} must be a number`);
+      return;
+    }
+
+    if (value < definition.min || value > definition.max) {
+      errors.push(
+        `${definition.label} must be between ${definition.min} and ${definition.max} ${definition.unit}`
+      );
+      return;
+    }
+
+    values[code] = value;
+    observations.push({ code, value, unit: definition.unit });
+  });
+
+  // A reading with diastolic at or above systolic is a transcription error;
+  // neither value is kept
+  if (
+    values.bloodPressureSystolic !== undefined &&
+    values.bloodPressureDiastolic !== undefined &&
+    values.bloodPressureDiastolic >= values.bloodPressureSystolic
+  ) {
+    errors.push(
+      "Diastolic blood pressure must be below systolic blood pressure"
+    );
+    delete values.bloodPressureSystolic;
+    delete values.bloodPressureDiastolic;
+    observations = observations.filter(
+      (o) =>
+        o.code !== "bloodPressureSystolic" &&
+        o.code !== "bloodPressureDiastolic"
+    );
+  }
+
+  if (observations.length === 0 && errors.length === 0) {
+    errors.push("At least one vital sign is required");
+  }
+
+  return { observations, values, errors };
+}
+
+/**
+ * Rebuild { code: value } from stored observations
+ * @param {Array<Object>} observations - VitalSignObservation rows
+ * @returns {Object} Values keyed by code
+ */
+function observationsToValues(observations) {
+  return (observations || []).reduce((values, observation) => {
+    const definition = VITAL_SIGNS[observation.code] || {};
+
+    if (definition.type === "boolean") {
+      values[observation.code] = observation.valueText === "true";
+    } else if (definition.type === "enum") {
+      values[observation.code] = observation.valueText;
+    } else {
+      values[observation.code] = observation.value;
+    }
+
+    return values;
+  }, {});
+}
+
+module.exports = {
+  VITAL_SIGNS,
+  normalizeVitals,
+  observationsToValues,
+};